@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import { getAccount, getAccountPositions } from '../services/api';
+
+function AccountPanel() {
+  const [account, setAccount] = useState(null);
+  const [positions, setPositions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchData();
+
+    // Poll for updates every 30 seconds
+    const interval = setInterval(fetchData, 30000);
+
+    return () => clearInterval(interval);
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      const [accountData, positionsData] = await Promise.all([
+        getAccount(),
+        getAccountPositions(),
+      ]);
+      setAccount(accountData);
+      setPositions(positionsData);
+    } catch (error) {
+      console.error('Failed to fetch paper account:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatMoney = (value) => {
+    if (value === null || value === undefined) return '—';
+    return value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  };
+
+  if (loading && !account) {
+    return <div className="loading-small">Loading account...</div>;
+  }
+
+  if (!account) {
+    return (
+      <div className="no-data">
+        <p>Paper account not available</p>
+      </div>
+    );
+  }
+
+  const cards = [
+    {
+      label: 'Balance',
+      value: `${formatMoney(account.balance)} ${account.currency}`,
+      className: account.balance >= account.startingBalance ? 'card-success' : 'card-danger',
+      subtitle: `Started at ${formatMoney(account.startingBalance)}`,
+    },
+    {
+      label: 'Equity',
+      value: formatMoney(account.equity),
+      className: account.unrealizedPnl >= 0 ? 'card-success' : 'card-danger',
+      subtitle: `Unrealized ${account.unrealizedPnl >= 0 ? '+' : ''}${formatMoney(account.unrealizedPnl)}`,
+    },
+    {
+      label: 'Margin Used',
+      value: formatMoney(account.marginUsed),
+      className: 'card-neutral',
+      subtitle: `Free ${formatMoney(account.freeMargin)}`,
+    },
+    {
+      label: 'Open Risk',
+      value: formatMoney(account.openRisk),
+      className: 'card-neutral',
+      subtitle: `${account.openPositions} open / ${account.pendingOrders} pending`,
+    },
+  ];
+
+  return (
+    <div className="account-panel">
+      <div className="stats-cards">
+        {cards.map((card, index) => (
+          <div key={index} className={`stats-card ${card.className}`}>
+            <div className="card-label">{card.label}</div>
+            <div className="card-value">{card.value}</div>
+            <div className="card-subtitle">{card.subtitle}</div>
+          </div>
+        ))}
+      </div>
+
+      {positions.length === 0 ? (
+        <div className="no-data">
+          <p>No open positions or pending orders</p>
+        </div>
+      ) : (
+        <div className="breakdown-table-container">
+          <table className="breakdown-table">
+            <thead>
+              <tr>
+                <th>Symbol</th>
+                <th>Direction</th>
+                <th>Status</th>
+                <th>Lots</th>
+                <th>Entry</th>
+                <th>Remaining</th>
+                <th>Margin</th>
+                <th>Realized P&L</th>
+              </tr>
+            </thead>
+            <tbody>
+              {positions.map((position) => (
+                <tr key={position.id}>
+                  <td className="category-cell">
+                    <strong>{position.symbol}</strong> {position.timeframe}
+                  </td>
+                  <td>{position.direction.toUpperCase()}</td>
+                  <td>{position.status === 'open' ? 'Open' : 'Pending'}</td>
+                  <td>{position.lots}</td>
+                  <td>{position.entry}</td>
+                  <td>{Math.round(position.remaining * 100)}%</td>
+                  <td>{formatMoney(position.margin * position.remaining)}</td>
+                  <td className={position.realized_pnl >= 0 ? 'text-success' : 'text-danger'}>
+                    {position.realized_pnl >= 0 ? '+' : ''}{formatMoney(position.realized_pnl)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AccountPanel;
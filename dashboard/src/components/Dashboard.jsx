@@ -3,6 +3,7 @@ import StatsCards from './StatsCards';
 import EquityCurve from './EquityCurve';
 import PerformanceBreakdown from './PerformanceBreakdown';
 import TradeHistory from './TradeHistory';
+import AccountPanel from './AccountPanel';
 import { getOverview, getEquityCurve } from '../services/api';
 
 function Dashboard() {
@@ -103,6 +104,11 @@ function Dashboard() {
         <EquityCurve data={equityCurve} />
       </section>
 
+      <section className="section">
+        <h2>Paper Account</h2>
+        <AccountPanel />
+      </section>
+
       <section className="section">
         <h2>Performance Breakdown</h2>
         <PerformanceBreakdown />
@@ -51,6 +51,16 @@ function EquityCurve({ data }) {
         pointRadius: 3,
         pointHoverRadius: 5,
       },
+      {
+        label: 'Net of Costs',
+        data: data.map(d => d.cumNetR ?? d.cumR),
+        borderColor: 'rgb(148, 163, 184)',
+        borderDash: [4, 4],
+        fill: false,
+        tension: 0.4,
+        pointRadius: 0,
+        pointHoverRadius: 3,
+      },
     ],
   };
 
@@ -69,7 +79,7 @@ function EquityCurve({ data }) {
         intersect: false,
         callbacks: {
           label: function(context) {
-            return `R: ${context.parsed.y.toFixed(2)}`;
+            return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}R`;
           },
         },
       },
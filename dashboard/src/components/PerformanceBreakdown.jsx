@@ -86,6 +86,7 @@ function PerformanceBreakdown() {
                 <th>Losses</th>
                 <th>Win Rate</th>
                 <th>Avg R</th>
+                <th>Net R</th>
                 <th>Profit Factor</th>
               </tr>
             </thead>
@@ -94,6 +95,7 @@ function PerformanceBreakdown() {
                 const categoryValue = row[getCategoryKey()];
                 const winrate = row.winrate * 100;
                 const avgR = row.avgR;
+                const avgNetR = row.avgNetR ?? avgR;
                 const profitFactor = row.profitFactor >= 999 ? '∞' : row.profitFactor.toFixed(2);
 
                 return (
@@ -110,6 +112,9 @@ function PerformanceBreakdown() {
                     <td className={avgR >= 0 ? 'text-success' : 'text-danger'}>
                       {avgR >= 0 ? '+' : ''}{avgR.toFixed(2)}R
                     </td>
+                    <td className={avgNetR >= 0 ? 'text-success' : 'text-danger'}>
+                      {avgNetR >= 0 ? '+' : ''}{avgNetR.toFixed(2)}R
+                    </td>
                     <td className={row.profitFactor >= 1 ? 'text-success' : 'text-danger'}>
                       {profitFactor}
                     </td>
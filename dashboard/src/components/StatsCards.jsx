@@ -5,7 +5,7 @@ function StatsCards({ stats }) {
     return <div className="stats-cards">No data available</div>;
   }
 
-  const { totalTrades, wins, losses, winrate, avgR, profitFactor } = stats;
+  const { totalTrades, wins, losses, winrate, avgR, profitFactor, avgNetR, profitFactorNet, totalPnl } = stats;
 
   const cards = [
     {
@@ -26,12 +26,20 @@ function StatsCards({ stats }) {
       value: avgR,
       format: (v) => `${v >= 0 ? '+' : ''}${v.toFixed(2)}R`,
       className: avgR >= 0 ? 'card-success' : 'card-danger',
+      subtitle: avgNetR !== undefined ? `${avgNetR >= 0 ? '+' : ''}${avgNetR.toFixed(2)}R after costs` : null,
     },
     {
       label: 'Profit Factor',
       value: profitFactor,
       format: (v) => v >= 999 ? '∞' : v.toFixed(2),
       className: profitFactor >= 1 ? 'card-success' : 'card-danger',
+      subtitle: profitFactorNet !== undefined ? `${profitFactorNet >= 999 ? '∞' : profitFactorNet.toFixed(2)} after costs` : null,
+    },
+    {
+      label: 'Net P&L',
+      value: totalPnl || 0,
+      format: (v) => `${v >= 0 ? '+' : ''}${v.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
+      className: (totalPnl || 0) >= 0 ? 'card-success' : 'card-danger',
     },
   ];
 
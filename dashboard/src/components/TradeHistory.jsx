@@ -74,10 +74,14 @@ function TradeHistory() {
     const badges = {
       pending: { class: 'badge-neutral', text: 'Pending' },
       triggered: { class: 'badge-info', text: 'Active' },
+      partially_closed: { class: 'badge-info', text: 'Partial' },
       expired: { class: 'badge-muted', text: 'Expired' },
       win: { class: 'badge-success', text: 'Win' },
       loss: { class: 'badge-danger', text: 'Loss' },
+      breakeven: { class: 'badge-muted', text: 'Breakeven' },
       timeout: { class: 'badge-warning', text: 'Timeout' },
+      merged: { class: 'badge-muted', text: 'Merged' },
+      suppressed: { class: 'badge-muted', text: 'Suppressed' },
     };
 
     const badge = badges[status] || { class: 'badge-neutral', text: status };
@@ -98,6 +102,7 @@ function TradeHistory() {
           <option value="">All Outcomes</option>
           <option value="win">Wins</option>
           <option value="loss">Losses</option>
+          <option value="breakeven">Breakeven</option>
           <option value="timeout">Timeouts</option>
         </select>
 
@@ -73,6 +73,22 @@ export async function getSignalById(id) {
   return response.data;
 }
 
+/**
+ * Get paper account summary
+ */
+export async function getAccount() {
+  const response = await api.get('/account');
+  return response.data;
+}
+
+/**
+ * Get paper positions (default: pending and open)
+ */
+export async function getAccountPositions(status) {
+  const response = await api.get('/account/positions', { params: status ? { status } : {} });
+  return response.data;
+}
+
 /**
  * Health check
  */
@@ -89,5 +105,7 @@ export default {
   getByMode,
   getSignals,
   getSignalById,
+  getAccount,
+  getAccountPositions,
   healthCheck,
 };
@@ -10,6 +10,8 @@ import { corsMiddleware } from './middleware/cors.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import statsRoutes from './routes/stats.js';
 import signalsRoutes from './routes/signals.js';
+import accountRoutes from './routes/account.js';
+import rateLimitRoutes from './routes/rateLimit.js';
 
 const app = express();
 
@@ -40,6 +42,8 @@ async function initAPI() {
     // Mount routes
     app.use('/api/stats', statsRoutes);
     app.use('/api/signals', signalsRoutes);
+    app.use('/api/account', accountRoutes);
+    app.use('/api/rate-limit', rateLimitRoutes);
 
     // 404 handler
     app.use((req, res) => {
@@ -69,6 +73,7 @@ async function startServer() {
     logger.info('API', `Health check: http://localhost:${port}/api/health`);
     logger.info('API', `Stats: http://localhost:${port}/api/stats/overview`);
     logger.info('API', `Signals: http://localhost:${port}/api/signals`);
+    logger.info('API', `Paper account: http://localhost:${port}/api/account`);
   });
 
   // Graceful shutdown
@@ -0,0 +1,71 @@
+/**
+ * Paper account API routes
+ */
+
+import express from 'express';
+import { getAccountSummary } from '../../portfolio/account.js';
+import { getPaperPositions } from '../../db/account.js';
+import { logger } from '../../utils/logger.js';
+
+const router = express.Router();
+
+const POSITION_STATUSES = ['pending', 'open', 'closed', 'cancelled', 'rejected'];
+
+// Closed trades returned by default and at most
+const DEFAULT_TRADES_LIMIT = 50;
+const MAX_TRADES_LIMIT = 500;
+
+/**
+ * GET /api/account
+ * Get balance, equity, margin and open risk of the paper account
+ */
+router.get('/', (req, res, next) => {
+  try {
+    res.json(getAccountSummary());
+  } catch (error) {
+    logger.error('API', 'Failed to get paper account', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/account/positions?status=open,pending
+ * Get paper positions (default: pending orders and open positions)
+ */
+router.get('/positions', (req, res, next) => {
+  try {
+    const statuses = req.query.status
+      ? req.query.status.split(',').map(s => s.trim())
+      : ['pending', 'open'];
+
+    const invalid = statuses.filter(s => !POSITION_STATUSES.includes(s));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Invalid status: ${invalid.join(', ')}` });
+    }
+
+    res.json(getPaperPositions(statuses));
+  } catch (error) {
+    logger.error('API', 'Failed to get paper positions', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/account/trades?limit=50
+ * Get closed paper trades, most recent first (a limit that is not a positive integer falls back to 50, at most 500)
+ */
+router.get('/trades', (req, res, next) => {
+  try {
+    const requested = Number(req.query.limit);
+    const limit = Number.isInteger(requested) && requested > 0
+      ? Math.min(requested, MAX_TRADES_LIMIT)
+      : DEFAULT_TRADES_LIMIT;
+
+    res.json(getPaperPositions(['closed'], limit));
+  } catch (error) {
+    logger.error('API', 'Failed to get paper trades', error);
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,25 @@
+/**
+ * Rate limiter API routes
+ */
+
+import express from 'express';
+import config from '../../config/index.js';
+import { getRateLimiter } from '../../scanner/rateLimiter.js';
+import { logger } from '../../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/rate-limit
+ * Get the shared API budget (minute/daily usage, calls per consumer) and the requests waiting for credits
+ */
+router.get('/', (req, res, next) => {
+  try {
+    res.json(getRateLimiter(config.rateLimiter).getStats());
+  } catch (error) {
+    logger.error('API', 'Failed to get rate limiter state', error);
+    next(error);
+  }
+});
+
+export default router;
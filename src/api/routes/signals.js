@@ -3,7 +3,7 @@
  */
 
 import express from 'express';
-import { getSignals, getSignalById } from '../../db/queries.js';
+import { getSignals, getSignalById, getStopEvents, getSignalRejections } from '../../db/queries.js';
 import { logger } from '../../utils/logger.js';
 
 const router = express.Router();
@@ -32,9 +32,28 @@ router.get('/', (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/signals/rejections?symbol=EURUSD&rule=currency_exposure&limit=50
+ * Get signals blocked by the risk manager, most recent first
+ */
+router.get('/rejections', (req, res, next) => {
+  try {
+    const filters = {
+      symbol: req.query.symbol,
+      rule: req.query.rule,
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : 50,
+    };
+
+    res.json(getSignalRejections(filters));
+  } catch (error) {
+    logger.error('API', 'Failed to get signal rejections', error);
+    next(error);
+  }
+});
+
 /**
  * GET /api/signals/:id
- * Get single signal by ID
+ * Get single signal by ID (with its stop adjustments)
  */
 router.get('/:id', (req, res, next) => {
   try {
@@ -50,7 +69,7 @@ router.get('/:id', (req, res, next) => {
       return res.status(404).json({ error: 'Signal not found' });
     }
 
-    res.json(signal);
+    res.json({ ...signal, stop_events: getStopEvents(id) });
   } catch (error) {
     logger.error('API', `Failed to get signal ${req.params.id}`, error);
     next(error);
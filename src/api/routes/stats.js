@@ -4,6 +4,7 @@
 
 import express from 'express';
 import { getOverviewStats, getStatsByCategory, getClosedSignals } from '../../db/queries.js';
+import config from '../../config/index.js';
 import { logger } from '../../utils/logger.js';
 
 const router = express.Router();
@@ -24,7 +25,7 @@ router.get('/overview', (req, res, next) => {
 
 /**
  * GET /api/stats/equity-curve
- * Get cumulative R-multiple over time
+ * Get cumulative R-multiple over time (gross and net of costs) and the cash equity curve
  */
 router.get('/equity-curve', (req, res, next) => {
   try {
@@ -32,13 +33,20 @@ router.get('/equity-curve', (req, res, next) => {
 
     // Calculate cumulative R over time
     let cumR = 0;
+    let cumNetR = 0;
+    let cumPnl = 0;
     const equityCurve = closedSignals.map(signal => {
       const r = signal.outcome_detail?.rr || 0;
       cumR += r;
+      cumNetR += signal.outcome_detail?.rrNet ?? r;
+      cumPnl += signal.pnl || 0;
 
       return {
         t: signal.closed_at,
         cumR: Math.round(cumR * 100) / 100,
+        cumNetR: Math.round(cumNetR * 100) / 100,
+        cumPnl: Math.round(cumPnl * 100) / 100,
+        equity: Math.round((config.account.balance + cumPnl) * 100) / 100,
       };
     });
 
@@ -0,0 +1,219 @@
+/**
+ * Backtesting engine - replays the scanner pipeline bar by bar over stored candles
+ */
+
+import config from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { computeAllIndicators } from '../indicators/index.js';
+import { createIndicatorState, advanceIndicatorState } from '../indicators/incremental.js';
+import { applyPrefilters } from '../scanner/prefilter.js';
+import { resolveEntry, resolveExit } from '../evaluation/resolver.js';
+import { summarizeOutcomes, CLOSED_STATUSES } from '../evaluation/calculator.js';
+import { getIntrabarCandles } from '../scanner/candleStore.js';
+import { isTradingBar } from '../scanner/marketCalendar.js';
+import { getHtfContext } from '../scanner/mtfContext.js';
+import { calculatePositionSize, calculatePnl } from '../portfolio/sizing.js';
+import { parseCandleTime, timeframeToMs } from '../utils/timeframes.js';
+
+// Bars before the trigger handed to the resolver for trailing stop ATR/swings
+const STOP_HISTORY_CANDLES = 50;
+
+/**
+ * Index of the count-th bar in trading hours after a start index (bars while the market is
+ * closed don't count toward expiration and timeout)
+ * @param {Object} signal - Signal {symbol, timeframe}
+ * @param {Array<Object>} candles - Full candle history
+ * @param {number} startIndex - Index to count from (exclusive)
+ * @param {number} count - Trading bars to count
+ * @returns {number} Bar index, or the last index if the history ends first
+ */
+function findTradingBarIndex(signal, candles, startIndex, count) {
+  if (count <= 0) {
+    return startIndex;
+  }
+
+  let found = 0;
+
+  for (let i = startIndex + 1; i < candles.length; i++) {
+    if (isTradingBar(signal.symbol, candles[i], signal.timeframe) && ++found >= count) {
+      return i;
+    }
+  }
+
+  return candles.length - 1;
+}
+
+/**
+ * Resolve a generated signal against the candles that follow it
+ * @param {Object} signal - Signal with created_at set to the next bar's time
+ * @param {Array<Object>} candles - Full candle history
+ * @param {number} startIndex - Index of the first bar after the signal bar
+ * @returns {Promise<Object>} {signal, endIndex} - endIndex is the bar where the signal was resolved
+ */
+async function resolveSignal(signal, candles, startIndex) {
+  const { expirationCandles, timeoutCandles } = config.evaluation;
+
+  // Pending: entry must be hit before the expiration threshold
+  const entryWindow = candles.slice(startIndex, findTradingBarIndex(signal, candles, startIndex, expirationCandles) + 1);
+  const entry = resolveEntry(signal, entryWindow);
+
+  if (entry.status === 'expired') {
+    const endIndex = candles.findIndex((c, idx) => idx >= startIndex && c.time === entry.expired_at);
+    return { signal: { ...signal, status: 'expired', closed_at: entry.expired_at }, endIndex };
+  }
+
+  if (entry.status === 'pending') {
+    return { signal: { ...signal, status: 'pending' }, endIndex: candles.length - 1 };
+  }
+
+  // Triggered: walk forward until TP/SL/timeout
+  const triggered = { ...signal, status: 'triggered', triggered_at: entry.triggered_at };
+  const triggerIndex = candles.findIndex((c, idx) => idx >= startIndex && c.time === entry.triggered_at);
+  const historyStart = Math.max(0, triggerIndex - STOP_HISTORY_CANDLES);
+  const exitEnd = findTradingBarIndex(signal, candles, triggerIndex, timeoutCandles);
+  const exit = await resolveExit(triggered, candles.slice(historyStart, exitEnd + 1), {
+    loadIntrabar: candle => loadStoredIntrabar(signal.symbol, signal.timeframe, candle),
+  });
+
+  if (exit.status === 'triggered' || exit.status === 'partially_closed') {
+    return {
+      signal: { ...triggered, status: exit.status, executions: exit.executions, stopEvents: exit.stopEvents },
+      endIndex: candles.length - 1,
+    };
+  }
+
+  const endIndex = candles.findIndex((c, idx) => idx > triggerIndex && c.time === exit.closed_at);
+
+  return {
+    signal: {
+      ...triggered,
+      status: exit.status,
+      closed_at: exit.closed_at,
+      outcome: exit.outcome,
+      outcome_detail: exit.outcome_detail,
+      executions: exit.executions,
+      stopEvents: exit.stopEvents,
+      pnl: calculatePnl(triggered, exit.outcome_detail),
+    },
+    endIndex,
+  };
+}
+
+/**
+ * Load stored lower-timeframe candles for an ambiguous bar (never calls the provider)
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Signal timeframe
+ * @param {Object} candle - Ambiguous bar
+ * @returns {Promise<Object|null>} {timeframe, candles} or null if not configured
+ */
+async function loadStoredIntrabar(symbol, timeframe, candle) {
+  const lowerTimeframe = config.evaluation.intrabarTimeframes[timeframe];
+
+  if (!lowerTimeframe) {
+    return null;
+  }
+
+  const candles = await getIntrabarCandles(symbol, timeframe, lowerTimeframe, candle.time, { sync: false });
+  return { timeframe: lowerTimeframe, candles };
+}
+
+/**
+ * Run a backtest over a candle history
+ * @param {Object} options - Backtest options
+ * @param {string} options.symbol - Trading symbol
+ * @param {string} options.timeframe - Timeframe
+ * @param {Array<string>} options.modes - Modes to test
+ * @param {Array<Object>} options.candles - Candle history, oldest first
+ * @param {Object} options.strategy - Signal generator from strategies.js
+ * @param {number} options.windowSize - Candles visible to indicators at each bar
+ * @returns {Promise<Object>} {stats, byMode, trades, counts}
+ */
+export async function runBacktest({ symbol, timeframe, modes, candles, strategy, windowSize }) {
+  const trades = [];
+  const counts = { bars: 0, candidates: 0, signals: 0, expired: 0, open: 0 };
+
+  // Only one open signal per mode at a time, like a live pair that is re-scanned
+  const busyUntil = Object.fromEntries(modes.map(mode => [mode, -1]));
+
+  logger.info('Backtest', `Replaying ${candles.length} candles for ${symbol} ${timeframe} (${modes.join(', ')}) with ${strategy.name} strategy`);
+
+  // Incremental EMA/ATR/RSI state, fed one bar at a time from the start of the history
+  const state = config.indicators.incremental ? createIndicatorState() : null;
+  if (state) advanceIndicatorState(state, candles.slice(0, windowSize - 1));
+
+  for (let i = windowSize - 1; i < candles.length - 1; i++) {
+    if (state) advanceIndicatorState(state, [candles[i]]);
+
+    const activeModes = modes.filter(mode => busyUntil[mode] < i);
+    if (activeModes.length === 0) continue;
+
+    // Only the window available at this bar is visible to the pipeline
+    const window = candles.slice(i - windowSize + 1, i + 1);
+    const indicators = computeAllIndicators(window, {
+      state,
+      warmupMultiplier: config.indicators.warmupMultiplier,
+    });
+    counts.bars++;
+
+    // Higher-timeframe context as it was when this bar closed (if its candles are stored)
+    indicators.htf = getHtfContext(symbol, timeframe, parseCandleTime(candles[i].time) + timeframeToMs(timeframe));
+
+    for (const mode of activeModes) {
+      const prefilterResult = applyPrefilters(window, indicators, mode, symbol);
+
+      if (!prefilterResult.isCandidate) continue;
+      counts.candidates++;
+
+      const response = strategy.generate({
+        symbol,
+        timeframe,
+        mode,
+        candles: window,
+        indicators,
+        candidateReason: prefilterResult.reason,
+      });
+
+      if (!response) continue;
+      counts.signals++;
+
+      const signal = {
+        id: counts.signals,
+        symbol,
+        timeframe,
+        mode,
+        direction: response.direction,
+        entry: response.entry,
+        stop_loss: response.stop_loss,
+        take_profits: response.take_profits,
+        confidence: response.confidence,
+        reason: response.reason,
+        candidate_reason: prefilterResult.reason,
+        created_at: candles[i + 1].time,
+      };
+
+      // Sized against the configured balance (no compounding across trades)
+      Object.assign(signal, calculatePositionSize(signal));
+
+      const { signal: resolved, endIndex } = await resolveSignal(signal, candles, i + 1);
+      busyUntil[mode] = endIndex;
+      trades.push(resolved);
+
+      if (resolved.status === 'expired') counts.expired++;
+      if (['pending', 'triggered', 'partially_closed'].includes(resolved.status)) counts.open++;
+    }
+  }
+
+  const closed = trades.filter(t => CLOSED_STATUSES.includes(t.status));
+  const byMode = Object.fromEntries(
+    modes.map(mode => [mode, summarizeOutcomes(closed.filter(t => t.mode === mode))])
+  );
+
+  return {
+    stats: summarizeOutcomes(closed),
+    byMode,
+    trades,
+    counts,
+  };
+}
+
+export default { runBacktest };
@@ -0,0 +1,92 @@
+/**
+ * Backtest command - replays stored candle history through the scanner pipeline
+ *
+ * Usage:
+ *   npm run backtest -- --symbol EURUSD --timeframe 1h [--mode conservative]
+ *     [--strategy rules|recorded] [--recorded data/openai_responses.jsonl]
+ *     [--from "2024-01-01"] [--to "2024-06-30"] [--window 100] [--out results.json]
+ */
+
+import { writeFile } from 'fs/promises';
+import config from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { initDatabase } from '../db/index.js';
+import { getStoredCandlesBetween } from '../db/candles.js';
+import { runBacktest } from './engine.js';
+import { createRuleStrategy, createRecordedStrategy } from './strategies.js';
+import { loadPrefilterRules } from '../scanner/rules/loader.js';
+
+/**
+ * Parse --key value command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const key = argv[i].slice(2);
+      const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+      options[key] = value;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.symbol || !args.timeframe) {
+    logger.error('Backtest', 'Usage: npm run backtest -- --symbol EURUSD --timeframe 1h [--mode conservative] [--strategy rules|recorded]');
+    process.exit(1);
+  }
+
+  const modes = args.mode ? [args.mode] : config.scanner.modes;
+  const windowSize = args.window ? parseInt(args.window, 10) : config.scanner.candleCount;
+
+  await initDatabase();
+  await loadPrefilterRules();
+
+  const candles = getStoredCandlesBetween(args.symbol, args.timeframe, args.from || '', args.to || null);
+
+  if (candles.length <= windowSize) {
+    logger.error('Backtest', `Not enough stored candles for ${args.symbol} ${args.timeframe}: ${candles.length} (need more than ${windowSize})`);
+    process.exit(1);
+  }
+
+  const strategy = args.strategy === 'recorded'
+    ? await createRecordedStrategy(args.recorded || config.openai.recordPath)
+    : createRuleStrategy();
+
+  const result = await runBacktest({
+    symbol: args.symbol,
+    timeframe: args.timeframe,
+    modes,
+    candles,
+    strategy,
+    windowSize,
+  });
+
+  logger.info('Backtest', `Bars: ${result.counts.bars}, candidates: ${result.counts.candidates}, signals: ${result.counts.signals}, expired: ${result.counts.expired}, still open: ${result.counts.open}`);
+
+  if (strategy.stats) {
+    logger.info('Backtest', `Recorded responses: ${strategy.stats.hits} replayed, ${strategy.stats.misses} candidates without a recording`);
+  }
+
+  console.log(JSON.stringify({ stats: result.stats, byMode: result.byMode }, null, 2));
+
+  if (args.out) {
+    await writeFile(args.out, JSON.stringify(result, null, 2));
+    logger.info('Backtest', `Wrote ${result.trades.length} trades to ${args.out}`);
+  }
+}
+
+main().catch(error => {
+  logger.error('Backtest', 'Backtest failed', error);
+  process.exit(1);
+});
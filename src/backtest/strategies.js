@@ -0,0 +1,122 @@
+/**
+ * Signal generators used by the backtester in place of live OpenAI calls
+ */
+
+import { readFile } from 'fs/promises';
+import config from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { validateTradeResponse } from '../openai/validator.js';
+
+/**
+ * Pick a trade direction from the indicators that made the chart a candidate
+ * @param {Object} indicators - Computed indicators
+ * @returns {string} 'long', 'short' or 'none'
+ */
+function pickDirection(indicators) {
+  const { trend, patterns, swings } = indicators;
+
+  if (trend.direction === 'uptrend') return 'long';
+  if (trend.direction === 'downtrend') return 'short';
+
+  // Counter-trend reversals at structure
+  const bullish = patterns.bullishEngulfing.detected || patterns.bullishPin.detected;
+  const bearish = patterns.bearishEngulfing.detected || patterns.bearishPin.detected;
+
+  if (bullish && !bearish && swings.nearSR?.type === 'support') return 'long';
+  if (bearish && !bullish && swings.nearSR?.type === 'resistance') return 'short';
+
+  return 'none';
+}
+
+/**
+ * Create the deterministic rule-based strategy
+ * Enters at the candidate bar close with ATR-based SL and R-multiple TPs from the mode config
+ * @returns {Object} Strategy {name, generate(context)}
+ */
+export function createRuleStrategy() {
+  return {
+    name: 'rules',
+
+    generate({ symbol, mode, indicators, candidateReason }) {
+      const direction = pickDirection(indicators);
+
+      if (direction === 'none') {
+        return null;
+      }
+
+      const modeConfig = config.trading[mode];
+      const entry = indicators.currentPrice;
+      const risk = indicators.atr14 * modeConfig.slAtrMultiplier;
+      const sign = direction === 'long' ? 1 : -1;
+
+      const response = {
+        direction,
+        entry,
+        stop_loss: entry - sign * risk,
+        take_profits: [modeConfig.tp1RMultiple, modeConfig.tp2RMultiple].map(r => entry + sign * risk * r),
+        confidence: 1,
+        reason: `Rule-based: ${candidateReason}`,
+        management_hint: '',
+      };
+
+      const validation = validateTradeResponse(response, symbol, mode, indicators.atr14);
+      return validation.valid ? response : null;
+    },
+  };
+}
+
+/**
+ * Build the lookup key for a recorded response
+ * @param {string} symbol - Symbol
+ * @param {string} timeframe - Timeframe
+ * @param {string} mode - Mode
+ * @param {string} candleTime - Time of the last analyzed candle
+ * @returns {string} Lookup key
+ */
+function recordKey(symbol, timeframe, mode, candleTime) {
+  return `${symbol}|${timeframe}|${mode}|${candleTime}`;
+}
+
+/**
+ * Create the recorded-LLM strategy, replaying responses captured via OPENAI_RECORD_PATH
+ * Bars without a recorded response produce no signal
+ * @param {string} recordPath - Path to the JSON lines recording file
+ * @returns {Promise<Object>} Strategy {name, generate(context), stats}
+ */
+export async function createRecordedStrategy(recordPath) {
+  const content = await readFile(recordPath, 'utf-8');
+  const records = new Map();
+
+  content.split('\n').filter(Boolean).forEach(line => {
+    const record = JSON.parse(line);
+    records.set(recordKey(record.symbol, record.timeframe, record.mode, record.candleTime), record.response);
+  });
+
+  logger.info('Backtest', `Loaded ${records.size} recorded responses from ${recordPath}`);
+
+  const stats = { hits: 0, misses: 0 };
+
+  return {
+    name: 'recorded',
+    stats,
+
+    generate({ symbol, timeframe, mode, candles }) {
+      const response = records.get(recordKey(symbol, timeframe, mode, candles[candles.length - 1].time));
+
+      if (!response) {
+        stats.misses++;
+        return null;
+      }
+
+      stats.hits++;
+
+      if (response.direction === 'none' || response.confidence < config.trading.confidenceThreshold) {
+        return null;
+      }
+
+      return response;
+    },
+  };
+}
+
+export default { createRuleStrategy, createRecordedStrategy };
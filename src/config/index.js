@@ -24,16 +24,69 @@ function parseArray(value, defaultValue = []) {
   return value.split(',').map(item => item.trim()).filter(Boolean);
 }
 
+/**
+ * Parse comma-separated numbers
+ * Example: "0.5,0.3,0.2" → [0.5, 0.3, 0.2]
+ * @param {string} value - Comma-separated string
+ * @param {Array<number>} defaultValue - Default array if value is empty
+ */
+function parseNumberArray(value, defaultValue = []) {
+  if (!value || value.trim() === '') return defaultValue;
+  return parseArray(value).map(Number).filter(n => !isNaN(n));
+}
+
+/**
+ * Parse comma-separated key:value pairs into an object
+ * Example: "BTCUSD:binance,EURUSD:oanda" → { BTCUSD: 'binance', EURUSD: 'oanda' }
+ * @param {string} value - Comma-separated key:value string
+ * @param {Object} defaultValue - Default object if value is empty
+ */
+function parseMap(value, defaultValue = {}) {
+  if (!value || value.trim() === '') return defaultValue;
+  return Object.fromEntries(
+    parseArray(value)
+      .map(pair => pair.split(':').map(part => part.trim()))
+      .filter(([key, val]) => key && val)
+  );
+}
+
+// API keys required by each market data provider
+const PROVIDER_KEYS = {
+  twelvedata: 'TWELVE_DATA_API_KEY',
+  oanda: 'OANDA_API_KEY',
+  alphavantage: 'ALPHA_VANTAGE_API_KEY',
+};
+
 /**
  * Validate required environment variables
  */
 function validateConfig() {
-  const required = ['OPENAI_API_KEY', 'TWELVE_DATA_API_KEY', 'TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHAT_ID'];
+  const required = ['OPENAI_API_KEY', 'TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHAT_ID'];
+
+  // Only require API keys for market data providers that are actually in use
+  const providers = new Set([
+    process.env.MARKET_DATA_PROVIDER || 'twelvedata',
+    ...Object.values(parseMap(process.env.SYMBOL_PROVIDERS)),
+  ]);
+  providers.forEach(provider => {
+    if (PROVIDER_KEYS[provider]) required.push(PROVIDER_KEYS[provider]);
+  });
+
+  // Live order placement needs OANDA credentials (dry-run only logs the orders)
+  if (process.env.EXECUTION_ENABLED === 'true' && process.env.EXECUTION_DRY_RUN === 'false') {
+    required.push('OANDA_API_KEY', 'OANDA_ACCOUNT_ID');
+  }
+
   const missing = required.filter(key => !process.env[key]);
 
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
   }
+
+  // The execution bridge is built for practice accounts only
+  if (/fxtrade/i.test(process.env.OANDA_EXECUTION_URL || '')) {
+    throw new Error('OANDA_EXECUTION_URL must point to a practice account, not api-fxtrade');
+  }
 }
 
 // Validate configuration on module load
@@ -49,15 +102,48 @@ export const config = {
     model: process.env.OPENAI_MODEL || 'gpt-4-turbo',
     temperature: parseFloat(process.env.OPENAI_TEMPERATURE || '0.3'),
     maxRetries: parseInt(process.env.OPENAI_MAX_RETRIES || '3', 10),
+    // Optional JSON lines file where validated responses are recorded for backtest replay
+    recordPath: process.env.OPENAI_RECORD_PATH || null,
   },
 
   // Market Data Configuration
   marketData: {
-    provider: 'twelvedata',
-    apiKey: process.env.TWELVE_DATA_API_KEY,
-    baseUrl: 'https://api.twelvedata.com',
+    // Provider used for symbols without an explicit mapping
+    defaultProvider: process.env.MARKET_DATA_PROVIDER || 'twelvedata',
+    // Per-symbol provider overrides, e.g. SYMBOL_PROVIDERS=BTCUSD:binance,EURUSD:oanda
+    symbolProviders: parseMap(process.env.SYMBOL_PROVIDERS),
     maxRetries: parseInt(process.env.DATA_MAX_RETRIES || '3', 10),
     retryDelayMs: parseInt(process.env.DATA_RETRY_DELAY_MS || '1000', 10),
+
+    twelvedata: {
+      apiKey: process.env.TWELVE_DATA_API_KEY,
+      baseUrl: 'https://api.twelvedata.com',
+    },
+    binance: {
+      baseUrl: process.env.BINANCE_BASE_URL || 'https://api.binance.com',
+      // Binance has no USD spot books, USD quotes are mapped to this stablecoin
+      usdQuote: process.env.BINANCE_USD_QUOTE || 'USDT',
+    },
+    oanda: {
+      apiKey: process.env.OANDA_API_KEY,
+      baseUrl: process.env.OANDA_BASE_URL || 'https://api-fxpractice.oanda.com',
+    },
+    alphavantage: {
+      apiKey: process.env.ALPHA_VANTAGE_API_KEY,
+      baseUrl: 'https://www.alphavantage.co',
+    },
+    local: {
+      // CSV files named {SYMBOL}_{timeframe}.csv
+      dataDir: process.env.LOCAL_DATA_DIR || join(projectRoot, 'data', 'candles'),
+      // Optional SQLite database with a candles table (takes precedence over CSV)
+      sqlitePath: process.env.LOCAL_DATA_SQLITE || null,
+    },
+  },
+
+  // Candle Store Configuration
+  candleStore: {
+    // Skip provider calls if this symbol/timeframe was fetched more recently than this
+    staleMs: parseInt(process.env.CANDLE_STALE_MS || '60000', 10),
   },
 
   // Telegram Configuration
@@ -72,6 +158,11 @@ export const config = {
     // Scan interval: 120000ms (2 min) recommended for free tier rate limits
     // At 2-min intervals with 1 call/cycle = 720 calls/day (within 800 limit)
     intervalMs: parseInt(process.env.SCAN_INTERVAL_MS || '120000', 10),
+    // 'barclose' scans each symbol/timeframe once its bar closes (SCAN_INTERVAL_MS retries pairs left over
+    // by the rate limiter), 'interval' scans every SCAN_INTERVAL_MS
+    schedule: process.env.SCAN_SCHEDULE || 'barclose',
+    // Wait after a bar close so the provider has published the closed bar
+    barCloseDelayMs: parseInt(process.env.BAR_CLOSE_DELAY_MS || '5000', 10),
     symbols: parseArray(process.env.SYMBOLS, ['EURUSD', 'GBPUSD', 'USDJPY', 'XAUUSD', 'BTCUSD']),
     timeframes: parseArray(process.env.TIMEFRAMES, ['15m', '1h', '4h']),
     modes: ['conservative', 'aggressive'],
@@ -90,6 +181,18 @@ export const config = {
       tp1RMultiple: 2.0,
       tp2RMultiple: 3.0,
       minRR: 2.0,
+      // Fraction of the position closed at TP1, TP2, TP3 (last TP closes the remainder)
+      scaleOut: parseNumberArray(process.env.SCALE_OUT_CONSERVATIVE, [0.5, 0.3, 0.2]),
+      // Minimum candle pattern score (0-100) for pattern-based pre-filters
+      minPatternScore: parseFloat(process.env.MIN_PATTERN_SCORE_CONSERVATIVE || '60'),
+      // Stop management: breakeven 'none'|'tp1'|'1r', trailing 'none'|'atr'|'swing' (starts after TP1)
+      stopManagement: {
+        breakeven: process.env.BREAKEVEN_CONSERVATIVE || 'tp1',
+        trailing: process.env.TRAILING_CONSERVATIVE || 'none',
+        atrPeriod: 14,
+        atrMultiplier: parseFloat(process.env.TRAILING_ATR_MULTIPLIER || '2.0'),
+        swingBars: parseInt(process.env.TRAILING_SWING_BARS || '3', 10),
+      },
     },
 
     // Aggressive mode parameters
@@ -101,6 +204,15 @@ export const config = {
       tp1RMultiple: 1.5,
       tp2RMultiple: 2.5,
       minRR: 1.2,
+      scaleOut: parseNumberArray(process.env.SCALE_OUT_AGGRESSIVE, [0.5, 0.3, 0.2]),
+      minPatternScore: parseFloat(process.env.MIN_PATTERN_SCORE_AGGRESSIVE || '40'),
+      stopManagement: {
+        breakeven: process.env.BREAKEVEN_AGGRESSIVE || 'tp1',
+        trailing: process.env.TRAILING_AGGRESSIVE || 'none',
+        atrPeriod: 14,
+        atrMultiplier: parseFloat(process.env.TRAILING_ATR_MULTIPLIER || '2.0'),
+        swingBars: parseInt(process.env.TRAILING_SWING_BARS || '3', 10),
+      },
     },
 
     // Global validation rules
@@ -108,6 +220,159 @@ export const config = {
     maxAtrMultiplier: 3.0,
   },
 
+  // Trading costs per symbol ('*' applies to all symbols)
+  // Values are price units ("0.0002"), fractions of ATR ("0.05atr") or percent of price ("0.1%")
+  costs: {
+    // Full bid/ask spread (half is paid on each side)
+    spread: parseMap(process.env.COST_SPREAD),
+    // Extra adverse fill on stop-loss orders
+    slippage: parseMap(process.env.COST_SLIPPAGE),
+    // Commission per side
+    commission: parseMap(process.env.COST_COMMISSION),
+  },
+
+  // Account Configuration (position sizing and P&L)
+  account: {
+    balance: parseFloat(process.env.ACCOUNT_BALANCE || '10000'),
+    riskPercent: parseFloat(process.env.RISK_PERCENT || '1'),
+    currency: process.env.ACCOUNT_CURRENCY || 'USD',
+    // Quote currency → account currency rates for pairs not quoted in the account currency
+    // Example: "JPY:0.0067,GBP:1.27" (USDJPY with a USD account needs none; without a rate the stored
+    // candles of the conversion pair are used, e.g. GBPUSD for GBP)
+    conversionRates: parseMap(process.env.CONVERSION_RATES),
+    // Contract spec overrides per symbol: units per lot ("XAUUSD:100,BTCUSD:1"), pip size ("XAUUSD:0.01"),
+    // lot step and minimum lot ("BTCUSD:0.01")
+    contractSizes: parseMap(process.env.CONTRACT_SIZES),
+    pipSizes: parseMap(process.env.PIP_SIZES),
+    lotSteps: parseMap(process.env.LOT_STEPS),
+    minLots: parseMap(process.env.MIN_LOTS),
+  },
+
+  // Portfolio risk manager consulted before new signals are stored (0 disables a limit)
+  risk: {
+    enabled: process.env.RISK_MANAGER_ENABLED !== 'false',
+    // Pending, triggered and partially closed signals
+    maxOpenSignals: parseInt(process.env.RISK_MAX_OPEN_SIGNALS || '6', 10),
+    // Sum of the R still at risk (remaining size × distance to the current stop)
+    maxOpenRiskR: parseFloat(process.env.RISK_MAX_OPEN_R || '4'),
+    maxSignalsPerSymbol: parseInt(process.env.RISK_MAX_SIGNALS_PER_SYMBOL || '2', 10),
+    // Net long or short exposure per currency in R (long EURUSD = +R EUR, -R USD)
+    maxCurrencyExposureR: parseFloat(process.env.RISK_MAX_CURRENCY_EXPOSURE_R || '2'),
+    // Circuit breakers on the net R of signals closed today / this week (UTC, weeks start Monday)
+    maxDailyLossR: parseFloat(process.env.RISK_MAX_DAILY_LOSS_R || '3'),
+    maxWeeklyLossR: parseFloat(process.env.RISK_MAX_WEEKLY_LOSS_R || '6'),
+  },
+
+  // Economic calendar and news blackouts
+  news: {
+    // Calendar provider synced by the scanner: 'none' (import only), 'file' or 'url'
+    provider: process.env.NEWS_PROVIDER || 'none',
+    feedPath: process.env.NEWS_FEED_PATH || join(projectRoot, 'data', 'calendar.json'),
+    feedUrl: process.env.NEWS_FEED_URL || null,
+    refreshMs: parseInt(process.env.NEWS_REFRESH_MS || '3600000', 10),
+    // Block new signals for a symbol around events of these impacts in its currencies
+    blackoutEnabled: process.env.NEWS_BLACKOUT_ENABLED !== 'false',
+    impacts: parseArray(process.env.NEWS_BLACKOUT_IMPACTS, ['high']),
+    blackoutBeforeMinutes: parseInt(process.env.NEWS_BLACKOUT_BEFORE_MINUTES || '30', 10),
+    blackoutAfterMinutes: parseInt(process.env.NEWS_BLACKOUT_AFTER_MINUTES || '15', 10),
+    // Flag (and announce) active signals entering a blackout
+    flagOpenSignals: process.env.NEWS_FLAG_OPEN_SIGNALS === 'true',
+    // Upcoming events passed to OpenAI
+    lookaheadHours: parseInt(process.env.NEWS_LOOKAHEAD_HOURS || '24', 10),
+    // Currencies per symbol when base/quote is not right, e.g. "XAUUSD:USD,BTCUSD:USD" ('+' separates several)
+    currencyMap: parseMap(process.env.NEWS_CURRENCIES),
+  },
+
+  // Duplicate suppression across timeframes, modes and correlated symbols
+  correlation: {
+    enabled: process.env.CORRELATION_ENABLED !== 'false',
+    // Absolute return correlation above which two symbols count as the same trade
+    threshold: parseFloat(process.env.CORRELATION_THRESHOLD || '0.8'),
+    // Bars of returns used for the rolling correlation
+    lookback: parseInt(process.env.CORRELATION_LOOKBACK || '100', 10),
+    // Same-symbol, same-direction signals with entries this many ATR apart are merged
+    overlapAtr: parseFloat(process.env.OVERLAP_ATR_MULTIPLE || '0.5'),
+  },
+
+  // Market hours and sessions (see src/scanner/marketCalendar.js)
+  market: {
+    // Skip symbols whose market is closed (weekend, holiday, rollover, metals daily break)
+    skipClosed: process.env.MARKET_HOURS_ENABLED !== 'false',
+    // FX pause after the 17:00 New York rollover
+    rolloverMinutes: parseInt(process.env.MARKET_ROLLOVER_MINUTES || '5', 10),
+    // New York dates when FX and metals are closed: 'MM-DD' (every year) or 'YYYY-MM-DD'
+    holidays: parseArray(process.env.MARKET_HOLIDAYS, ['12-25', '01-01']),
+    // Asset class overrides (fx, metal, crypto), e.g. "XAUEUR:metal,ETHBTC:crypto"
+    assetClasses: parseMap(process.env.ASSET_CLASSES),
+    // Only consider setups whose last candle falls in one of these sessions (sydney, tokyo, london, newyork)
+    sessionFilter: parseArray(process.env.SESSION_FILTER),
+  },
+
+  // Pre-filter thresholds
+  prefilter: {
+    // Opt-in: markets with ADX(14) below this are choppy instead of the flat-EMA check (0 keeps the EMA check)
+    minAdx: parseFloat(process.env.PREFILTER_MIN_ADX || '0'),
+    // Setup rule file (JSON, or YAML with js-yaml installed)
+    rulesPath: process.env.PREFILTER_RULES_PATH || join(projectRoot, 'src', 'scanner', 'rules', 'default.json'),
+    // Rule files replacing the base file for a mode or symbol, e.g. "aggressive:rules/aggressive.json"
+    modeRules: parseMap(process.env.PREFILTER_RULES_BY_MODE),
+    symbolRules: parseMap(process.env.PREFILTER_RULES_BY_SYMBOL),
+  },
+
+  // Indicator state and warm-up
+  indicators: {
+    // Carry EMA/ATR/RSI forward per symbol/timeframe in the database instead of recomputing them per window
+    incremental: process.env.INCREMENTAL_INDICATORS !== 'false',
+    // Bars a series needs before its value is used, as a multiple of the period (EMA200 needs 400 at 2)
+    warmupMultiplier: parseFloat(process.env.INDICATOR_WARMUP_MULTIPLIER || '2'),
+    // Missing bars the state is carried across (provider outages, unlisted holidays); longer holes reseed it
+    maxGapBars: parseInt(process.env.INDICATOR_MAX_GAP_BARS || '3', 10),
+  },
+
+  // Multi-timeframe context (higher-timeframe trend and S/R for each setup)
+  mtf: {
+    enabled: process.env.MTF_ENABLED !== 'false',
+    // Higher timeframe used as context for each timeframe, e.g. "15m:4h,1h:4h,4h:1d"
+    higherTimeframes: parseMap(process.env.HTF_MAP, {
+      '1m': '15m',
+      '5m': '1h',
+      '15m': '4h',
+      '30m': '4h',
+      '1h': '4h',
+      '2h': '1d',
+      '4h': '1d',
+      '1d': '1w',
+    }),
+    // Modes whose setups must trade in the direction of the higher-timeframe trend
+    alignmentModes: parseArray(process.env.HTF_ALIGNMENT_MODES, ['conservative']),
+  },
+
+  // Paper-trading account (starts from account.balance)
+  paper: {
+    enabled: process.env.PAPER_TRADING_ENABLED !== 'false',
+    leverage: parseFloat(process.env.PAPER_LEVERAGE || '30'),
+    // Refuse orders when margin used would exceed this percent of equity
+    maxMarginPercent: parseFloat(process.env.PAPER_MAX_MARGIN_PERCENT || '50'),
+    // Refuse orders when total risk of pending/open positions would exceed this percent of balance
+    maxOpenRiskPercent: parseFloat(process.env.PAPER_MAX_OPEN_RISK_PERCENT || '5'),
+  },
+
+  // Broker execution bridge (OANDA v20 practice accounts)
+  execution: {
+    enabled: process.env.EXECUTION_ENABLED === 'true',
+    // Log the orders that would be placed instead of sending them
+    dryRun: process.env.EXECUTION_DRY_RUN !== 'false',
+    // Only signals for these symbols and modes are sent to the broker
+    symbols: parseArray(process.env.EXECUTION_SYMBOLS),
+    modes: parseArray(process.env.EXECUTION_MODES, ['conservative', 'aggressive']),
+    oanda: {
+      apiKey: process.env.OANDA_API_KEY,
+      accountId: process.env.OANDA_ACCOUNT_ID,
+      // Point at the local mock (npm run mock:oanda) for testing
+      baseUrl: process.env.OANDA_EXECUTION_URL || 'https://api-fxpractice.oanda.com',
+    },
+  },
+
   // Database Configuration
   database: {
     path: process.env.DB_PATH || join(projectRoot, 'data', 'dollybot.db'),
@@ -131,6 +396,14 @@ export const config = {
     intervalMs: parseInt(process.env.EVALUATION_INTERVAL_MS || '60000', 10),
     expirationCandles: parseInt(process.env.EXPIRATION_CANDLES || '20', 10),
     timeoutCandles: parseInt(process.env.TIMEOUT_CANDLES || '100', 10),
+    // Lower timeframe used to order entry/SL/TP touches inside an ambiguous bar
+    intrabarTimeframes: parseMap(process.env.INTRABAR_TIMEFRAMES, {
+      '15m': '1m',
+      '30m': '5m',
+      '1h': '5m',
+      '4h': '15m',
+      '1d': '1h',
+    }),
   },
 
   // Rate Limiter Configuration
@@ -139,9 +412,13 @@ export const config = {
     maxCallsPerMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE || '8', 10),
     // Maximum API calls per day (TwelveData free tier: 800)
     maxCallsPerDay: parseInt(process.env.RATE_LIMIT_PER_DAY || '800', 10),
-    // Buffer to reserve before hitting hard daily limit
+    // Buffer to reserve before hitting hard daily limit (at most a tenth of a provider's daily limit)
     dailyBuffer: parseInt(process.env.RATE_LIMIT_DAILY_BUFFER || '50', 10),
-    // Maximum combinations to scan per cycle
+    // Per-provider limits, other providers use the two above (Alpha Vantage free tier: 5/minute, 25/day)
+    // Example: "alphavantage:5,twelvedata:55"
+    minuteLimits: parseMap(process.env.RATE_LIMIT_PER_MINUTE_BY_PROVIDER, { alphavantage: '5' }),
+    dailyLimits: parseMap(process.env.RATE_LIMIT_PER_DAY_BY_PROVIDER, { alphavantage: '25' }),
+    // Maximum combinations to scan per provider and cycle
     // Default: 1 call per cycle at 2-min intervals = 720 calls/day (within 800 limit)
     maxPerCycle: parseInt(process.env.RATE_LIMIT_MAX_PER_CYCLE || '1', 10),
   },
@@ -0,0 +1,167 @@
+/**
+ * Database queries for the paper-trading account
+ */
+
+import { getDatabase, executeWithRetry } from './index.js';
+import { logger } from '../utils/logger.js';
+import { DatabaseError } from '../utils/errors.js';
+
+/**
+ * Get the paper account
+ * @returns {Object|null} {balance, starting_balance, currency, created_at, updated_at} or null if not created
+ */
+export function getPaperAccount() {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare('SELECT * FROM paper_account WHERE id = 1');
+
+    return executeWithRetry(() => stmt.get()) || null;
+  } catch (error) {
+    logger.error('Database', 'Failed to get paper account', error);
+    throw new DatabaseError('Failed to get paper account', { error: error.message });
+  }
+}
+
+/**
+ * Create the paper account (no-op if it already exists)
+ * @param {number} balance - Starting balance
+ * @param {string} currency - Account currency
+ */
+export function createPaperAccount(balance, currency) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      INSERT OR IGNORE INTO paper_account (id, balance, starting_balance, currency)
+      VALUES (1, ?, ?, ?)
+    `);
+
+    executeWithRetry(() => stmt.run(balance, balance, currency));
+  } catch (error) {
+    logger.error('Database', 'Failed to create paper account', error);
+    throw new DatabaseError('Failed to create paper account', { error: error.message });
+  }
+}
+
+/**
+ * Add realized P&L to the paper account balance
+ * @param {number} amount - Amount in account currency (negative for losses)
+ */
+export function addToPaperBalance(amount) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      UPDATE paper_account SET balance = balance + ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1
+    `);
+
+    executeWithRetry(() => stmt.run(amount));
+  } catch (error) {
+    logger.error('Database', 'Failed to update paper balance', error);
+    throw new DatabaseError('Failed to update paper balance', { error: error.message, amount });
+  }
+}
+
+/**
+ * Insert a paper position (pending order, or rejected order with its reason)
+ * @param {Object} position - Position data
+ * @returns {number} Inserted position ID
+ */
+export function insertPaperPosition(position) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      INSERT INTO paper_positions (
+        signal_id, symbol, timeframe, direction, status, entry, stop_loss,
+        units, lots, risk_amount, margin, reject_reason
+      ) VALUES (
+        @signal_id, @symbol, @timeframe, @direction, @status, @entry, @stop_loss,
+        @units, @lots, @risk_amount, @margin, @reject_reason
+      )
+    `);
+
+    const result = executeWithRetry(() =>
+      stmt.run({ reject_reason: null, ...position })
+    );
+
+    return result.lastInsertRowid;
+  } catch (error) {
+    logger.error('Database', `Failed to insert paper position for signal ID ${position.signal_id}`, error);
+    throw new DatabaseError('Failed to insert paper position', { error: error.message, signalId: position.signal_id });
+  }
+}
+
+/**
+ * Update fields of a paper position
+ * @param {number} id - Position ID
+ * @param {Object} fields - Columns to update (status, remaining, realized_pnl, opened_at, closed_at)
+ */
+export function updatePaperPosition(id, fields) {
+  try {
+    const db = getDatabase();
+    const allowed = ['status', 'remaining', 'realized_pnl', 'opened_at', 'closed_at'];
+    const columns = Object.keys(fields).filter(key => allowed.includes(key));
+
+    if (columns.length === 0) {
+      return;
+    }
+
+    const stmt = db.prepare(`
+      UPDATE paper_positions SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE id = @id
+    `);
+
+    executeWithRetry(() => stmt.run({ ...fields, id }));
+  } catch (error) {
+    logger.error('Database', `Failed to update paper position ID ${id}`, error);
+    throw new DatabaseError('Failed to update paper position', { error: error.message, id });
+  }
+}
+
+/**
+ * Get the paper position of a signal
+ * @param {number} signalId - Signal ID
+ * @returns {Object|null} Position or null if the signal has none
+ */
+export function getPaperPositionBySignal(signalId) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare('SELECT * FROM paper_positions WHERE signal_id = ?');
+
+    return executeWithRetry(() => stmt.get(signalId)) || null;
+  } catch (error) {
+    logger.error('Database', `Failed to get paper position for signal ID ${signalId}`, error);
+    throw new DatabaseError('Failed to get paper position', { error: error.message, signalId });
+  }
+}
+
+/**
+ * Get paper positions by status
+ * @param {Array<string>} statuses - Statuses to include ('pending', 'open', 'closed', 'cancelled', 'rejected')
+ * @param {number} limit - Maximum rows (most recent first)
+ * @returns {Array<Object>} Positions
+ */
+export function getPaperPositions(statuses, limit = 500) {
+  try {
+    const db = getDatabase();
+    const placeholders = statuses.map(() => '?').join(', ');
+    const stmt = db.prepare(`
+      SELECT * FROM paper_positions
+      WHERE status IN (${placeholders})
+      ORDER BY id DESC
+      LIMIT ?
+    `);
+
+    return executeWithRetry(() => stmt.all(...statuses, limit));
+  } catch (error) {
+    logger.error('Database', 'Failed to get paper positions', error);
+    throw new DatabaseError('Failed to get paper positions', { error: error.message, statuses });
+  }
+}
+
+export default {
+  getPaperAccount,
+  createPaperAccount,
+  addToPaperBalance,
+  insertPaperPosition,
+  updatePaperPosition,
+  getPaperPositionBySignal,
+  getPaperPositions,
+};
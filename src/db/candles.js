@@ -0,0 +1,193 @@
+/**
+ * Database queries for the local candle store
+ */
+
+import { getDatabase, executeWithRetry } from './index.js';
+import { logger } from '../utils/logger.js';
+import { DatabaseError } from '../utils/errors.js';
+
+/**
+ * Insert or update candles (the still-forming last bar is overwritten on each sync)
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @param {Array<Object>} candles - Array of candles {time, open, high, low, close, volume}
+ * @returns {number} Number of candles written
+ */
+export function upsertCandles(symbol, timeframe, candles) {
+  try {
+    const db = getDatabase();
+
+    const stmt = db.prepare(`
+      INSERT INTO candles (symbol, timeframe, time, open, high, low, close, volume)
+      VALUES (@symbol, @timeframe, @time, @open, @high, @low, @close, @volume)
+      ON CONFLICT(symbol, timeframe, time) DO UPDATE SET
+        open = excluded.open,
+        high = excluded.high,
+        low = excluded.low,
+        close = excluded.close,
+        volume = excluded.volume
+    `);
+
+    const writeAll = db.transaction(rows => {
+      for (const candle of rows) {
+        stmt.run({ symbol, timeframe, ...candle, volume: candle.volume || 0 });
+      }
+    });
+
+    executeWithRetry(() => writeAll(candles));
+
+    logger.debug('Database', `Stored ${candles.length} candles for ${symbol} ${timeframe}`);
+    return candles.length;
+  } catch (error) {
+    logger.error('Database', `Failed to store candles for ${symbol} ${timeframe}`, error);
+    throw new DatabaseError('Failed to store candles', { error: error.message, symbol, timeframe });
+  }
+}
+
+/**
+ * Get the most recent stored candles
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @param {number} count - Number of candles
+ * @returns {Array<Object>} Candles oldest first
+ */
+export function getStoredCandles(symbol, timeframe, count) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      SELECT time, open, high, low, close, volume FROM candles
+      WHERE symbol = ? AND timeframe = ?
+      ORDER BY time DESC
+      LIMIT ?
+    `);
+
+    return executeWithRetry(() => stmt.all(symbol, timeframe, count)).reverse();
+  } catch (error) {
+    logger.error('Database', `Failed to get stored candles for ${symbol} ${timeframe}`, error);
+    throw new DatabaseError('Failed to get stored candles', { error: error.message, symbol, timeframe });
+  }
+}
+
+/**
+ * Get the most recent stored close of a symbol on any timeframe
+ * @param {string} symbol - Trading symbol
+ * @returns {Object|null} {time, close} or null if no candles are stored
+ */
+export function getLatestStoredClose(symbol) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      SELECT time, close FROM candles
+      WHERE symbol = ?
+      ORDER BY time DESC
+      LIMIT 1
+    `);
+
+    return executeWithRetry(() => stmt.get(symbol)) || null;
+  } catch (error) {
+    logger.error('Database', `Failed to get latest stored close for ${symbol}`, error);
+    throw new DatabaseError('Failed to get latest stored close', { error: error.message, symbol });
+  }
+}
+
+/**
+ * Get stored candles within a time range (inclusive)
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @param {string} from - Start candle time
+ * @param {string} to - End candle time (optional)
+ * @returns {Array<Object>} Candles oldest first
+ */
+export function getStoredCandlesBetween(symbol, timeframe, from, to = null) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      SELECT time, open, high, low, close, volume FROM candles
+      WHERE symbol = @symbol AND timeframe = @timeframe
+        AND time >= @from AND (@to IS NULL OR time <= @to)
+      ORDER BY time ASC
+    `);
+
+    return executeWithRetry(() => stmt.all({ symbol, timeframe, from, to }));
+  } catch (error) {
+    logger.error('Database', `Failed to get candle range for ${symbol} ${timeframe}`, error);
+    throw new DatabaseError('Failed to get candle range', { error: error.message, symbol, timeframe });
+  }
+}
+
+/**
+ * Get stored candle count and the earliest/latest candle time for a symbol/timeframe
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @returns {Object} {count, earliestTime, latestTime, lastFetchedAt, historyLimit}
+ */
+export function getCandleStoreState(symbol, timeframe) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM candles WHERE symbol = @symbol AND timeframe = @timeframe) as count,
+        (SELECT MIN(time) FROM candles WHERE symbol = @symbol AND timeframe = @timeframe) as earliestTime,
+        (SELECT MAX(time) FROM candles WHERE symbol = @symbol AND timeframe = @timeframe) as latestTime,
+        (SELECT last_fetched_at FROM candle_sync WHERE symbol = @symbol AND timeframe = @timeframe) as lastFetchedAt,
+        (SELECT history_limit FROM candle_sync WHERE symbol = @symbol AND timeframe = @timeframe) as historyLimit
+    `);
+
+    return executeWithRetry(() => stmt.get({ symbol, timeframe }));
+  } catch (error) {
+    logger.error('Database', `Failed to get candle store state for ${symbol} ${timeframe}`, error);
+    throw new DatabaseError('Failed to get candle store state', { error: error.message, symbol, timeframe });
+  }
+}
+
+/**
+ * Record when a symbol/timeframe was last fetched from the provider
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @param {number} fetchedAt - Epoch milliseconds
+ */
+export function markCandlesFetched(symbol, timeframe, fetchedAt = Date.now()) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      INSERT INTO candle_sync (symbol, timeframe, last_fetched_at)
+      VALUES (?, ?, ?)
+      ON CONFLICT(symbol, timeframe) DO UPDATE SET last_fetched_at = excluded.last_fetched_at
+    `);
+
+    executeWithRetry(() => stmt.run(symbol, timeframe, fetchedAt));
+  } catch (error) {
+    logger.error('Database', `Failed to record candle sync for ${symbol} ${timeframe}`, error);
+    throw new DatabaseError('Failed to record candle sync', { error: error.message, symbol, timeframe });
+  }
+}
+
+/**
+ * Record that the provider has no history beyond the stored candles of a symbol/timeframe
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @param {number} limit - Candles the provider could return
+ */
+export function setCandleHistoryLimit(symbol, timeframe, limit) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      UPDATE candle_sync SET history_limit = ? WHERE symbol = ? AND timeframe = ?
+    `);
+
+    executeWithRetry(() => stmt.run(limit, symbol, timeframe));
+  } catch (error) {
+    logger.error('Database', `Failed to record history limit for ${symbol} ${timeframe}`, error);
+    throw new DatabaseError('Failed to record history limit', { error: error.message, symbol, timeframe });
+  }
+}
+
+export default {
+  upsertCandles,
+  getStoredCandles,
+  getLatestStoredClose,
+  getStoredCandlesBetween,
+  getCandleStoreState,
+  markCandlesFetched,
+  setCandleHistoryLimit,
+};
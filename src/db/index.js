@@ -7,7 +7,7 @@ import { mkdir } from 'fs/promises';
 import { dirname } from 'path';
 import { existsSync } from 'fs';
 import config from '../config/index.js';
-import { schema } from './schema.js';
+import { schema, columnMigrations } from './schema.js';
 import { logger } from '../utils/logger.js';
 import { DatabaseError } from '../utils/errors.js';
 
@@ -48,6 +48,7 @@ export async function initDatabase() {
 
     // Create tables and indexes
     db.exec(schema);
+    migrateColumns(db);
     logger.info('Database', `Database initialized at: ${dbPath}`);
 
     // Setup graceful shutdown
@@ -61,6 +62,21 @@ export async function initDatabase() {
   }
 }
 
+/**
+ * Add columns missing from tables created by an older schema
+ * @param {Database} database - SQLite database instance
+ */
+function migrateColumns(database) {
+  for (const { table, column, definition } of columnMigrations) {
+    const columns = database.pragma(`table_info(${table})`).map(c => c.name);
+
+    if (!columns.includes(column)) {
+      database.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      logger.info('Database', `Added column ${table}.${column}`);
+    }
+  }
+}
+
 /**
  * Get database instance
  * @returns {Database} SQLite database instance
@@ -0,0 +1,79 @@
+/**
+ * Database queries for persisted incremental indicator state
+ * One row per symbol/timeframe, so the scanner and backfills in any process pick up
+ * where the last scan left off
+ */
+
+import { getDatabase, executeWithRetry } from './index.js';
+import { logger } from '../utils/logger.js';
+import { DatabaseError } from '../utils/errors.js';
+
+/**
+ * Get the stored indicator state for a symbol/timeframe
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @returns {Object|null} State object or null if none is stored
+ */
+export function getIndicatorState(symbol, timeframe) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare('SELECT state FROM indicator_state WHERE symbol = ? AND timeframe = ?');
+    const row = executeWithRetry(() => stmt.get(symbol, timeframe));
+
+    return row ? JSON.parse(row.state) : null;
+  } catch (error) {
+    logger.error('Database', `Failed to get indicator state for ${symbol} ${timeframe}`, error);
+    throw new DatabaseError('Failed to get indicator state', { error: error.message, symbol, timeframe });
+  }
+}
+
+/**
+ * Store the indicator state for a symbol/timeframe
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @param {Object} state - State from src/indicators/incremental.js
+ */
+export function saveIndicatorState(symbol, timeframe, state) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      INSERT INTO indicator_state (symbol, timeframe, state, last_time, bars, updated_at)
+      VALUES (@symbol, @timeframe, @state, @lastTime, @bars, @updatedAt)
+      ON CONFLICT(symbol, timeframe) DO UPDATE SET
+        state = excluded.state,
+        last_time = excluded.last_time,
+        bars = excluded.bars,
+        updated_at = excluded.updated_at
+    `);
+
+    executeWithRetry(() => stmt.run({
+      symbol,
+      timeframe,
+      state: JSON.stringify(state),
+      lastTime: state.lastTime,
+      bars: state.bars,
+      updatedAt: Date.now(),
+    }));
+  } catch (error) {
+    logger.error('Database', `Failed to save indicator state for ${symbol} ${timeframe}`, error);
+    throw new DatabaseError('Failed to save indicator state', { error: error.message, symbol, timeframe });
+  }
+}
+
+/**
+ * Delete the indicator state for a symbol/timeframe (it is rebuilt from the candle store on next use)
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ */
+export function deleteIndicatorState(symbol, timeframe) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare('DELETE FROM indicator_state WHERE symbol = ? AND timeframe = ?');
+    executeWithRetry(() => stmt.run(symbol, timeframe));
+  } catch (error) {
+    logger.error('Database', `Failed to delete indicator state for ${symbol} ${timeframe}`, error);
+    throw new DatabaseError('Failed to delete indicator state', { error: error.message, symbol, timeframe });
+  }
+}
+
+export default { getIndicatorState, saveIndicatorState, deleteIndicatorState };
@@ -0,0 +1,84 @@
+/**
+ * Database queries for the economic calendar
+ */
+
+import { getDatabase, executeWithRetry } from './index.js';
+import { logger } from '../utils/logger.js';
+import { DatabaseError } from '../utils/errors.js';
+
+/**
+ * Insert or update economic events (keyed by time, currency and title)
+ * @param {Array<Object>} events - Events {event_time, currency, title, impact, forecast, previous, actual, source}
+ * @returns {number} Number of events written
+ */
+export function upsertEconomicEvents(events) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      INSERT INTO economic_events (event_time, currency, title, impact, forecast, previous, actual, source)
+      VALUES (@event_time, @currency, @title, @impact, @forecast, @previous, @actual, @source)
+      ON CONFLICT(event_time, currency, title) DO UPDATE SET
+        impact = excluded.impact,
+        forecast = excluded.forecast,
+        previous = excluded.previous,
+        actual = excluded.actual,
+        source = excluded.source,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+
+    const upsertAll = db.transaction(rows => {
+      for (const row of rows) {
+        stmt.run({ forecast: null, previous: null, actual: null, source: null, ...row });
+      }
+    });
+
+    executeWithRetry(() => upsertAll(events));
+    return events.length;
+  } catch (error) {
+    logger.error('Database', 'Failed to store economic events', error);
+    throw new DatabaseError('Failed to store economic events', { error: error.message, count: events.length });
+  }
+}
+
+/**
+ * Get economic events in a time range
+ * @param {string} from - Start time ('YYYY-MM-DD HH:mm:ss', UTC, inclusive)
+ * @param {string} to - End time (inclusive)
+ * @param {Object} filters - {currencies, impacts}
+ * @returns {Array<Object>} Events in chronological order
+ */
+export function getEconomicEvents(from, to, filters = {}) {
+  try {
+    const db = getDatabase();
+    const { currencies = [], impacts = [] } = filters;
+
+    const conditions = ['event_time >= ?', 'event_time <= ?'];
+    const params = [from, to];
+
+    if (currencies.length > 0) {
+      conditions.push(`currency IN (${currencies.map(() => '?').join(', ')})`);
+      params.push(...currencies);
+    }
+
+    if (impacts.length > 0) {
+      conditions.push(`impact IN (${impacts.map(() => '?').join(', ')})`);
+      params.push(...impacts);
+    }
+
+    const stmt = db.prepare(`
+      SELECT * FROM economic_events
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY event_time ASC
+    `);
+
+    return executeWithRetry(() => stmt.all(...params));
+  } catch (error) {
+    logger.error('Database', 'Failed to get economic events', error);
+    throw new DatabaseError('Failed to get economic events', { error: error.message, from, to });
+  }
+}
+
+export default {
+  upsertEconomicEvents,
+  getEconomicEvents,
+};
@@ -5,6 +5,10 @@
 import { getDatabase, executeWithRetry } from './index.js';
 import { logger } from '../utils/logger.js';
 import { DatabaseError } from '../utils/errors.js';
+import { summarizeOutcomes, CLOSED_STATUSES } from '../evaluation/calculator.js';
+
+// SQL list of final statuses, e.g. ('win', 'loss', 'breakeven', 'timeout')
+const CLOSED_STATUS_LIST = `(${CLOSED_STATUSES.map(s => `'${s}'`).join(', ')})`;
 
 /**
  * Insert a new signal into the database
@@ -18,10 +22,12 @@ export function insertSignal(signal) {
     const stmt = db.prepare(`
       INSERT INTO signals (
         symbol, timeframe, mode, direction, entry, stop_loss, take_profits,
-        confidence, reason, management_hint, candidate_reason, status
+        confidence, reason, management_hint, candidate_reason, status,
+        position_size, lots, risk_amount, duplicate_of, suppression_reason
       ) VALUES (
         @symbol, @timeframe, @mode, @direction, @entry, @stop_loss, @take_profits,
-        @confidence, @reason, @management_hint, @candidate_reason, @status
+        @confidence, @reason, @management_hint, @candidate_reason, @status,
+        @position_size, @lots, @risk_amount, @duplicate_of, @suppression_reason
       )
     `);
 
@@ -39,6 +45,11 @@ export function insertSignal(signal) {
         management_hint: signal.management_hint || null,
         candidate_reason: signal.candidate_reason || null,
         status: signal.status || 'pending',
+        position_size: signal.position_size ?? null,
+        lots: signal.lots ?? null,
+        risk_amount: signal.risk_amount ?? null,
+        duplicate_of: signal.duplicate_of ?? null,
+        suppression_reason: signal.suppression_reason || null,
       })
     );
 
@@ -89,6 +100,21 @@ export function updateSignalStatus(id, status, additionalFields = {}) {
       params.outcome_detail = JSON.stringify(additionalFields.outcome_detail);
     }
 
+    if (additionalFields.current_stop_loss !== undefined) {
+      fields.push('current_stop_loss = @current_stop_loss');
+      params.current_stop_loss = additionalFields.current_stop_loss;
+    }
+
+    if (additionalFields.pnl !== undefined && additionalFields.pnl !== null) {
+      fields.push('pnl = @pnl');
+      params.pnl = additionalFields.pnl;
+    }
+
+    if (additionalFields.executions) {
+      fields.push('executions = @executions');
+      params.executions = JSON.stringify(additionalFields.executions);
+    }
+
     const query = `UPDATE signals SET ${fields.join(', ')} WHERE id = @id`;
     const stmt = db.prepare(query);
 
@@ -137,6 +163,199 @@ export function getTriggeredSignals() {
   return getSignalsByStatus('triggered');
 }
 
+/**
+ * Get all open positions (triggered or partially closed)
+ * @returns {Array} Array of open signals, oldest first
+ */
+export function getOpenSignals() {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      SELECT * FROM signals
+      WHERE status IN ('triggered', 'partially_closed')
+      ORDER BY created_at ASC
+    `);
+
+    const signals = executeWithRetry(() => stmt.all());
+    return signals.map(parseSignal);
+  } catch (error) {
+    logger.error('Database', 'Failed to get open signals', error);
+    throw new DatabaseError('Failed to get open signals', { error: error.message });
+  }
+}
+
+/**
+ * Append a merged duplicate to the confirmations of its original signal
+ * @param {number} id - Original signal ID
+ * @param {Object} confirmation - {signal_id, timeframe, mode, confidence, entry, time}
+ */
+export function addSignalConfirmation(id, confirmation) {
+  try {
+    const db = getDatabase();
+    const select = db.prepare('SELECT confirmations FROM signals WHERE id = ?');
+    const update = db.prepare('UPDATE signals SET confirmations = ? WHERE id = ?');
+
+    executeWithRetry(() => db.transaction(() => {
+      const row = select.get(id);
+      const confirmations = row?.confirmations ? JSON.parse(row.confirmations) : [];
+      update.run(JSON.stringify([...confirmations, confirmation]), id);
+    })());
+  } catch (error) {
+    logger.error('Database', `Failed to add confirmation to signal ID ${id}`, error);
+    throw new DatabaseError('Failed to add signal confirmation', { error: error.message, id });
+  }
+}
+
+/**
+ * Flag a signal with the economic event that puts it inside a news blackout
+ * @param {number} id - Signal ID
+ * @param {Object} flag - {event_id, title, currency, impact, event_time}
+ */
+export function setSignalNewsFlag(id, flag) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare('UPDATE signals SET news_flag = ? WHERE id = ?');
+
+    executeWithRetry(() => stmt.run(JSON.stringify(flag), id));
+  } catch (error) {
+    logger.error('Database', `Failed to flag signal ID ${id}`, error);
+    throw new DatabaseError('Failed to flag signal', { error: error.message, id });
+  }
+}
+
+/**
+ * Get all active signals (pending, triggered or partially closed)
+ * @returns {Array} Array of active signals, oldest first
+ */
+export function getActiveSignals() {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      SELECT * FROM signals
+      WHERE status IN ('pending', 'triggered', 'partially_closed')
+      ORDER BY created_at ASC
+    `);
+
+    const signals = executeWithRetry(() => stmt.all());
+    return signals.map(parseSignal);
+  } catch (error) {
+    logger.error('Database', 'Failed to get active signals', error);
+    throw new DatabaseError('Failed to get active signals', { error: error.message });
+  }
+}
+
+/**
+ * Record a signal blocked by the risk manager
+ * @param {Object} rejection - {symbol, timeframe, mode, direction, entry, stop_loss, confidence, rule, reason}
+ * @returns {number} Inserted rejection ID
+ */
+export function insertSignalRejection(rejection) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      INSERT INTO signal_rejections (
+        symbol, timeframe, mode, direction, entry, stop_loss, confidence, rule, reason
+      ) VALUES (
+        @symbol, @timeframe, @mode, @direction, @entry, @stop_loss, @confidence, @rule, @reason
+      )
+    `);
+
+    const result = executeWithRetry(() =>
+      stmt.run({ confidence: null, ...rejection })
+    );
+
+    return result.lastInsertRowid;
+  } catch (error) {
+    logger.error('Database', 'Failed to insert signal rejection', error);
+    throw new DatabaseError('Failed to insert signal rejection', { error: error.message, rule: rejection.rule });
+  }
+}
+
+/**
+ * Get signals blocked by the risk manager, most recent first
+ * @param {Object} filters - {symbol, rule, limit}
+ * @returns {Array} Array of rejections
+ */
+export function getSignalRejections(filters = {}) {
+  try {
+    const db = getDatabase();
+    const { symbol, rule, limit = 50 } = filters;
+
+    const conditions = [];
+    const params = {};
+
+    if (symbol) {
+      conditions.push('symbol = @symbol');
+      params.symbol = symbol;
+    }
+
+    if (rule) {
+      conditions.push('rule = @rule');
+      params.rule = rule;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const stmt = db.prepare(`
+      SELECT * FROM signal_rejections
+      ${where}
+      ORDER BY id DESC
+      LIMIT @limit
+    `);
+
+    return executeWithRetry(() => stmt.all({ ...params, limit }));
+  } catch (error) {
+    logger.error('Database', 'Failed to get signal rejections', error);
+    throw new DatabaseError('Failed to get signal rejections', { error: error.message, filters });
+  }
+}
+
+/**
+ * Update the broker order state of a signal
+ * @param {number} id - Signal ID
+ * @param {Object} fields - Columns to update (broker_order_id, broker_trade_id, broker_status)
+ */
+export function updateSignalBroker(id, fields) {
+  try {
+    const db = getDatabase();
+    const allowed = ['broker_order_id', 'broker_trade_id', 'broker_status'];
+    const columns = Object.keys(fields).filter(key => allowed.includes(key));
+
+    if (columns.length === 0) {
+      return;
+    }
+
+    const stmt = db.prepare(`
+      UPDATE signals SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE id = @id
+    `);
+
+    executeWithRetry(() => stmt.run({ ...fields, id }));
+  } catch (error) {
+    logger.error('Database', `Failed to update broker state of signal ID ${id}`, error);
+    throw new DatabaseError('Failed to update broker state', { error: error.message, id });
+  }
+}
+
+/**
+ * Get signals with a live broker order or trade (broker_status 'pending' or 'open')
+ * @returns {Array} Array of signals, oldest first
+ */
+export function getBrokerSignals() {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      SELECT * FROM signals
+      WHERE broker_order_id IS NOT NULL AND broker_status IN ('pending', 'open')
+      ORDER BY created_at ASC
+    `);
+
+    const signals = executeWithRetry(() => stmt.all());
+    return signals.map(parseSignal);
+  } catch (error) {
+    logger.error('Database', 'Failed to get broker signals', error);
+    throw new DatabaseError('Failed to get broker signals', { error: error.message });
+  }
+}
+
 /**
  * Get signal by ID
  * @param {number} id - Signal ID
@@ -227,23 +446,73 @@ export function getSignals(filters = {}) {
 }
 
 /**
- * Get closed signals for statistics (win, loss, timeout)
+ * Record a stop adjustment (breakeven or trailing move) for a signal
+ * @param {number} signalId - Signal ID
+ * @param {Object} event - Stop event {type, from, to, time}
+ * @returns {number} Inserted event ID
+ */
+export function insertStopEvent(signalId, event) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      INSERT INTO signal_events (signal_id, type, from_price, to_price, event_time)
+      VALUES (@signal_id, @type, @from_price, @to_price, @event_time)
+    `);
+
+    const result = executeWithRetry(() =>
+      stmt.run({
+        signal_id: signalId,
+        type: event.type,
+        from_price: event.from,
+        to_price: event.to,
+        event_time: event.time,
+      })
+    );
+
+    return result.lastInsertRowid;
+  } catch (error) {
+    logger.error('Database', `Failed to insert stop event for signal ID ${signalId}`, error);
+    throw new DatabaseError('Failed to insert stop event', { error: error.message, signalId });
+  }
+}
+
+/**
+ * Get the stop adjustments recorded for a signal
+ * @param {number} signalId - Signal ID
+ * @returns {Array} Events in chronological order
+ */
+export function getStopEvents(signalId) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare('SELECT * FROM signal_events WHERE signal_id = ? ORDER BY id ASC');
+
+    return executeWithRetry(() => stmt.all(signalId));
+  } catch (error) {
+    logger.error('Database', `Failed to get stop events for signal ID ${signalId}`, error);
+    throw new DatabaseError('Failed to get stop events', { error: error.message, signalId });
+  }
+}
+
+/**
+ * Get closed signals for statistics (win, loss, breakeven, timeout)
+ * @param {string|null} since - Only signals closed at or after this candle time ('YYYY-MM-DD HH:mm:ss')
  * @returns {Array} Array of closed signals
  */
-export function getClosedSignals() {
+export function getClosedSignals(since = null) {
   try {
     const db = getDatabase();
     const stmt = db.prepare(`
       SELECT * FROM signals
-      WHERE status IN ('win', 'loss', 'timeout')
+      WHERE status IN ${CLOSED_STATUS_LIST}
+      ${since ? 'AND closed_at >= ?' : ''}
       ORDER BY closed_at ASC
     `);
 
-    const signals = executeWithRetry(() => stmt.all());
+    const signals = executeWithRetry(() => (since ? stmt.all(since) : stmt.all()));
     return signals.map(parseSignal);
   } catch (error) {
     logger.error('Database', 'Failed to get closed signals', error);
-    throw new DatabaseError('Failed to get closed signals', { error: error.message });
+    throw new DatabaseError('Failed to get closed signals', { error: error.message, since });
   }
 }
 
@@ -253,59 +522,7 @@ export function getClosedSignals() {
  */
 export function getOverviewStats() {
   try {
-    const db = getDatabase();
-
-    const stmt = db.prepare(`
-      SELECT
-        COUNT(*) as total_trades,
-        SUM(CASE WHEN outcome = 'win' THEN 1 ELSE 0 END) as wins,
-        SUM(CASE WHEN outcome = 'loss' THEN 1 ELSE 0 END) as losses,
-        SUM(CASE WHEN outcome = 'timeout' THEN 1 ELSE 0 END) as timeouts
-      FROM signals
-      WHERE status IN ('win', 'loss', 'timeout')
-    `);
-
-    const stats = executeWithRetry(() => stmt.get());
-
-    const totalTrades = stats.total_trades || 0;
-    const wins = stats.wins || 0;
-    const losses = stats.losses || 0;
-
-    // Calculate win rate (excluding timeouts)
-    const decidedTrades = wins + losses;
-    const winrate = decidedTrades > 0 ? wins / decidedTrades : 0;
-
-    // Calculate average R and profit factor
-    const closedSignals = getClosedSignals();
-    let sumR = 0;
-    let sumWinningR = 0;
-    let sumLosingR = 0;
-
-    closedSignals.forEach(signal => {
-      if (signal.outcome_detail && signal.outcome_detail.rr !== undefined) {
-        const r = signal.outcome_detail.rr;
-        sumR += r;
-
-        if (r > 0) {
-          sumWinningR += r;
-        } else if (r < 0) {
-          sumLosingR += Math.abs(r);
-        }
-      }
-    });
-
-    const avgR = totalTrades > 0 ? sumR / totalTrades : 0;
-    const profitFactor = sumLosingR > 0 ? sumWinningR / sumLosingR : (sumWinningR > 0 ? Infinity : 0);
-
-    return {
-      totalTrades,
-      wins,
-      losses,
-      timeouts: stats.timeouts || 0,
-      winrate,
-      avgR,
-      profitFactor: profitFactor === Infinity ? 999 : profitFactor, // Cap infinity at 999 for display
-    };
+    return summarizeOutcomes(getClosedSignals());
   } catch (error) {
     logger.error('Database', 'Failed to get overview stats', error);
     throw new DatabaseError('Failed to get overview stats', { error: error.message });
@@ -333,7 +550,7 @@ export function getStatsByCategory(category) {
         SUM(CASE WHEN outcome = 'win' THEN 1 ELSE 0 END) as wins,
         SUM(CASE WHEN outcome = 'loss' THEN 1 ELSE 0 END) as losses
       FROM signals
-      WHERE status IN ('win', 'loss', 'timeout')
+      WHERE status IN ${CLOSED_STATUS_LIST}
       GROUP BY ${category}
       ORDER BY ${category}
     `);
@@ -345,28 +562,9 @@ export function getStatsByCategory(category) {
       const decidedTrades = row.wins + row.losses;
       const winrate = decidedTrades > 0 ? row.wins / decidedTrades : 0;
 
-      // Get closed signals for this category to calculate R stats
+      // Get closed signals for this category to calculate R stats (gross and net of costs)
       const closedSignals = getClosedSignals().filter(s => s[category] === row[category]);
-
-      let sumR = 0;
-      let sumWinningR = 0;
-      let sumLosingR = 0;
-
-      closedSignals.forEach(signal => {
-        if (signal.outcome_detail && signal.outcome_detail.rr !== undefined) {
-          const r = signal.outcome_detail.rr;
-          sumR += r;
-
-          if (r > 0) {
-            sumWinningR += r;
-          } else if (r < 0) {
-            sumLosingR += Math.abs(r);
-          }
-        }
-      });
-
-      const avgR = row.trades > 0 ? sumR / row.trades : 0;
-      const profitFactor = sumLosingR > 0 ? sumWinningR / sumLosingR : (sumWinningR > 0 ? 999 : 0);
+      const { avgR, profitFactor, avgNetR, profitFactorNet } = summarizeOutcomes(closedSignals);
 
       return {
         [category]: row[category],
@@ -376,6 +574,8 @@ export function getStatsByCategory(category) {
         winrate,
         avgR,
         profitFactor,
+        avgNetR,
+        profitFactorNet,
       };
     });
   } catch (error) {
@@ -394,6 +594,9 @@ function parseSignal(signal) {
     ...signal,
     take_profits: signal.take_profits ? JSON.parse(signal.take_profits) : [],
     outcome_detail: signal.outcome_detail ? JSON.parse(signal.outcome_detail) : null,
+    executions: signal.executions ? JSON.parse(signal.executions) : [],
+    confirmations: signal.confirmations ? JSON.parse(signal.confirmations) : [],
+    news_flag: signal.news_flag ? JSON.parse(signal.news_flag) : null,
   };
 }
 
@@ -403,8 +606,18 @@ export default {
   getSignalsByStatus,
   getPendingSignals,
   getTriggeredSignals,
+  getOpenSignals,
+  getActiveSignals,
+  addSignalConfirmation,
+  setSignalNewsFlag,
+  insertSignalRejection,
+  getSignalRejections,
+  updateSignalBroker,
+  getBrokerSignals,
   getSignalById,
   getSignals,
+  insertStopEvent,
+  getStopEvents,
   getClosedSignals,
   getOverviewStats,
   getStatsByCategory,
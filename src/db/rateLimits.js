@@ -0,0 +1,320 @@
+/**
+ * Database queries for the shared API rate limit
+ * Call credits, queued requests and rotation state live in the database so every
+ * process using the same DB_PATH works against one budget per provider
+ */
+
+import { getDatabase, executeWithRetry } from './index.js';
+import { logger } from '../utils/logger.js';
+import { DatabaseError } from '../utils/errors.js';
+
+/**
+ * Map a queue row to a request object
+ * @param {Object} row - rate_limit_queue row
+ * @returns {Object} Request {id, pid, provider, consumer, priority, timeframe, label, deadline, enqueuedAt, updatedAt}
+ */
+function toRequest(row) {
+  return {
+    id: row.id,
+    pid: row.pid,
+    provider: row.provider,
+    consumer: row.consumer,
+    priority: row.priority,
+    timeframe: row.timeframe,
+    label: row.label,
+    deadline: row.deadline,
+    enqueuedAt: row.enqueued_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Read a provider's credit usage (reserved and committed calls both count)
+ * @param {Object} db - Database handle
+ * @param {string} provider - Provider name
+ * @param {string} day - UTC date 'YYYY-MM-DD'
+ * @param {number} since - Start of the per-minute window (epoch milliseconds)
+ * @returns {Object} {daily, reserved, minuteCalls: reservation times in the window, byConsumer,
+ *   provider: last provider-reported budget, cooldown: last provider back-off}
+ */
+function readUsage(db, provider, day, since) {
+  const rows = db.prepare(`
+    SELECT consumer, status, COUNT(*) AS calls FROM rate_limit_calls
+    WHERE provider = ? AND day = ?
+    GROUP BY consumer, status
+  `).all(provider, day);
+
+  const minuteCalls = db.prepare(`
+    SELECT reserved_at FROM rate_limit_calls
+    WHERE provider = ? AND reserved_at > ?
+    ORDER BY reserved_at ASC
+  `).all(provider, since).map(row => row.reserved_at);
+
+  const byConsumer = {};
+  let daily = 0;
+  let reserved = 0;
+
+  for (const row of rows) {
+    daily += row.calls;
+    byConsumer[row.consumer] = (byConsumer[row.consumer] || 0) + row.calls;
+    if (row.status === 'reserved') reserved += row.calls;
+  }
+
+  return {
+    daily,
+    reserved,
+    minuteCalls,
+    byConsumer,
+    provider: readState(db, `provider:${provider}`),
+    cooldown: readState(db, `cooldown:${provider}`),
+  };
+}
+
+/**
+ * Read a JSON state value
+ * @param {Object} db - Database handle
+ * @param {string} key - State key
+ * @returns {*} Parsed value or null
+ */
+function readState(db, key) {
+  const row = db.prepare('SELECT value FROM rate_limit_state WHERE key = ?').get(key);
+  return row ? JSON.parse(row.value) : null;
+}
+
+/**
+ * Read live queued requests (entries not refreshed since staleBefore are ignored)
+ * @param {Object} db - Database handle
+ * @param {number} staleBefore - Epoch milliseconds
+ * @returns {Array<Object>} Requests in arrival order
+ */
+function readQueue(db, staleBefore) {
+  return db.prepare(`
+    SELECT * FROM rate_limit_queue
+    WHERE updated_at >= ?
+    ORDER BY enqueued_at ASC
+  `).all(staleBefore).map(toRequest);
+}
+
+/**
+ * Get a provider's credit usage for a day and the per-minute window
+ * @param {string} provider - Provider name
+ * @param {string} day - UTC date 'YYYY-MM-DD'
+ * @param {number} since - Start of the per-minute window (epoch milliseconds)
+ * @returns {Object} {daily, reserved, minuteCalls, byConsumer, provider, cooldown}
+ */
+export function getRateLimitUsage(provider, day, since) {
+  try {
+    const db = getDatabase();
+    return executeWithRetry(() => readUsage(db, provider, day, since));
+  } catch (error) {
+    logger.error('Database', `Failed to get rate limit usage for ${provider}`, error);
+    throw new DatabaseError('Failed to get rate limit usage', { error: error.message, provider, day });
+  }
+}
+
+/**
+ * Atomically reserve call credits against a provider's budget
+ * Usage and the queue are read and the reservation written inside one IMMEDIATE transaction, so two
+ * processes can never both take the last credit
+ * @param {Object} reservation - {provider, consumer, label, count, day, now, staleBefore, requestId}
+ * @param {Function} canReserve - (usage, queue) => boolean, decides with the locked state (queue of the provider only)
+ * @returns {Array<number>|null} Reserved credit ids, or null if canReserve refused
+ */
+export function reserveCallCredits(reservation, canReserve) {
+  const { provider, consumer, label = null, count = 1, day, now, staleBefore, requestId = null } = reservation;
+
+  try {
+    const db = getDatabase();
+    const insert = db.prepare(`
+      INSERT INTO rate_limit_calls (provider, consumer, label, status, day, reserved_at)
+      VALUES (?, ?, ?, 'reserved', ?, ?)
+    `);
+
+    const reserve = db.transaction(() => {
+      const usage = readUsage(db, provider, day, now - 60000);
+      const queue = readQueue(db, staleBefore).filter(request => request.provider === provider);
+
+      if (!canReserve(usage, queue)) {
+        return null;
+      }
+
+      const ids = [];
+      for (let i = 0; i < count; i++) {
+        ids.push(Number(insert.run(provider, consumer, label, day, now).lastInsertRowid));
+      }
+
+      if (requestId) {
+        db.prepare('DELETE FROM rate_limit_queue WHERE id = ?').run(requestId);
+      }
+
+      return ids;
+    });
+
+    return executeWithRetry(() => reserve.immediate());
+  } catch (error) {
+    logger.error('Database', 'Failed to reserve call credits', error);
+    throw new DatabaseError('Failed to reserve call credits', { error: error.message, provider, consumer, label });
+  }
+}
+
+/**
+ * Mark reserved credits as spent (the provider was called)
+ * @param {Array<number>} ids - Credit ids from reserveCallCredits
+ */
+export function commitCallCredits(ids) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      UPDATE rate_limit_calls SET status = 'committed', committed_at = ?
+      WHERE id = ? AND status = 'reserved'
+    `);
+
+    const commitAll = db.transaction(() => {
+      const now = Date.now();
+      for (const id of ids) stmt.run(now, id);
+    });
+
+    executeWithRetry(() => commitAll());
+  } catch (error) {
+    logger.error('Database', 'Failed to commit call credits', error);
+    throw new DatabaseError('Failed to commit call credits', { error: error.message, ids });
+  }
+}
+
+/**
+ * Give reserved credits back (the provider was not called)
+ * @param {Array<number>} ids - Credit ids from reserveCallCredits
+ */
+export function releaseCallCredits(ids) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`DELETE FROM rate_limit_calls WHERE id = ? AND status = 'reserved'`);
+
+    const releaseAll = db.transaction(() => {
+      for (const id of ids) stmt.run(id);
+    });
+
+    executeWithRetry(() => releaseAll());
+  } catch (error) {
+    logger.error('Database', 'Failed to release call credits', error);
+    throw new DatabaseError('Failed to release call credits', { error: error.message, ids });
+  }
+}
+
+/**
+ * Delete credits counted toward days before the given one
+ * @param {string} day - Oldest UTC date to keep 'YYYY-MM-DD'
+ * @returns {number} Rows deleted
+ */
+export function pruneCallCredits(day) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare('DELETE FROM rate_limit_calls WHERE day < ?');
+    return executeWithRetry(() => stmt.run(day)).changes;
+  } catch (error) {
+    logger.error('Database', 'Failed to prune call credits', error);
+    throw new DatabaseError('Failed to prune call credits', { error: error.message, day });
+  }
+}
+
+/**
+ * Add a request to the shared queue, or refresh its heartbeat
+ * @param {Object} request - {id, pid, provider, consumer, priority, timeframe, label, deadline, enqueuedAt}
+ */
+export function upsertQueuedRequest(request) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      INSERT INTO rate_limit_queue (id, pid, provider, consumer, priority, timeframe, label, deadline, enqueued_at, updated_at)
+      VALUES (@id, @pid, @provider, @consumer, @priority, @timeframe, @label, @deadline, @enqueuedAt, @updatedAt)
+      ON CONFLICT(id) DO UPDATE SET updated_at = excluded.updated_at
+    `);
+
+    executeWithRetry(() => stmt.run({ timeframe: null, label: null, deadline: null, ...request, updatedAt: Date.now() }));
+  } catch (error) {
+    logger.error('Database', 'Failed to queue rate limit request', error);
+    throw new DatabaseError('Failed to queue rate limit request', { error: error.message, id: request.id });
+  }
+}
+
+/**
+ * Remove a request from the shared queue
+ * @param {string} id - Request id
+ */
+export function deleteQueuedRequest(id) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare('DELETE FROM rate_limit_queue WHERE id = ?');
+    executeWithRetry(() => stmt.run(id));
+  } catch (error) {
+    logger.error('Database', 'Failed to remove rate limit request', error);
+    throw new DatabaseError('Failed to remove rate limit request', { error: error.message, id });
+  }
+}
+
+/**
+ * Get live queued requests, deleting entries whose process stopped refreshing them
+ * @param {number} staleBefore - Epoch milliseconds
+ * @returns {Array<Object>} Requests in arrival order
+ */
+export function getQueuedRequests(staleBefore) {
+  try {
+    const db = getDatabase();
+    const purge = db.prepare('DELETE FROM rate_limit_queue WHERE updated_at < ?');
+
+    return executeWithRetry(() => {
+      purge.run(staleBefore);
+      return readQueue(db, staleBefore);
+    });
+  } catch (error) {
+    logger.error('Database', 'Failed to get rate limit queue', error);
+    throw new DatabaseError('Failed to get rate limit queue', { error: error.message });
+  }
+}
+
+/**
+ * Read a rate limiter state value
+ * @param {string} key - State key
+ * @returns {*} Parsed value or null
+ */
+export function getRateLimitState(key) {
+  try {
+    const db = getDatabase();
+    return executeWithRetry(() => readState(db, key));
+  } catch (error) {
+    logger.error('Database', 'Failed to get rate limit state', error);
+    throw new DatabaseError('Failed to get rate limit state', { error: error.message, key });
+  }
+}
+
+/**
+ * Write a rate limiter state value
+ * @param {string} key - State key
+ * @param {*} value - JSON-serializable value
+ */
+export function setRateLimitState(key, value) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      INSERT INTO rate_limit_state (key, value) VALUES (?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value
+    `);
+    executeWithRetry(() => stmt.run(key, JSON.stringify(value)));
+  } catch (error) {
+    logger.error('Database', 'Failed to set rate limit state', error);
+    throw new DatabaseError('Failed to set rate limit state', { error: error.message, key });
+  }
+}
+
+export default {
+  getRateLimitUsage,
+  reserveCallCredits,
+  commitCallCredits,
+  releaseCallCredits,
+  pruneCallCredits,
+  upsertQueuedRequest,
+  deleteQueuedRequest,
+  getQueuedRequests,
+  getRateLimitState,
+  setRateLimitState,
+};
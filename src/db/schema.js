@@ -1,5 +1,5 @@
 /**
- * Database schema for DollyBot signals table
+ * Database schema for DollyBot signals, paper account and candle store
  */
 
 export const schema = `
@@ -22,6 +22,19 @@ CREATE TABLE IF NOT EXISTS signals (
   closed_at DATETIME,
   outcome TEXT,
   outcome_detail TEXT,
+  executions TEXT,
+  current_stop_loss REAL,
+  position_size REAL,
+  lots REAL,
+  risk_amount REAL,
+  pnl REAL,
+  broker_order_id TEXT,
+  broker_trade_id TEXT,
+  broker_status TEXT,
+  duplicate_of INTEGER,
+  suppression_reason TEXT,
+  confirmations TEXT,
+  news_flag TEXT,
   UNIQUE(symbol, timeframe, mode, created_at)
 );
 
@@ -31,6 +44,169 @@ CREATE INDEX IF NOT EXISTS idx_timeframe ON signals(timeframe);
 CREATE INDEX IF NOT EXISTS idx_created_at ON signals(created_at);
 CREATE INDEX IF NOT EXISTS idx_closed_at ON signals(closed_at);
 CREATE INDEX IF NOT EXISTS idx_symbol_status ON signals(symbol, status);
+
+CREATE TABLE IF NOT EXISTS signal_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  signal_id INTEGER NOT NULL,
+  type TEXT NOT NULL,
+  from_price REAL,
+  to_price REAL,
+  event_time TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (signal_id) REFERENCES signals(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_signal_events_signal ON signal_events(signal_id);
+
+CREATE TABLE IF NOT EXISTS paper_account (
+  id INTEGER PRIMARY KEY CHECK (id = 1),
+  balance REAL NOT NULL,
+  starting_balance REAL NOT NULL,
+  currency TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS paper_positions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  signal_id INTEGER NOT NULL UNIQUE,
+  symbol TEXT NOT NULL,
+  timeframe TEXT NOT NULL,
+  direction TEXT NOT NULL,
+  status TEXT NOT NULL,
+  entry REAL NOT NULL,
+  stop_loss REAL NOT NULL,
+  units REAL NOT NULL DEFAULT 0,
+  lots REAL NOT NULL DEFAULT 0,
+  risk_amount REAL NOT NULL DEFAULT 0,
+  margin REAL NOT NULL DEFAULT 0,
+  remaining REAL NOT NULL DEFAULT 1,
+  realized_pnl REAL NOT NULL DEFAULT 0,
+  reject_reason TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  opened_at TEXT,
+  closed_at TEXT,
+  FOREIGN KEY (signal_id) REFERENCES signals(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_paper_positions_status ON paper_positions(status);
+
+CREATE TABLE IF NOT EXISTS signal_rejections (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  symbol TEXT NOT NULL,
+  timeframe TEXT NOT NULL,
+  mode TEXT NOT NULL,
+  direction TEXT NOT NULL,
+  entry REAL NOT NULL,
+  stop_loss REAL NOT NULL,
+  confidence REAL,
+  rule TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_signal_rejections_created ON signal_rejections(created_at);
+
+CREATE TABLE IF NOT EXISTS economic_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_time TEXT NOT NULL,
+  currency TEXT NOT NULL,
+  title TEXT NOT NULL,
+  impact TEXT NOT NULL,
+  forecast TEXT,
+  previous TEXT,
+  actual TEXT,
+  source TEXT,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(event_time, currency, title)
+);
+
+CREATE INDEX IF NOT EXISTS idx_economic_events_time ON economic_events(event_time);
+
+CREATE TABLE IF NOT EXISTS candles (
+  symbol TEXT NOT NULL,
+  timeframe TEXT NOT NULL,
+  time TEXT NOT NULL,
+  open REAL NOT NULL,
+  high REAL NOT NULL,
+  low REAL NOT NULL,
+  close REAL NOT NULL,
+  volume REAL NOT NULL DEFAULT 0,
+  PRIMARY KEY (symbol, timeframe, time)
+);
+
+CREATE TABLE IF NOT EXISTS candle_sync (
+  symbol TEXT NOT NULL,
+  timeframe TEXT NOT NULL,
+  last_fetched_at INTEGER NOT NULL,
+  history_limit INTEGER,     -- candles the provider had when it returned less than the requested window
+  PRIMARY KEY (symbol, timeframe)
+);
+
+CREATE TABLE IF NOT EXISTS rate_limit_calls (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  provider TEXT NOT NULL DEFAULT 'twelvedata', -- market data provider whose budget the credit counts toward
+  consumer TEXT NOT NULL,
+  label TEXT,
+  status TEXT NOT NULL DEFAULT 'reserved', -- reserved, committed
+  day TEXT NOT NULL,                       -- UTC date the credit counts toward
+  reserved_at INTEGER NOT NULL,
+  committed_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_calls_day ON rate_limit_calls(day);
+CREATE INDEX IF NOT EXISTS idx_rate_limit_calls_reserved ON rate_limit_calls(reserved_at);
+
+CREATE TABLE IF NOT EXISTS rate_limit_queue (
+  id TEXT PRIMARY KEY,
+  pid INTEGER NOT NULL,
+  provider TEXT NOT NULL DEFAULT 'twelvedata',
+  consumer TEXT NOT NULL,
+  priority INTEGER NOT NULL,
+  timeframe TEXT,
+  label TEXT,
+  deadline INTEGER,
+  enqueued_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS rate_limit_state (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS indicator_state (
+  symbol TEXT NOT NULL,
+  timeframe TEXT NOT NULL,
+  state TEXT NOT NULL,       -- JSON engine state from src/indicators/incremental.js
+  last_time TEXT NOT NULL,   -- last candle applied
+  bars INTEGER NOT NULL,     -- candles applied since the state was built
+  updated_at INTEGER NOT NULL,
+  PRIMARY KEY (symbol, timeframe)
+);
 `;
 
+/**
+ * Columns added after the initial release
+ * Applied to existing databases by initDatabase (CREATE TABLE IF NOT EXISTS does not add columns)
+ */
+export const columnMigrations = [
+  { table: 'signals', column: 'executions', definition: 'TEXT' },
+  { table: 'signals', column: 'current_stop_loss', definition: 'REAL' },
+  { table: 'signals', column: 'position_size', definition: 'REAL' },
+  { table: 'signals', column: 'lots', definition: 'REAL' },
+  { table: 'signals', column: 'risk_amount', definition: 'REAL' },
+  { table: 'signals', column: 'pnl', definition: 'REAL' },
+  { table: 'signals', column: 'broker_order_id', definition: 'TEXT' },
+  { table: 'signals', column: 'broker_trade_id', definition: 'TEXT' },
+  { table: 'signals', column: 'broker_status', definition: 'TEXT' },
+  { table: 'signals', column: 'duplicate_of', definition: 'INTEGER' },
+  { table: 'signals', column: 'suppression_reason', definition: 'TEXT' },
+  { table: 'signals', column: 'confirmations', definition: 'TEXT' },
+  { table: 'signals', column: 'news_flag', definition: 'TEXT' },
+  { table: 'candle_sync', column: 'history_limit', definition: 'INTEGER' },
+  { table: 'rate_limit_calls', column: 'provider', definition: "TEXT NOT NULL DEFAULT 'twelvedata'" },
+  { table: 'rate_limit_queue', column: 'provider', definition: "TEXT NOT NULL DEFAULT 'twelvedata'" },
+];
+
 export default schema;
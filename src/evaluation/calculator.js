@@ -4,11 +4,14 @@
 
 import { logger } from '../utils/logger.js';
 
+// Final statuses counted in performance statistics
+export const CLOSED_STATUSES = ['win', 'loss', 'breakeven', 'timeout'];
+
 /**
  * Calculate R-multiple for a trade
  * @param {Object} signal - Signal object
  * @param {number} hitPrice - Price where TP/SL was hit
- * @param {string} hitType - Type of hit ('tp1', 'tp2', 'tp3', 'sl', 'timeout')
+ * @param {string} hitType - Type of hit ('tp1', 'tp2', 'tp3', 'sl', 'manual', 'timeout')
  * @returns {number} R-multiple (positive for wins, negative for losses, 0 for timeout)
  */
 export function calculateRMultiple(signal, hitPrice, hitType) {
@@ -22,18 +25,13 @@ export function calculateRMultiple(signal, hitPrice, hitType) {
     return 0;
   }
 
-  // Stop loss hit
-  if (hitType === 'sl') {
-    return -1;
-  }
-
   // Timeout (no TP or SL hit)
   if (hitType === 'timeout') {
     return 0;
   }
 
-  // Take profit hit
-  if (hitType.startsWith('tp')) {
+  // Take profit, stop loss or manual close (-1R at the original stop, less once the stop has been moved)
+  if (hitType.startsWith('tp') || hitType === 'sl' || hitType === 'manual') {
     if (direction === 'long') {
       const profit = hitPrice - entry;
       return profit / R;
@@ -48,21 +46,49 @@ export function calculateRMultiple(signal, hitPrice, hitType) {
 }
 
 /**
- * Determine outcome based on hit type and R-multiple
- * @param {string} hitType - Type of hit
+ * Calculate the R-multiple after trading costs
+ * Spread is already reflected in when entry/SL/TP trigger; what remains is stop slippage,
+ * the spread paid on market exits (timeouts) and commission on both sides
+ * @param {Object} signal - Signal object
+ * @param {number} grossR - R-multiple at the nominal price
+ * @param {string} hitType - Type of hit ('tp1', 'tp2', 'tp3', 'sl', 'timeout')
+ * @param {Object} costs - Resolved costs in price units {spread, slippage, commission}
+ * @returns {number} Net R-multiple
+ */
+export function calculateNetRMultiple(signal, grossR, hitType, costs) {
+  const R = Math.abs(signal.entry - signal.stop_loss);
+
+  if (R === 0) {
+    return grossR;
+  }
+
+  let cost = costs.commission * 2;
+
+  if (hitType === 'sl') {
+    cost += costs.slippage;
+  } else if (hitType === 'timeout') {
+    cost += costs.spread / 2;
+  }
+
+  return grossR - cost / R;
+}
+
+/**
+ * Determine outcome based on the final hit type and the (blended) R-multiple
+ * A stop or timeout after partial take profits is still a win when the blended R is positive,
+ * and a stop moved to entry closes at breakeven
+ * @param {string} hitType - Type of the final hit
  * @param {number} rMultiple - R-multiple value
  * @returns {string} Outcome ('win', 'loss', 'timeout', 'breakeven')
  */
 export function determineOutcome(hitType, rMultiple) {
   if (hitType === 'timeout') {
+    if (rMultiple > 0) return 'win';
+    if (rMultiple < 0) return 'loss';
     return 'timeout';
   }
 
-  if (hitType === 'sl') {
-    return 'loss';
-  }
-
-  if (hitType.startsWith('tp')) {
+  if (hitType === 'sl' || hitType === 'manual' || hitType.startsWith('tp')) {
     if (rMultiple > 0) {
       return 'win';
     } else if (rMultiple === 0) {
@@ -92,8 +118,76 @@ export function createOutcomeDetail(hitType, rMultiple, hitPrice, hitTime) {
   };
 }
 
+/**
+ * Sum R-multiples into average R and profit factor
+ * @param {Array<number>} rValues - R-multiple per trade
+ * @returns {Object} {avgR, profitFactor} - profit factor capped at 999 for display
+ */
+function summarizeR(rValues) {
+  let sumR = 0;
+  let sumWinningR = 0;
+  let sumLosingR = 0;
+
+  rValues.forEach(r => {
+    sumR += r;
+
+    if (r > 0) {
+      sumWinningR += r;
+    } else if (r < 0) {
+      sumLosingR += Math.abs(r);
+    }
+  });
+
+  const avgR = rValues.length > 0 ? sumR / rValues.length : 0;
+  const profitFactor = sumLosingR > 0 ? sumWinningR / sumLosingR : (sumWinningR > 0 ? Infinity : 0);
+
+  return {
+    avgR,
+    profitFactor: profitFactor === Infinity ? 999 : profitFactor, // Cap infinity at 999 for display
+  };
+}
+
+/**
+ * Summarize closed signals into performance statistics
+ * Net figures use outcome_detail.rrNet (R after spread, slippage and commission)
+ * @param {Array<Object>} closedSignals - Closed signals (win, loss, breakeven, timeout) with parsed outcome_detail
+ * @returns {Object} {totalTrades, wins, losses, breakevens, timeouts, winrate, avgR, profitFactor, avgNetR, profitFactorNet, totalPnl}
+ */
+export function summarizeOutcomes(closedSignals) {
+  const totalTrades = closedSignals.length;
+  const wins = closedSignals.filter(s => s.outcome === 'win').length;
+  const losses = closedSignals.filter(s => s.outcome === 'loss').length;
+  const breakevens = closedSignals.filter(s => s.outcome === 'breakeven').length;
+  const timeouts = closedSignals.filter(s => s.outcome === 'timeout').length;
+
+  // Calculate win rate (excluding breakevens and timeouts)
+  const decidedTrades = wins + losses;
+  const winrate = decidedTrades > 0 ? wins / decidedTrades : 0;
+
+  // Signals closed before costs were modeled have no rrNet: their net R equals gross R
+  const gross = summarizeR(closedSignals.map(s => s.outcome_detail?.rr ?? 0));
+  const net = summarizeR(closedSignals.map(s => s.outcome_detail?.rrNet ?? s.outcome_detail?.rr ?? 0));
+
+  return {
+    totalTrades,
+    wins,
+    losses,
+    breakevens,
+    timeouts,
+    winrate,
+    avgR: gross.avgR,
+    profitFactor: gross.profitFactor,
+    avgNetR: net.avgR,
+    profitFactorNet: net.profitFactor,
+    // Monetary P&L of sized signals, in account currency
+    totalPnl: Math.round(closedSignals.reduce((sum, s) => sum + (s.pnl || 0), 0) * 100) / 100,
+  };
+}
+
 export default {
   calculateRMultiple,
+  calculateNetRMultiple,
   determineOutcome,
   createOutcomeDetail,
+  summarizeOutcomes,
 };
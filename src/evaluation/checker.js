@@ -2,11 +2,15 @@
  * Entry and exit checking logic
  */
 
-import { fetchCandles } from '../scanner/marketData.js';
-import { updateSignalStatus } from '../db/queries.js';
+import { getCandles, getIntrabarCandles } from '../scanner/candleStore.js';
+import { PRIORITY } from '../scanner/rateLimiter.js';
+import { updateSignalStatus, insertStopEvent, getStopEvents } from '../db/queries.js';
 import { logger } from '../utils/logger.js';
-import { calculateRMultiple, determineOutcome, createOutcomeDetail } from './calculator.js';
-import { notifyTriggered, notifyExpired, notifyOutcome } from '../telegram/index.js';
+import { resolveEntry, resolveExpiry, resolveExit } from './resolver.js';
+import { calculatePnl } from '../portfolio/sizing.js';
+import { openPaperPosition, cancelPaperOrder, applyPaperExecutions } from '../portfolio/account.js';
+import { isBrokerManaged, cancelSignalOrder } from '../execution/index.js';
+import { notifyTriggered, notifyExpired, notifyPartialClose, notifyStopMoved, notifyOutcome } from '../telegram/index.js';
 import config from '../config/index.js';
 
 /**
@@ -25,57 +29,71 @@ export async function checkPendingSignals(pendingSignals) {
   }
 }
 
+/**
+ * Rate limiter request for evaluating an open signal (served before scans, useless after the next cycle)
+ * @returns {Object} {consumer, priority, deadline}
+ */
+function evaluationRequest() {
+  return { consumer: 'evaluation', priority: PRIORITY.evaluation, deadline: Date.now() + config.evaluation.intervalMs };
+}
+
 /**
  * Check single pending signal
  * @param {Object} signal - Signal object
  */
 async function checkPendingSignal(signal) {
-  const { id, symbol, timeframe, entry, direction, created_at } = signal;
+  const { id, symbol, timeframe, entry } = signal;
 
-  // Fetch candles since signal creation
-  const candles = await fetchCandles(symbol, timeframe, 50);
+  // Load candles since signal creation (new bars are synced into the candle store)
+  const candles = await getCandles(symbol, timeframe, 50, evaluationRequest());
 
-  // Find candles after signal creation
-  const candlesAfterCreation = candles.filter(c => new Date(c.time) >= new Date(created_at));
-
-  if (candlesAfterCreation.length === 0) {
-    logger.debug('Checker', `No new candles for signal ID ${id}`);
-    return;
-  }
+  // The broker fill, not the candles, opens signals with a live order, but they still expire
+  const result = isBrokerManaged(signal) ? resolveExpiry(signal, candles) : resolveEntry(signal, candles);
 
-  // Check if entry was hit
-  const entryHit = candlesAfterCreation.some(candle => {
-    return candle.low <= entry && entry <= candle.high;
-  });
-
-  if (entryHit) {
+  if (result.status === 'triggered') {
     // Entry was hit - mark as triggered
-    const triggered_at = candlesAfterCreation.find(c => c.low <= entry && entry <= c.high).time;
+    const { triggered_at } = result;
 
     updateSignalStatus(id, 'triggered', { triggered_at });
-    logger.info('Checker', `✓ Signal ID ${id} triggered at ${entry}`);
+    logger.info('Checker', `✓ Signal ID ${id} triggered at ${entry}${result.gap_fill !== undefined ? ` (market reopened at ${result.gap_fill})` : ''}`);
+
+    if (config.paper.enabled) {
+      openPaperPosition({ ...signal, triggered_at });
+    }
 
     await notifyTriggered({ ...signal, triggered_at });
     return;
   }
 
-  // Check if signal expired (too many candles without entry hit)
-  const candlesSinceCreation = candles.filter(c => new Date(c.time) > new Date(created_at)).length;
+  if (result.status === 'expired') {
+    const closedAt = new Date().toISOString();
+
+    updateSignalStatus(id, 'expired', { closed_at: closedAt });
+    logger.info('Checker', `⚪ Signal ID ${id} expired (${result.candlesSinceCreation} trading candles without entry hit)`);
+
+    if (config.paper.enabled) {
+      cancelPaperOrder(signal, closedAt);
+    }
 
-  if (candlesSinceCreation >= config.evaluation.expirationCandles) {
-    updateSignalStatus(id, 'expired', { closed_at: new Date().toISOString() });
-    logger.info('Checker', `⚪ Signal ID ${id} expired (${candlesSinceCreation} candles without entry hit)`);
+    if (config.execution.enabled) {
+      await cancelSignalOrder(signal);
+    }
 
     await notifyExpired(signal);
+    return;
+  }
+
+  if (result.candlesSinceCreation === 0) {
+    logger.debug('Checker', `No new candles for signal ID ${id}`);
   }
 }
 
 /**
- * Check if TP/SL was hit for triggered signals
- * @param {Array<Object>} triggeredSignals - Array of triggered signals
+ * Check if TP/SL was hit for open signals (triggered or partially closed)
+ * @param {Array<Object>} triggeredSignals - Array of open signals
  */
 export async function checkTriggeredSignals(triggeredSignals) {
-  logger.info('Checker', `Checking ${triggeredSignals.length} triggered signals for TP/SL hits`);
+  logger.info('Checker', `Checking ${triggeredSignals.length} open signals for TP/SL hits`);
 
   for (const signal of triggeredSignals) {
     try {
@@ -87,92 +105,150 @@ export async function checkTriggeredSignals(triggeredSignals) {
 }
 
 /**
- * Check single triggered signal
- * @param {Object} signal - Signal object
+ * Check single open signal
+ * @param {Object} signal - Signal object (executions holds the legs already recorded)
  */
 async function checkTriggeredSignal(signal) {
-  const { id, symbol, timeframe, entry, stop_loss, take_profits, direction, triggered_at } = signal;
+  const { id, symbol, timeframe } = signal;
 
-  // Fetch candles since trigger
-  const candles = await fetchCandles(symbol, timeframe, 150);
+  // The attached SL/TP at the broker close signals with a live trade
+  if (isBrokerManaged(signal)) {
+    logger.debug('Checker', `Signal ID ${id} is managed by broker trade ${signal.broker_trade_id}`);
+    return;
+  }
 
-  // Find candles after trigger
-  const candlesAfterTrigger = candles.filter(c => new Date(c.time) > new Date(triggered_at));
+  // Load candles since trigger (new bars are synced into the candle store)
+  const candles = await getCandles(symbol, timeframe, 150, evaluationRequest());
 
-  if (candlesAfterTrigger.length === 0) {
-    logger.debug('Checker', `No new candles after trigger for signal ID ${id}`);
+  const result = await resolveExit(signal, candles, {
+    loadIntrabar: candle => loadIntrabar(symbol, timeframe, candle),
+  });
+
+  await recordStopEvents(signal, result);
+
+  if (result.status === 'triggered') {
+    if (result.candlesSinceTrigger === 0) {
+      logger.debug('Checker', `No new candles after trigger for signal ID ${id}`);
+    }
     return;
   }
 
-  // Check each candle for TP/SL hit (in chronological order)
-  for (const candle of candlesAfterTrigger) {
-    // Check SL first (priority)
-    const slHit = direction === 'long'
-      ? candle.low <= stop_loss
-      : candle.high >= stop_loss;
-
-    if (slHit) {
-      // Stop loss hit
-      const rMultiple = calculateRMultiple(signal, stop_loss, 'sl');
-      const outcome = determineOutcome('sl', rMultiple);
-      const outcome_detail = createOutcomeDetail('sl', rMultiple, stop_loss, candle.time);
-
-      updateSignalStatus(id, outcome, {
-        closed_at: candle.time,
-        outcome,
-        outcome_detail,
-      });
-
-      logger.info('Checker', `❌ Signal ID ${id} hit SL at ${stop_loss} (R: ${rMultiple.toFixed(2)})`);
-      await notifyOutcome({ ...signal, outcome, outcome_detail });
-      return;
+  // The position is replayed from the trigger each cycle: only legs beyond the stored ones are new
+  const newExecutions = result.executions.slice(signal.executions.length);
+
+  if (result.status === 'partially_closed') {
+    if (newExecutions.length === 0) return;
+
+    updateSignalStatus(id, 'partially_closed', { executions: result.executions });
+
+    if (config.paper.enabled) {
+      applyPaperExecutions(signal, newExecutions);
     }
 
-    // Check TPs
-    for (let i = 0; i < take_profits.length; i++) {
-      const tp = take_profits[i];
-      const tpHit = direction === 'long'
-        ? candle.high >= tp
-        : candle.low <= tp;
-
-      if (tpHit) {
-        // Take profit hit
-        const hitType = `tp${i + 1}`;
-        const rMultiple = calculateRMultiple(signal, tp, hitType);
-        const outcome = determineOutcome(hitType, rMultiple);
-        const outcome_detail = createOutcomeDetail(hitType, rMultiple, tp, candle.time);
-
-        updateSignalStatus(id, outcome, {
-          closed_at: candle.time,
-          outcome,
-          outcome_detail,
-        });
-
-        logger.info('Checker', `✅ Signal ID ${id} hit ${hitType.toUpperCase()} at ${tp} (R: ${rMultiple.toFixed(2)})`);
-        await notifyOutcome({ ...signal, outcome, outcome_detail });
-        return;
-      }
+    const closedFraction = result.executions.reduce((sum, leg) => sum + leg.fraction, 0);
+    for (const leg of newExecutions) {
+      logger.info('Checker', `🟡 Signal ID ${id} hit ${leg.type.toUpperCase()} at ${leg.price}, closed ${Math.round(leg.fraction * 100)}% (R: ${leg.r.toFixed(2)})`);
+      await notifyPartialClose(signal, leg, Math.max(0, 1 - closedFraction));
     }
+    return;
   }
 
-  // Check for timeout (no TP/SL hit after many candles)
-  const candlesSinceTrigger = candlesAfterTrigger.length;
+  const { outcome, outcome_detail, closed_at, executions } = result;
+  const pnl = calculatePnl(signal, outcome_detail);
 
-  if (candlesSinceTrigger >= config.evaluation.timeoutCandles) {
-    // Get current price for outcome detail
-    const currentPrice = candlesAfterTrigger[candlesAfterTrigger.length - 1].close;
-    const rMultiple = calculateRMultiple(signal, currentPrice, 'timeout');
-    const outcome = 'timeout';
-    const outcome_detail = createOutcomeDetail('timeout', rMultiple, currentPrice, candlesAfterTrigger[candlesAfterTrigger.length - 1].time);
+  updateSignalStatus(id, outcome, {
+    closed_at,
+    outcome,
+    outcome_detail,
+    executions,
+    pnl,
+  });
 
-    updateSignalStatus(id, outcome, {
-      closed_at: candlesAfterTrigger[candlesAfterTrigger.length - 1].time,
-      outcome,
-      outcome_detail,
-    });
+  if (config.paper.enabled) {
+    applyPaperExecutions(signal, newExecutions);
+  }
+
+  // Announce scale-out legs filled in the same cycle that closed the position
+  for (const leg of newExecutions.slice(0, -1)) {
+    logger.info('Checker', `🟡 Signal ID ${id} hit ${leg.type.toUpperCase()} at ${leg.price}, closed ${Math.round(leg.fraction * 100)}% (R: ${leg.r.toFixed(2)})`);
+  }
+
+  if (outcome_detail.hit === 'sl') {
+    logger.info('Checker', `${{ win: '✅', breakeven: '⚪' }[outcome] || '❌'} Signal ID ${id} hit SL at ${outcome_detail.hitPrice} (R: ${outcome_detail.rr.toFixed(2)})`);
+  } else if (outcome_detail.hit === 'timeout') {
+    logger.info('Checker', `⏱️ Signal ID ${id} timed out (${result.candlesSinceTrigger} candles without TP/SL hit)`);
+  } else {
+    logger.info('Checker', `✅ Signal ID ${id} hit ${outcome_detail.hit.toUpperCase()} at ${outcome_detail.hitPrice} (R: ${outcome_detail.rr.toFixed(2)})`);
+  }
+
+  await notifyOutcome({ ...signal, outcome, outcome_detail, pnl });
+}
+
+/**
+ * Persist and announce stop adjustments not recorded yet
+ * The resolver replays stop moves each cycle over a sliding candle window, so the replayed events can start
+ * later or differ from the stored ones. An event is new if no stored event has its time and level, it is
+ * not older than the last stored one and it tightens the last recorded stop
+ * @param {Object} signal - Signal object
+ * @param {Object} result - Result of resolveExit {stopEvents, currentStop}
+ */
+async function recordStopEvents(signal, result) {
+  const { id } = signal;
+  const stored = getStopEvents(id);
+  const recorded = new Set(stored.map(event => `${event.event_time}|${event.to_price}`));
+  const tightens = (level, stop) => (signal.direction === 'long' ? level > stop : level < stop);
+
+  let stop = signal.current_stop_loss ?? signal.stop_loss;
+  let lastTime = stored.length > 0 ? stored[stored.length - 1].event_time : null;
+  const newEvents = [];
+
+  for (const event of result.stopEvents) {
+    if (recorded.has(`${event.time}|${event.to}`) || (lastTime && event.time < lastTime) || !tightens(event.to, stop)) {
+      continue;
+    }
 
-    logger.info('Checker', `⏱️ Signal ID ${id} timed out (${candlesSinceTrigger} candles without TP/SL hit)`);
-    await notifyOutcome({ ...signal, outcome, outcome_detail });
+    newEvents.push(event);
+    stop = event.to;
+    lastTime = event.time;
+  }
+
+  if (newEvents.length === 0) {
+    return;
+  }
+
+  for (const event of newEvents) {
+    insertStopEvent(id, event);
+    logger.info('Checker', `🛡️ Signal ID ${id} stop moved (${event.type}) from ${event.from} to ${event.to}`);
+    await notifyStopMoved(signal, event);
+  }
+
+  updateSignalStatus(id, signal.status, { current_stop_loss: stop });
+}
+
+/**
+ * Load lower-timeframe candles for an ambiguous bar
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Signal timeframe
+ * @param {Object} candle - Ambiguous bar
+ * @returns {Promise<Object|null>} {timeframe, candles} or null if no drill-down is configured/available
+ */
+async function loadIntrabar(symbol, timeframe, candle) {
+  const lowerTimeframe = config.evaluation.intrabarTimeframes[timeframe];
+
+  if (!lowerTimeframe) {
+    return null;
+  }
+
+  try {
+    // Bounded like the evaluation itself, so one ambiguous bar cannot hold up the cycle
+    const candles = await getIntrabarCandles(symbol, timeframe, lowerTimeframe, candle.time, {
+      deadline: evaluationRequest().deadline,
+    });
+    logger.debug('Checker', `Drilled into ${symbol} ${timeframe} bar ${candle.time}: ${candles.length} ${lowerTimeframe} candles`);
+    return { timeframe: lowerTimeframe, candles };
+  } catch (error) {
+    logger.warn('Checker', `Intrabar drill-down failed for ${symbol} ${timeframe} ${candle.time}: ${error.message}`);
+    return null;
   }
 }
 
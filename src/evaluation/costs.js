@@ -0,0 +1,112 @@
+/**
+ * Trading cost model (spread, stop slippage, commission)
+ * Candles are mid prices: longs buy at the ask and sell at the bid, shorts the opposite
+ */
+
+import config from '../config/index.js';
+import { getLatestATR } from '../indicators/atr.js';
+
+// No costs configured
+const ZERO_COSTS = { spread: 0, slippage: 0, commission: 0 };
+
+/**
+ * Parse a cost specification
+ * Examples: "0.0002" (price units), "0.05atr" (fraction of ATR), "0.1%" (percent of price)
+ * @param {string} spec - Cost specification
+ * @returns {Object|null} {value, unit: 'price'|'atr'|'percent'} or null if invalid
+ */
+export function parseCostSpec(spec) {
+  if (spec === undefined || spec === null || spec === '') {
+    return null;
+  }
+
+  const match = String(spec).trim().match(/^([0-9]*\.?[0-9]+)\s*(atr|%)?$/i);
+  if (!match) {
+    return null;
+  }
+
+  const unit = !match[2] ? 'price' : match[2] === '%' ? 'percent' : 'atr';
+  return { value: parseFloat(match[1]), unit };
+}
+
+/**
+ * Get the configured cost specifications for a symbol ('*' entries apply to every symbol)
+ * @param {string} symbol - Trading symbol
+ * @returns {Object} {spread, slippage, commission} cost specifications (null when not configured)
+ */
+export function getCostModel(symbol) {
+  const { spread, slippage, commission } = config.costs;
+  const lookup = map => parseCostSpec(map[symbol] ?? map['*']);
+
+  return {
+    spread: lookup(spread),
+    slippage: lookup(slippage),
+    commission: lookup(commission),
+  };
+}
+
+/**
+ * Convert a cost specification to price units
+ * @param {Object|null} spec - Parsed cost specification
+ * @param {number} price - Reference price
+ * @param {number|null} atr - Reference ATR
+ * @returns {number} Cost in price units
+ */
+function toPrice(spec, price, atr) {
+  if (!spec) return 0;
+  if (spec.unit === 'percent') return price * spec.value / 100;
+  if (spec.unit === 'atr') return atr ? atr * spec.value : 0;
+  return spec.value;
+}
+
+/**
+ * Resolve a signal's costs in price units
+ * ATR-relative costs use the ATR at the reference bar so repeated evaluations agree
+ * @param {Object} signal - Signal {symbol, entry}
+ * @param {Array<Object>} candles - Candles available to the evaluation
+ * @param {string} referenceTime - Bar the costs are measured at (creation or trigger time)
+ * @returns {Object} {spread, slippage, commission} in price units (commission per side)
+ */
+export function resolveCosts(signal, candles, referenceTime) {
+  const model = getCostModel(signal.symbol);
+
+  if (!model.spread && !model.slippage && !model.commission) {
+    return ZERO_COSTS;
+  }
+
+  const history = candles.filter(c => new Date(c.time) <= new Date(referenceTime));
+  const atr = getLatestATR(history.length > 14 ? history : candles);
+
+  return {
+    spread: toPrice(model.spread, signal.entry, atr),
+    slippage: toPrice(model.slippage, signal.entry, atr),
+    commission: toPrice(model.commission, signal.entry, atr),
+  };
+}
+
+/**
+ * Shift a mid-price candle to the side of the book an order executes against
+ * @param {Object} candle - Mid-price candle
+ * @param {Object} costs - Resolved costs
+ * @param {string} direction - Trade direction
+ * @param {boolean} opening - True for the entry order, false for exits
+ * @returns {Object} Candle of ask prices (buying) or bid prices (selling)
+ */
+export function toQuoteCandle(candle, costs, direction, opening) {
+  if (!costs.spread) {
+    return candle;
+  }
+
+  const buying = (direction === 'long') === opening;
+  const shift = buying ? costs.spread / 2 : -costs.spread / 2;
+
+  return {
+    ...candle,
+    open: candle.open + shift,
+    high: candle.high + shift,
+    low: candle.low + shift,
+    close: candle.close + shift,
+  };
+}
+
+export default { parseCostSpec, getCostModel, resolveCosts, toQuoteCandle };
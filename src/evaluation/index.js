@@ -5,8 +5,10 @@
 import config from '../config/index.js';
 import { logger } from '../utils/logger.js';
 import { initDatabase } from '../db/index.js';
-import { getPendingSignals, getTriggeredSignals } from '../db/queries.js';
+import { getPendingSignals, getOpenSignals } from '../db/queries.js';
 import { checkPendingSignals, checkTriggeredSignals } from './checker.js';
+import { syncBrokerOrders } from '../execution/index.js';
+import { flagOpenSignals } from '../news/index.js';
 
 /**
  * Initialize evaluation engine
@@ -31,6 +33,9 @@ async function evaluate() {
   try {
     logger.debug('Evaluation', 'Starting evaluation cycle');
 
+    // Record broker fills and closes before the candle-based checks
+    await syncBrokerOrders();
+
     // Check pending signals (entry hits / expirations)
     const pendingSignals = getPendingSignals();
     if (pendingSignals.length > 0) {
@@ -39,14 +44,17 @@ async function evaluate() {
       logger.debug('Evaluation', 'No pending signals to check');
     }
 
-    // Check triggered signals (TP/SL hits / timeouts)
-    const triggeredSignals = getTriggeredSignals();
-    if (triggeredSignals.length > 0) {
-      await checkTriggeredSignals(triggeredSignals);
+    // Check open signals (TP/SL hits / timeouts), including partially closed ones
+    const openSignals = getOpenSignals();
+    if (openSignals.length > 0) {
+      await checkTriggeredSignals(openSignals);
     } else {
-      logger.debug('Evaluation', 'No triggered signals to check');
+      logger.debug('Evaluation', 'No open signals to check');
     }
 
+    // Warn about signals still active inside a news blackout
+    await flagOpenSignals();
+
     logger.debug('Evaluation', 'Evaluation cycle complete');
   } catch (error) {
     logger.error('Evaluation', 'Evaluation cycle failed', error);
@@ -0,0 +1,407 @@
+/**
+ * Pure signal resolution rules (entry, TP/SL, expiry and timeout)
+ * Shared by the live evaluator and the backtesting engine
+ */
+
+import config from '../config/index.js';
+import { calculateRMultiple, calculateNetRMultiple, determineOutcome, createOutcomeDetail } from './calculator.js';
+import { createStopAdjuster } from './stops.js';
+import { resolveCosts, toQuoteCandle } from './costs.js';
+import { isTradingBar, isGapBar } from '../scanner/marketCalendar.js';
+
+/**
+ * Resolve a pending signal against candles
+ * The entry triggers when the ask (longs) or bid (shorts) reaches it, or when the market reopens
+ * after a closure (weekend, holiday, daily break) on the other side of it: the order would have
+ * filled at the gap open, but R is still measured from the signal entry.
+ * Bars outside trading hours do not count toward expiration
+ * @param {Object} signal - Pending signal {symbol, timeframe, direction, entry, created_at}
+ * @param {Array<Object>} candles - Candles covering the period since signal creation
+ * @returns {Object} {status: 'pending'|'triggered'|'expired', triggered_at?, gap_fill?, expired_at?, candlesSinceCreation?}
+ */
+export function resolveEntry(signal, candles) {
+  const { symbol, timeframe, entry, created_at, direction } = signal;
+  const costs = resolveCosts(signal, candles, created_at);
+
+  // Find candles after signal creation
+  const createdIndex = candles.findIndex(c => new Date(c.time) >= new Date(created_at));
+
+  if (createdIndex === -1) {
+    return { status: 'pending', candlesSinceCreation: 0 };
+  }
+
+  // Last trading bar before creation, to detect gaps across a closure
+  let previous = candles.slice(0, createdIndex).reverse().find(c => isTradingBar(symbol, c, timeframe)) || null;
+
+  for (const candle of candles.slice(createdIndex)) {
+    if (!isTradingBar(symbol, candle, timeframe)) continue;
+
+    // Check if entry was hit
+    const quote = toQuoteCandle(candle, costs, direction, true);
+    if (quote.low <= entry && entry <= quote.high) {
+      return { status: 'triggered', triggered_at: candle.time };
+    }
+
+    // Check if the market reopened through the entry
+    if (isGapBar(symbol, previous, candle, timeframe) &&
+        (toQuoteCandle(previous, costs, direction, true).close - entry) * (quote.open - entry) <= 0) {
+      return { status: 'triggered', triggered_at: candle.time, gap_fill: quote.open };
+    }
+
+    previous = candle;
+  }
+
+  // Check if signal expired (too many trading candles without entry hit)
+  return resolveExpiry(signal, candles);
+}
+
+/**
+ * Check whether a pending signal has expired, without looking at its entry
+ * Broker-managed signals expire this way: a touched entry does not open them until the broker fills
+ * @param {Object} signal - Pending signal {symbol, timeframe, created_at}
+ * @param {Array<Object>} candles - Candles covering the period since signal creation
+ * @returns {Object} {status: 'pending'|'expired', expired_at?, candlesSinceCreation}
+ */
+export function resolveExpiry(signal, candles) {
+  const { symbol, timeframe, created_at } = signal;
+  const tradingCandles = candles.filter(c =>
+    new Date(c.time) > new Date(created_at) && isTradingBar(symbol, c, timeframe)
+  );
+  const candlesSinceCreation = tradingCandles.length;
+
+  const { expirationCandles } = config.evaluation;
+
+  if (candlesSinceCreation >= expirationCandles) {
+    const expiryCandle = tradingCandles[Math.max(0, expirationCandles - 1)];
+    return { status: 'expired', expired_at: expiryCandle?.time ?? null, candlesSinceCreation };
+  }
+
+  return { status: 'pending', candlesSinceCreation };
+}
+
+/**
+ * Get the scale-out fractions for a signal's take profits
+ * The configured plan is truncated to the number of TPs and the last TP closes whatever remains
+ * Example: plan [0.5, 0.3, 0.2] with 2 TPs → [0.5, 0.5]
+ * @param {string} mode - Trading mode
+ * @param {number} tpCount - Number of take profits on the signal
+ * @returns {Array<number>} Fraction of the position closed at each TP
+ */
+export function getScaleOutPlan(mode, tpCount) {
+  const plan = config.trading[mode]?.scaleOut || [1];
+  const fractions = Array.from({ length: tpCount }, (_, i) => plan[i] || 0);
+  const allocated = fractions.slice(0, -1).reduce((sum, f) => sum + f, 0);
+
+  fractions[tpCount - 1] = Math.max(0, Math.round((1 - allocated) * 1000) / 1000);
+
+  return fractions;
+}
+
+/**
+ * Create the open position state replayed from the trigger bar
+ * @param {Object} signal - Triggered signal
+ * @param {Object} costs - Resolved trading costs in price units
+ * @returns {Object} Position state
+ */
+function openPosition(signal, costs) {
+  return {
+    costs,
+    remaining: 1,
+    nextTp: 0,
+    plan: getScaleOutPlan(signal.mode, signal.take_profits.length),
+    stop: signal.stop_loss,
+    breakevenDone: false,
+    executions: [],
+    stopEvents: [],
+    assumed: false,
+    intrabarTimeframe: null,
+  };
+}
+
+/**
+ * Check a single candle for SL/TP touches relevant to the open position
+ * @param {Object} signal - Signal {take_profits, direction}
+ * @param {Object} position - Position state (holds the current, possibly moved, stop, and costs)
+ * @param {Object} mid - OHLC candle (exits are checked against the bid for longs, the ask for shorts)
+ * @returns {Object|null} {slHit, tpIndexes, ambiguous} or null if nothing was touched
+ */
+function checkExitTouches(signal, position, mid) {
+  const { take_profits, direction } = signal;
+  const candle = toQuoteCandle(mid, position.costs, direction, false);
+
+  const slHit = direction === 'long'
+    ? candle.low <= position.stop
+    : candle.high >= position.stop;
+
+  const tpIndexes = [];
+  for (let i = position.nextTp; i < take_profits.length; i++) {
+    const tpHit = direction === 'long'
+      ? candle.high >= take_profits[i]
+      : candle.low <= take_profits[i];
+
+    if (tpHit) tpIndexes.push(i);
+  }
+
+  if (!slHit && tpIndexes.length === 0) {
+    return null;
+  }
+
+  // SL and TP inside one candle: order is unknown
+  return { slHit, tpIndexes, ambiguous: slHit && tpIndexes.length > 0 };
+}
+
+/**
+ * Record an execution leg closing part of the position
+ * @param {Object} signal - Signal object
+ * @param {Object} position - Position state (mutated)
+ * @param {string} type - Leg type ('tp1', 'tp2', 'tp3', 'sl', 'timeout')
+ * @param {number} price - Fill price
+ * @param {number} fraction - Fraction of the original position closed
+ * @param {string} time - Candle time of the signal's timeframe
+ * @param {string} intrabarTime - Lower-timeframe candle time (optional)
+ */
+function executeLeg(signal, position, type, price, fraction, time, intrabarTime = null) {
+  const r = calculateRMultiple(signal, price, type);
+  const rNet = calculateNetRMultiple(signal, r, type, position.costs);
+
+  position.executions.push({
+    type,
+    price,
+    fraction: Math.round(fraction * 1000) / 1000,
+    r: Math.round(r * 100) / 100,
+    rNet: Math.round(rNet * 100) / 100,
+    time,
+    ...(intrabarTime && { intrabarTime }),
+  });
+
+  position.remaining = Math.max(0, position.remaining - fraction);
+}
+
+/**
+ * Apply the touches found in a candle to the position
+ * SL is applied first whenever both were touched (pessimistic assumption)
+ * @param {Object} signal - Signal object
+ * @param {Object} position - Position state (mutated)
+ * @param {Object} touches - Result of checkExitTouches
+ * @param {string} time - Candle time of the signal's timeframe
+ * @param {string} intrabarTime - Lower-timeframe candle time (optional)
+ */
+function applyTouches(signal, position, touches, time, intrabarTime = null) {
+  if (touches.slHit) {
+    executeLeg(signal, position, 'sl', position.stop, position.remaining, time, intrabarTime);
+    return;
+  }
+
+  for (const index of touches.tpIndexes) {
+    const fraction = Math.min(position.plan[index], position.remaining);
+
+    if (fraction > 0) {
+      executeLeg(signal, position, `tp${index + 1}`, signal.take_profits[index], fraction, time, intrabarTime);
+    }
+
+    position.nextTp = index + 1;
+  }
+}
+
+/**
+ * Check if the position has been fully closed
+ * @param {Object} position - Position state
+ * @returns {boolean} True if nothing remains open
+ */
+function isFlat(position) {
+  return position.remaining <= 1e-9;
+}
+
+/**
+ * Replay a bar on its lower-timeframe candles to find the true order of touches
+ * @param {Object} signal - Signal object
+ * @param {Object} position - Position state (mutated)
+ * @param {Array<Object>} lowerCandles - Lower-timeframe candles inside the bar
+ * @param {string} time - Time of the bar being replayed
+ * @param {boolean} afterEntry - Only consider touches after the entry fill (entry bar)
+ * @returns {boolean|null} True if any exit touch was found inside the bar, null if no lower candle
+ *   reached the entry (sparse data), so the order of the entry bar's touches is still unknown
+ */
+function replayIntrabar(signal, position, lowerCandles, time, afterEntry) {
+  let filled = !afterEntry;
+  let touched = false;
+
+  for (const candle of lowerCandles) {
+    if (isFlat(position)) break;
+
+    if (!filled) {
+      const quote = toQuoteCandle(candle, position.costs, signal.direction, true);
+
+      if (quote.low <= signal.entry && signal.entry <= quote.high) {
+        filled = true;
+
+        // Fill and SL inside one lower candle: still ambiguous, assume SL
+        const touches = checkExitTouches(signal, position, candle);
+        if (touches?.slHit) {
+          position.assumed = true;
+          applyTouches(signal, position, { slHit: true, tpIndexes: [] }, time, candle.time);
+          touched = true;
+        }
+      }
+      continue;
+    }
+
+    const touches = checkExitTouches(signal, position, candle);
+    if (touches) {
+      if (touches.ambiguous) position.assumed = true;
+      applyTouches(signal, position, touches, time, candle.time);
+      touched = true;
+    }
+  }
+
+  return filled ? touched : null;
+}
+
+/**
+ * Resolve a triggered (or partially closed) signal against candles
+ * The position is replayed from the entry bar: each TP closes its scale-out fraction,
+ * the SL closes whatever remains and is moved by the mode's breakeven/trailing rules.
+ * Bars where the order of entry/SL/TP touches is unknown are drilled down into
+ * lower-timeframe candles via options.loadIntrabar when available
+ * @param {Object} signal - Triggered signal {mode, entry, stop_loss, take_profits, direction, triggered_at}
+ * @param {Array<Object>} candles - Candles covering the period since trigger (including the entry bar and
+ *   any history before it, which trailing stops use for ATR/swings)
+ * @param {Object} options - {loadIntrabar: async (candle) => {timeframe, candles}|null}
+ * @returns {Promise<Object>} {status, executions, stopEvents, currentStop, outcome?, outcome_detail?, closed_at?, candlesSinceTrigger}
+ */
+export async function resolveExit(signal, candles, options = {}) {
+  const { triggered_at } = signal;
+  const { loadIntrabar } = options;
+  const position = openPosition(signal, resolveCosts(signal, candles, triggered_at));
+  const adjustStop = createStopAdjuster(signal, candles);
+
+  // Find candles after trigger (only bars in trading hours count toward the timeout)
+  const candlesAfterTrigger = candles.filter(c => new Date(c.time) > new Date(triggered_at));
+  const tradingCandles = candlesAfterTrigger.filter(c => isTradingBar(signal.symbol, c, signal.timeframe));
+  const candlesSinceTrigger = tradingCandles.length;
+
+  // The entry bar itself: exits after the fill can only be ordered with lower-timeframe data
+  const entryIndex = candles.findIndex(c => c.time === triggered_at);
+  const entryCandle = candles[entryIndex];
+
+  const entryTouches = entryCandle ? checkExitTouches(signal, position, entryCandle) : null;
+
+  if (entryTouches) {
+    const intrabar = loadIntrabar ? await loadIntrabar(entryCandle) : null;
+    const replayed = intrabar && intrabar.candles.length > 0
+      ? replayIntrabar(signal, position, intrabar.candles, entryCandle.time, true)
+      : null;
+
+    if (replayed !== null) {
+      position.intrabarTimeframe = intrabar.timeframe;
+    } else {
+      // Without lower-timeframe data showing the fill, the stop is assumed hit after it (stop first,
+      // like any ambiguous bar); a take profit touched on the entry bar is not counted
+      position.assumed = true;
+
+      if (entryTouches.slHit) {
+        applyTouches(signal, position, { slHit: true, tpIndexes: [] }, entryCandle.time);
+      }
+    }
+  }
+
+  if (entryCandle && !isFlat(position)) {
+    position.stopEvents.push(...adjustStop(position, entryIndex));
+  }
+
+  // Check each candle for TP/SL hit (in chronological order)
+  for (const candle of candlesAfterTrigger) {
+    if (isFlat(position)) break;
+
+    await processBar(signal, position, candle, loadIntrabar);
+
+    // Stop moves take effect from the next bar
+    if (!isFlat(position)) {
+      position.stopEvents.push(...adjustStop(position, candles.indexOf(candle)));
+    }
+  }
+
+  // Check for timeout (position still open after many candles)
+  if (!isFlat(position) && candlesSinceTrigger >= config.evaluation.timeoutCandles) {
+    const lastCandle = tradingCandles[tradingCandles.length - 1];
+    executeLeg(signal, position, 'timeout', lastCandle.close, position.remaining, lastCandle.time);
+  }
+
+  if (!isFlat(position)) {
+    return {
+      status: position.executions.length > 0 ? 'partially_closed' : 'triggered',
+      executions: position.executions,
+      stopEvents: position.stopEvents,
+      currentStop: position.stop,
+      candlesSinceTrigger,
+    };
+  }
+
+  return closeSignal(position, candlesSinceTrigger);
+}
+
+/**
+ * Apply the SL/TP touches of one bar to the position
+ * @param {Object} signal - Signal object
+ * @param {Object} position - Position state (mutated)
+ * @param {Object} candle - Bar of the signal's timeframe
+ * @param {Function} loadIntrabar - Optional lower-timeframe loader for ambiguous bars
+ */
+async function processBar(signal, position, candle, loadIntrabar) {
+  const touches = checkExitTouches(signal, position, candle);
+
+  if (!touches) return;
+
+  if (touches.ambiguous) {
+    const intrabar = loadIntrabar ? await loadIntrabar(candle) : null;
+
+    if (intrabar && intrabar.candles.length > 0) {
+      const replayed = { ...position, executions: [...position.executions] };
+
+      if (replayIntrabar(signal, replayed, intrabar.candles, candle.time, false)) {
+        Object.assign(position, replayed, { intrabarTimeframe: intrabar.timeframe });
+        return;
+      }
+    }
+
+    position.assumed = true;
+  }
+
+  applyTouches(signal, position, touches, candle.time);
+}
+
+/**
+ * Build the closed result for a fully closed position
+ * @param {Object} position - Position state
+ * @param {number} candlesSinceTrigger - Candles evaluated since trigger
+ * @returns {Object} Closed result with blended R-multiple
+ */
+function closeSignal(position, candlesSinceTrigger) {
+  const { executions } = position;
+  const lastLeg = executions[executions.length - 1];
+
+  // Blended R: each leg weighted by the fraction of the position it closed
+  const blendedR = executions.reduce((sum, leg) => sum + leg.fraction * leg.r, 0);
+  const blendedNetR = executions.reduce((sum, leg) => sum + leg.fraction * leg.rNet, 0);
+  const outcome = determineOutcome(lastLeg.type, blendedR);
+
+  return {
+    status: outcome,
+    outcome,
+    outcome_detail: {
+      ...createOutcomeDetail(lastLeg.type, blendedR, lastLeg.price, lastLeg.time),
+      rrNet: Math.round(blendedNetR * 100) / 100,
+      costs: position.costs,
+      executions,
+      resolution: position.assumed ? 'assumed' : 'precise',
+      ...(position.intrabarTimeframe && { intrabarTimeframe: position.intrabarTimeframe }),
+    },
+    executions,
+    stopEvents: position.stopEvents,
+    currentStop: position.stop,
+    closed_at: lastLeg.time,
+    candlesSinceTrigger,
+  };
+}
+
+export default { getScaleOutPlan, resolveEntry, resolveExpiry, resolveExit };
@@ -0,0 +1,107 @@
+/**
+ * Stop management rules (breakeven and trailing stops)
+ * Shared by the live evaluator and the backtesting engine through the resolver
+ */
+
+import config from '../config/index.js';
+import { calculateATR } from '../indicators/atr.js';
+import { findSwingHighs, findSwingLows } from '../indicators/swings.js';
+
+// Ignore trailing adjustments smaller than this fraction of 1R (avoids an update every bar)
+const MIN_TRAIL_STEP_R = 0.1;
+
+/**
+ * Get the stop management rules for a mode
+ * @param {string} mode - Trading mode
+ * @returns {Object} {breakeven: 'none'|'tp1'|'1r', trailing: 'none'|'atr'|'swing', atrPeriod, atrMultiplier, swingBars}
+ */
+export function getStopRules(mode) {
+  return config.trading[mode]?.stopManagement || { breakeven: 'none', trailing: 'none' };
+}
+
+/**
+ * Create a stop adjuster for a signal
+ * Stops are only ever tightened and move at the close of the bar that satisfied the rule,
+ * so the new level applies from the next bar on
+ * @param {Object} signal - Signal {mode, direction, entry, stop_loss}
+ * @param {Array<Object>} candles - Candles the adjuster will be called with (including history before the trigger)
+ * @returns {Function} (position, index) => Array of stop events {type, from, to, time}
+ */
+export function createStopAdjuster(signal, candles) {
+  const rules = getStopRules(signal.mode);
+  const { direction, entry, stop_loss } = signal;
+  const isLong = direction === 'long';
+  const risk = Math.abs(entry - stop_loss);
+
+  const atrValues = rules.trailing === 'atr' ? calculateATR(candles, rules.atrPeriod) : null;
+  const swings = rules.trailing === 'swing'
+    ? (isLong ? findSwingLows(candles, rules.swingBars, rules.swingBars) : findSwingHighs(candles, rules.swingBars, rules.swingBars))
+    : null;
+
+  const isTighter = (level, stop) => (isLong ? level > stop : level < stop);
+
+  /**
+   * Breakeven rule: TP1 filled, or price moved 1R in favour
+   */
+  function breakevenReached(position, candle) {
+    if (rules.breakeven === 'tp1') {
+      return position.nextTp > 0;
+    }
+
+    if (rules.breakeven === '1r') {
+      return isLong ? candle.high >= entry + risk : candle.low <= entry - risk;
+    }
+
+    return false;
+  }
+
+  /**
+   * Trailing rule: starts once TP1 has been filled
+   */
+  function trailingLevel(position, candle, index) {
+    if (position.nextTp === 0) {
+      return null;
+    }
+
+    if (atrValues) {
+      const atr = atrValues[index];
+      if (!atr || isNaN(atr)) return null;
+      return isLong ? candle.close - atr * rules.atrMultiplier : candle.close + atr * rules.atrMultiplier;
+    }
+
+    if (swings) {
+      // A swing is only confirmed swingBars candles after it formed
+      const confirmed = swings.filter(s => s.index + rules.swingBars <= index);
+      const latest = confirmed[confirmed.length - 1];
+      if (!latest) return null;
+      return isTighter(candle.close, latest.price) ? latest.price : null;
+    }
+
+    return null;
+  }
+
+  return function adjustStop(position, index) {
+    const candle = candles[index];
+    const events = [];
+
+    if (!position.breakevenDone && breakevenReached(position, candle)) {
+      position.breakevenDone = true;
+
+      if (isTighter(entry, position.stop)) {
+        events.push({ type: 'breakeven', from: position.stop, to: entry, time: candle.time });
+        position.stop = entry;
+      }
+    }
+
+    const level = trailingLevel(position, candle, index);
+
+    if (level !== null && isTighter(level, position.stop) && Math.abs(level - position.stop) >= risk * MIN_TRAIL_STEP_R) {
+      events.push({ type: 'trailing', from: position.stop, to: level, time: candle.time });
+      position.stop = level;
+    }
+
+    return events;
+  };
+}
+
+export default { getStopRules, createStopAdjuster };
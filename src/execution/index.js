@@ -0,0 +1,293 @@
+/**
+ * Broker execution bridge
+ * Places opted-in signals as limit orders with attached SL/TP on an OANDA practice account,
+ * syncs fills and closes back into the signal and cancels orders of expired signals.
+ * The broker closes the whole position at the attached SL or TP1, so scale-out and stop
+ * management are not mirrored: while a broker order or trade is live, its state wins over
+ * the candle-based resolver.
+ */
+
+import config from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { toCandleTime, getLastBarClose } from '../utils/timeframes.js';
+import { updateSignalStatus, updateSignalBroker, getBrokerSignals } from '../db/queries.js';
+import { calculateRMultiple, determineOutcome, createOutcomeDetail } from '../evaluation/calculator.js';
+import { getContractSpec } from '../portfolio/sizing.js';
+import { openPaperPosition, applyPaperExecutions } from '../portfolio/account.js';
+import { getBarAlignment } from '../scanner/providers/index.js';
+import { formatInstrument } from '../scanner/providers/oanda.js';
+import { notifyTriggered, notifyOutcome } from '../telegram/index.js';
+import { placeLimitOrder, getOrder, cancelOrder, getTrade, getTransaction } from './oandaClient.js';
+
+// Broker states in which the broker, not the resolver, drives the signal
+const LIVE_BROKER_STATUSES = ['pending', 'open'];
+
+// Hit type per OANDA close reason; any other reason (market close, margin closeout, ...) is a manual close
+const CLOSE_REASON_HITS = {
+  STOP_LOSS_ORDER: 'sl',
+  TAKE_PROFIT_ORDER: 'tp1',
+};
+
+/**
+ * Check whether a signal is opted in for execution
+ * @param {Object} signal - Signal with symbol and mode
+ * @returns {boolean} True if the bridge is enabled for the signal's symbol and mode
+ */
+export function isExecutionEnabled(signal) {
+  const { enabled, symbols, modes } = config.execution;
+  return enabled && symbols.includes(signal.symbol) && modes.includes(signal.mode);
+}
+
+/**
+ * Check whether a live broker order or trade drives a signal
+ * @param {Object} signal - Signal with broker_order_id and broker_status
+ * @returns {boolean} True if the resolver should leave the signal to the broker sync
+ */
+export function isBrokerManaged(signal) {
+  return Boolean(signal.broker_order_id) && LIVE_BROKER_STATUSES.includes(signal.broker_status);
+}
+
+/**
+ * Format a price to the precision OANDA accepts for the instrument (one digit beyond the pip)
+ * @param {string} symbol - Trading symbol
+ * @param {number} price - Price
+ * @returns {string} Formatted price
+ */
+function formatOrderPrice(symbol, price) {
+  const decimals = Math.max(0, Math.round(-Math.log10(getContractSpec(symbol).pipSize)) + 1);
+  return price.toFixed(decimals);
+}
+
+/**
+ * Build the limit order for a signal
+ * @param {Object} signal - Signal {id, symbol, mode, direction, entry, stop_loss, take_profits, position_size}
+ * @returns {Object} Order for placeLimitOrder
+ */
+function buildOrder(signal) {
+  const units = Math.round(signal.position_size || 0);
+
+  return {
+    instrument: formatInstrument(signal.symbol),
+    units: signal.direction === 'short' ? -units : units,
+    price: formatOrderPrice(signal.symbol, signal.entry),
+    stopLoss: formatOrderPrice(signal.symbol, signal.stop_loss),
+    takeProfit: formatOrderPrice(signal.symbol, signal.take_profits[0]),
+    clientId: `dollybot-${signal.id}`,
+    tag: signal.mode,
+  };
+}
+
+/**
+ * Place the broker order for a new signal (or log it in dry-run mode)
+ * @param {Object} signal - Inserted signal with id and sizing
+ * @returns {Promise<Object|null>} {orderId?, dryRun?} or null if the signal is not sent
+ */
+export async function submitSignalOrder(signal) {
+  if (!isExecutionEnabled(signal)) {
+    return null;
+  }
+
+  const order = buildOrder(signal);
+  const description = `${order.instrument} ${order.units} @ ${order.price} (SL ${order.stopLoss}, TP ${order.takeProfit})`;
+
+  if (order.units === 0) {
+    logger.warn('Execution', `Signal ID ${signal.id} has no position size, not sending ${order.instrument} order`);
+    return null;
+  }
+
+  if (config.execution.dryRun) {
+    logger.info('Execution', `[dry-run] Would place limit order for signal ID ${signal.id}: ${description}`);
+    updateSignalBroker(signal.id, { broker_status: 'dry_run' });
+    return { dryRun: true, order };
+  }
+
+  const result = await placeLimitOrder(order);
+
+  if (result.cancelled) {
+    logger.warn('Execution', `Broker cancelled order ${result.orderId} for signal ID ${signal.id}: ${result.reason}`);
+    updateSignalBroker(signal.id, { broker_order_id: result.orderId, broker_status: 'rejected' });
+    return result;
+  }
+
+  // Fills (including immediate ones) are picked up by the next sync
+  updateSignalBroker(signal.id, { broker_order_id: result.orderId, broker_status: 'pending' });
+  logger.info('Execution', `Placed order ${result.orderId} for signal ID ${signal.id}: ${description}`);
+
+  return result;
+}
+
+/**
+ * Cancel the broker order of an expired signal
+ * @param {Object} signal - Signal with broker_order_id and broker_status
+ */
+export async function cancelSignalOrder(signal) {
+  if (signal.broker_status === 'dry_run') {
+    logger.info('Execution', `[dry-run] Would cancel order for signal ID ${signal.id}`);
+    return;
+  }
+
+  if (!signal.broker_order_id || signal.broker_status !== 'pending') {
+    return;
+  }
+
+  try {
+    await cancelOrder(signal.broker_order_id);
+    updateSignalBroker(signal.id, { broker_status: 'cancelled' });
+    logger.info('Execution', `Cancelled order ${signal.broker_order_id} for signal ID ${signal.id}`);
+  } catch (error) {
+    // Most likely filled in the meantime: the next sync records the trade
+    logger.error('Execution', `Failed to cancel order ${signal.broker_order_id} for signal ID ${signal.id}`, error);
+  }
+}
+
+/**
+ * Time of the signal bar containing a broker timestamp
+ * Bars follow the symbol's provider alignment (e.g. OANDA 4h and daily bars open at 17:00 New York time)
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Signal timeframe
+ * @param {string} time - RFC3339 broker time
+ * @returns {string} Candle time
+ */
+function toBarTime(symbol, timeframe, time) {
+  return toCandleTime(getLastBarClose(timeframe, new Date(time).getTime(), getBarAlignment(symbol)));
+}
+
+/**
+ * Record the fill of a pending broker order
+ * @param {Object} signal - Signal with a pending broker order
+ */
+async function syncOrder(signal) {
+  const order = await getOrder(signal.broker_order_id);
+
+  if (order.state === 'CANCELLED') {
+    updateSignalBroker(signal.id, { broker_status: 'cancelled' });
+    logger.warn('Execution', `Order ${order.id} for signal ID ${signal.id} was cancelled at the broker`);
+    return;
+  }
+
+  if (order.state !== 'FILLED') {
+    return;
+  }
+
+  updateSignalBroker(signal.id, { broker_trade_id: order.tradeOpenedID, broker_status: 'open' });
+  logger.info('Execution', `Order ${order.id} for signal ID ${signal.id} filled (trade ${order.tradeOpenedID})`);
+
+  if (signal.status !== 'pending') {
+    logger.warn('Execution', `Signal ID ${signal.id} is ${signal.status} but its broker order filled`);
+    return;
+  }
+
+  const triggered_at = toBarTime(signal.symbol, signal.timeframe, order.filledTime);
+  updateSignalStatus(signal.id, 'triggered', { triggered_at });
+
+  if (config.paper.enabled) {
+    openPaperPosition({ ...signal, triggered_at });
+  }
+
+  await notifyTriggered({ ...signal, triggered_at });
+}
+
+/**
+ * Get the reason a broker trade was closed from its closing transaction
+ * Falls back to the state of the attached orders when the trade lists no closing transaction
+ * @param {Object} trade - Closed OANDA trade
+ * @returns {Promise<string>} OANDA close reason, e.g. 'STOP_LOSS_ORDER'
+ */
+async function getCloseReason(trade) {
+  const transactionId = trade.closingTransactionIDs?.at(-1);
+
+  if (transactionId) {
+    const transaction = await getTransaction(transactionId);
+    return transaction.reason;
+  }
+
+  if (trade.stopLossOrder?.state === 'FILLED') return 'STOP_LOSS_ORDER';
+  if (trade.takeProfitOrder?.state === 'FILLED') return 'TAKE_PROFIT_ORDER';
+  return 'UNKNOWN';
+}
+
+/**
+ * Record the close of an open broker trade
+ * A close by the attached stop counts as SL and by the attached take profit as TP1; anything else
+ * (manual close, margin closeout) is booked as a manual close with the R of the actual close price
+ * @param {Object} signal - Signal with an open broker trade
+ */
+async function syncTrade(signal) {
+  const trade = await getTrade(signal.broker_trade_id);
+
+  if (trade.state !== 'CLOSED') {
+    return;
+  }
+
+  updateSignalBroker(signal.id, { broker_status: 'closed' });
+
+  if (!['triggered', 'partially_closed'].includes(signal.status)) {
+    logger.warn('Execution', `Broker trade ${trade.id} closed but signal ID ${signal.id} is ${signal.status}`);
+    return;
+  }
+
+  const reason = await getCloseReason(trade);
+  const hit = CLOSE_REASON_HITS[reason] || 'manual';
+  const price = parseFloat(trade.averageClosePrice);
+  // Signal times are bar times (the resolver and the charts key on them), the broker's own time is kept in the detail
+  const closed_at = toBarTime(signal.symbol, signal.timeframe, trade.closeTime);
+  const r = calculateRMultiple(signal, price, hit);
+  const pnl = Math.round(parseFloat(trade.realizedPL) * 100) / 100;
+
+  // Broker fills already include the spread, so the net R is the fill-to-fill R
+  const executions = [{ type: hit, price, fraction: 1, r, rNet: r, time: closed_at }];
+  const outcome = determineOutcome(hit, r);
+  const outcome_detail = {
+    ...createOutcomeDetail(hit, r, price, closed_at),
+    rrNet: Math.round(r * 100) / 100,
+    executions,
+    resolution: 'broker',
+    broker: { tradeId: trade.id, closeReason: reason, realizedPL: pnl, closeTime: toCandleTime(trade.closeTime) },
+  };
+
+  updateSignalStatus(signal.id, outcome, { closed_at, outcome, outcome_detail, executions, pnl });
+  logger.info('Execution', `Broker trade ${trade.id} for signal ID ${signal.id} closed at ${price} (${hit.toUpperCase()}, R: ${r.toFixed(2)}, P&L: ${pnl})`);
+
+  if (config.paper.enabled) {
+    applyPaperExecutions(signal, executions);
+  }
+
+  await notifyOutcome({ ...signal, outcome, outcome_detail, pnl });
+}
+
+/**
+ * Sync fills and closes of live broker orders and trades into their signals
+ */
+export async function syncBrokerOrders() {
+  if (!config.execution.enabled || config.execution.dryRun) {
+    return;
+  }
+
+  const signals = getBrokerSignals();
+
+  if (signals.length === 0) {
+    return;
+  }
+
+  logger.info('Execution', `Syncing ${signals.length} broker orders/trades`);
+
+  for (const signal of signals) {
+    try {
+      if (signal.broker_status === 'pending') {
+        await syncOrder(signal);
+      } else {
+        await syncTrade(signal);
+      }
+    } catch (error) {
+      logger.error('Execution', `Failed to sync broker state of signal ID ${signal.id}`, error);
+    }
+  }
+}
+
+export default {
+  isExecutionEnabled,
+  isBrokerManaged,
+  submitSignalOrder,
+  cancelSignalOrder,
+  syncBrokerOrders,
+};
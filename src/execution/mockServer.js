@@ -0,0 +1,273 @@
+/**
+ * Local mock of the OANDA v20 account endpoints used by the execution bridge
+ * Orders and trades live in memory; prices are pushed with POST /mock/prices,
+ * which fills limit orders and closes trades at their attached SL/TP.
+ * PUT /trades/:tradeId/close closes a trade at the last price, like a manual close.
+ *
+ * Usage: npm run mock:oanda, then set OANDA_EXECUTION_URL=http://localhost:4010
+ */
+
+import express from 'express';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Create the mock server app with empty state
+ * @returns {Object} Express app (app.locals.state holds orders, trades and prices)
+ */
+export function createMockOanda() {
+  const app = express();
+  const state = { nextId: 1, orders: new Map(), trades: new Map(), transactions: new Map(), prices: {} };
+  app.locals.state = state;
+
+  app.use(express.json());
+
+  // Every account endpoint requires a bearer token, like the real API
+  app.use('/v3', (req, res, next) => {
+    if (!/^Bearer \S+/.test(req.get('Authorization') || '')) {
+      return res.status(401).json({ errorMessage: 'Insufficient authorization to perform request.' });
+    }
+    next();
+  });
+
+  const nextId = () => String(state.nextId++);
+  const now = () => new Date().toISOString();
+
+  /**
+   * Open a trade from a limit order at the given price
+   */
+  function fillOrder(order, price) {
+    const trade = {
+      id: nextId(),
+      instrument: order.instrument,
+      price: String(price),
+      openTime: now(),
+      initialUnits: order.units,
+      currentUnits: order.units,
+      state: 'OPEN',
+      realizedPL: '0.0000',
+      stopLossOrder: { id: nextId(), type: 'STOP_LOSS', price: order.stopLossOnFill.price, state: 'PENDING' },
+      takeProfitOrder: { id: nextId(), type: 'TAKE_PROFIT', price: order.takeProfitOnFill.price, state: 'PENDING' },
+    };
+
+    Object.assign(order, { state: 'FILLED', filledTime: trade.openTime, tradeOpenedID: trade.id });
+    state.trades.set(trade.id, trade);
+    logger.info('MockOanda', `Order ${order.id} filled at ${price}, trade ${trade.id} opened`);
+
+    return trade;
+  }
+
+  /**
+   * Close a trade at the given price, by its stop loss or take profit order or by a market order (closingOrder null)
+   * The closing fill is recorded as a transaction whose reason names what closed the trade
+   */
+  function closeTrade(trade, price, closingOrder) {
+    const units = parseFloat(trade.initialUnits);
+    const pl = (price - parseFloat(trade.price)) * units;
+    const fill = {
+      id: nextId(),
+      type: 'ORDER_FILL',
+      orderID: closingOrder?.id,
+      instrument: trade.instrument,
+      price: String(price),
+      reason: closingOrder ? `${closingOrder.type}_ORDER` : 'MARKET_ORDER_TRADE_CLOSE',
+      tradesClosed: [{ tradeID: trade.id, units: String(-units), realizedPL: pl.toFixed(4) }],
+    };
+
+    if (closingOrder) {
+      closingOrder.state = 'FILLED';
+    }
+
+    // The other attached order is cancelled with the trade
+    for (const order of [trade.stopLossOrder, trade.takeProfitOrder]) {
+      if (order.state === 'PENDING') order.state = 'CANCELLED';
+    }
+
+    Object.assign(trade, {
+      state: 'CLOSED',
+      currentUnits: '0',
+      averageClosePrice: String(price),
+      closeTime: now(),
+      realizedPL: pl.toFixed(4),
+      closingTransactionIDs: [fill.id],
+    });
+    state.transactions.set(fill.id, { ...fill, time: trade.closeTime });
+
+    logger.info('MockOanda', `Trade ${trade.id} closed by ${fill.reason} at ${price} (P&L ${trade.realizedPL})`);
+
+    return fill;
+  }
+
+  /**
+   * Apply a new price: fill touched limit orders, then close trades at touched SL/TP
+   */
+  function applyPrice(instrument, price) {
+    state.prices[instrument] = price;
+
+    for (const order of state.orders.values()) {
+      if (order.instrument !== instrument || order.state !== 'PENDING') continue;
+
+      const long = parseFloat(order.units) > 0;
+      const limit = parseFloat(order.price);
+
+      if (long ? price <= limit : price >= limit) {
+        fillOrder(order, limit);
+      }
+    }
+
+    for (const trade of state.trades.values()) {
+      if (trade.instrument !== instrument || trade.state !== 'OPEN') continue;
+
+      const long = parseFloat(trade.initialUnits) > 0;
+      const stop = parseFloat(trade.stopLossOrder.price);
+      const target = parseFloat(trade.takeProfitOrder.price);
+
+      if (long ? price <= stop : price >= stop) {
+        closeTrade(trade, stop, trade.stopLossOrder);
+      } else if (long ? price >= target : price <= target) {
+        closeTrade(trade, target, trade.takeProfitOrder);
+      }
+    }
+  }
+
+  // POST /v3/accounts/:accountId/orders - create a limit order
+  app.post('/v3/accounts/:accountId/orders', (req, res) => {
+    const order = req.body.order;
+
+    if (!order || order.type !== 'LIMIT' || !order.instrument || !order.units || !order.price) {
+      return res.status(400).json({ errorCode: 'INVALID_ORDER', errorMessage: 'Only LIMIT orders with instrument, units and price are supported' });
+    }
+
+    if (!order.stopLossOnFill?.price || !order.takeProfitOnFill?.price) {
+      return res.status(400).json({ errorCode: 'INVALID_ORDER', errorMessage: 'stopLossOnFill and takeProfitOnFill are required' });
+    }
+
+    const created = {
+      ...order,
+      id: nextId(),
+      accountID: req.params.accountId,
+      createTime: now(),
+      state: 'PENDING',
+    };
+
+    state.orders.set(created.id, created);
+    logger.info('MockOanda', `Order ${created.id} created: ${created.instrument} ${created.units} @ ${created.price}`);
+
+    const body = {
+      orderCreateTransaction: { id: created.id, type: 'LIMIT_ORDER', ...order },
+      lastTransactionID: created.id,
+    };
+
+    // A limit order at a marketable price fills immediately
+    const price = state.prices[created.instrument];
+    if (price !== undefined) {
+      applyPrice(created.instrument, price);
+      if (created.state === 'FILLED') {
+        body.orderFillTransaction = { id: nextId(), type: 'ORDER_FILL', orderID: created.id, tradeOpened: { tradeID: created.tradeOpenedID } };
+      }
+    }
+
+    res.status(201).json(body);
+  });
+
+  // GET /v3/accounts/:accountId/orders/:orderId
+  app.get('/v3/accounts/:accountId/orders/:orderId', (req, res) => {
+    const order = state.orders.get(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({ errorCode: 'ORDER_DOESNT_EXIST', errorMessage: 'The order specified does not exist' });
+    }
+
+    res.json({ order, lastTransactionID: String(state.nextId - 1) });
+  });
+
+  // PUT /v3/accounts/:accountId/orders/:orderId/cancel
+  app.put('/v3/accounts/:accountId/orders/:orderId/cancel', (req, res) => {
+    const order = state.orders.get(req.params.orderId);
+
+    if (!order || order.state !== 'PENDING') {
+      return res.status(404).json({ errorCode: 'ORDER_DOESNT_EXIST', errorMessage: 'The order specified does not exist or is not pending' });
+    }
+
+    Object.assign(order, { state: 'CANCELLED', cancelledTime: now() });
+    logger.info('MockOanda', `Order ${order.id} cancelled`);
+
+    res.json({
+      orderCancelTransaction: { id: nextId(), type: 'ORDER_CANCEL', orderID: order.id, reason: 'CLIENT_REQUEST' },
+    });
+  });
+
+  // GET /v3/accounts/:accountId/trades/:tradeId
+  app.get('/v3/accounts/:accountId/trades/:tradeId', (req, res) => {
+    const trade = state.trades.get(req.params.tradeId);
+
+    if (!trade) {
+      return res.status(404).json({ errorCode: 'NO_SUCH_TRADE', errorMessage: 'The trade specified does not exist' });
+    }
+
+    res.json({ trade, lastTransactionID: String(state.nextId - 1) });
+  });
+
+  // PUT /v3/accounts/:accountId/trades/:tradeId/close - close a trade at the last price
+  app.put('/v3/accounts/:accountId/trades/:tradeId/close', (req, res) => {
+    const trade = state.trades.get(req.params.tradeId);
+
+    if (!trade || trade.state !== 'OPEN') {
+      return res.status(404).json({ errorCode: 'NO_SUCH_TRADE', errorMessage: 'The trade specified does not exist or is not open' });
+    }
+
+    const price = state.prices[trade.instrument];
+
+    if (price === undefined) {
+      return res.status(400).json({ errorCode: 'MARKET_HALTED', errorMessage: 'No price for the instrument' });
+    }
+
+    res.json({ orderFillTransaction: closeTrade(trade, price, null) });
+  });
+
+  // GET /v3/accounts/:accountId/transactions/:transactionId
+  app.get('/v3/accounts/:accountId/transactions/:transactionId', (req, res) => {
+    const transaction = state.transactions.get(req.params.transactionId);
+
+    if (!transaction) {
+      return res.status(404).json({ errorCode: 'NO_SUCH_TRANSACTION', errorMessage: 'The transaction specified does not exist' });
+    }
+
+    res.json({ transaction, lastTransactionID: String(state.nextId - 1) });
+  });
+
+  // POST /mock/prices {instrument, price} - move the market
+  app.post('/mock/prices', (req, res) => {
+    const { instrument, price } = req.body;
+
+    if (!instrument || typeof price !== 'number') {
+      return res.status(400).json({ error: 'instrument and numeric price are required' });
+    }
+
+    applyPrice(instrument, price);
+    res.json({ instrument, price });
+  });
+
+  // GET /mock/state - inspect orders and trades
+  app.get('/mock/state', (req, res) => {
+    res.json({
+      prices: state.prices,
+      orders: [...state.orders.values()],
+      trades: [...state.trades.values()],
+    });
+  });
+
+  return app;
+}
+
+// Run if this is the main module
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+
+if (isMainModule) {
+  const port = parseInt(process.env.MOCK_OANDA_PORT || '4010', 10);
+
+  createMockOanda().listen(port, () => {
+    logger.info('MockOanda', `=== Mock OANDA API listening on port ${port} ===`);
+  });
+}
+
+export default { createMockOanda };
@@ -0,0 +1,133 @@
+/**
+ * OANDA v20 REST client for order execution
+ * Covers the handful of account endpoints the execution bridge needs:
+ * limit orders with attached SL/TP, order cancellation and order/trade state
+ */
+
+import axios from 'axios';
+import config from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { ExecutionError } from '../utils/errors.js';
+
+/**
+ * Send a request to the account endpoints
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /v3/accounts/{accountId}
+ * @param {Object} data - Request body
+ * @returns {Promise<Object>} Response body
+ */
+async function request(method, path, data) {
+  const { baseUrl, apiKey, accountId } = config.execution.oanda;
+
+  logger.debug('Execution', `OANDA ${method.toUpperCase()} ${path}`);
+
+  try {
+    const response = await axios({
+      method,
+      url: `${baseUrl}/v3/accounts/${accountId}${path}`,
+      data,
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+        'Accept-Datetime-Format': 'RFC3339',
+      },
+      timeout: 10000,
+    });
+
+    return response.data;
+  } catch (error) {
+    const body = error.response?.data || {};
+
+    throw new ExecutionError(body.errorMessage || error.message, {
+      status: error.response?.status,
+      errorCode: body.errorCode,
+      path,
+    });
+  }
+}
+
+/**
+ * Place a limit order with stop loss and take profit attached on fill
+ * @param {Object} order - {instrument, units (negative for short), price, stopLoss, takeProfit, clientId, tag}
+ *   Prices must already be formatted to the instrument's precision
+ * @returns {Promise<Object>} {orderId, filled, cancelled, reason?}
+ */
+export async function placeLimitOrder(order) {
+  const body = await request('post', '/orders', {
+    order: {
+      type: 'LIMIT',
+      instrument: order.instrument,
+      units: String(order.units),
+      price: order.price,
+      timeInForce: 'GTC',
+      positionFill: 'DEFAULT',
+      stopLossOnFill: { price: order.stopLoss, timeInForce: 'GTC' },
+      takeProfitOnFill: { price: order.takeProfit, timeInForce: 'GTC' },
+      clientExtensions: { id: order.clientId, tag: order.tag },
+    },
+  });
+
+  const created = body.orderCreateTransaction;
+
+  if (!created) {
+    throw new ExecutionError('Order was not created', {
+      reason: body.orderRejectTransaction?.rejectReason,
+      instrument: order.instrument,
+    });
+  }
+
+  return {
+    orderId: created.id,
+    filled: Boolean(body.orderFillTransaction),
+    cancelled: Boolean(body.orderCancelTransaction),
+    reason: body.orderCancelTransaction?.reason,
+  };
+}
+
+/**
+ * Get an order
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} OANDA order {id, state ('PENDING'|'FILLED'|'TRIGGERED'|'CANCELLED'), tradeOpenedID, filledTime, ...}
+ */
+export async function getOrder(orderId) {
+  const body = await request('get', `/orders/${orderId}`);
+  return body.order;
+}
+
+/**
+ * Cancel a pending order
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} Cancel transaction
+ */
+export async function cancelOrder(orderId) {
+  const body = await request('put', `/orders/${orderId}/cancel`);
+  return body.orderCancelTransaction;
+}
+
+/**
+ * Get a trade
+ * @param {string} tradeId - Trade ID
+ * @returns {Promise<Object>} OANDA trade {id, state ('OPEN'|'CLOSED'), price, openTime, averageClosePrice, closeTime, realizedPL, closingTransactionIDs, takeProfitOrder, stopLossOrder, ...}
+ */
+export async function getTrade(tradeId) {
+  const body = await request('get', `/trades/${tradeId}`);
+  return body.trade;
+}
+
+/**
+ * Get a transaction
+ * @param {string} transactionId - Transaction ID
+ * @returns {Promise<Object>} OANDA transaction {id, type, reason ('STOP_LOSS_ORDER'|'TAKE_PROFIT_ORDER'|'MARKET_ORDER_TRADE_CLOSE'|...), price, ...}
+ */
+export async function getTransaction(transactionId) {
+  const body = await request('get', `/transactions/${transactionId}`);
+  return body.transaction;
+}
+
+export default {
+  placeLimitOrder,
+  getOrder,
+  cancelOrder,
+  getTrade,
+  getTransaction,
+};
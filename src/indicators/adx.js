@@ -0,0 +1,100 @@
+/**
+ * Average Directional Index (ADX) and Directional Movement Index (+DI/-DI) calculation
+ * Uses Wilder's smoothing
+ */
+
+/**
+ * Calculate ADX, +DI and -DI
+ * @param {Array<Object>} candles - Array of OHLC candles {high, low, close}
+ * @param {number} period - Smoothing period (default: 14)
+ * @returns {Object} {adx, plusDI, minusDI} - Arrays (same length as input, with NaN for insufficient data).
+ *   DI values are available from candle `period`, ADX from candle `2 * period - 1`
+ */
+export function calculateADX(candles, period = 14) {
+  const length = candles ? candles.length : 0;
+  const result = {
+    adx: new Array(length).fill(NaN),
+    plusDI: new Array(length).fill(NaN),
+    minusDI: new Array(length).fill(NaN),
+  };
+
+  if (period <= 0 || length < 2 * period) {
+    return result;
+  }
+
+  // True range and directional movement per candle (from the second candle)
+  const tr = [];
+  const plusDM = [];
+  const minusDM = [];
+
+  for (let i = 1; i < length; i++) {
+    const { high, low } = candles[i];
+    const prev = candles[i - 1];
+    const up = high - prev.high;
+    const down = prev.low - low;
+
+    tr.push(Math.max(high - low, Math.abs(high - prev.close), Math.abs(low - prev.close)));
+    plusDM.push(up > down && up > 0 ? up : 0);
+    minusDM.push(down > up && down > 0 ? down : 0);
+  }
+
+  // Wilder's smoothing starts from the sum of the first period values
+  let smoothedTR = 0;
+  let smoothedPlus = 0;
+  let smoothedMinus = 0;
+
+  for (let i = 0; i < period; i++) {
+    smoothedTR += tr[i];
+    smoothedPlus += plusDM[i];
+    smoothedMinus += minusDM[i];
+  }
+
+  const dx = [];
+
+  for (let i = period - 1; i < tr.length; i++) {
+    if (i >= period) {
+      smoothedTR = smoothedTR - smoothedTR / period + tr[i];
+      smoothedPlus = smoothedPlus - smoothedPlus / period + plusDM[i];
+      smoothedMinus = smoothedMinus - smoothedMinus / period + minusDM[i];
+    }
+
+    const plusDI = smoothedTR === 0 ? 0 : (smoothedPlus / smoothedTR) * 100;
+    const minusDI = smoothedTR === 0 ? 0 : (smoothedMinus / smoothedTR) * 100;
+    const sum = plusDI + minusDI;
+
+    // Candle index is one ahead of the TR/DM index
+    result.plusDI[i + 1] = plusDI;
+    result.minusDI[i + 1] = minusDI;
+    dx.push(sum === 0 ? 0 : (Math.abs(plusDI - minusDI) / sum) * 100);
+  }
+
+  // ADX: average of the first period DX values, then Wilder-smoothed
+  let adx = dx.slice(0, period).reduce((total, value) => total + value, 0) / period;
+  result.adx[2 * period - 1] = adx;
+
+  for (let j = period; j < dx.length; j++) {
+    adx = (adx * (period - 1) + dx[j]) / period;
+    result.adx[j + period] = adx;
+  }
+
+  return result;
+}
+
+/**
+ * Get the latest ADX values from candles
+ * @param {Array<Object>} candles - Array of OHLC candles
+ * @param {number} period - Smoothing period (default: 14)
+ * @returns {Object|null} {adx, plusDI, minusDI} or null if insufficient data
+ */
+export function getLatestADX(candles, period = 14) {
+  const { adx, plusDI, minusDI } = calculateADX(candles, period);
+  const last = adx.length - 1;
+
+  if (last < 0 || isNaN(adx[last])) {
+    return null;
+  }
+
+  return { adx: adx[last], plusDI: plusDI[last], minusDI: minusDI[last] };
+}
+
+export default { calculateADX, getLatestADX };
@@ -0,0 +1,68 @@
+/**
+ * Bollinger Bands calculation
+ */
+
+/**
+ * Calculate Bollinger Bands
+ * @param {Array<number>} prices - Array of prices (close prices)
+ * @param {number} period - SMA period (default: 20)
+ * @param {number} stdDev - Band width in standard deviations (default: 2)
+ * @returns {Object} {middle, upper, lower, bandwidth, percentB} - Arrays (same length as input, with NaN for
+ *   insufficient data). bandwidth is (upper - lower) / middle, percentB is the close's position in the bands
+ *   (0 = lower, 1 = upper)
+ */
+export function calculateBollingerBands(prices, period = 20, stdDev = 2) {
+  const length = prices ? prices.length : 0;
+  const bands = {
+    middle: new Array(length).fill(NaN),
+    upper: new Array(length).fill(NaN),
+    lower: new Array(length).fill(NaN),
+    bandwidth: new Array(length).fill(NaN),
+    percentB: new Array(length).fill(NaN),
+  };
+
+  if (period <= 0 || period > length) {
+    return bands;
+  }
+
+  for (let i = period - 1; i < length; i++) {
+    const window = prices.slice(i - period + 1, i + 1);
+    const mean = window.reduce((sum, price) => sum + price, 0) / period;
+    const variance = window.reduce((sum, price) => sum + (price - mean) ** 2, 0) / period;
+    const deviation = Math.sqrt(variance) * stdDev;
+
+    bands.middle[i] = mean;
+    bands.upper[i] = mean + deviation;
+    bands.lower[i] = mean - deviation;
+    bands.bandwidth[i] = mean !== 0 ? (2 * deviation) / mean : NaN;
+    bands.percentB[i] = deviation !== 0 ? (prices[i] - bands.lower[i]) / (2 * deviation) : 0.5;
+  }
+
+  return bands;
+}
+
+/**
+ * Get the latest Bollinger Band values from price array
+ * @param {Array<number>} prices - Array of prices
+ * @param {number} period - SMA period (default: 20)
+ * @param {number} stdDev - Band width in standard deviations (default: 2)
+ * @returns {Object|null} {middle, upper, lower, bandwidth, percentB} or null if insufficient data
+ */
+export function getLatestBollingerBands(prices, period = 20, stdDev = 2) {
+  const bands = calculateBollingerBands(prices, period, stdDev);
+  const last = bands.middle.length - 1;
+
+  if (last < 0 || isNaN(bands.middle[last])) {
+    return null;
+  }
+
+  return {
+    middle: bands.middle[last],
+    upper: bands.upper[last],
+    lower: bands.lower[last],
+    bandwidth: bands.bandwidth[last],
+    percentB: bands.percentB[last],
+  };
+}
+
+export default { calculateBollingerBands, getLatestBollingerBands };
@@ -0,0 +1,119 @@
+/**
+ * Price/oscillator divergence detection over swing points
+ */
+
+/**
+ * Compare consecutive swing points with an oscillator
+ * Lows: lower low in price with a higher oscillator low is a regular bullish divergence, a higher low
+ * with a lower oscillator low a hidden bullish one. Highs mirror this for bearish divergences.
+ * @param {Array<Object>} swings - Swing points {price, time, index} of one kind, oldest first
+ * @param {string} kind - 'low' or 'high'
+ * @param {Array<number>} oscillator - Oscillator series (same length as the candles)
+ * @param {Object} options - {minBars, maxBars, scale}
+ * @returns {Array<Object>} Divergences (see analyzeDivergences)
+ */
+function compareSwings(swings, kind, oscillator, options) {
+  const { minBars, maxBars, scale } = options;
+  const direction = kind === 'low' ? 'bullish' : 'bearish';
+  const divergences = [];
+
+  for (let i = 1; i < swings.length; i++) {
+    const from = swings[i - 1];
+    const to = swings[i];
+    const bars = to.index - from.index;
+    const fromValue = oscillator[from.index];
+    const toValue = oscillator[to.index];
+
+    if (bars < minBars || bars > maxBars || isNaN(fromValue) || isNaN(toValue)) continue;
+
+    const priceDelta = to.price - from.price;
+    const valueDelta = toValue - fromValue;
+    if (priceDelta === 0 || valueDelta === 0 || Math.sign(priceDelta) === Math.sign(valueDelta)) continue;
+
+    // For lows a falling price is regular, for highs a rising one
+    const regular = kind === 'low' ? priceDelta < 0 : priceDelta > 0;
+
+    divergences.push({
+      type: regular ? 'regular' : 'hidden',
+      direction,
+      from: { index: from.index, time: from.time, price: from.price, value: fromValue },
+      to: { index: to.index, time: to.time, price: to.price, value: toValue },
+      bars,
+      strength: scale > 0 ? Math.min(Math.abs(valueDelta) / scale, 1) : 0,
+    });
+  }
+
+  return divergences;
+}
+
+/**
+ * Detect divergences between price swings and an oscillator
+ * @param {Array<Object>} swingHighs - Swing highs from findSwingHighs
+ * @param {Array<Object>} swingLows - Swing lows from findSwingLows
+ * @param {Array<number>} oscillator - Oscillator series aligned with the candles (e.g. calculateRSI)
+ * @param {Object} options - {minBars: min bars between anchors (default: 5), maxBars: max bars between
+ *   anchors (default: 60), scale: oscillator move counted as full strength (default: oscillator range)}
+ * @returns {Array<Object>} Divergences {type: 'regular'|'hidden', direction: 'bullish'|'bearish',
+ *   from, to: anchor swings {index, time, price, value}, bars, strength: 0-1}, ordered by the later anchor
+ */
+export function detectDivergences(swingHighs, swingLows, oscillator, options = {}) {
+  if (!oscillator || oscillator.length === 0) {
+    return [];
+  }
+
+  const valid = oscillator.filter(value => !isNaN(value));
+  const range = valid.length > 0 ? Math.max(...valid) - Math.min(...valid) : 0;
+  const settings = {
+    minBars: options.minBars ?? 5,
+    maxBars: options.maxBars ?? 60,
+    scale: options.scale ?? range,
+  };
+
+  return [
+    ...compareSwings(swingLows, 'low', oscillator, settings),
+    ...compareSwings(swingHighs, 'high', oscillator, settings),
+  ].sort((a, b) => a.to.index - b.to.index);
+}
+
+/**
+ * Analyze RSI and MACD histogram divergences that completed recently
+ * @param {number} length - Number of candles
+ * @param {Array<Object>} swingHighs - Swing highs
+ * @param {Array<Object>} swingLows - Swing lows
+ * @param {Object} oscillators - {rsi: RSI series, macd: MACD histogram series (optional)}
+ * @param {Object} options - {maxAge: max bars since the later anchor (default: 5, a swing is only confirmed
+ *   rightBars after it), minBars, maxBars}
+ * @returns {Object} {rsi, macd: recent divergences newest first (each with barsAgo),
+ *   bullish, bearish: most recent RSI divergence of each direction (with macdConfirmed) or null}
+ */
+export function analyzeDivergences(length, swingHighs, swingLows, oscillators, options = {}) {
+  const { maxAge = 5 } = options;
+
+  const recent = (series, scale) => detectDivergences(swingHighs, swingLows, series, { ...options, scale })
+    .filter(divergence => length - 1 - divergence.to.index <= maxAge)
+    .map(divergence => ({ ...divergence, barsAgo: length - 1 - divergence.to.index }))
+    .reverse();
+
+  // 30 RSI points (e.g. 30 → 60) is a full-strength divergence
+  const rsi = oscillators.rsi ? recent(oscillators.rsi, 30) : [];
+  const macd = oscillators.macd ? recent(oscillators.macd) : [];
+
+  const latest = direction => {
+    const divergence = rsi.find(d => d.direction === direction);
+    if (!divergence) return null;
+
+    return {
+      ...divergence,
+      macdConfirmed: macd.some(d => d.direction === direction && d.to.index === divergence.to.index),
+    };
+  };
+
+  return {
+    rsi,
+    macd,
+    bullish: latest('bullish'),
+    bearish: latest('bearish'),
+  };
+}
+
+export default { detectDivergences, analyzeDivergences };
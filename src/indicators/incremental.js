@@ -0,0 +1,247 @@
+/**
+ * Incremental (stateful) indicator engines
+ * EMA, ATR and RSI are carried forward one closed candle at a time, so a long-running
+ * series costs O(1) per new bar and is seeded from the whole history instead of the
+ * visible window. States are plain objects that survive a JSON round trip.
+ */
+
+// Bumped whenever the state layout or the engine set changes (older states are rebuilt)
+export const STATE_VERSION = 1;
+
+// Engines kept per symbol/timeframe: name -> {type, period}
+export const ENGINES = {
+  ema50: { type: 'ema', period: 50 },
+  ema200: { type: 'ema', period: 200 },
+  atr14: { type: 'atr', period: 14 },
+  rsi14: { type: 'rsi', period: 14 },
+};
+
+/**
+ * Create an EMA engine (seeded with the SMA of the first period values, like calculateEMA)
+ * @param {number} period - EMA period
+ * @returns {Object} Engine state {period, count, sum, value}
+ */
+export function createEmaEngine(period) {
+  return { period, count: 0, sum: 0, value: null };
+}
+
+/**
+ * Feed one value into an EMA engine (updates it in place)
+ * @param {Object} engine - Engine from createEmaEngine
+ * @param {number} price - New value
+ * @returns {number|null} Current EMA or null until period values were seen
+ */
+export function updateEma(engine, price) {
+  engine.count++;
+
+  if (engine.count < engine.period) {
+    engine.sum += price;
+  } else if (engine.count === engine.period) {
+    engine.value = (engine.sum + price) / engine.period;
+  } else {
+    engine.value = (price - engine.value) * (2 / (engine.period + 1)) + engine.value;
+  }
+
+  return engine.value;
+}
+
+/**
+ * Create an ATR engine (EMA of the true range from the second candle, like calculateATR)
+ * @param {number} period - ATR period
+ * @returns {Object} Engine state {period, prevClose, ema}
+ */
+export function createAtrEngine(period) {
+  return { period, prevClose: null, ema: createEmaEngine(period) };
+}
+
+/**
+ * Feed one candle into an ATR engine (updates it in place)
+ * @param {Object} engine - Engine from createAtrEngine
+ * @param {Object} candle - Closed candle {high, low, close}
+ * @returns {number|null} Current ATR or null until enough candles were seen
+ */
+export function updateAtr(engine, candle) {
+  const { prevClose } = engine;
+  engine.prevClose = candle.close;
+
+  if (prevClose === null) {
+    return null;
+  }
+
+  const tr = Math.max(candle.high - candle.low, Math.abs(candle.high - prevClose), Math.abs(candle.low - prevClose));
+  return updateEma(engine.ema, tr);
+}
+
+/**
+ * Create an RSI engine (Wilder's smoothing seeded with the first period changes, like calculateRSI)
+ * @param {number} period - RSI period
+ * @returns {Object} Engine state {period, prevClose, count, avgGain, avgLoss, value}
+ */
+export function createRsiEngine(period) {
+  return { period, prevClose: null, count: 0, avgGain: 0, avgLoss: 0, value: null };
+}
+
+/**
+ * Feed one close into an RSI engine (updates it in place)
+ * @param {Object} engine - Engine from createRsiEngine
+ * @param {number} close - New close
+ * @returns {number|null} Current RSI or null until period changes were seen
+ */
+export function updateRsi(engine, close) {
+  const { prevClose, period } = engine;
+  engine.prevClose = close;
+
+  if (prevClose === null) {
+    return null;
+  }
+
+  const change = close - prevClose;
+  const gain = change > 0 ? change : 0;
+  const loss = change < 0 ? -change : 0;
+  engine.count++;
+
+  if (engine.count <= period) {
+    // Seed: plain averages of the first period changes
+    engine.avgGain += gain / period;
+    engine.avgLoss += loss / period;
+    if (engine.count < period) return null;
+  } else {
+    engine.avgGain = (engine.avgGain * (period - 1) + gain) / period;
+    engine.avgLoss = (engine.avgLoss * (period - 1) + loss) / period;
+  }
+
+  const rs = engine.avgLoss === 0 ? 100 : engine.avgGain / engine.avgLoss;
+  engine.value = 100 - (100 / (1 + rs));
+  return engine.value;
+}
+
+/**
+ * Create an empty indicator state
+ * @returns {Object} State {version, lastTime, bars, engines}
+ */
+export function createIndicatorState() {
+  const engines = {};
+
+  for (const [name, { type, period }] of Object.entries(ENGINES)) {
+    if (type === 'ema') engines[name] = createEmaEngine(period);
+    if (type === 'atr') engines[name] = createAtrEngine(period);
+    if (type === 'rsi') engines[name] = createRsiEngine(period);
+  }
+
+  return { version: STATE_VERSION, lastTime: null, bars: 0, engines };
+}
+
+/**
+ * Check that a (possibly persisted) state can be advanced
+ * @param {Object|null} state - Indicator state
+ * @returns {boolean} True if the state matches the current engine set
+ */
+export function isCompatibleState(state) {
+  return Boolean(state && state.version === STATE_VERSION && state.engines &&
+    Object.keys(ENGINES).every(name => state.engines[name]));
+}
+
+/**
+ * Advance a state with closed candles (updates it in place)
+ * Candles at or before state.lastTime are skipped, so overlapping windows can be passed.
+ * @param {Object} state - State from createIndicatorState
+ * @param {Array<Object>} candles - Closed candles, oldest first
+ * @returns {number} Number of candles applied
+ */
+export function advanceIndicatorState(state, candles) {
+  let applied = 0;
+
+  for (const candle of candles) {
+    if (state.lastTime !== null && candle.time <= state.lastTime) continue;
+
+    for (const [name, { type }] of Object.entries(ENGINES)) {
+      const engine = state.engines[name];
+      if (type === 'ema') updateEma(engine, candle.close);
+      if (type === 'atr') updateAtr(engine, candle);
+      if (type === 'rsi') updateRsi(engine, candle.close);
+    }
+
+    state.lastTime = candle.time;
+    state.bars++;
+    applied++;
+  }
+
+  return applied;
+}
+
+/**
+ * Read the current values of a state
+ * @param {Object} state - Indicator state
+ * @returns {Object} {ema50, ema200, atr14, rsi14} (null where not computed yet)
+ */
+export function getStateValues(state) {
+  const values = {};
+
+  for (const [name, { type }] of Object.entries(ENGINES)) {
+    const engine = state.engines[name];
+    values[name] = type === 'atr' ? engine.ema.value : engine.value;
+  }
+
+  return values;
+}
+
+/**
+ * Bars of history an indicator needs before its value is reliable
+ * An EMA-type series still carries a noticeable share of its seed until it has seen a few periods;
+ * multiplier 2 leaves about 13% weight on data before the series for an EMA
+ * @param {number} multiplier - Required bars as a multiple of the period
+ * @returns {Object} Required bars per indicator name
+ */
+export function getWarmupRequirements(multiplier = 2) {
+  const required = {};
+
+  for (const [name, { type, period }] of Object.entries(ENGINES)) {
+    // ATR and RSI start from the second candle (they need a previous close)
+    required[name] = Math.ceil(period * multiplier) + (type === 'ema' ? 0 : 1);
+  }
+
+  return required;
+}
+
+/**
+ * Bars of history needed for every indicator to be reliable
+ * @param {number} multiplier - Required bars as a multiple of the period
+ * @returns {number} Largest warm-up requirement
+ */
+export function getWarmupBars(multiplier = 2) {
+  return Math.max(...Object.values(getWarmupRequirements(multiplier)));
+}
+
+/**
+ * Report which indicators are not reliable with the given history
+ * @param {number} bars - Bars the series has seen
+ * @param {number} multiplier - Required bars as a multiple of the period
+ * @returns {Object} {bars, required: bars per indicator, unreliable: names still warming up}
+ */
+export function getWarmupStatus(bars, multiplier = 2) {
+  const required = getWarmupRequirements(multiplier);
+
+  return {
+    bars,
+    required,
+    unreliable: Object.keys(required).filter(name => bars < required[name]),
+  };
+}
+
+export default {
+  STATE_VERSION,
+  ENGINES,
+  createEmaEngine,
+  updateEma,
+  createAtrEngine,
+  updateAtr,
+  createRsiEngine,
+  updateRsi,
+  createIndicatorState,
+  isCompatibleState,
+  advanceIndicatorState,
+  getStateValues,
+  getWarmupRequirements,
+  getWarmupBars,
+  getWarmupStatus,
+};
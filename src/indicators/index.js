@@ -5,6 +5,12 @@
 import { calculateEMA, getLatestEMA } from './ema.js';
 import { calculateATR, getLatestATR } from './atr.js';
 import { calculateRSI, getLatestRSI, isOversold, isOverbought } from './rsi.js';
+import { calculateMACD, getLatestMACD } from './macd.js';
+import { calculateBollingerBands, getLatestBollingerBands } from './bollinger.js';
+import { calculateADX, getLatestADX } from './adx.js';
+import { calculateStochastic, getLatestStochastic } from './stochastic.js';
+import { calculateSuperTrend, getLatestSuperTrend } from './supertrend.js';
+import { calculateVWAP, getLatestVWAP } from './vwap.js';
 import {
   findSwingHighs,
   findSwingLows,
@@ -17,31 +23,77 @@ import {
   detectBullishPinBar,
   detectBearishPinBar,
   detectInsideBar,
+  findPatterns,
   analyzePatterns,
 } from './patterns.js';
+import {
+  detectStructureBreaks,
+  detectOrderBlocks,
+  detectFairValueGaps,
+  applyMitigation,
+  findZoneAtCandle,
+  analyzeStructure,
+} from './structure.js';
+import { detectDivergences, analyzeDivergences } from './divergence.js';
+import {
+  createIndicatorState,
+  isCompatibleState,
+  advanceIndicatorState,
+  getStateValues,
+  getWarmupBars,
+  getWarmupStatus,
+} from './incremental.js';
 
 /**
  * Compute all technical indicators for candle data
+ * EMA50/200, ATR14 and RSI14 come from the incremental state when one is passed that has seen the
+ * last candle (so they are seeded from the whole history), otherwise from the candles. Values whose
+ * series has fewer bars than their warm-up requirement are excluded (null) and listed in warmup.
  * @param {Array<Object>} candles - Array of OHLC candles {time, open, high, low, close, volume}
+ * @param {Object} options - {state: indicator state from incremental.js, warmupMultiplier (default: 2)}
  * @returns {Object} Object containing all indicator values
  */
-export function computeAllIndicators(candles) {
+export function computeAllIndicators(candles, options = {}) {
   if (!candles || candles.length < 50) {
     throw new Error(`Insufficient candle data: need at least 50 candles, got ${candles?.length || 0}`);
   }
 
+  const { state = null, warmupMultiplier = 2 } = options;
+
   // Extract close prices for indicators
   const closes = candles.map(c => c.close);
 
-  // Calculate EMAs
-  const ema50 = getLatestEMA(closes, 50);
-  const ema200 = getLatestEMA(closes, 200);
+  // EMAs, ATR and RSI from the state if it is current, otherwise from the window
+  const useState = state !== null && state.lastTime === candles[candles.length - 1].time;
+  const core = useState ? getStateValues(state) : {
+    ema50: getLatestEMA(closes, 50),
+    ema200: getLatestEMA(closes, 200),
+    atr14: getLatestATR(candles, 14),
+    rsi14: getLatestRSI(closes, 14),
+  };
+
+  // Drop values computed from too little history
+  const warmup = {
+    ...getWarmupStatus(useState ? state.bars : candles.length, warmupMultiplier),
+    source: useState ? 'state' : 'window',
+  };
+  for (const name of warmup.unreliable) {
+    core[name] = null;
+  }
+
+  const { ema50, ema200, atr14, rsi14 } = core;
 
-  // Calculate ATR
-  const atr14 = getLatestATR(candles, 14);
+  // Momentum and volatility extensions
+  const macd = getLatestMACD(closes, 12, 26, 9);
+  const bollinger = getLatestBollingerBands(closes, 20, 2);
+  const stochastic = getLatestStochastic(candles, 14, 3, 3);
 
-  // Calculate RSI
-  const rsi14 = getLatestRSI(closes, 14);
+  // Trend strength and trailing trend
+  const adx = getLatestADX(candles, 14);
+  const supertrend = getLatestSuperTrend(candles, 10, 3);
+
+  // Session VWAP (restarts every UTC day)
+  const vwap = getLatestVWAP(candles, 'session');
 
   // Find swing points
   const swingHighs = findSwingHighs(candles, 3, 3);
@@ -50,8 +102,17 @@ export function computeAllIndicators(candles) {
   // Identify S/R levels (only if we have ATR)
   const srLevels = atr14 ? identifySRLevels(swingHighs, swingLows, atr14, 0.5) : [];
 
-  // Analyze candle patterns
-  const patterns = analyzePatterns(candles);
+  // Market structure: BOS/CHoCH, order blocks and fair value gaps (gaps under 0.1 ATR are noise)
+  const structure = analyzeStructure(candles, { leftBars: 3, rightBars: 3, minGap: atr14 ? atr14 * 0.1 : 0 });
+
+  // RSI and MACD histogram divergences over the swing points
+  const divergences = analyzeDivergences(candles.length, swingHighs, swingLows, {
+    rsi: calculateRSI(closes, 14),
+    macd: calculateMACD(closes, 12, 26, 9).histogram,
+  });
+
+  // Detect and score candle patterns (size against ATR, location against S/R)
+  const patterns = analyzePatterns(candles, { atr: atr14, srLevels });
 
   // Get current price
   const currentPrice = candles[candles.length - 1].close;
@@ -74,6 +135,14 @@ export function computeAllIndicators(candles) {
     rsi14,
     rsiOversold: rsi14 ? isOversold(rsi14) : false,
     rsiOverbought: rsi14 ? isOverbought(rsi14) : false,
+    macd,
+    stochastic,
+
+    // Bands and trend strength
+    bollinger,
+    adx,
+    supertrend,
+    vwap,
 
     // Structure
     swings: {
@@ -82,6 +151,8 @@ export function computeAllIndicators(candles) {
       srLevels,
       nearSR,
     },
+    structure,
+    divergences,
 
     // Patterns
     patterns,
@@ -91,6 +162,9 @@ export function computeAllIndicators(candles) {
 
     // Current price
     currentPrice,
+
+    // History behind the EMA/ATR/RSI values
+    warmup,
   };
 }
 
@@ -216,18 +290,63 @@ export {
   isOversold,
   isOverbought,
 
+  // MACD
+  calculateMACD,
+  getLatestMACD,
+
+  // Bollinger Bands
+  calculateBollingerBands,
+  getLatestBollingerBands,
+
+  // ADX / DMI
+  calculateADX,
+  getLatestADX,
+
+  // Stochastic
+  calculateStochastic,
+  getLatestStochastic,
+
+  // SuperTrend
+  calculateSuperTrend,
+  getLatestSuperTrend,
+
+  // VWAP
+  calculateVWAP,
+  getLatestVWAP,
+
   // Swings
   findSwingHighs,
   findSwingLows,
   identifySRLevels,
   isNearSRLevel,
 
+  // Market structure
+  detectStructureBreaks,
+  detectOrderBlocks,
+  detectFairValueGaps,
+  applyMitigation,
+  findZoneAtCandle,
+  analyzeStructure,
+
+  // Divergences
+  detectDivergences,
+  analyzeDivergences,
+
+  // Incremental state
+  createIndicatorState,
+  isCompatibleState,
+  advanceIndicatorState,
+  getStateValues,
+  getWarmupBars,
+  getWarmupStatus,
+
   // Patterns
   detectBullishEngulfing,
   detectBearishEngulfing,
   detectBullishPinBar,
   detectBearishPinBar,
   detectInsideBar,
+  findPatterns,
   analyzePatterns,
 };
 
@@ -241,14 +360,41 @@ export default {
   getLatestRSI,
   isOversold,
   isOverbought,
+  calculateMACD,
+  getLatestMACD,
+  calculateBollingerBands,
+  getLatestBollingerBands,
+  calculateADX,
+  getLatestADX,
+  calculateStochastic,
+  getLatestStochastic,
+  calculateSuperTrend,
+  getLatestSuperTrend,
+  calculateVWAP,
+  getLatestVWAP,
   findSwingHighs,
   findSwingLows,
   identifySRLevels,
   isNearSRLevel,
+  detectStructureBreaks,
+  detectOrderBlocks,
+  detectFairValueGaps,
+  applyMitigation,
+  findZoneAtCandle,
+  analyzeStructure,
+  detectDivergences,
+  analyzeDivergences,
+  createIndicatorState,
+  isCompatibleState,
+  advanceIndicatorState,
+  getStateValues,
+  getWarmupBars,
+  getWarmupStatus,
   detectBullishEngulfing,
   detectBearishEngulfing,
   detectBullishPinBar,
   detectBearishPinBar,
   detectInsideBar,
+  findPatterns,
   analyzePatterns,
 };
@@ -0,0 +1,58 @@
+/**
+ * Moving Average Convergence Divergence (MACD) calculation
+ */
+
+import { calculateEMA } from './ema.js';
+
+/**
+ * Calculate MACD line, signal line and histogram
+ * @param {Array<number>} prices - Array of prices (close prices)
+ * @param {number} fastPeriod - Fast EMA period (default: 12)
+ * @param {number} slowPeriod - Slow EMA period (default: 26)
+ * @param {number} signalPeriod - Signal EMA period (default: 9)
+ * @returns {Object} {macd, signal, histogram} - Arrays (same length as input, with NaN for insufficient data)
+ */
+export function calculateMACD(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  if (!prices || prices.length === 0) {
+    return { macd: [], signal: [], histogram: [] };
+  }
+
+  const fast = calculateEMA(prices, fastPeriod);
+  const slow = calculateEMA(prices, slowPeriod);
+  const macd = prices.map((_, i) => fast[i] - slow[i]);
+
+  // Signal line is an EMA of the MACD line once it has values
+  const start = macd.findIndex(value => !isNaN(value));
+  const signal = new Array(prices.length).fill(NaN);
+
+  if (start !== -1) {
+    calculateEMA(macd.slice(start), signalPeriod).forEach((value, i) => {
+      signal[start + i] = value;
+    });
+  }
+
+  const histogram = macd.map((value, i) => value - signal[i]);
+
+  return { macd, signal, histogram };
+}
+
+/**
+ * Get the latest MACD values from price array
+ * @param {Array<number>} prices - Array of prices
+ * @param {number} fastPeriod - Fast EMA period (default: 12)
+ * @param {number} slowPeriod - Slow EMA period (default: 26)
+ * @param {number} signalPeriod - Signal EMA period (default: 9)
+ * @returns {Object|null} {macd, signal, histogram} or null if insufficient data
+ */
+export function getLatestMACD(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  const { macd, signal, histogram } = calculateMACD(prices, fastPeriod, slowPeriod, signalPeriod);
+  const last = histogram.length - 1;
+
+  if (last < 0 || isNaN(histogram[last])) {
+    return null;
+  }
+
+  return { macd: macd[last], signal: signal[last], histogram: histogram[last] };
+}
+
+export default { calculateMACD, getLatestMACD };
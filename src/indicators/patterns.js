@@ -1,5 +1,6 @@
 /**
- * Candle pattern detection (engulfing, pin bars, etc.)
+ * Candle pattern detection (engulfing, pin bars, stars, soldiers/crows, tweezers, harami, doji, etc.)
+ * and pattern scoring
  */
 
 /**
@@ -167,30 +168,438 @@ export function detectInsideBar(candles) {
   };
 }
 
+/**
+ * Candle anatomy
+ * @param {Object} candle - OHLC candle
+ * @returns {Object} {body, range, upperWick, lowerWick, bullish, bearish, mid}
+ */
+function anatomy(candle) {
+  const body = Math.abs(candle.close - candle.open);
+  return {
+    body,
+    range: candle.high - candle.low,
+    upperWick: candle.high - Math.max(candle.open, candle.close),
+    lowerWick: Math.min(candle.open, candle.close) - candle.low,
+    bullish: candle.close > candle.open,
+    bearish: candle.close < candle.open,
+    mid: (candle.open + candle.close) / 2,
+  };
+}
+
+/**
+ * Clamp a value to 0-1
+ * @param {number} value - Value
+ * @returns {number} Clamped value
+ */
+function clamp(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Pattern detectors for the candle at index i
+ * Each returns {direction: 'bullish'|'bearish'|'neutral', quality: 0-1, count: candles in the pattern,
+ * variant and name for doji variants} or null. quality measures how textbook the shape is (body/wick ratios); size and location are
+ * scored separately.
+ */
+const DETECTORS = {
+  bullishEngulfing(candles, i) {
+    if (i < 1) return null;
+    return detectBullishEngulfing(candles.slice(i - 1, i + 1)).detected
+      ? { direction: 'bullish', quality: engulfQuality(candles[i - 1], candles[i]), count: 2 }
+      : null;
+  },
+
+  bearishEngulfing(candles, i) {
+    if (i < 1) return null;
+    return detectBearishEngulfing(candles.slice(i - 1, i + 1)).detected
+      ? { direction: 'bearish', quality: engulfQuality(candles[i - 1], candles[i]), count: 2 }
+      : null;
+  },
+
+  bullishPin(candles, i) {
+    const c = anatomy(candles[i]);
+    return detectBullishPinBar(candles[i]).detected
+      ? { direction: 'bullish', quality: clamp((c.lowerWick / c.range - 0.5) * 2 + 0.2), count: 1 }
+      : null;
+  },
+
+  bearishPin(candles, i) {
+    const c = anatomy(candles[i]);
+    return detectBearishPinBar(candles[i]).detected
+      ? { direction: 'bearish', quality: clamp((c.upperWick / c.range - 0.5) * 2 + 0.2), count: 1 }
+      : null;
+  },
+
+  insideBar(candles, i) {
+    if (i < 1) return null;
+    const prev = anatomy(candles[i - 1]);
+    return detectInsideBar(candles.slice(i - 1, i + 1)).detected && prev.range > 0
+      ? { direction: 'neutral', quality: clamp(1 - anatomy(candles[i]).range / prev.range), count: 2 }
+      : null;
+  },
+
+  // Mother bar, inside bar, then a close beyond the mother bar's range
+  insideBarBreakout(candles, i) {
+    if (i < 2) return null;
+    const mother = candles[i - 2];
+    const inside = candles[i - 1];
+    const current = candles[i];
+    const motherRange = mother.high - mother.low;
+
+    if (motherRange <= 0 || inside.high > mother.high || inside.low < mother.low) return null;
+
+    if (current.close > mother.high) {
+      return { direction: 'bullish', quality: clamp(0.5 + (current.close - mother.high) / motherRange), count: 3 };
+    }
+    if (current.close < mother.low) {
+      return { direction: 'bearish', quality: clamp(0.5 + (mother.low - current.close) / motherRange), count: 3 };
+    }
+    return null;
+  },
+
+  // Range engulfs the previous candle's range; direction from where it closes
+  outsideBar(candles, i) {
+    if (i < 1) return null;
+    const prev = candles[i - 1];
+    const current = candles[i];
+    const c = anatomy(current);
+
+    if (current.high <= prev.high || current.low >= prev.low || c.range <= 0) return null;
+
+    const closePosition = (current.close - current.low) / c.range;
+    const direction = closePosition >= 2 / 3 ? 'bullish' : closePosition <= 1 / 3 ? 'bearish' : 'neutral';
+    const quality = direction === 'neutral' ? 0.3 : clamp(Math.abs(closePosition - 0.5) * 2);
+
+    return { direction, quality, count: 2 };
+  },
+
+  morningStar(candles, i) {
+    return detectStar(candles, i, 'bullish');
+  },
+
+  eveningStar(candles, i) {
+    return detectStar(candles, i, 'bearish');
+  },
+
+  threeWhiteSoldiers(candles, i) {
+    return detectThreeCandles(candles, i, 'bullish');
+  },
+
+  threeBlackCrows(candles, i) {
+    return detectThreeCandles(candles, i, 'bearish');
+  },
+
+  tweezerBottom(candles, i) {
+    return detectTweezer(candles, i, 'bullish');
+  },
+
+  tweezerTop(candles, i) {
+    return detectTweezer(candles, i, 'bearish');
+  },
+
+  bullishHarami(candles, i) {
+    return detectHarami(candles, i, 'bullish');
+  },
+
+  bearishHarami(candles, i) {
+    return detectHarami(candles, i, 'bearish');
+  },
+
+  // Doji variants are mutually exclusive: dragonfly and gravestone first, then long-legged, then plain
+  doji(candles, i) {
+    const c = anatomy(candles[i]);
+    if (c.range <= 0 || c.body > c.range * 0.1) return null;
+
+    const quality = clamp(1 - c.body / (c.range * 0.1) * 0.5);
+
+    if (c.upperWick <= c.range * 0.1) {
+      return { direction: 'bullish', quality, count: 1, variant: 'dragonfly', name: 'Dragonfly doji' };
+    }
+    if (c.lowerWick <= c.range * 0.1) {
+      return { direction: 'bearish', quality, count: 1, variant: 'gravestone', name: 'Gravestone doji' };
+    }
+    if (c.upperWick >= c.range * 0.3 && c.lowerWick >= c.range * 0.3) {
+      return { direction: 'neutral', quality, count: 1, variant: 'long-legged', name: 'Long-legged doji' };
+    }
+    return { direction: 'neutral', quality: quality * 0.8, count: 1, variant: 'standard', name: 'Doji' };
+  },
+};
+
+/**
+ * Human-readable pattern names
+ */
+const PATTERN_NAMES = {
+  bullishEngulfing: 'Bullish engulfing',
+  bearishEngulfing: 'Bearish engulfing',
+  bullishPin: 'Bullish pin bar',
+  bearishPin: 'Bearish pin bar',
+  insideBar: 'Inside bar',
+  insideBarBreakout: 'Inside bar breakout',
+  outsideBar: 'Outside bar',
+  morningStar: 'Morning star',
+  eveningStar: 'Evening star',
+  threeWhiteSoldiers: 'Three white soldiers',
+  threeBlackCrows: 'Three black crows',
+  tweezerBottom: 'Tweezer bottom',
+  tweezerTop: 'Tweezer top',
+  bullishHarami: 'Bullish harami',
+  bearishHarami: 'Bearish harami',
+  doji: 'Doji',
+};
+
+/**
+ * Quality of an engulfing candle: how much larger its body is than the engulfed one
+ * @param {Object} prev - Engulfed candle
+ * @param {Object} current - Engulfing candle
+ * @returns {number} 0.5 for a barely larger body, 1 at twice the size or more
+ */
+function engulfQuality(prev, current) {
+  const prevBody = anatomy(prev).body;
+  const ratio = prevBody > 0 ? anatomy(current).body / prevBody : 2;
+  return clamp(0.5 + (ratio - 1) / 2);
+}
+
+/**
+ * Morning star (bullish) / evening star (bearish): a strong candle, a small-bodied pause and a strong
+ * opposite candle closing past the first candle's body midpoint
+ * @param {Array<Object>} candles - Candles
+ * @param {number} i - Index of the third candle
+ * @param {string} direction - 'bullish' (morning) or 'bearish' (evening)
+ * @returns {Object|null} Detection
+ */
+function detectStar(candles, i, direction) {
+  if (i < 2) return null;
+  const first = anatomy(candles[i - 2]);
+  const star = anatomy(candles[i - 1]);
+  const third = anatomy(candles[i]);
+  const bullish = direction === 'bullish';
+
+  if (bullish ? !first.bearish || !third.bullish : !first.bullish || !third.bearish) return null;
+  if (first.body < first.range * 0.5 || star.body > first.body * 0.3) return null;
+
+  // Fraction of the first body recovered by the third candle's close
+  const recovered = bullish
+    ? (candles[i].close - candles[i - 2].close) / first.body
+    : (candles[i - 2].close - candles[i].close) / first.body;
+
+  if (recovered < 0.5) return null;
+
+  return { direction, quality: clamp(recovered), count: 3 };
+}
+
+/**
+ * Three white soldiers (bullish) / three black crows (bearish): three strong candles in one direction,
+ * each closing further and opening inside the previous body, with short wicks against the move
+ * @param {Array<Object>} candles - Candles
+ * @param {number} i - Index of the third candle
+ * @param {string} direction - 'bullish' or 'bearish'
+ * @returns {Object|null} Detection
+ */
+function detectThreeCandles(candles, i, direction) {
+  if (i < 2) return null;
+  const bullish = direction === 'bullish';
+  let quality = 0;
+
+  for (let j = i - 2; j <= i; j++) {
+    const c = anatomy(candles[j]);
+    const closingWick = bullish ? c.upperWick : c.lowerWick;
+
+    if ((bullish ? !c.bullish : !c.bearish) || c.body < c.range * 0.5 || closingWick > c.body * 0.3) return null;
+
+    if (j > i - 2) {
+      const prev = candles[j - 1];
+      const further = bullish ? candles[j].close > prev.close : candles[j].close < prev.close;
+      const opensInBody = candles[j].open >= Math.min(prev.open, prev.close) &&
+        candles[j].open <= Math.max(prev.open, prev.close);
+      if (!further || !opensInBody) return null;
+    }
+
+    quality += c.body / c.range / 3;
+  }
+
+  return { direction, quality: clamp(quality), count: 3 };
+}
+
+/**
+ * Tweezer bottom (bullish) / top (bearish): opposite candles with matching lows / highs
+ * @param {Array<Object>} candles - Candles
+ * @param {number} i - Index of the second candle
+ * @param {string} direction - 'bullish' (bottom) or 'bearish' (top)
+ * @returns {Object|null} Detection
+ */
+function detectTweezer(candles, i, direction) {
+  if (i < 1) return null;
+  const prev = candles[i - 1];
+  const current = candles[i];
+  const p = anatomy(prev);
+  const c = anatomy(current);
+  const bullish = direction === 'bullish';
+
+  if (bullish ? !p.bearish || !c.bullish : !p.bullish || !c.bearish) return null;
+
+  // Extremes match within 5% of the larger range
+  const tolerance = Math.max(p.range, c.range) * 0.05;
+  const difference = bullish ? Math.abs(prev.low - current.low) : Math.abs(prev.high - current.high);
+
+  if (tolerance <= 0 || difference > tolerance) return null;
+
+  return { direction, quality: clamp(1 - difference / tolerance * 0.5), count: 2 };
+}
+
+/**
+ * Bullish / bearish harami: a small opposite body inside a large previous body
+ * @param {Array<Object>} candles - Candles
+ * @param {number} i - Index of the second candle
+ * @param {string} direction - 'bullish' or 'bearish'
+ * @returns {Object|null} Detection
+ */
+function detectHarami(candles, i, direction) {
+  if (i < 1) return null;
+  const prev = candles[i - 1];
+  const current = candles[i];
+  const p = anatomy(prev);
+  const c = anatomy(current);
+  const bullish = direction === 'bullish';
+
+  if (bullish ? !p.bearish || !c.bullish : !p.bullish || !c.bearish) return null;
+  if (p.body < p.range * 0.5 || c.body >= p.body * 0.6) return null;
+
+  const inside = Math.max(current.open, current.close) <= Math.max(prev.open, prev.close) &&
+    Math.min(current.open, current.close) >= Math.min(prev.open, prev.close);
+
+  return inside ? { direction, quality: clamp(1 - c.body / p.body), count: 2 } : null;
+}
+
+/**
+ * Score a pattern occurrence (0-100)
+ * 50% shape quality, 25% size of the last candle relative to ATR (full at 1 ATR) and 25% location:
+ * distance from the nearest matching S/R level (support for bullish, resistance for bearish, any for
+ * neutral patterns), full at the level and zero from 1 ATR away. Without ATR the size and location
+ * parts count half and nothing.
+ * @param {Object} detection - Detector result
+ * @param {Array<Object>} patternCandles - Candles forming the pattern
+ * @param {number|null} atr - ATR value
+ * @param {Array<Object>} srLevels - S/R levels
+ * @returns {Object} {score, size, location, level}
+ */
+function scorePattern(detection, patternCandles, atr, srLevels) {
+  const last = patternCandles[patternCandles.length - 1];
+  const size = atr ? clamp((last.high - last.low) / atr) : 0.5;
+
+  let level = null;
+  let location = 0;
+
+  if (atr && srLevels && srLevels.length > 0) {
+    const low = Math.min(...patternCandles.map(c => c.low));
+    const high = Math.max(...patternCandles.map(c => c.high));
+    let bestDistance = Infinity;
+
+    for (const sr of srLevels) {
+      if (detection.direction === 'bullish' && sr.type !== 'support') continue;
+      if (detection.direction === 'bearish' && sr.type !== 'resistance') continue;
+
+      // Distance from the pattern's range (zero when the pattern trades through the level)
+      const distance = sr.price < low ? low - sr.price : sr.price > high ? sr.price - high : 0;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        level = sr;
+      }
+    }
+
+    location = level ? clamp(1 - bestDistance / atr) : 0;
+    if (location === 0) level = null;
+  }
+
+  return {
+    score: Math.round((detection.quality * 0.5 + size * 0.25 + location * 0.25) * 100),
+    size,
+    location,
+    level,
+  };
+}
+
+/**
+ * Find and score every pattern completing on the last candles
+ * @param {Array<Object>} candles - Array of OHLC candles
+ * @param {Object} options - {atr, srLevels, lookback: candles to search back from the last (default: 1)}
+ * @returns {Array<Object>} Hits sorted by score (highest first):
+ *   {pattern, name, direction, score, quality, size, location, level, time, index, barsAgo, count, variant}
+ */
+export function findPatterns(candles, options = {}) {
+  const { atr = null, srLevels = [], lookback = 1 } = options;
+  const hits = [];
+
+  if (!candles || candles.length === 0) {
+    return hits;
+  }
+
+  for (let i = Math.max(0, candles.length - lookback); i < candles.length; i++) {
+    for (const [pattern, detect] of Object.entries(DETECTORS)) {
+      const detection = detect(candles, i);
+      if (!detection) continue;
+
+      const patternCandles = candles.slice(i - detection.count + 1, i + 1);
+      const { score, size, location, level } = scorePattern(detection, patternCandles, atr, srLevels);
+      hits.push({
+        pattern,
+        name: detection.name || PATTERN_NAMES[pattern],
+        direction: detection.direction,
+        score,
+        quality: detection.quality,
+        size,
+        location,
+        level,
+        time: candles[i].time,
+        index: i,
+        barsAgo: candles.length - 1 - i,
+        count: detection.count,
+        variant: detection.variant || null,
+      });
+    }
+  }
+
+  return hits.sort((a, b) => b.score - a.score);
+}
+
 /**
  * Analyze all patterns for the candle array
+ * The named results keep the engulfing/pin/inside bar flags for the last candle (now with a score);
+ * hits ranks every pattern on the last candle
  * @param {Array<Object>} candles - Array of OHLC candles
- * @returns {Object} Object with all pattern detection results
+ * @param {Object} options - {atr, srLevels} used for scoring
+ * @returns {Object} {bullishEngulfing, bearishEngulfing, bullishPin, bearishPin, insideBar: {detected,
+ *   description, score}, hits, best: {bullish, bearish} highest-scoring directional hit or null}
  */
-export function analyzePatterns(candles) {
+export function analyzePatterns(candles, options = {}) {
+  const empty = { detected: false, description: '', score: 0 };
+
   if (!candles || candles.length < 2) {
     return {
-      bullishEngulfing: { detected: false, description: '' },
-      bearishEngulfing: { detected: false, description: '' },
-      bullishPin: { detected: false, description: '' },
-      bearishPin: { detected: false, description: '' },
-      insideBar: { detected: false, description: '' },
+      bullishEngulfing: empty,
+      bearishEngulfing: empty,
+      bullishPin: empty,
+      bearishPin: empty,
+      insideBar: empty,
+      hits: [],
+      best: { bullish: null, bearish: null },
     };
   }
 
   const lastCandle = candles[candles.length - 1];
+  const hits = findPatterns(candles, { atr: options.atr, srLevels: options.srLevels, lookback: 1 });
+  const scoreOf = pattern => hits.find(hit => hit.pattern === pattern)?.score || 0;
 
   return {
-    bullishEngulfing: detectBullishEngulfing(candles),
-    bearishEngulfing: detectBearishEngulfing(candles),
-    bullishPin: detectBullishPinBar(lastCandle),
-    bearishPin: detectBearishPinBar(lastCandle),
-    insideBar: detectInsideBar(candles),
+    bullishEngulfing: { ...detectBullishEngulfing(candles), score: scoreOf('bullishEngulfing') },
+    bearishEngulfing: { ...detectBearishEngulfing(candles), score: scoreOf('bearishEngulfing') },
+    bullishPin: { ...detectBullishPinBar(lastCandle), score: scoreOf('bullishPin') },
+    bearishPin: { ...detectBearishPinBar(lastCandle), score: scoreOf('bearishPin') },
+    insideBar: { ...detectInsideBar(candles), score: scoreOf('insideBar') },
+    hits,
+    best: {
+      bullish: hits.find(hit => hit.direction === 'bullish') || null,
+      bearish: hits.find(hit => hit.direction === 'bearish') || null,
+    },
   };
 }
 
@@ -200,5 +609,6 @@ export default {
   detectBullishPinBar,
   detectBearishPinBar,
   detectInsideBar,
+  findPatterns,
   analyzePatterns,
 };
@@ -0,0 +1,67 @@
+/**
+ * Stochastic Oscillator calculation
+ */
+
+/**
+ * Simple moving average over a series that may start with NaN
+ * @param {Array<number>} values - Series
+ * @param {number} period - Average period
+ * @returns {Array<number>} Averages (NaN until period valid values are available)
+ */
+function smooth(values, period) {
+  return values.map((_, i) => {
+    if (i < period - 1) return NaN;
+    const window = values.slice(i - period + 1, i + 1);
+    return window.some(isNaN) ? NaN : window.reduce((sum, value) => sum + value, 0) / period;
+  });
+}
+
+/**
+ * Calculate Stochastic %K and %D
+ * @param {Array<Object>} candles - Array of OHLC candles {high, low, close}
+ * @param {number} kPeriod - Lookback for the high/low range (default: 14)
+ * @param {number} dPeriod - %D moving average period (default: 3)
+ * @param {number} smoothing - %K smoothing, 1 for the fast stochastic (default: 3, slow stochastic)
+ * @returns {Object} {k, d} - Arrays of values 0-100 (same length as input, with NaN for insufficient data)
+ */
+export function calculateStochastic(candles, kPeriod = 14, dPeriod = 3, smoothing = 3) {
+  if (!candles || candles.length === 0) {
+    return { k: [], d: [] };
+  }
+
+  const rawK = candles.map((candle, i) => {
+    if (i < kPeriod - 1) return NaN;
+
+    const window = candles.slice(i - kPeriod + 1, i + 1);
+    const highest = Math.max(...window.map(c => c.high));
+    const lowest = Math.min(...window.map(c => c.low));
+
+    return highest === lowest ? 50 : ((candle.close - lowest) / (highest - lowest)) * 100;
+  });
+
+  const k = smoothing > 1 ? smooth(rawK, smoothing) : rawK;
+  const d = smooth(k, dPeriod);
+
+  return { k, d };
+}
+
+/**
+ * Get the latest Stochastic values from candles
+ * @param {Array<Object>} candles - Array of OHLC candles
+ * @param {number} kPeriod - Lookback for the high/low range (default: 14)
+ * @param {number} dPeriod - %D moving average period (default: 3)
+ * @param {number} smoothing - %K smoothing (default: 3)
+ * @returns {Object|null} {k, d} or null if insufficient data
+ */
+export function getLatestStochastic(candles, kPeriod = 14, dPeriod = 3, smoothing = 3) {
+  const { k, d } = calculateStochastic(candles, kPeriod, dPeriod, smoothing);
+  const last = d.length - 1;
+
+  if (last < 0 || isNaN(d[last])) {
+    return null;
+  }
+
+  return { k: k[last], d: d[last] };
+}
+
+export default { calculateStochastic, getLatestStochastic };
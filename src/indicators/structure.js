@@ -0,0 +1,249 @@
+/**
+ * Market structure detection: break of structure (BOS), change of character (CHoCH),
+ * order blocks and fair value gaps
+ */
+
+import { findSwingHighs, findSwingLows } from './swings.js';
+
+/**
+ * Label structure breaks by walking the candles in order
+ * A swing can only be broken once it is confirmed (rightBars candles after it), and a candle
+ * breaks it by closing beyond it. A break in the direction of the current structure is a BOS,
+ * a break against it a CHoCH.
+ * @param {Array<Object>} candles - Array of OHLC candles
+ * @param {Array<Object>} swingHighs - Swing highs from findSwingHighs
+ * @param {Array<Object>} swingLows - Swing lows from findSwingLows
+ * @param {number} rightBars - Bars confirming a swing
+ * @returns {Array<Object>} Events {type: 'BOS'|'CHoCH', direction: 'bullish'|'bearish', level, swingTime, time, index, swingIndex}
+ */
+export function detectStructureBreaks(candles, swingHighs, swingLows, rightBars = 3) {
+  const events = [];
+  let trend = 'neutral';
+  let activeHigh = null;
+  let activeLow = null;
+  let nextHigh = 0;
+  let nextLow = 0;
+
+  for (let i = 0; i < candles.length; i++) {
+    // The latest confirmed swing replaces the previous one, broken or not
+    while (nextHigh < swingHighs.length && swingHighs[nextHigh].index + rightBars < i) {
+      activeHigh = swingHighs[nextHigh++];
+    }
+    while (nextLow < swingLows.length && swingLows[nextLow].index + rightBars < i) {
+      activeLow = swingLows[nextLow++];
+    }
+
+    const { close } = candles[i];
+
+    if (activeHigh && close > activeHigh.price) {
+      events.push(createEvent(trend === 'bearish' ? 'CHoCH' : 'BOS', 'bullish', activeHigh, candles[i], i));
+      trend = 'bullish';
+      activeHigh = null;
+    } else if (activeLow && close < activeLow.price) {
+      events.push(createEvent(trend === 'bullish' ? 'CHoCH' : 'BOS', 'bearish', activeLow, candles[i], i));
+      trend = 'bearish';
+      activeLow = null;
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Build a structure event
+ * @param {string} type - 'BOS' or 'CHoCH'
+ * @param {string} direction - 'bullish' or 'bearish'
+ * @param {Object} swing - Broken swing point
+ * @param {Object} candle - Breaking candle
+ * @param {number} index - Breaking candle index
+ * @returns {Object} Structure event
+ */
+function createEvent(type, direction, swing, candle, index) {
+  return {
+    type,
+    direction,
+    level: swing.price,
+    swingTime: swing.time,
+    swingIndex: swing.index,
+    time: candle.time,
+    index,
+  };
+}
+
+/**
+ * Find the order block behind each structure break: the last opposite candle before the impulse
+ * that broke structure (the last bearish candle at or before the lowest low for a bullish break)
+ * @param {Array<Object>} candles - Array of OHLC candles
+ * @param {Array<Object>} events - Structure events from detectStructureBreaks
+ * @returns {Array<Object>} Order blocks {type: 'bullish'|'bearish', top, bottom, time, index, breakIndex}
+ */
+export function detectOrderBlocks(candles, events) {
+  const orderBlocks = [];
+
+  for (const event of events) {
+    const bullish = event.direction === 'bullish';
+
+    // Start of the impulse: the extreme between the broken swing and the break
+    let origin = event.swingIndex;
+    for (let j = event.swingIndex + 1; j < event.index; j++) {
+      const beyond = bullish ? candles[j].low < candles[origin].low : candles[j].high > candles[origin].high;
+      if (beyond) origin = j;
+    }
+
+    for (let j = origin; j >= event.swingIndex; j--) {
+      const candle = candles[j];
+      const opposite = bullish ? candle.close < candle.open : candle.close > candle.open;
+
+      if (opposite) {
+        orderBlocks.push({
+          type: event.direction,
+          top: candle.high,
+          bottom: candle.low,
+          time: candle.time,
+          index: j,
+          breakIndex: event.index,
+        });
+        break;
+      }
+    }
+  }
+
+  return orderBlocks;
+}
+
+/**
+ * Detect three-candle fair value gaps: a bullish gap when a candle's low is above the high two candles
+ * earlier, a bearish gap when its high is below the low two candles earlier
+ * @param {Array<Object>} candles - Array of OHLC candles
+ * @param {number} minGap - Minimum gap size in price (default: 0)
+ * @returns {Array<Object>} Gaps {type: 'bullish'|'bearish', top, bottom, time, index} - time/index of the middle candle
+ */
+export function detectFairValueGaps(candles, minGap = 0) {
+  const gaps = [];
+
+  for (let i = 2; i < candles.length; i++) {
+    const first = candles[i - 2];
+    const third = candles[i];
+
+    if (third.low > first.high && third.low - first.high > minGap) {
+      gaps.push({ type: 'bullish', top: third.low, bottom: first.high, time: candles[i - 1].time, index: i - 1 });
+    } else if (third.high < first.low && first.low - third.high > minGap) {
+      gaps.push({ type: 'bearish', top: first.low, bottom: third.high, time: candles[i - 1].time, index: i - 1 });
+    }
+  }
+
+  return gaps;
+}
+
+/**
+ * Add mitigation status to zones (order blocks or fair value gaps)
+ * A zone is touched once price trades back into it and mitigated once price trades through its far
+ * edge (below a bullish zone, above a bearish one). filled is the deepest fraction of the zone
+ * price has traded into.
+ * @param {Array<Object>} candles - Array of OHLC candles
+ * @param {Array<Object>} zones - Zones {type, top, bottom, index}
+ * @param {number} startOffset - Candles after the zone index that cannot mitigate it (2 for the FVG's third candle)
+ * @returns {Array<Object>} Zones with {touched, mitigated, mitigatedTime, filled}
+ */
+export function applyMitigation(candles, zones, startOffset = 1) {
+  return zones.map(zone => {
+    const bullish = zone.type === 'bullish';
+    const size = zone.top - zone.bottom;
+    // Order blocks can only be mitigated once the impulse away from them has broken structure
+    const start = Math.max(zone.index + startOffset, (zone.breakIndex ?? -1) + 1);
+    let filled = 0;
+    let mitigatedTime = null;
+
+    for (let j = start; j < candles.length && !mitigatedTime; j++) {
+      const depth = bullish ? zone.top - candles[j].low : candles[j].high - zone.bottom;
+      if (depth > 0) {
+        filled = Math.max(filled, size > 0 ? Math.min(depth / size, 1) : 1);
+      }
+
+      const through = bullish ? candles[j].low < zone.bottom : candles[j].high > zone.top;
+      if (through) {
+        mitigatedTime = candles[j].time;
+      }
+    }
+
+    return {
+      ...zone,
+      touched: filled > 0,
+      mitigated: mitigatedTime !== null,
+      mitigatedTime,
+      filled,
+    };
+  });
+}
+
+/**
+ * Find the most recent unmitigated zone of a type the last candle trades into
+ * @param {Array<Object>} zones - Zones with mitigation status
+ * @param {string} type - 'bullish' or 'bearish'
+ * @param {Object} candle - Candle to test (usually the last one)
+ * @returns {Object|null} Zone or null
+ */
+export function findZoneAtCandle(zones, type, candle) {
+  for (let i = zones.length - 1; i >= 0; i--) {
+    const zone = zones[i];
+    if (zone.type === type && !zone.mitigated && candle.low <= zone.top && candle.high >= zone.bottom) {
+      return zone;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Analyze market structure
+ * @param {Array<Object>} candles - Array of OHLC candles
+ * @param {Object} options - {leftBars, rightBars, minGap}
+ * @returns {Object} {trend: 'bullish'|'bearish'|'neutral', events, lastEvent, orderBlocks, fairValueGaps, atPrice}
+ *   where atPrice holds the unmitigated zones the last candle trades into
+ *   ({bullishOrderBlock, bearishOrderBlock, bullishFvg, bearishFvg}, each null if none)
+ */
+export function analyzeStructure(candles, options = {}) {
+  const { leftBars = 3, rightBars = 3, minGap = 0 } = options;
+
+  if (!candles || candles.length < leftBars + rightBars + 2) {
+    return {
+      trend: 'neutral',
+      events: [],
+      lastEvent: null,
+      orderBlocks: [],
+      fairValueGaps: [],
+      atPrice: { bullishOrderBlock: null, bearishOrderBlock: null, bullishFvg: null, bearishFvg: null },
+    };
+  }
+
+  const swingHighs = findSwingHighs(candles, leftBars, rightBars);
+  const swingLows = findSwingLows(candles, leftBars, rightBars);
+  const events = detectStructureBreaks(candles, swingHighs, swingLows, rightBars);
+  const orderBlocks = applyMitigation(candles, detectOrderBlocks(candles, events));
+  const fairValueGaps = applyMitigation(candles, detectFairValueGaps(candles, minGap), 2);
+  const lastEvent = events.length > 0 ? events[events.length - 1] : null;
+  const lastCandle = candles[candles.length - 1];
+
+  return {
+    trend: lastEvent ? lastEvent.direction : 'neutral',
+    events,
+    lastEvent,
+    orderBlocks,
+    fairValueGaps,
+    atPrice: {
+      bullishOrderBlock: findZoneAtCandle(orderBlocks, 'bullish', lastCandle),
+      bearishOrderBlock: findZoneAtCandle(orderBlocks, 'bearish', lastCandle),
+      bullishFvg: findZoneAtCandle(fairValueGaps, 'bullish', lastCandle),
+      bearishFvg: findZoneAtCandle(fairValueGaps, 'bearish', lastCandle),
+    },
+  };
+}
+
+export default {
+  detectStructureBreaks,
+  detectOrderBlocks,
+  detectFairValueGaps,
+  applyMitigation,
+  findZoneAtCandle,
+  analyzeStructure,
+};
@@ -0,0 +1,80 @@
+/**
+ * SuperTrend calculation
+ */
+
+import { calculateATR } from './atr.js';
+
+/**
+ * Calculate SuperTrend
+ * The line trails below price in an uptrend and above it in a downtrend; direction flips when a
+ * candle closes through the line
+ * @param {Array<Object>} candles - Array of OHLC candles {high, low, close}
+ * @param {number} period - ATR period (default: 10)
+ * @param {number} multiplier - ATR multiplier for the bands (default: 3)
+ * @returns {Object} {supertrend, direction} - Arrays (same length as input); direction is 1 (up) or -1 (down),
+ *   NaN for insufficient data
+ */
+export function calculateSuperTrend(candles, period = 10, multiplier = 3) {
+  const length = candles ? candles.length : 0;
+  const supertrend = new Array(length).fill(NaN);
+  const direction = new Array(length).fill(NaN);
+
+  if (length === 0) {
+    return { supertrend, direction };
+  }
+
+  const atr = calculateATR(candles, period);
+  let upper = NaN;
+  let lower = NaN;
+
+  for (let i = 0; i < length; i++) {
+    if (isNaN(atr[i])) continue;
+
+    const { high, low, close } = candles[i];
+    const mid = (high + low) / 2;
+    const basicUpper = mid + multiplier * atr[i];
+    const basicLower = mid - multiplier * atr[i];
+    const prevClose = candles[i - 1].close;
+
+    // Bands only tighten while price stays on their side
+    upper = isNaN(upper) || basicUpper < upper || prevClose > upper ? basicUpper : upper;
+    lower = isNaN(lower) || basicLower > lower || prevClose < lower ? basicLower : lower;
+
+    if (isNaN(direction[i - 1])) {
+      direction[i] = close > upper ? 1 : -1;
+    } else if (direction[i - 1] === 1) {
+      direction[i] = close < lower ? -1 : 1;
+    } else {
+      direction[i] = close > upper ? 1 : -1;
+    }
+
+    supertrend[i] = direction[i] === 1 ? lower : upper;
+  }
+
+  return { supertrend, direction };
+}
+
+/**
+ * Get the latest SuperTrend values from candles
+ * @param {Array<Object>} candles - Array of OHLC candles
+ * @param {number} period - ATR period (default: 10)
+ * @param {number} multiplier - ATR multiplier (default: 3)
+ * @returns {Object|null} {value, direction: 'up'|'down', flipped: direction changed on the last candle}
+ *   or null if insufficient data
+ */
+export function getLatestSuperTrend(candles, period = 10, multiplier = 3) {
+  const { supertrend, direction } = calculateSuperTrend(candles, period, multiplier);
+  const last = direction.length - 1;
+
+  if (last < 0 || isNaN(direction[last])) {
+    return null;
+  }
+
+  return {
+    value: supertrend[last],
+    direction: direction[last] === 1 ? 'up' : 'down',
+    flipped: !isNaN(direction[last - 1]) && direction[last - 1] !== direction[last],
+  };
+}
+
+export default { calculateSuperTrend, getLatestSuperTrend };
@@ -0,0 +1,67 @@
+/**
+ * Volume Weighted Average Price (VWAP) calculation
+ */
+
+/**
+ * Calculate session or anchored VWAP from typical prices ((high + low + close) / 3)
+ * Candles without volume (e.g. FX from some providers) are weighted equally, so the line becomes the
+ * average typical price since the anchor
+ * @param {Array<Object>} candles - Array of OHLC candles {time, high, low, close, volume}
+ * @param {string} anchor - 'session' to restart every UTC day (default), or a candle time to anchor from
+ * @returns {Array<number>} Array of VWAP values (same length as input, NaN before the anchor)
+ */
+export function calculateVWAP(candles, anchor = 'session') {
+  if (!candles || candles.length === 0) {
+    return [];
+  }
+
+  const useVolume = candles.some(c => c.volume > 0);
+  const vwap = new Array(candles.length).fill(NaN);
+  let session = null;
+  let priceVolume = 0;
+  let totalVolume = 0;
+
+  for (let i = 0; i < candles.length; i++) {
+    const candle = candles[i];
+
+    if (anchor === 'session') {
+      // Candle times are 'YYYY-MM-DD HH:mm:ss' UTC, the date starts a new session
+      const day = candle.time.slice(0, 10);
+      if (day !== session) {
+        session = day;
+        priceVolume = 0;
+        totalVolume = 0;
+      }
+    } else if (candle.time < anchor) {
+      continue;
+    }
+
+    const typical = (candle.high + candle.low + candle.close) / 3;
+    const weight = useVolume ? (candle.volume || 0) : 1;
+
+    priceVolume += typical * weight;
+    totalVolume += weight;
+    vwap[i] = totalVolume > 0 ? priceVolume / totalVolume : typical;
+  }
+
+  return vwap;
+}
+
+/**
+ * Get the latest VWAP value from candles
+ * @param {Array<Object>} candles - Array of OHLC candles
+ * @param {string} anchor - 'session' (default) or a candle time to anchor from
+ * @returns {number|null} Latest VWAP value or null if insufficient data
+ */
+export function getLatestVWAP(candles, anchor = 'session') {
+  const vwapValues = calculateVWAP(candles, anchor);
+
+  if (vwapValues.length === 0) {
+    return null;
+  }
+
+  const latest = vwapValues[vwapValues.length - 1];
+  return isNaN(latest) ? null : latest;
+}
+
+export default { calculateVWAP, getLatestVWAP };
@@ -0,0 +1,78 @@
+/**
+ * Economic calendar import command
+ *
+ * Usage:
+ *   npm run news:import -- --file data/calendar.csv [--format json|csv]
+ *   npm run news:import -- --provider url [--days 7]
+ */
+
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { logger } from '../utils/logger.js';
+import { toCandleTime } from '../utils/timeframes.js';
+import { initDatabase } from '../db/index.js';
+import { parseEvents } from './parser.js';
+import { getNewsProvider } from './providers/index.js';
+import { importEvents } from './index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse --key value command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const key = argv[i].slice(2);
+      const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+      options[key] = value;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.file && !args.provider) {
+    logger.error('News', 'Usage: npm run news:import -- --file <calendar.json|csv> | --provider <name> [--days 7]');
+    process.exit(1);
+  }
+
+  await initDatabase();
+
+  let events;
+
+  if (args.file) {
+    const format = args.format || (extname(args.file).toLowerCase() === '.csv' ? 'csv' : 'auto');
+    const result = parseEvents(await readFile(args.file, 'utf-8'), format, 'import');
+
+    if (result.skipped > 0) {
+      logger.warn('News', `Skipped ${result.skipped} records without time, currency, title or impact`);
+    }
+
+    events = result.events;
+  } else {
+    const days = args.days ? parseInt(args.days, 10) : 7;
+    const now = Date.now();
+
+    events = await getNewsProvider(args.provider).fetchEvents(toCandleTime(now - DAY_MS), toCandleTime(now + days * DAY_MS));
+  }
+
+  const count = importEvents(events);
+  logger.info('News', `Imported ${count} economic events`);
+  console.log(`Imported ${count} economic events`);
+}
+
+main().catch(error => {
+  logger.error('News', 'Economic calendar import failed', error);
+  process.exit(1);
+});
@@ -0,0 +1,202 @@
+/**
+ * Economic calendar: news blackouts and upcoming events for the strategy engine
+ * Events are stored in the economic_events table, either imported (npm run news:import)
+ * or synced from the configured provider
+ */
+
+import config from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { toCandleTime, parseCandleTime } from '../utils/timeframes.js';
+import { upsertEconomicEvents, getEconomicEvents } from '../db/news.js';
+import { getActiveSignals, setSignalNewsFlag } from '../db/queries.js';
+import { splitSymbol } from '../scanner/providers/common.js';
+import { notifyNewsBlackout } from '../telegram/index.js';
+import { getNewsProvider } from './providers/index.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Provider sync range around now
+const SYNC_PAST_DAYS = 1;
+const SYNC_AHEAD_DAYS = 7;
+
+let lastSyncAt = 0;
+
+/**
+ * Currencies whose events move a symbol
+ * Defaults to base and quote (events only exist for fiat currencies, so XAU/BTC never match)
+ * @param {string} symbol - Trading symbol
+ * @returns {Array<string>} Currency codes
+ */
+export function getSymbolCurrencies(symbol) {
+  const mapped = config.news.currencyMap[symbol];
+
+  if (mapped) {
+    return mapped.split('+').map(c => c.trim().toUpperCase()).filter(Boolean);
+  }
+
+  const pair = splitSymbol(symbol);
+  return pair ? [pair.base, pair.quote] : [];
+}
+
+/**
+ * Store events (from an import or a provider)
+ * @param {Array<Object>} events - Normalized events
+ * @returns {number} Number of events written
+ */
+export function importEvents(events) {
+  if (events.length === 0) {
+    return 0;
+  }
+
+  const count = upsertEconomicEvents(events);
+  logger.info('News', `Stored ${count} economic events`);
+  return count;
+}
+
+/**
+ * Sync events from the configured provider (at most once per NEWS_REFRESH_MS)
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of events written (0 if skipped)
+ */
+export async function syncNewsFeed(now = new Date()) {
+  if (config.news.provider === 'none' || now.getTime() - lastSyncAt < config.news.refreshMs) {
+    return 0;
+  }
+
+  lastSyncAt = now.getTime();
+
+  try {
+    const from = toCandleTime(now.getTime() - SYNC_PAST_DAYS * DAY_MS);
+    const to = toCandleTime(now.getTime() + SYNC_AHEAD_DAYS * DAY_MS);
+    const events = await getNewsProvider(config.news.provider).fetchEvents(from, to);
+
+    return importEvents(events);
+  } catch (error) {
+    logger.error('News', `Economic calendar sync from ${config.news.provider} failed`, error);
+    return 0;
+  }
+}
+
+/**
+ * Find the event that puts a symbol inside a blackout window
+ * @param {string} symbol - Trading symbol
+ * @param {Date} now - Current time
+ * @returns {Object|null} {event, start, end} for the earliest matching event, or null
+ */
+export function getBlackout(symbol, now = new Date()) {
+  const { impacts, blackoutBeforeMinutes, blackoutAfterMinutes } = config.news;
+  const time = now.getTime();
+
+  // Events whose window [event - before, event + after] contains now
+  const events = getEconomicEvents(
+    toCandleTime(time - blackoutAfterMinutes * MINUTE_MS),
+    toCandleTime(time + blackoutBeforeMinutes * MINUTE_MS),
+    { currencies: getSymbolCurrencies(symbol), impacts }
+  );
+
+  if (events.length === 0) {
+    return null;
+  }
+
+  const event = events[0];
+  const eventTime = parseCandleTime(event.event_time);
+
+  return {
+    event,
+    start: toCandleTime(eventTime - blackoutBeforeMinutes * MINUTE_MS),
+    end: toCandleTime(eventTime + blackoutAfterMinutes * MINUTE_MS),
+  };
+}
+
+/**
+ * Check whether new signals for a symbol are blocked by a news blackout
+ * @param {string} symbol - Trading symbol
+ * @param {Date} now - Current time
+ * @returns {Object|null} Blackout {event, start, end} or null if allowed
+ */
+export function checkNewsBlackout(symbol, now = new Date()) {
+  if (!config.news.blackoutEnabled) {
+    return null;
+  }
+
+  return getBlackout(symbol, now);
+}
+
+/**
+ * Upcoming events for a symbol in the shape of the OpenAI `news` items
+ * @param {string} symbol - Trading symbol
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} News items {title, summary, publishedAt, source, currency, impact}
+ */
+export function getUpcomingNews(symbol, now = new Date()) {
+  const time = now.getTime();
+  const events = getEconomicEvents(
+    toCandleTime(time),
+    toCandleTime(time + config.news.lookaheadHours * 60 * MINUTE_MS),
+    { currencies: getSymbolCurrencies(symbol), impacts: config.news.impacts }
+  );
+
+  return events.map(event => {
+    const figures = [
+      event.forecast !== null && `forecast ${event.forecast}`,
+      event.previous !== null && `previous ${event.previous}`,
+    ].filter(Boolean);
+
+    return {
+      title: `${event.currency} ${event.title}`,
+      summary: `Scheduled ${event.impact}-impact event${figures.length > 0 ? ` (${figures.join(', ')})` : ''}`,
+      publishedAt: `${event.event_time.replace(' ', 'T')}Z`,
+      source: event.source || 'economic-calendar',
+      currency: event.currency,
+      impact: event.impact,
+    };
+  });
+}
+
+/**
+ * Flag active signals inside a blackout window (once per event) and announce them
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of newly flagged signals
+ */
+export async function flagOpenSignals(now = new Date()) {
+  if (!config.news.flagOpenSignals) {
+    return 0;
+  }
+
+  let flagged = 0;
+
+  for (const signal of getActiveSignals()) {
+    const blackout = getBlackout(signal.symbol, now);
+
+    if (!blackout || signal.news_flag?.event_id === blackout.event.id) {
+      continue;
+    }
+
+    const flag = {
+      event_id: blackout.event.id,
+      title: blackout.event.title,
+      currency: blackout.event.currency,
+      impact: blackout.event.impact,
+      event_time: blackout.event.event_time,
+    };
+
+    setSignalNewsFlag(signal.id, flag);
+    flagged++;
+    logger.warn('News', `Signal ID ${signal.id} (${signal.symbol}, ${signal.status}) is inside the blackout for ${flag.currency} ${flag.title} at ${flag.event_time}`);
+
+    await notifyNewsBlackout(signal, blackout.event);
+  }
+
+  return flagged;
+}
+
+export default {
+  getSymbolCurrencies,
+  importEvents,
+  syncNewsFeed,
+  getBlackout,
+  checkNewsBlackout,
+  getUpcomingNews,
+  flagOpenSignals,
+};
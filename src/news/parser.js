@@ -0,0 +1,154 @@
+/**
+ * Economic calendar feed parsing
+ * Accepts JSON (array or {events: [...]}) and CSV with a header row; column names follow
+ * the common calendar exports (time/date, currency/country, title/event, impact)
+ */
+
+import { ValidationError } from '../utils/errors.js';
+import { parseCandleTime, toCandleTime } from '../utils/timeframes.js';
+
+const IMPACTS = ['low', 'medium', 'high'];
+
+/**
+ * Normalize an impact label ('High', 'High Impact Expected', 'med', 3) to low/medium/high
+ * @param {string|number} value - Raw impact
+ * @returns {string|null} Normalized impact or null if unknown
+ */
+function normalizeImpact(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+
+  if (text === '3' || text.startsWith('high')) return 'high';
+  if (text === '2' || text.startsWith('med')) return 'medium';
+  if (text === '1' || text.startsWith('low')) return 'low';
+
+  return IMPACTS.includes(text) ? text : null;
+}
+
+/**
+ * Normalize one feed record into an economic event
+ * Times without a timezone are read as UTC
+ * @param {Object} raw - Feed record
+ * @param {string} source - Feed name stored with the event
+ * @returns {Object|null} {event_time, currency, title, impact, forecast, previous, actual, source} or null if incomplete
+ */
+export function normalizeEvent(raw, source = null) {
+  const time = raw.event_time || raw.time || raw.datetime ||
+    (raw.date ? `${raw.date}${raw.time_of_day ? ` ${raw.time_of_day}` : ''}` : null);
+  const currency = (raw.currency || raw.country || '').trim().toUpperCase();
+  const title = (raw.title || raw.event || raw.name || '').trim();
+  const impact = normalizeImpact(raw.impact);
+
+  if (!time || !currency || !title || !impact) {
+    return null;
+  }
+
+  const ms = parseCandleTime(String(time).trim());
+
+  if (isNaN(ms)) {
+    return null;
+  }
+
+  const optional = value => (value === undefined || value === '' ? null : String(value));
+
+  return {
+    event_time: toCandleTime(ms),
+    currency,
+    title,
+    impact,
+    forecast: optional(raw.forecast),
+    previous: optional(raw.previous),
+    actual: optional(raw.actual),
+    source: raw.source || source,
+  };
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Fields
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Parse CSV feed text into raw records keyed by the lower-cased header
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Raw records
+ */
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+
+  return lines.slice(1).map(line => {
+    const fields = splitCsvLine(line);
+    return Object.fromEntries(header.map((key, i) => [key, fields[i]]));
+  });
+}
+
+/**
+ * Parse a calendar feed
+ * @param {string} text - Feed contents
+ * @param {string} format - 'json', 'csv' or 'auto' (JSON if the text starts with [ or {)
+ * @param {string} source - Feed name stored with the events
+ * @returns {Object} {events, skipped} - skipped counts records missing time, currency, title or impact
+ */
+export function parseEvents(text, format = 'auto', source = null) {
+  const trimmed = text.trim();
+  const isJson = format === 'json' || (format === 'auto' && /^[[{]/.test(trimmed));
+
+  let records;
+
+  if (isJson) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      records = Array.isArray(parsed) ? parsed : parsed.events;
+    } catch (error) {
+      throw new ValidationError('Invalid economic calendar JSON', { error: error.message });
+    }
+
+    if (!Array.isArray(records)) {
+      throw new ValidationError('Economic calendar JSON must be an array or {events: [...]}');
+    }
+  } else {
+    records = parseCsv(trimmed);
+  }
+
+  const events = records.map(record => normalizeEvent(record, source)).filter(Boolean);
+
+  return { events, skipped: records.length - events.length };
+}
+
+export default { normalizeEvent, parseEvents };
@@ -0,0 +1,25 @@
+/**
+ * Economic calendar from a local JSON or CSV file (NEWS_FEED_PATH)
+ */
+
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import config from '../../config/index.js';
+import { parseEvents } from '../parser.js';
+
+/**
+ * Read all events from the configured file
+ * @returns {Promise<Array<Object>>} Normalized events
+ */
+async function fetchEvents() {
+  const path = config.news.feedPath;
+  const text = await readFile(path, 'utf-8');
+  const format = extname(path).toLowerCase() === '.csv' ? 'csv' : 'auto';
+
+  return parseEvents(text, format, 'file').events;
+}
+
+export default {
+  name: 'file',
+  fetchEvents,
+};
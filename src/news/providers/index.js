@@ -0,0 +1,34 @@
+/**
+ * Economic calendar provider registry
+ * Each provider exposes fetchEvents(from, to) returning normalized events
+ * {event_time, currency, title, impact, forecast, previous, actual, source}
+ */
+
+import { ValidationError } from '../../utils/errors.js';
+import file from './file.js';
+import url from './url.js';
+
+const PROVIDERS = {
+  file,
+  url,
+};
+
+/**
+ * Get calendar provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider module
+ */
+export function getNewsProvider(name) {
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new ValidationError(`Unknown economic calendar provider: ${name}`, {
+      provider: name,
+      available: Object.keys(PROVIDERS),
+    });
+  }
+
+  return provider;
+}
+
+export default { getNewsProvider };
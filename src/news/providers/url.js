@@ -0,0 +1,29 @@
+/**
+ * Economic calendar from a remote JSON or CSV feed (NEWS_FEED_URL)
+ * The requested range is sent as from/to query parameters for feeds that support it
+ */
+
+import axios from 'axios';
+import config from '../../config/index.js';
+import { parseEvents } from '../parser.js';
+
+/**
+ * Fetch events from the configured URL
+ * @param {string} from - Start time ('YYYY-MM-DD HH:mm:ss', UTC)
+ * @param {string} to - End time
+ * @returns {Promise<Array<Object>>} Normalized events
+ */
+async function fetchEvents(from, to) {
+  const response = await axios.get(config.news.feedUrl, {
+    params: { from, to },
+    responseType: 'text',
+    timeout: 10000,
+  });
+
+  return parseEvents(response.data, 'auto', 'url').events;
+}
+
+export default {
+  name: 'url',
+  fetchEvents,
+};
@@ -2,7 +2,7 @@
  * OpenAI strategy engine - main analysis module
  */
 
-import { readFile } from 'fs/promises';
+import { readFile, appendFile, mkdir } from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import config from '../config/index.js';
@@ -84,6 +84,11 @@ export async function analyzeSetup(
     // Validate response
     validateAndThrow(response, symbol, mode, indicators.atr14);
 
+    // Record validated response for replay by the backtester
+    if (config.openai.recordPath) {
+      await recordResponse(symbol, timeframe, mode, candles, candidateReason, response);
+    }
+
     // Check if direction is "none"
     if (response.direction === 'none') {
       logger.info('OpenAI', `No trade recommended: ${response.reason}`);
@@ -108,6 +113,36 @@ export async function analyzeSetup(
   }
 }
 
+/**
+ * Append a validated response to the recording file (JSON lines)
+ * Records are keyed by symbol/timeframe/mode and the time of the last analyzed candle
+ * @param {string} symbol - Symbol
+ * @param {string} timeframe - Timeframe
+ * @param {string} mode - Mode
+ * @param {Array<Object>} candles - Analyzed candles
+ * @param {string} candidateReason - Candidate reason
+ * @param {Object} response - Validated OpenAI response
+ */
+async function recordResponse(symbol, timeframe, mode, candles, candidateReason, response) {
+  try {
+    const record = {
+      symbol,
+      timeframe,
+      mode,
+      candleTime: candles[candles.length - 1].time,
+      candidateReason,
+      response,
+      recordedAt: new Date().toISOString(),
+    };
+
+    await mkdir(dirname(config.openai.recordPath), { recursive: true });
+    await appendFile(config.openai.recordPath, `${JSON.stringify(record)}\n`);
+  } catch (error) {
+    // Recording is best-effort, never block signal generation
+    logger.warn('OpenAI', 'Failed to record response', { error: error.message });
+  }
+}
+
 /**
  * Construct user message JSON for OpenAI
  * @param {string} symbol - Symbol
@@ -168,15 +203,138 @@ function constructUserMessage(
       ema50: roundPrice(indicators.ema50),
       ema200: roundPrice(indicators.ema200),
       atr14: roundPrice(indicators.atr14),
-      rsi14: Math.round(indicators.rsi14 * 10) / 10,
+      rsi14: indicators.rsi14 === null ? null : Math.round(indicators.rsi14 * 10) / 10,
+      macd: indicators.macd && {
+        macd: roundPrice(indicators.macd.macd),
+        signal: roundPrice(indicators.macd.signal),
+        histogram: roundPrice(indicators.macd.histogram),
+      },
+      bollinger: indicators.bollinger && {
+        upper: roundPrice(indicators.bollinger.upper),
+        middle: roundPrice(indicators.bollinger.middle),
+        lower: roundPrice(indicators.bollinger.lower),
+        bandwidth: roundRatio(indicators.bollinger.bandwidth),
+        percentB: roundRatio(indicators.bollinger.percentB),
+      },
+      adx: indicators.adx && {
+        adx: Math.round(indicators.adx.adx * 10) / 10,
+        plusDI: Math.round(indicators.adx.plusDI * 10) / 10,
+        minusDI: Math.round(indicators.adx.minusDI * 10) / 10,
+      },
+      stochastic: indicators.stochastic && {
+        k: Math.round(indicators.stochastic.k * 10) / 10,
+        d: Math.round(indicators.stochastic.d * 10) / 10,
+      },
+      supertrend: indicators.supertrend && {
+        value: roundPrice(indicators.supertrend.value),
+        direction: indicators.supertrend.direction,
+      },
+      vwap: roundPrice(indicators.vwap),
       swings,
+      structure: constructStructure(indicators.structure),
+      divergences: constructDivergences(indicators.divergences),
+      patterns: (indicators.patterns?.hits || []).slice(0, 3).map(hit => ({
+        name: hit.name,
+        direction: hit.direction,
+        score: hit.score,
+        level: hit.level ? roundPrice(hit.level.price) : null,
+      })),
     },
+    htf_context: constructHtfContext(indicators.htf),
     news: news || [],
   };
 
   return JSON.stringify(messageObj);
 }
 
+/**
+ * Build the compact higher-timeframe block of the user message
+ * @param {Object|null} htf - Context from getHtfContext
+ * @returns {Object|null} {timeframe, trend, strength, ema50, ema200, price_vs_ema50, support, resistance}
+ */
+function constructHtfContext(htf) {
+  if (!htf) {
+    return null;
+  }
+
+  return {
+    timeframe: htf.timeframe,
+    trend: htf.trend,
+    strength: htf.strength,
+    ema50: roundPrice(htf.ema50),
+    ema200: roundPrice(htf.ema200),
+    price_vs_ema50: htf.ema50 ? (htf.price > htf.ema50 ? 'above' : 'below') : null,
+    support: htf.support ? roundPrice(htf.support.price) : null,
+    resistance: htf.resistance ? roundPrice(htf.resistance.price) : null,
+  };
+}
+
+/**
+ * Build the compact market structure block of the user message: the last break and the most recent
+ * unmitigated order blocks and fair value gaps
+ * @param {Object|undefined} structure - Result of analyzeStructure
+ * @returns {Object|null} {trend, last_event, order_blocks, fair_value_gaps}
+ */
+function constructStructure(structure) {
+  if (!structure) {
+    return null;
+  }
+
+  const zone = z => ({
+    type: z.type,
+    top: roundPrice(z.top),
+    bottom: roundPrice(z.bottom),
+    time: z.time,
+    touched: z.touched,
+  });
+
+  const { lastEvent } = structure;
+
+  return {
+    trend: structure.trend,
+    last_event: lastEvent && {
+      type: lastEvent.type,
+      direction: lastEvent.direction,
+      level: roundPrice(lastEvent.level),
+      time: lastEvent.time,
+    },
+    order_blocks: structure.orderBlocks.filter(z => !z.mitigated).slice(-3).map(zone),
+    fair_value_gaps: structure.fairValueGaps.filter(z => !z.mitigated).slice(-3).map(zone),
+  };
+}
+
+/**
+ * Build the divergence block of the user message: the most recent RSI divergence of each direction
+ * @param {Object|undefined} divergences - Result of analyzeDivergences
+ * @returns {Array<Object>} [{type, direction, from, to, strength, macd_confirmed}]
+ */
+function constructDivergences(divergences) {
+  if (!divergences) {
+    return [];
+  }
+
+  const anchor = a => ({ time: a.time, price: roundPrice(a.price), rsi: Math.round(a.value * 10) / 10 });
+
+  return [divergences.bullish, divergences.bearish].filter(Boolean).map(d => ({
+    type: d.type,
+    direction: d.direction,
+    from: anchor(d.from),
+    to: anchor(d.to),
+    strength: roundRatio(d.strength),
+    macd_confirmed: d.macdConfirmed,
+  }));
+}
+
+/**
+ * Round a ratio (bandwidth, %B) to 4 decimal places
+ * @param {number} value - Ratio
+ * @returns {number|null} Rounded ratio
+ */
+function roundRatio(value) {
+  if (value === null || value === undefined || isNaN(value)) return null;
+  return Math.round(value * 10000) / 10000;
+}
+
 /**
  * Round price to appropriate decimal places
  * @param {number} price - Price to round
@@ -0,0 +1,264 @@
+/**
+ * Paper-trading account simulator
+ * Every accepted signal becomes a pending order; the evaluator opens, scales out of and closes
+ * the position as it resolves the signal, and realized P&L is booked to the account balance
+ */
+
+import config from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import {
+  getPaperAccount,
+  createPaperAccount,
+  addToPaperBalance,
+  insertPaperPosition,
+  updatePaperPosition,
+  getPaperPositionBySignal,
+  getPaperPositions,
+} from '../db/account.js';
+import { getDatabase } from '../db/index.js';
+import { getStoredCandles } from '../db/candles.js';
+import { calculatePositionSize, getQuoteConversionRate } from './sizing.js';
+
+// Positions that hold margin and risk
+const ACTIVE_STATUSES = ['pending', 'open'];
+
+/**
+ * Get the paper account, creating it with the configured balance on first use
+ * @returns {Object} Paper account row
+ */
+export function ensurePaperAccount() {
+  const account = getPaperAccount();
+
+  if (account) {
+    return account;
+  }
+
+  createPaperAccount(config.account.balance, config.account.currency);
+  logger.info('Account', `Created paper account with ${config.account.balance} ${config.account.currency}`);
+
+  return getPaperAccount();
+}
+
+/**
+ * Calculate the margin required for a position
+ * @param {string} symbol - Trading symbol
+ * @param {number} units - Position size in units
+ * @param {number} price - Entry price
+ * @returns {number|null} Margin in account currency, or null if the quote currency cannot be converted
+ */
+export function calculateMargin(symbol, units, price) {
+  const conversion = getQuoteConversionRate(symbol, price);
+
+  if (conversion === null) {
+    return null;
+  }
+
+  return Math.round(units * price * conversion / config.paper.leverage * 100) / 100;
+}
+
+/**
+ * Mark an open position to the latest stored close
+ * @param {Object} position - Paper position
+ * @returns {number} Unrealized P&L of the remaining size in account currency
+ */
+function getUnrealizedPnl(position) {
+  const [latest] = getStoredCandles(position.symbol, position.timeframe, 1);
+
+  if (!latest) {
+    return 0;
+  }
+
+  const move = position.direction === 'long' ? latest.close - position.entry : position.entry - latest.close;
+  // Without a current rate, the rate the position was sized at (risk amount per unit of stop distance)
+  const conversion = getQuoteConversionRate(position.symbol, latest.close) ??
+    position.risk_amount / (position.units * Math.abs(position.entry - position.stop_loss));
+
+  return move * position.units * position.remaining * conversion;
+}
+
+/**
+ * Get the account summary
+ * @returns {Object} {currency, balance, startingBalance, equity, unrealizedPnl, marginUsed, freeMargin, marginLevel, openRisk, openPositions, pendingOrders}
+ */
+export function getAccountSummary() {
+  const account = ensurePaperAccount();
+  const active = getPaperPositions(ACTIVE_STATUSES);
+  const open = active.filter(p => p.status === 'open');
+
+  const unrealizedPnl = open.reduce((sum, p) => sum + getUnrealizedPnl(p), 0);
+  const marginUsed = active.reduce((sum, p) => sum + p.margin * p.remaining, 0);
+  const openRisk = active.reduce((sum, p) => sum + p.risk_amount * p.remaining, 0);
+  const equity = account.balance + unrealizedPnl;
+  const round = value => Math.round(value * 100) / 100;
+
+  return {
+    currency: account.currency,
+    balance: round(account.balance),
+    startingBalance: account.starting_balance,
+    equity: round(equity),
+    unrealizedPnl: round(unrealizedPnl),
+    marginUsed: round(marginUsed),
+    freeMargin: round(equity - marginUsed),
+    marginLevel: marginUsed > 0 ? round(equity / marginUsed * 100) : null,
+    openRisk: round(openRisk),
+    openPositions: open.length,
+    pendingOrders: active.length - open.length,
+  };
+}
+
+/**
+ * Place a pending order for an accepted signal
+ * The order is sized from the current balance and refused when it would exceed the margin or open-risk limits
+ * @param {Object} signal - Signal with id, symbol, timeframe, direction, entry, stop_loss
+ * @returns {Object} {accepted, reason?, position}
+ */
+export function placePaperOrder(signal) {
+  const summary = getAccountSummary();
+  const sizing = calculatePositionSize(signal, summary.balance);
+
+  if (!sizing) {
+    logger.warn('Account', `Paper order for signal ID ${signal.id} refused: no ${signal.symbol} quote currency conversion rate`);
+    return { accepted: false, reason: 'No quote currency conversion rate', position: null };
+  }
+
+  const margin = calculateMargin(signal.symbol, sizing.position_size, signal.entry);
+
+  let reason = null;
+
+  if (sizing.lots === 0) {
+    reason = 'Position size below minimum lot';
+  } else if (summary.marginUsed + margin > summary.equity * config.paper.maxMarginPercent / 100) {
+    reason = `Margin ${margin} would exceed ${config.paper.maxMarginPercent}% of equity (used: ${summary.marginUsed})`;
+  } else if (summary.openRisk + sizing.risk_amount > summary.balance * config.paper.maxOpenRiskPercent / 100) {
+    reason = `Open risk would exceed ${config.paper.maxOpenRiskPercent}% of balance (open: ${summary.openRisk})`;
+  }
+
+  const position = {
+    signal_id: signal.id,
+    symbol: signal.symbol,
+    timeframe: signal.timeframe,
+    direction: signal.direction,
+    status: reason ? 'rejected' : 'pending',
+    entry: signal.entry,
+    stop_loss: signal.stop_loss,
+    units: sizing.position_size,
+    lots: sizing.lots,
+    risk_amount: sizing.risk_amount,
+    margin,
+    reject_reason: reason,
+  };
+
+  insertPaperPosition(position);
+
+  if (reason) {
+    logger.warn('Account', `Paper order for signal ID ${signal.id} refused: ${reason}`);
+    return { accepted: false, reason, position };
+  }
+
+  logger.info('Account', `Paper order placed for signal ID ${signal.id}: ${sizing.lots} lots ${signal.symbol} (margin ${margin})`);
+  return { accepted: true, position };
+}
+
+/**
+ * Fill the pending order of a triggered signal
+ * @param {Object} signal - Signal with id and triggered_at
+ */
+export function openPaperPosition(signal) {
+  const opened = getDatabase().transaction(() => {
+    const position = getPaperPositionBySignal(signal.id);
+
+    if (!position || position.status !== 'pending') {
+      return false;
+    }
+
+    updatePaperPosition(position.id, { status: 'open', opened_at: signal.triggered_at });
+    return true;
+  })();
+
+  if (!opened) {
+    return;
+  }
+
+  logger.info('Account', `Paper position opened for signal ID ${signal.id}`);
+}
+
+/**
+ * Cancel the pending order of an expired signal
+ * @param {Object} signal - Signal with id
+ * @param {string} time - Cancellation time
+ */
+export function cancelPaperOrder(signal, time) {
+  const position = getPaperPositionBySignal(signal.id);
+
+  if (!position || position.status !== 'pending') {
+    return;
+  }
+
+  updatePaperPosition(position.id, { status: 'cancelled', closed_at: time });
+  logger.info('Account', `Paper order cancelled for signal ID ${signal.id}`);
+}
+
+/**
+ * Book new execution legs of a signal to its paper position
+ * Each leg realizes fraction × net R × the position's risk amount; the balance and the position
+ * are updated in one transaction, so a failed write leaves neither booked
+ * @param {Object} signal - Signal with id
+ * @param {Array<Object>} executions - New execution legs {type, fraction, rNet, time}
+ */
+export function applyPaperExecutions(signal, executions) {
+  const booked = getDatabase().transaction(() => bookPaperExecutions(signal, executions))();
+
+  if (!booked) {
+    return;
+  }
+
+  const { pnl, closed } = booked;
+  logger.info('Account', `Paper position for signal ID ${signal.id} ${closed ? 'closed' : 'reduced'}: ${pnl >= 0 ? '+' : ''}${pnl} ${config.account.currency}`);
+}
+
+/**
+ * Write the P&L of new execution legs to the balance and the paper position
+ * @param {Object} signal - Signal with id
+ * @param {Array<Object>} executions - New execution legs {type, fraction, rNet, time}
+ * @returns {Object|null} {pnl, closed}, or null if there was no open position to book to
+ */
+function bookPaperExecutions(signal, executions) {
+  const position = getPaperPositionBySignal(signal.id);
+
+  if (!position || position.status !== 'open' || executions.length === 0) {
+    return null;
+  }
+
+  let { remaining, realized_pnl } = position;
+  let pnl = 0;
+
+  for (const leg of executions) {
+    pnl += leg.fraction * (leg.rNet ?? leg.r) * position.risk_amount;
+    remaining = Math.max(0, remaining - leg.fraction);
+  }
+
+  pnl = Math.round(pnl * 100) / 100;
+  realized_pnl = Math.round((realized_pnl + pnl) * 100) / 100;
+
+  const closed = remaining <= 1e-9;
+  const lastLeg = executions[executions.length - 1];
+
+  addToPaperBalance(pnl);
+  updatePaperPosition(position.id, {
+    remaining: closed ? 0 : remaining,
+    realized_pnl,
+    ...(closed && { status: 'closed', closed_at: lastLeg.time }),
+  });
+
+  return { pnl, closed };
+}
+
+export default {
+  ensurePaperAccount,
+  calculateMargin,
+  getAccountSummary,
+  placePaperOrder,
+  openPaperPosition,
+  cancelPaperOrder,
+  applyPaperExecutions,
+};
@@ -0,0 +1,201 @@
+/**
+ * Correlation-aware duplicate suppression
+ * A candidate is a duplicate of an active signal when it is the same trade on another
+ * timeframe or mode (same symbol and direction, entry within a few ATR) or the same trade
+ * on a correlated symbol (EURUSD long vs GBPUSD long, EURUSD long vs USDCHF short)
+ */
+
+import config from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { timeframeToMs } from '../utils/timeframes.js';
+import { getStoredCandles } from '../db/candles.js';
+import { getActiveSignals } from '../db/queries.js';
+
+// Correlations are recomputed at most once per bar of the timeframe
+const correlationCache = new Map();
+
+// Minimum aligned returns for a meaningful correlation
+const MIN_RETURNS = 20;
+
+/**
+ * Log returns keyed by candle time
+ * @param {Array<Object>} candles - Candles oldest first
+ * @returns {Map<string, number>} time → log return from the previous close
+ */
+function toReturns(candles) {
+  const returns = new Map();
+
+  for (let i = 1; i < candles.length; i++) {
+    if (candles[i - 1].close > 0 && candles[i].close > 0) {
+      returns.set(candles[i].time, Math.log(candles[i].close / candles[i - 1].close));
+    }
+  }
+
+  return returns;
+}
+
+/**
+ * Pearson correlation of close-to-close log returns over the bars both series share
+ * @param {Array<Object>} candlesA - Candles of the first symbol
+ * @param {Array<Object>} candlesB - Candles of the second symbol
+ * @returns {number|null} Correlation in [-1, 1], or null with too few shared bars
+ */
+export function calculateReturnCorrelation(candlesA, candlesB) {
+  const returnsA = toReturns(candlesA);
+  const returnsB = toReturns(candlesB);
+  const pairs = [];
+
+  for (const [time, a] of returnsA) {
+    if (returnsB.has(time)) {
+      pairs.push([a, returnsB.get(time)]);
+    }
+  }
+
+  if (pairs.length < MIN_RETURNS) {
+    return null;
+  }
+
+  const meanA = pairs.reduce((sum, [a]) => sum + a, 0) / pairs.length;
+  const meanB = pairs.reduce((sum, [, b]) => sum + b, 0) / pairs.length;
+
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+
+  for (const [a, b] of pairs) {
+    covariance += (a - meanA) * (b - meanB);
+    varianceA += (a - meanA) ** 2;
+    varianceB += (b - meanB) ** 2;
+  }
+
+  if (varianceA === 0 || varianceB === 0) {
+    return null;
+  }
+
+  return covariance / Math.sqrt(varianceA * varianceB);
+}
+
+/**
+ * Rolling return correlation between two symbols from stored candles
+ * @param {string} symbolA - First symbol
+ * @param {string} symbolB - Second symbol
+ * @param {string} timeframe - Timeframe of the returns
+ * @returns {number|null} Correlation, or null if not enough stored candles
+ */
+export function getCorrelation(symbolA, symbolB, timeframe) {
+  const key = [symbolA, symbolB].sort().join('|') + `|${timeframe}`;
+  const cached = correlationCache.get(key);
+
+  if (cached && Date.now() - cached.computedAt < timeframeToMs(timeframe)) {
+    return cached.value;
+  }
+
+  const { lookback } = config.correlation;
+  const value = calculateReturnCorrelation(
+    getStoredCandles(symbolA, timeframe, lookback + 1),
+    getStoredCandles(symbolB, timeframe, lookback + 1)
+  );
+
+  correlationCache.set(key, { value, computedAt: Date.now() });
+  return value;
+}
+
+/**
+ * Correlation matrix between the configured symbols
+ * @param {string} timeframe - Timeframe of the returns
+ * @param {Array<string>} symbols - Symbols (default: scanner symbols)
+ * @returns {Object} symbol → symbol → correlation (null if unknown)
+ */
+export function getCorrelationMatrix(timeframe, symbols = config.scanner.symbols) {
+  const matrix = {};
+
+  for (const a of symbols) {
+    matrix[a] = {};
+    for (const b of symbols) {
+      matrix[a][b] = a === b ? 1 : getCorrelation(a, b, timeframe);
+    }
+  }
+
+  return matrix;
+}
+
+/**
+ * Find the active signal a candidate duplicates
+ * @param {Object} candidate - Candidate {symbol, timeframe, direction, entry}
+ * @param {Array<Object>} activeSignals - Active signals, oldest first
+ * @param {number|null} atr - Candidate timeframe ATR (same-symbol overlap needs it)
+ * @param {Function} correlate - (symbolA, symbolB, timeframe) => correlation
+ * @returns {Object|null} {original, type: 'overlap'|'correlated', reason} or null if unique
+ */
+export function findDuplicate(candidate, activeSignals, atr, correlate = getCorrelation) {
+  const { threshold, overlapAtr } = config.correlation;
+
+  // Same symbol, same direction, entry within overlapAtr × ATR on any timeframe or mode
+  if (atr) {
+    const overlap = activeSignals.find(s =>
+      s.symbol === candidate.symbol &&
+      s.direction === candidate.direction &&
+      Math.abs(s.entry - candidate.entry) <= overlapAtr * atr
+    );
+
+    if (overlap) {
+      const distance = Math.abs(overlap.entry - candidate.entry) / atr;
+      return {
+        original: overlap,
+        type: 'overlap',
+        reason: `Overlaps signal ID ${overlap.id} (${overlap.symbol} ${overlap.timeframe} ${overlap.mode}, entry ${distance.toFixed(2)} ATR away)`,
+      };
+    }
+  }
+
+  // Correlated symbols: same direction if positively correlated, opposite if negatively
+  for (const signal of activeSignals) {
+    if (signal.symbol === candidate.symbol || !config.scanner.symbols.includes(signal.symbol)) {
+      continue;
+    }
+
+    const correlation = correlate(candidate.symbol, signal.symbol, candidate.timeframe);
+    if (correlation === null || Math.abs(correlation) < threshold) {
+      continue;
+    }
+
+    const sameDirection = signal.direction === candidate.direction;
+    if (correlation > 0 === sameDirection) {
+      return {
+        original: signal,
+        type: 'correlated',
+        reason: `Same trade as signal ID ${signal.id} (${signal.symbol} ${signal.direction.toUpperCase()}, ${candidate.timeframe} correlation ${correlation.toFixed(2)})`,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a candidate against the active signals
+ * @param {Object} candidate - Candidate {symbol, timeframe, direction, entry}
+ * @param {number|null} atr - Candidate timeframe ATR
+ * @returns {Object|null} Duplicate {original, type, reason} or null
+ */
+export function checkDuplicate(candidate, atr) {
+  if (!config.correlation.enabled) {
+    return null;
+  }
+
+  const duplicate = findDuplicate(candidate, getActiveSignals(), atr);
+
+  if (duplicate) {
+    logger.info('Correlation', `${candidate.symbol} ${candidate.timeframe} ${candidate.direction.toUpperCase()}: ${duplicate.reason}`);
+  }
+
+  return duplicate;
+}
+
+export default {
+  calculateReturnCorrelation,
+  getCorrelation,
+  getCorrelationMatrix,
+  findDuplicate,
+  checkDuplicate,
+};
@@ -0,0 +1,182 @@
+/**
+ * Portfolio-level risk manager
+ * Consulted before a new signal is stored: checks the candidate against what is already
+ * active (pending, triggered, partially closed) and against recent closed outcomes
+ */
+
+import config from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { toCandleTime } from '../utils/timeframes.js';
+import { getActiveSignals, getClosedSignals, insertSignalRejection } from '../db/queries.js';
+import { splitSymbol } from '../scanner/providers/common.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * R still at risk on an active signal
+ * Pending signals risk a full 1R; open positions risk their remaining size down to the
+ * current stop, which is zero once the stop is at or beyond entry
+ * @param {Object} signal - Signal {status, direction, entry, stop_loss, current_stop_loss, executions}
+ * @returns {number} Open risk in R
+ */
+export function getOpenRiskR(signal) {
+  const R = Math.abs(signal.entry - signal.stop_loss);
+
+  if (signal.status === 'pending' || R === 0) {
+    return 1;
+  }
+
+  const closed = (signal.executions || []).reduce((sum, leg) => sum + leg.fraction, 0);
+  const remaining = Math.max(0, 1 - closed);
+  const stop = signal.current_stop_loss ?? signal.stop_loss;
+  const distance = signal.direction === 'long' ? signal.entry - stop : stop - signal.entry;
+
+  return remaining * Math.max(0, distance / R);
+}
+
+/**
+ * Net exposure per currency in R
+ * A long position adds its risk to the base currency and subtracts it from the quote currency
+ * @param {Array<Object>} signals - Signals with symbol, direction and riskR
+ * @returns {Object} Currency → net R (positive = net long)
+ */
+export function getCurrencyExposure(signals) {
+  const exposure = {};
+
+  for (const signal of signals) {
+    const pair = splitSymbol(signal.symbol);
+    if (!pair) continue;
+
+    const sign = signal.direction === 'long' ? 1 : -1;
+    exposure[pair.base] = (exposure[pair.base] || 0) + sign * signal.riskR;
+    exposure[pair.quote] = (exposure[pair.quote] || 0) - sign * signal.riskR;
+  }
+
+  return exposure;
+}
+
+/**
+ * Sum the net R of closed signals (gross R for signals closed before costs were modeled)
+ * @param {Array<Object>} signals - Closed signals
+ * @returns {number} Net R
+ */
+function sumClosedR(signals) {
+  return signals.reduce((sum, s) => sum + (s.outcome_detail?.rrNet ?? s.outcome_detail?.rr ?? 0), 0);
+}
+
+/**
+ * Start of the current UTC day and ISO week (Monday)
+ * @param {Date} now - Current time
+ * @returns {Object} {dayStart, weekStart} as candle times
+ */
+function getPeriodStarts(now) {
+  const day = Math.floor(now.getTime() / DAY_MS) * DAY_MS;
+  const weekday = (new Date(day).getUTCDay() + 6) % 7; // Monday = 0
+
+  return {
+    dayStart: toCandleTime(day),
+    weekStart: toCandleTime(day - weekday * DAY_MS),
+  };
+}
+
+/**
+ * Evaluate a candidate against the risk limits
+ * @param {Object} candidate - Candidate signal {symbol, direction}
+ * @param {Object} portfolio - {active: active signals, closedToday, closedThisWeek}
+ * @param {Object} limits - Risk limits (default: config.risk)
+ * @returns {Object} {allowed, rule?, reason?}
+ */
+export function evaluateRisk(candidate, portfolio, limits = config.risk) {
+  const { active, closedToday, closedThisWeek } = portfolio;
+  const reject = (rule, reason) => ({ allowed: false, rule, reason });
+
+  // Loss circuit breakers
+  const dailyR = sumClosedR(closedToday);
+  if (limits.maxDailyLossR > 0 && dailyR <= -limits.maxDailyLossR) {
+    return reject('daily_loss', `Daily loss ${dailyR.toFixed(2)}R reached the ${limits.maxDailyLossR}R limit`);
+  }
+
+  const weeklyR = sumClosedR(closedThisWeek);
+  if (limits.maxWeeklyLossR > 0 && weeklyR <= -limits.maxWeeklyLossR) {
+    return reject('weekly_loss', `Weekly loss ${weeklyR.toFixed(2)}R reached the ${limits.maxWeeklyLossR}R limit`);
+  }
+
+  if (limits.maxOpenSignals > 0 && active.length >= limits.maxOpenSignals) {
+    return reject('max_open_signals', `${active.length} signals already open (limit ${limits.maxOpenSignals})`);
+  }
+
+  const sameSymbol = active.filter(s => s.symbol === candidate.symbol).length;
+  if (limits.maxSignalsPerSymbol > 0 && sameSymbol >= limits.maxSignalsPerSymbol) {
+    return reject('max_per_symbol', `${sameSymbol} ${candidate.symbol} signals already open (limit ${limits.maxSignalsPerSymbol})`);
+  }
+
+  // The candidate adds a full 1R
+  const positions = active.map(s => ({ symbol: s.symbol, direction: s.direction, riskR: getOpenRiskR(s) }));
+  const openRiskR = positions.reduce((sum, p) => sum + p.riskR, 0);
+  if (limits.maxOpenRiskR > 0 && openRiskR + 1 > limits.maxOpenRiskR) {
+    return reject('max_open_risk', `Open risk ${openRiskR.toFixed(2)}R + 1R would exceed ${limits.maxOpenRiskR}R`);
+  }
+
+  if (limits.maxCurrencyExposureR > 0) {
+    const before = getCurrencyExposure(positions);
+    const after = getCurrencyExposure([...positions, { ...candidate, riskR: 1 }]);
+
+    // Only block candidates that grow an exposure beyond the limit
+    for (const [currency, net] of Object.entries(after)) {
+      const grows = Math.abs(net) > Math.abs(before[currency] || 0);
+      if (grows && Math.abs(net) > limits.maxCurrencyExposureR + 1e-9) {
+        return reject(
+          'currency_exposure',
+          `Net ${net > 0 ? 'long' : 'short'} ${currency} exposure would be ${Math.abs(net).toFixed(2)}R (limit ${limits.maxCurrencyExposureR}R)`
+        );
+      }
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Check a candidate signal against the portfolio and record it if blocked
+ * @param {Object} candidate - Candidate {symbol, timeframe, mode, direction, entry, stop_loss, confidence}
+ * @param {Date} now - Current time (default: now)
+ * @returns {Object} {allowed, rule?, reason?}
+ */
+export function checkSignalRisk(candidate, now = new Date()) {
+  if (!config.risk.enabled) {
+    return { allowed: true };
+  }
+
+  const { dayStart, weekStart } = getPeriodStarts(now);
+  const closedThisWeek = getClosedSignals(weekStart);
+
+  const result = evaluateRisk(candidate, {
+    active: getActiveSignals(),
+    closedToday: closedThisWeek.filter(s => s.closed_at >= dayStart),
+    closedThisWeek,
+  });
+
+  if (!result.allowed) {
+    insertSignalRejection({
+      symbol: candidate.symbol,
+      timeframe: candidate.timeframe,
+      mode: candidate.mode,
+      direction: candidate.direction,
+      entry: candidate.entry,
+      stop_loss: candidate.stop_loss,
+      confidence: candidate.confidence,
+      rule: result.rule,
+      reason: result.reason,
+    });
+    logger.warn('Risk', `Blocked ${candidate.symbol} ${candidate.timeframe} ${candidate.mode} ${candidate.direction.toUpperCase()}: ${result.reason}`);
+  }
+
+  return result;
+}
+
+export default {
+  getOpenRiskR,
+  getCurrencyExposure,
+  evaluateRisk,
+  checkSignalRisk,
+};
@@ -0,0 +1,160 @@
+/**
+ * Position sizing and monetary P&L in account currency
+ */
+
+import config from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { splitSymbol, isCryptoAsset } from '../scanner/providers/common.js';
+import { getLatestStoredClose } from '../db/candles.js';
+
+// Contract specs by asset class: units per lot, pip size and lot granularity
+const FOREX_SPEC = { contractSize: 100000, pipSize: 0.0001, lotStep: 0.01, minLot: 0.01 };
+const JPY_SPEC = { ...FOREX_SPEC, pipSize: 0.01 };
+const CRYPTO_SPEC = { contractSize: 1, pipSize: 1, lotStep: 0.001, minLot: 0.001 };
+const DEFAULT_CONTRACT_SPECS = {
+  XAUUSD: { contractSize: 100, pipSize: 0.1, lotStep: 0.01, minLot: 0.01 },
+  XAGUSD: { contractSize: 5000, pipSize: 0.01, lotStep: 0.01, minLot: 0.01 },
+};
+
+// Per-symbol overrides of the built-in specs (account config map → spec field)
+const SPEC_OVERRIDES = {
+  contractSizes: 'contractSize',
+  pipSizes: 'pipSize',
+  lotSteps: 'lotStep',
+  minLots: 'minLot',
+};
+
+/**
+ * Get the contract spec for a symbol
+ * CONTRACT_SIZES, PIP_SIZES, LOT_STEPS and MIN_LOTS override the fields of the built-in spec
+ * @param {string} symbol - Trading symbol
+ * @returns {Object} {contractSize, pipSize, lotStep, minLot, pipValue} - pipValue in quote currency per lot
+ */
+export function getContractSpec(symbol) {
+  const pair = splitSymbol(symbol);
+  let spec = DEFAULT_CONTRACT_SPECS[symbol];
+
+  if (!spec) {
+    if (pair && isCryptoAsset(pair.base)) {
+      spec = CRYPTO_SPEC;
+    } else if (pair && pair.quote === 'JPY') {
+      spec = JPY_SPEC;
+    } else {
+      spec = FOREX_SPEC;
+    }
+  }
+
+  spec = { ...spec };
+  for (const [key, field] of Object.entries(SPEC_OVERRIDES)) {
+    const value = parseFloat(config.account[key]?.[symbol]);
+    if (value > 0) spec[field] = value;
+  }
+
+  return { ...spec, pipValue: spec.contractSize * spec.pipSize };
+}
+
+/**
+ * Get the rate converting amounts in a symbol's quote currency into the account currency
+ * Without a configured rate, the latest stored close of the conversion pair is used (GBPUSD or USDGBP
+ * for GBP with a USD account)
+ * @param {string} symbol - Trading symbol
+ * @param {number} price - Current price of the symbol (used when the account currency is the base)
+ * @returns {number|null} Conversion rate (1 if the quote currency is the account currency), or null if unknown
+ */
+export function getQuoteConversionRate(symbol, price) {
+  const { currency, conversionRates } = config.account;
+  const pair = splitSymbol(symbol);
+
+  if (!pair || pair.quote === currency) {
+    return 1;
+  }
+
+  // USDJPY with a USD account: 1 JPY = 1 / price USD
+  if (pair.base === currency && price > 0) {
+    return 1 / price;
+  }
+
+  if (conversionRates[pair.quote]) {
+    return parseFloat(conversionRates[pair.quote]);
+  }
+
+  const direct = getLatestStoredClose(`${pair.quote}${currency}`);
+  if (direct?.close > 0) {
+    return direct.close;
+  }
+
+  const inverse = getLatestStoredClose(`${currency}${pair.quote}`);
+  if (inverse?.close > 0) {
+    return 1 / inverse.close;
+  }
+
+  logger.warn('Sizing', `No conversion rate from ${pair.quote} to ${currency} (set CONVERSION_RATES or store ${pair.quote}${currency} / ${currency}${pair.quote} candles)`);
+  return null;
+}
+
+/**
+ * Compute the recommended position size for a signal
+ * Units are rounded down to the lot step, so the actual risk never exceeds the configured percent
+ * @param {Object} signal - Signal {symbol, entry, stop_loss}
+ * @param {number} balance - Account balance in account currency (default: configured balance)
+ * @returns {Object|null} {position_size, lots, risk_amount} - position_size in units, risk_amount in account
+ *   currency, or null if the quote currency cannot be converted (the signal is not sized)
+ */
+export function calculatePositionSize(signal, balance = config.account.balance) {
+  const { symbol, entry, stop_loss } = signal;
+  const spec = getContractSpec(symbol);
+  const stopDistance = Math.abs(entry - stop_loss);
+  const conversion = getQuoteConversionRate(symbol, entry);
+
+  if (conversion === null) {
+    return null;
+  }
+
+  if (stopDistance === 0) {
+    return { position_size: 0, lots: 0, risk_amount: 0 };
+  }
+
+  const targetRisk = balance * config.account.riskPercent / 100;
+  const rawLots = targetRisk / (stopDistance * conversion * spec.contractSize);
+
+  // Round down to the lot step (rounding first avoids 0.29999 → 0.28)
+  const steps = Math.floor(Math.round(rawLots / spec.lotStep * 1e6) / 1e6);
+  const lots = Math.round(steps * spec.lotStep * 1000) / 1000;
+
+  if (lots < spec.minLot) {
+    logger.warn('Sizing', `${symbol}: risk ${targetRisk.toFixed(2)} ${config.account.currency} is below the minimum lot (${spec.minLot})`);
+    return { position_size: 0, lots: 0, risk_amount: 0 };
+  }
+
+  const units = Math.round(lots * spec.contractSize * 1e6) / 1e6;
+
+  return {
+    position_size: units,
+    lots,
+    risk_amount: Math.round(units * stopDistance * conversion * 100) / 100,
+  };
+}
+
+/**
+ * Calculate realized P&L of a closed signal in account currency
+ * The blended net R (after costs) is applied to the risk amount, converted at the entry price
+ * @param {Object} signal - Signal with risk_amount
+ * @param {Object} outcomeDetail - Outcome detail {executions, rrNet, rr}
+ * @returns {number|null} P&L in account currency, or null if the signal was not sized
+ */
+export function calculatePnl(signal, outcomeDetail) {
+  if (!signal.risk_amount) {
+    return null;
+  }
+
+  const netR = outcomeDetail.rrNet ?? outcomeDetail.rr ?? 0;
+
+  return Math.round(netR * signal.risk_amount * 100) / 100;
+}
+
+export default {
+  getContractSpec,
+  getQuoteConversionRate,
+  calculatePositionSize,
+  calculatePnl,
+};
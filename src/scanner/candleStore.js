@@ -0,0 +1,290 @@
+/**
+ * Candle store - serves candles from the local database and only asks the
+ * market data provider for bars newer than the last stored one
+ */
+
+import config from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { timeframeToMs, parseCandleTime, toCandleTime, getLastBarClose } from '../utils/timeframes.js';
+import { fetchCandles } from './marketData.js';
+import { getBarAlignment, getProviderForSymbol, isRateLimitedSymbol } from './providers/index.js';
+import { getRateLimiter, PRIORITY } from './rateLimiter.js';
+import {
+  upsertCandles,
+  getStoredCandles,
+  getStoredCandlesBetween,
+  getCandleStoreState,
+  markCandlesFetched,
+  setCandleHistoryLimit,
+} from '../db/candles.js';
+
+// Largest history window requested from a provider in one call (unless the provider caps it lower)
+const MAX_FETCH_COUNT = 5000;
+
+/**
+ * Most candles one request to a symbol's provider can return
+ * @param {string} symbol - Trading symbol
+ * @returns {number} Candles per request
+ */
+function getMaxFetchCount(symbol) {
+  return Math.min(getProviderForSymbol(symbol).maxCount || MAX_FETCH_COUNT, MAX_FETCH_COUNT);
+}
+
+/**
+ * Plan the provider request that brings the store up to date
+ * The full window is capped at what one request returns and at the history the provider turned out
+ * to have, so a short history is not downloaded again on every scan
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @param {number} count - Number of candles the caller needs
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {Object} {count: bars to request (0 if the store is fresh), full: true if the full window is requested,
+ *   hole: true if more bars closed since the last stored one than one request returns}
+ */
+export function planFetch(symbol, timeframe, count, now) {
+  const state = getCandleStoreState(symbol, timeframe);
+  const maxCount = getMaxFetchCount(symbol);
+  const windowCount = Math.min(count, maxCount);
+
+  // Not enough history on disk: download the full window
+  if (!state.latestTime || state.count < Math.min(windowCount, state.historyLimit ?? Infinity)) {
+    return { count: windowCount, full: true, hole: false };
+  }
+
+  // Another process (scanner/evaluator) fetched recently and no bar has closed since, disk is fresh enough
+  if (state.lastFetchedAt && now - state.lastFetchedAt < config.candleStore.staleMs &&
+      state.lastFetchedAt >= getLastBarClose(timeframe, now, getBarAlignment(symbol))) {
+    return { count: 0, full: false, hole: false };
+  }
+
+  // Re-fetch the last stored bar (it may have been forming) plus every bar since, even when that is more
+  // than the caller's window (after downtime), so the store has no gap
+  const needed = Math.max(Math.ceil((now - parseCandleTime(state.latestTime)) / timeframeToMs(timeframe)), 0) + 1;
+  return { count: Math.min(maxCount, needed), full: false, hole: needed > maxCount };
+}
+
+/**
+ * Work out how many bars (if any) must be fetched to bring the store up to date
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @param {number} count - Number of candles the caller needs
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {number} Bars to request from the provider (0 if the store is fresh)
+ */
+export function getFetchCount(symbol, timeframe, count, now = Date.now()) {
+  return planFetch(symbol, timeframe, count, now).count;
+}
+
+// Credit handed out for providers without a credit budget (nothing to commit or release)
+const UNLIMITED_CREDIT = { ids: [] };
+
+/**
+ * Reserve a rate limiter credit from the symbol's provider budget, if it has one
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @param {Object} request - {consumer, priority, deadline} for the shared queue
+ * @returns {Promise<Object|null>} Credit to settle after the call, or null if the provider may not be called
+ */
+async function acquireCredit(symbol, timeframe, request) {
+  if (!isRateLimitedSymbol(symbol)) {
+    return UNLIMITED_CREDIT;
+  }
+
+  return getRateLimiter(config.rateLimiter).acquire({
+    ...request,
+    provider: getProviderForSymbol(symbol).name,
+    timeframe,
+    label: `${symbol} ${timeframe}`,
+  });
+}
+
+/**
+ * Call the provider with a reserved credit and commit it (a failed call still spends the credit)
+ * Every provider attempt costs a credit: the first one uses the reserved credit, each retry commits
+ * the spent credit and waits for a new one with the same request (no credit, no retry).
+ * The provider's reported budget and rate limit errors are passed on to the rate limiter
+ * @param {Object} credit - Credit from acquireCredit
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @param {number} count - Bars to request
+ * @param {Object} request - Rate limiter request {consumer, priority, deadline} for the retries
+ * @returns {Promise<Array<Object>>} Candles
+ */
+async function fetchWithCredit(credit, symbol, timeframe, count, request) {
+  if (credit === UNLIMITED_CREDIT) {
+    return fetchCandles(symbol, timeframe, count);
+  }
+
+  const rateLimiter = getRateLimiter(config.rateLimiter);
+  const provider = getProviderForSymbol(symbol).name;
+  let current = credit;
+
+  try {
+    return await fetchCandles(symbol, timeframe, count, {
+      onCredits: credits => rateLimiter.reconcile(provider, credits),
+      beforeRetry: async () => {
+        rateLimiter.commit(current);
+        current = await acquireCredit(symbol, timeframe, request);
+        return current !== null;
+      },
+    });
+  } catch (error) {
+    if (error.details?.isRateLimit) {
+      rateLimiter.backOff(provider, error.details.retryAt, error.details.lastError || error.message);
+    }
+    throw error;
+  } finally {
+    if (current) {
+      rateLimiter.commit(current);
+    }
+  }
+}
+
+/**
+ * Return an unused credit to the budget
+ * @param {Object} credit - Credit from acquireCredit
+ */
+function releaseCredit(credit) {
+  if (credit !== UNLIMITED_CREDIT) {
+    getRateLimiter(config.rateLimiter).release(credit);
+  }
+}
+
+/**
+ * Bring the store up to date for a symbol/timeframe
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @param {number} count - Number of candles the caller needs
+ * @param {Object} request - Rate limiter request {consumer, priority, deadline} (default: rotation scan)
+ * @returns {Promise<Object>} {fetched: boolean, bars: number, throttled?: boolean} - fetched is true if the provider
+ *   was called, throttled if the rate limiter refused the call (the store is left as it is)
+ */
+export async function syncCandles(symbol, timeframe, count, request = {}) {
+  if (getFetchCount(symbol, timeframe, count) === 0) {
+    logger.debug('CandleStore', `${symbol} ${timeframe} is fresh, serving from disk`);
+    return { fetched: false, bars: 0 };
+  }
+
+  const { consumer = 'scan', priority = PRIORITY.scan, deadline = null } = request;
+  const credit = await acquireCredit(symbol, timeframe, { consumer, priority, deadline });
+
+  if (!credit) {
+    logger.warn('CandleStore', `${symbol} ${timeframe}: no API credit available, serving from disk`);
+    return { fetched: false, bars: 0, throttled: true };
+  }
+
+  // Another process may have synced the pair while this request waited in the queue
+  const { count: fetchCount, full, hole } = planFetch(symbol, timeframe, count, Date.now());
+
+  if (fetchCount === 0) {
+    releaseCredit(credit);
+    logger.debug('CandleStore', `${symbol} ${timeframe} was synced while waiting, serving from disk`);
+    return { fetched: false, bars: 0 };
+  }
+
+  const candles = await fetchWithCredit(credit, symbol, timeframe, fetchCount, { consumer, priority, deadline });
+  upsertCandles(symbol, timeframe, candles);
+  markCandlesFetched(symbol, timeframe);
+
+  if (hole && candles.length > 0) {
+    logger.warn('CandleStore', `${symbol} ${timeframe}: more bars closed since the last stored one than one request returns, the store has a gap before ${candles[0].time}`);
+  }
+
+  // The provider has less history than the window: remember it instead of asking for it every scan
+  if (full && candles.length < fetchCount) {
+    const { count: stored } = getCandleStoreState(symbol, timeframe);
+    setCandleHistoryLimit(symbol, timeframe, stored);
+    logger.info('CandleStore', `${symbol} ${timeframe}: provider returned ${candles.length} of ${fetchCount} bars, history limited to ${stored}`);
+  }
+
+  logger.debug('CandleStore', `Synced ${candles.length} bars for ${symbol} ${timeframe}`);
+  return { fetched: true, bars: candles.length };
+}
+
+/**
+ * Get the most recent candles, syncing new bars from the provider first
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @param {number} count - Number of candles
+ * @param {Object} request - Rate limiter request {consumer, priority, deadline}
+ * @returns {Promise<Array<Object>>} Candles oldest first
+ */
+export async function getCandles(symbol, timeframe, count, request = {}) {
+  await syncCandles(symbol, timeframe, count, request);
+  return getStoredCandles(symbol, timeframe, count);
+}
+
+/**
+ * Check whether the stored lower-timeframe history spans a bar
+ * Gappy data (no ticks, market breaks, provider caps) leaves fewer candles than the bar could hold, so the
+ * bar counts as covered once the store reaches from its start to its last lower-timeframe candle
+ * @param {Object} state - Candle store state of the lower timeframe
+ * @param {string} barTime - Open time of the bar
+ * @param {string} lastTime - Open time of the bar's last lower-timeframe candle
+ * @returns {boolean} True if fetching cannot add candles inside the bar
+ */
+function coversBar(state, barTime, lastTime) {
+  return Boolean(state.earliestTime && state.earliestTime <= barTime && state.latestTime >= lastTime);
+}
+
+/**
+ * Get the lower-timeframe candles that make up a single higher-timeframe bar
+ * The provider is only asked when the stored history does not span the bar yet and the bar is
+ * within reach of one request, so a resolved bar is never downloaded again
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe of the bar
+ * @param {string} lowerTimeframe - Timeframe to drill down into (e.g. '5m')
+ * @param {string} barTime - Open time of the bar
+ * @param {Object} options - {sync: fetch missing bars from the provider (default: true),
+ *   deadline: epoch milliseconds after which the stored candles are used instead of waiting for a credit}
+ * @returns {Promise<Array<Object>>} Lower-timeframe candles inside the bar, oldest first
+ */
+export async function getIntrabarCandles(symbol, timeframe, lowerTimeframe, barTime, { sync = true, deadline = null } = {}) {
+  const barStart = parseCandleTime(barTime);
+  const lowerMs = timeframeToMs(lowerTimeframe);
+  const barEnd = toCandleTime(barStart + timeframeToMs(timeframe));
+  const lastTime = toCandleTime(barStart + timeframeToMs(timeframe) - lowerMs);
+
+  const readBar = () => getStoredCandlesBetween(symbol, lowerTimeframe, barTime)
+    .filter(c => c.time < barEnd);
+
+  const state = getCandleStoreState(symbol, lowerTimeframe);
+
+  if (!sync || coversBar(state, barTime, lastTime)) {
+    return readBar();
+  }
+
+  // Request enough history to reach back to the start of the bar
+  const count = Math.ceil((Date.now() - barStart) / lowerMs) + 1;
+  const fresh = state.lastFetchedAt && Date.now() - state.lastFetchedAt < config.candleStore.staleMs;
+
+  if (count > getMaxFetchCount(symbol)) {
+    logger.debug('CandleStore', `${symbol} ${lowerTimeframe} bar ${barTime} is beyond one provider request, using stored candles`);
+    return readBar();
+  }
+
+  // Lower-timeframe history is backfill: it waits behind scans and evaluations for credits, but not
+  // past the caller's deadline (no credit in time: the stored candles are used)
+  const request = { consumer: 'backfill', priority: PRIORITY.backfill, deadline };
+  const credit = fresh ? null : await acquireCredit(symbol, lowerTimeframe, request);
+
+  if (credit) {
+    const candles = await fetchWithCredit(credit, symbol, lowerTimeframe, count, request);
+    upsertCandles(symbol, lowerTimeframe, candles);
+    markCandlesFetched(symbol, lowerTimeframe);
+  }
+
+  return readBar();
+}
+
+export { getStoredCandles, getStoredCandlesBetween };
+
+export default {
+  planFetch,
+  getFetchCount,
+  syncCandles,
+  getCandles,
+  getIntrabarCandles,
+  getStoredCandles,
+  getStoredCandlesBetween,
+};
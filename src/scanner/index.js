@@ -5,17 +5,59 @@
 import config from '../config/index.js';
 import { logger } from '../utils/logger.js';
 import { initDatabase } from '../db/index.js';
-import { insertSignal } from '../db/queries.js';
-import { fetchCandles } from './marketData.js';
+import { insertSignal, addSignalConfirmation } from '../db/queries.js';
+import { calculatePositionSize } from '../portfolio/sizing.js';
+import { placePaperOrder } from '../portfolio/account.js';
+import { checkSignalRisk } from '../portfolio/riskManager.js';
+import { checkDuplicate } from '../portfolio/correlation.js';
+import { syncNewsFeed, checkNewsBlackout, getUpcomingNews } from '../news/index.js';
+import { submitSignalOrder } from '../execution/index.js';
+import { syncCandles, getStoredCandles } from './candleStore.js';
+import { isRateLimitedSymbol, getBarAlignment } from './providers/index.js';
 import { computeAllIndicators } from '../indicators/index.js';
+import { getScanWindow, getRequiredHistory, updateIndicatorState } from './indicatorState.js';
 import { applyPrefilters } from './prefilter.js';
-import { scheduleScanner } from './scheduler.js';
-import { getRateLimiter } from './rateLimiter.js';
+import { loadPrefilterRules } from './rules/loader.js';
+import { getMarketStatus } from './marketCalendar.js';
+import { getHigherTimeframe, getHtfContext } from './mtfContext.js';
+import { dropFormingCandle, getNextBarClose } from '../utils/timeframes.js';
+import { scheduleScanner, scheduleBarCloseScanner } from './scheduler.js';
+import { getRateLimiter, PRIORITY, compareRequests } from './rateLimiter.js';
 
 // Will be imported after those modules are built
 let analyzeSetup = null;
 let notifyNewSignal = null;
 
+/**
+ * Store a duplicate signal with a reference to the original
+ * Overlaps on the same symbol are merged (the original gains a confirmation),
+ * trades on correlated symbols are suppressed
+ * @param {Object} signal - Duplicate signal
+ * @param {Object} duplicate - {original, type, reason} from checkDuplicate
+ */
+function recordDuplicate(signal, duplicate) {
+  const merged = duplicate.type === 'overlap';
+  const signalId = insertSignal({
+    ...signal,
+    status: merged ? 'merged' : 'suppressed',
+    duplicate_of: duplicate.original.id,
+    suppression_reason: duplicate.reason,
+  });
+
+  if (signalId && merged) {
+    addSignalConfirmation(duplicate.original.id, {
+      signal_id: signalId,
+      timeframe: signal.timeframe,
+      mode: signal.mode,
+      confidence: signal.confidence,
+      entry: signal.entry,
+      time: new Date().toISOString(),
+    });
+  }
+
+  logger.info('Scanner', `Signal ${merged ? 'merged into' : 'suppressed by'} signal ID ${duplicate.original.id}: ${duplicate.reason}`);
+}
+
 /**
  * Initialize scanner dependencies
  */
@@ -42,6 +84,10 @@ async function initScanner() {
       logger.warn('Scanner', 'Telegram module not available yet, notifications disabled');
     }
 
+    if (getScanWindow(config.scanner.candleCount) > config.scanner.candleCount) {
+      logger.info('Scanner', `Incremental indicators disabled, scan window raised from ${config.scanner.candleCount} to ${getScanWindow(config.scanner.candleCount)} bars for the indicator warm-up`);
+    }
+
     logger.info('Scanner', 'Scanner initialization complete');
   } catch (error) {
     logger.error('Scanner', 'Failed to initialize scanner', error);
@@ -51,25 +97,65 @@ async function initScanner() {
 
 /**
  * Main scanner function - scans all symbols and timeframes with rate limiting
+ * @param {Array<Object>|null} due - {symbol, timeframe} pairs whose bar just closed (bar-close schedule),
+ *   or null to scan every pair in rotation (interval schedule)
+ * @returns {Promise<Array<Object>>} Pairs handled this cycle (scanned, or skipped because their market is closed)
  */
-async function scan() {
+async function scan(due = null) {
   const { symbols, timeframes, modes } = config.scanner;
   const rateLimiter = getRateLimiter(config.rateLimiter);
+  const handled = [];
+
+  // Closed markets (FX weekends, holidays, rollover, metals daily break) are not scanned
+  const marketStatus = new Map();
+  const isOpen = symbol => {
+    if (!config.market.skipClosed) return true;
+
+    if (!marketStatus.has(symbol)) {
+      const status = getMarketStatus(symbol);
+      if (!status.open) {
+        logger.debug('Scanner', `Skipping ${symbol}: market closed (${status.reason})`);
+      }
+      marketStatus.set(symbol, status);
+    }
+
+    return marketStatus.get(symbol).open;
+  };
 
-  // Get combinations to scan this cycle (respects rate limits)
-  const combinations = rateLimiter.getCombinationsForCycle(
-    symbols,
-    timeframes,
-    config.rateLimiter?.maxPerCycle
-  );
+  const pairs = due || symbols.flatMap(symbol => timeframes.map(timeframe => ({ symbol, timeframe })));
+  const open = pairs.filter(pair => isOpen(pair.symbol));
+  handled.push(...pairs.filter(pair => !open.includes(pair)));
+
+  if (open.length === 0) {
+    logger.info('Scanner', 'All markets closed, skipping cycle');
+    return handled;
+  }
+
+  // Get combinations to scan this cycle (respects rate limits); due bar closes go longest timeframe first
+  const combinations = due
+    ? rateLimiter.selectCombinations(
+      [...open].sort((a, b) => compareRequests({ ...a, priority: PRIORITY.barClose }, { ...b, priority: PRIORITY.barClose })),
+      config.rateLimiter?.maxPerCycle
+    )
+    : rateLimiter.getCombinationsForCycle(
+      [...new Set(open.map(pair => pair.symbol))],
+      timeframes,
+      config.rateLimiter?.maxPerCycle
+    );
 
   if (combinations.length === 0) {
     logger.warn('Scanner', 'No combinations available due to rate limits, skipping cycle');
     rateLimiter.logStats();
-    return;
+    return handled;
   }
 
-  logger.info('Scanner', `Scanning ${combinations.length} combinations (of ${symbols.length * timeframes.length} total)`);
+  logger.info('Scanner', `Scanning ${combinations.length} combinations (of ${pairs.length} ${due ? 'due' : 'total'})`);
+
+  // Refresh the economic calendar from the configured provider (no-op between refreshes)
+  await syncNewsFeed();
+
+  // Pick up edited pre-filter rule files
+  await loadPrefilterRules();
 
   let totalCandidates = 0;
   let totalSignals = 0;
@@ -79,31 +165,56 @@ async function scan() {
     const { symbol, timeframe } = combinations[i];
 
     try {
-      // Check if we can make a call
-      const check = rateLimiter.canMakeCall(1);
-      if (!check.allowed) {
-        logger.warn('Scanner', `Skipping ${symbol} ${timeframe}: ${check.reason}`);
-        break; // Stop scanning if we hit limits mid-cycle
-      }
+      const candleCount = getScanWindow(config.scanner.candleCount);
 
-      // Add delay before API call to space out requests (except first call)
-      if (i > 0) {
-        const delayMs = Math.ceil(60000 / config.rateLimiter.maxCallsPerMinute) + 500; // Add buffer
-        logger.debug('Scanner', `Waiting ${delayMs}ms before next API call...`);
-        await sleep(delayMs);
+      // Fetch new bars into the candle store, then read the window from disk. Providers with a credit
+      // budget (e.g. Twelve Data) wait for a credit in the shared rate limiter queue, and nothing is
+      // fetched at all if the store is already fresh. One extra bar is loaded because the still-forming
+      // last bar is dropped. Until the indicator state is warmed up, the warm-up history is synced instead
+      logger.debug('Scanner', `Fetching data for ${symbol} ${timeframe}`);
+      const history = getRequiredHistory(symbol, timeframe, candleCount);
+      const { fetched, throttled } = await syncCandles(symbol, timeframe, history + 1, {
+        consumer: 'scan',
+        priority: due ? PRIORITY.barClose : PRIORITY.scan,
+        deadline: getNextBarClose(timeframe, Date.now(), getBarAlignment(symbol)),
+      });
+
+      if (throttled) {
+        logger.warn('Scanner', `Skipping ${symbol} ${timeframe}: no API credit before the next bar close`);
+        continue;
       }
 
-      // Fetch candle data
-      logger.debug('Scanner', `Fetching data for ${symbol} ${timeframe}`);
-      const candles = await fetchCandles(symbol, timeframe, config.scanner.candleCount);
+      if (fetched && isRateLimitedSymbol(symbol)) {
+        apiCallsThisCycle++;
+      }
 
-      // Record the API call
-      rateLimiter.recordCall(1);
-      apiCallsThisCycle++;
+      // Indicators and setups only use closed bars
+      const stored = getStoredCandles(symbol, timeframe, candleCount + 1);
+      const candles = dropFormingCandle(stored, timeframe, Date.now(), getBarAlignment(symbol)).slice(-candleCount);
 
-      // Compute indicators
+      // Compute indicators (EMA/ATR/RSI from the incremental state, which only takes the newly closed bars)
       logger.debug('Scanner', `Computing indicators for ${symbol} ${timeframe}`);
-      const indicators = computeAllIndicators(candles);
+      const state = updateIndicatorState(symbol, timeframe, candles);
+      const indicators = computeAllIndicators(candles, {
+        state,
+        warmupMultiplier: config.indicators.warmupMultiplier,
+      });
+
+      if (indicators.warmup.unreliable.length > 0) {
+        logger.debug('Scanner', `${symbol} ${timeframe}: ${indicators.warmup.unreliable.join(', ')} warming up (${indicators.warmup.bars} bars), excluded`);
+      }
+
+      // Higher-timeframe context from the candle store. A higher timeframe that is not scanned itself is
+      // kept fresh here, behind every other request in the rate limiter queue
+      const higherTimeframe = config.mtf.enabled ? getHigherTimeframe(timeframe) : null;
+      if (higherTimeframe && !timeframes.includes(higherTimeframe)) {
+        await syncCandles(symbol, higherTimeframe, candleCount + 1, {
+          consumer: 'scan',
+          priority: PRIORITY.backfill,
+          deadline: getNextBarClose(timeframe, Date.now(), getBarAlignment(symbol)),
+        });
+      }
+      indicators.htf = getHtfContext(symbol, timeframe);
 
       // DEBUG: Output full data structure as JSON
       console.log('\n========== DATA STRUCTURE DEBUG ==========');
@@ -116,7 +227,7 @@ async function scan() {
 
       // Apply pre-filters for each mode
       for (const mode of modes) {
-        const prefilterResult = applyPrefilters(candles, indicators, mode);
+        const prefilterResult = applyPrefilters(candles, indicators, mode, symbol);
 
         if (!prefilterResult.isCandidate) {
           logger.debug('Scanner', `${symbol} ${timeframe} ${mode}: Not a candidate - ${prefilterResult.reason || 'no setup'}`);
@@ -126,6 +237,13 @@ async function scan() {
         totalCandidates++;
         logger.info('Scanner', `✓ Candidate found: ${symbol} ${timeframe} ${mode} - ${prefilterResult.reason}`);
 
+        // No new signals around high-impact events in the symbol's currencies
+        const blackout = checkNewsBlackout(symbol);
+        if (blackout) {
+          logger.info('Scanner', `${symbol} ${timeframe} ${mode}: News blackout until ${blackout.end} (${blackout.event.currency} ${blackout.event.title}), skipped`);
+          continue;
+        }
+
         // Analyze with OpenAI (if available)
         if (analyzeSetup) {
           try {
@@ -135,7 +253,8 @@ async function scan() {
               mode,
               candles,
               indicators,
-              prefilterResult.reason
+              prefilterResult.reason,
+              getUpcomingNews(symbol)
             );
 
             if (signal) {
@@ -145,6 +264,24 @@ async function scan() {
                 continue;
               }
 
+              // Same trade as an active signal: store it referencing the original instead of trading it again
+              const duplicate = checkDuplicate({ ...signal, symbol, timeframe }, indicators.atr14);
+              if (duplicate) {
+                recordDuplicate({ ...signal, symbol, timeframe, mode, candidate_reason: prefilterResult.reason }, duplicate);
+                continue;
+              }
+
+              // Portfolio risk limits (blocked signals are recorded in signal_rejections)
+              const risk = checkSignalRisk({ ...signal, symbol, timeframe, mode });
+              if (!risk.allowed) {
+                logger.info('Scanner', `Signal rejected by risk manager (${risk.rule}): ${risk.reason}`);
+                continue;
+              }
+
+              // Recommended size for the configured account risk (null if the quote currency has no conversion rate:
+              // the signal is stored unsized and no paper or broker order is placed)
+              const sizing = calculatePositionSize({ symbol, entry: signal.entry, stop_loss: signal.stop_loss });
+
               // Insert signal into database
               const signalId = insertSignal({
                 symbol,
@@ -159,16 +296,38 @@ async function scan() {
                 management_hint: signal.management_hint,
                 candidate_reason: prefilterResult.reason,
                 status: 'pending',
+                ...sizing,
               });
 
               if (signalId) {
                 totalSignals++;
                 logger.info('Scanner', `✅ New signal created: ID ${signalId} - ${symbol} ${timeframe} ${mode} ${signal.direction.toUpperCase()}`);
 
+                if (!sizing) {
+                  logger.warn('Scanner', `Signal ID ${signalId} could not be sized, no paper or broker order placed`);
+                }
+
+                if (sizing && config.paper.enabled) {
+                  try {
+                    placePaperOrder({ id: signalId, ...signal, symbol, timeframe });
+                  } catch (accountError) {
+                    logger.error('Scanner', `Failed to place paper order for signal ID ${signalId}`, accountError);
+                  }
+                }
+
+                // Send to the broker if the symbol/mode is opted in
+                if (sizing) {
+                  try {
+                    await submitSignalOrder({ id: signalId, ...signal, ...sizing, symbol, timeframe, mode });
+                  } catch (executionError) {
+                    logger.error('Scanner', `Failed to place broker order for signal ID ${signalId}`, executionError);
+                  }
+                }
+
                 // Send Telegram notification (if available)
                 if (notifyNewSignal) {
                   try {
-                    await notifyNewSignal({ id: signalId, ...signal, symbol, timeframe, mode, candidate_reason: prefilterResult.reason });
+                    await notifyNewSignal({ id: signalId, ...signal, ...sizing, symbol, timeframe, mode, candidate_reason: prefilterResult.reason });
                   } catch (telegramError) {
                     logger.error('Scanner', 'Failed to send Telegram notification', telegramError);
                     // Continue even if notification fails
@@ -188,6 +347,8 @@ async function scan() {
           logger.info('Scanner', `Would analyze: ${symbol} ${timeframe} ${mode} - ${prefilterResult.reason} (OpenAI not available)`);
         }
       }
+
+      handled.push(combinations[i]);
     } catch (error) {
       logger.error('Scanner', `Failed to process ${symbol} ${timeframe}`, error);
       // Continue with other symbols
@@ -196,14 +357,8 @@ async function scan() {
 
   logger.info('Scanner', `Scan complete: ${apiCallsThisCycle} API calls, ${totalCandidates} candidates found, ${totalSignals} signals created`);
   rateLimiter.logStats();
-}
 
-/**
- * Sleep for specified milliseconds
- * @param {number} ms - Milliseconds to sleep
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+  return handled;
 }
 
 /**
@@ -215,13 +370,24 @@ async function main() {
     logger.info('Scanner', `Mode: ${config.scanner.modes.join(', ')}`);
     logger.info('Scanner', `Symbols: ${config.scanner.symbols.join(', ')}`);
     logger.info('Scanner', `Timeframes: ${config.scanner.timeframes.join(', ')}`);
-    logger.info('Scanner', `Interval: ${config.scanner.intervalMs}ms (${config.scanner.intervalMs / 1000}s)`);
+    logger.info('Scanner', config.scanner.schedule === 'interval'
+      ? `Interval: ${config.scanner.intervalMs}ms (${config.scanner.intervalMs / 1000}s)`
+      : `Schedule: bar close + ${config.scanner.barCloseDelayMs}ms (retry every ${config.scanner.intervalMs / 1000}s)`);
 
     // Initialize scanner
     await initScanner();
 
-    // Schedule recurring scans
-    scheduleScanner(scan, config.scanner.intervalMs);
+    // Schedule recurring scans: at each bar close, or every SCAN_INTERVAL_MS
+    if (config.scanner.schedule === 'interval') {
+      scheduleScanner(() => scan(), config.scanner.intervalMs);
+    } else {
+      const { symbols, timeframes } = config.scanner;
+      scheduleBarCloseScanner(
+        due => scan(due),
+        symbols.flatMap(symbol => timeframes.map(timeframe => ({ symbol, timeframe }))),
+        { getAlignment: getBarAlignment, delayMs: config.scanner.barCloseDelayMs, retryMs: config.scanner.intervalMs }
+      );
+    }
 
     logger.info('Scanner', '=== Scanner is running ===');
   } catch (error) {
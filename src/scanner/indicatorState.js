@@ -0,0 +1,126 @@
+/**
+ * Incremental indicator state per symbol/timeframe
+ * Keeps the EMA/ATR/RSI engines in the database in step with the closed candles in the
+ * candle store, so each scan only feeds the bars that closed since the last one
+ */
+
+import config from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import {
+  createIndicatorState,
+  isCompatibleState,
+  advanceIndicatorState,
+  getWarmupBars,
+} from '../indicators/incremental.js';
+import { getBarAlignment } from './providers/index.js';
+import { countMissingBars } from './marketCalendar.js';
+import { getStoredCandlesBetween } from '../db/candles.js';
+import { getIndicatorState, saveIndicatorState } from '../db/indicatorState.js';
+
+// Oldest possible candle time, to read a symbol/timeframe's whole stored history
+const HISTORY_START = '0000-00-00 00:00:00';
+
+/**
+ * Closed bars the scanner computes indicators over
+ * Without incremental state every value comes from the window itself, so it is widened to the
+ * warm-up history (otherwise EMA200 would stay null and the trend 'unclear')
+ * @param {number} count - Candles the scan needs
+ * @returns {number} Candles in the scan window
+ */
+export function getScanWindow(count) {
+  if (config.indicators.incremental) {
+    return count;
+  }
+
+  return Math.max(count, getWarmupBars(config.indicators.warmupMultiplier));
+}
+
+/**
+ * Bars the scanner should keep in the candle store for a symbol/timeframe
+ * Until the stored state has seen enough bars for every indicator, the warm-up history is
+ * requested instead of the scan window
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @param {number} count - Candles the scan needs
+ * @returns {number} Candles to sync
+ */
+export function getRequiredHistory(symbol, timeframe, count) {
+  if (!config.indicators.incremental) {
+    return count;
+  }
+
+  const warmupBars = getWarmupBars(config.indicators.warmupMultiplier);
+  const state = getIndicatorState(symbol, timeframe);
+
+  return isCompatibleState(state) && state.bars >= warmupBars ? count : Math.max(count, warmupBars);
+}
+
+/**
+ * Advance a state bar by bar, reseeding it where many bars are missing
+ * A few missing bars (a provider outage, a holiday that is not configured) are carried across, since
+ * restarting would leave EMA200 unset for hundreds of bars. Across a longer hole EMA/ATR/RSI would
+ * blend prices that are not adjacent, so the engines restart after it (closures like weekends are not holes)
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @param {Object} state - Indicator state (updated in place)
+ * @param {Array<Object>} candles - Closed candles, oldest first
+ */
+function advanceContiguous(symbol, timeframe, state, candles) {
+  const alignment = getBarAlignment(symbol);
+  const { maxGapBars } = config.indicators;
+
+  for (const candle of candles) {
+    if (state.lastTime !== null && candle.time > state.lastTime) {
+      const missing = countMissingBars(symbol, { time: state.lastTime }, candle, timeframe, alignment, maxGapBars + 1);
+
+      if (missing > maxGapBars) {
+        logger.warn('Indicators', `${symbol} ${timeframe}: more than ${maxGapBars} bars missing between ${state.lastTime} and ${candle.time}, reseeding indicator state`);
+        Object.assign(state, createIndicatorState());
+      } else if (missing > 0) {
+        logger.info('Indicators', `${symbol} ${timeframe}: ${missing} bar(s) missing between ${state.lastTime} and ${candle.time}, carrying indicator state across`);
+      }
+    }
+
+    advanceIndicatorState(state, [candle]);
+  }
+}
+
+/**
+ * Bring the stored state up to the last closed candle
+ * Bars between the stored state and the window are read from the candle store. The state is rebuilt
+ * from the whole stored history when there is none, its layout changed, or it is ahead of the candles
+ * (e.g. the store was reset). A hole of more than maxGapBars bars restarts the engines after it.
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @param {Array<Object>} candles - Closed candles of the scan window, oldest first
+ * @returns {Object|null} Current state, or null if incremental indicators are disabled
+ */
+export function updateIndicatorState(symbol, timeframe, candles) {
+  if (!config.indicators.incremental || !candles || candles.length === 0) {
+    return null;
+  }
+
+  const lastTime = candles[candles.length - 1].time;
+  let state = getIndicatorState(symbol, timeframe);
+
+  if (state && state.lastTime === lastTime && isCompatibleState(state)) {
+    return state;
+  }
+
+  if (!isCompatibleState(state) || state.lastTime > lastTime) {
+    state = createIndicatorState();
+    const history = getStoredCandlesBetween(symbol, timeframe, HISTORY_START, lastTime);
+    advanceContiguous(symbol, timeframe, state, history);
+    logger.info('Indicators', `Built indicator state for ${symbol} ${timeframe} from ${state.bars} stored candles`);
+  } else if (state.lastTime < candles[0].time) {
+    // Closed bars missed since the last scan are in the store
+    advanceContiguous(symbol, timeframe, state, getStoredCandlesBetween(symbol, timeframe, state.lastTime, lastTime));
+  } else {
+    advanceContiguous(symbol, timeframe, state, candles);
+  }
+
+  saveIndicatorState(symbol, timeframe, state);
+  return state;
+}
+
+export default { getScanWindow, getRequiredHistory, updateIndicatorState };
@@ -0,0 +1,241 @@
+/**
+ * Market calendar - trading hours and sessions per asset class
+ * FX trades 24/5 from Sunday 17:00 to Friday 17:00 New York time with a short rollover pause at 17:00,
+ * metals keep the same week with a daily 17:00-18:00 break, crypto trades 24/7.
+ * Holidays close FX and metals for the whole New York day.
+ * Times are evaluated in the market's own timezone, so DST shifts are handled by Intl
+ */
+
+import config from '../config/index.js';
+import { isCryptoAsset, splitSymbol } from './providers/common.js';
+import {
+  parseCandleTime,
+  toCandleTime,
+  timeframeToMs,
+  getLocalTime,
+  getNextBarClose,
+  DEFAULT_BAR_ALIGNMENT,
+} from '../utils/timeframes.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Step used to look for closures between two bars
+const CLOSURE_STEP_MS = 15 * MINUTE_MS;
+
+const METALS = ['XAU', 'XAG', 'XPT', 'XPD'];
+
+// Trading week in New York time: opens Sunday, closes Friday (minutes after midnight)
+const WEEK_OPEN_DAY = 0;
+const WEEK_CLOSE_DAY = 5;
+const DAILY_CLOSE_MINUTE = 17 * 60;
+const METAL_BREAK_MINUTES = 60;
+
+// Main sessions in local time of their financial centre (weekdays only)
+export const SESSIONS = {
+  sydney: { timeZone: 'Australia/Sydney', start: 7 * 60, end: 16 * 60 },
+  tokyo: { timeZone: 'Asia/Tokyo', start: 9 * 60, end: 18 * 60 },
+  london: { timeZone: 'Europe/London', start: 8 * 60, end: 17 * 60 },
+  newyork: { timeZone: 'America/New_York', start: 8 * 60, end: 17 * 60 },
+};
+
+/**
+ * Convert a time argument into epoch milliseconds
+ * @param {Date|number|string} time - Date, epoch milliseconds or candle time
+ * @returns {number} Epoch milliseconds
+ */
+function toMs(time) {
+  if (time instanceof Date) return time.getTime();
+  if (typeof time === 'number') return time;
+  return parseCandleTime(time);
+}
+
+/**
+ * Get the asset class of a symbol (ASSET_CLASSES overrides the detection)
+ * @param {string} symbol - Trading symbol
+ * @returns {string} 'fx', 'metal' or 'crypto'
+ */
+export function getAssetClass(symbol) {
+  if (config.market.assetClasses[symbol]) {
+    return config.market.assetClasses[symbol];
+  }
+
+  const pair = splitSymbol(symbol);
+
+  if (pair && isCryptoAsset(pair.base)) return 'crypto';
+  if (pair && METALS.includes(pair.base)) return 'metal';
+
+  return 'fx';
+}
+
+/**
+ * Check whether a New York date is a configured holiday ('MM-DD' every year or 'YYYY-MM-DD')
+ * @param {string} date - New York date 'YYYY-MM-DD'
+ * @returns {boolean} True if the market is closed all day
+ */
+function isHoliday(date) {
+  return config.market.holidays.some(holiday => date === holiday || date.endsWith(`-${holiday}`));
+}
+
+/**
+ * Get the market status of a symbol at a point in time
+ * @param {string} symbol - Trading symbol
+ * @param {Date|number|string} time - Time to check (default: now)
+ * @returns {Object} {open, reason?} - reason is 'weekend', 'holiday', 'rollover' or 'daily_break'
+ */
+export function getMarketStatus(symbol, time = new Date()) {
+  const assetClass = getAssetClass(symbol);
+
+  if (assetClass === 'crypto') {
+    return { open: true };
+  }
+
+  const { weekday, minutes, date } = getLocalTime('America/New_York', toMs(time));
+  const pauseMinutes = assetClass === 'metal' ? METAL_BREAK_MINUTES : config.market.rolloverMinutes;
+  const inPause = minutes >= DAILY_CLOSE_MINUTE && minutes < DAILY_CLOSE_MINUTE + pauseMinutes;
+
+  if (weekday === 6 ||
+      (weekday === WEEK_OPEN_DAY && minutes < DAILY_CLOSE_MINUTE) ||
+      (weekday === WEEK_CLOSE_DAY && minutes >= DAILY_CLOSE_MINUTE)) {
+    return { open: false, reason: 'weekend' };
+  }
+
+  if (isHoliday(date)) {
+    return { open: false, reason: 'holiday' };
+  }
+
+  if (inPause) {
+    return { open: false, reason: assetClass === 'metal' ? 'daily_break' : 'rollover' };
+  }
+
+  return { open: true };
+}
+
+/**
+ * Check whether a symbol's market is open
+ * @param {string} symbol - Trading symbol
+ * @param {Date|number|string} time - Time to check (default: now)
+ * @returns {boolean} True if open
+ */
+export function isMarketOpen(symbol, time = new Date()) {
+  return getMarketStatus(symbol, time).open;
+}
+
+/**
+ * Check whether a bar falls in trading hours (the market is open at its start or just before its end)
+ * Providers that emit flat bars over weekends and breaks produce bars for which this is false
+ * @param {string} symbol - Trading symbol
+ * @param {Object} candle - Candle {time}
+ * @param {string} timeframe - Candle timeframe
+ * @returns {boolean} True if the bar contains trading
+ */
+export function isTradingBar(symbol, candle, timeframe) {
+  const start = parseCandleTime(candle.time);
+  return isMarketOpen(symbol, start) || isMarketOpen(symbol, start + timeframeToMs(timeframe) - MINUTE_MS);
+}
+
+/**
+ * Check whether the market closed between two bars (weekend, holiday or daily break)
+ * @param {string} symbol - Trading symbol
+ * @param {Object} previous - Previous bar {time}
+ * @param {Object} candle - Bar {time}
+ * @param {string} timeframe - Candle timeframe
+ * @returns {boolean} True if the bar opens after a closure
+ */
+export function isGapBar(symbol, previous, candle, timeframe) {
+  if (!previous || getAssetClass(symbol) === 'crypto') {
+    return false;
+  }
+
+  const from = parseCandleTime(previous.time) + timeframeToMs(timeframe);
+  const to = parseCandleTime(candle.time);
+
+  for (let t = from; t < to; t += CLOSURE_STEP_MS) {
+    if (!isMarketOpen(symbol, t)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Count the bars the market traded that are missing between two bars (a hole in the data)
+ * Bars that fall entirely into a closure (weekend, holiday or daily break) are not expected
+ * @param {string} symbol - Trading symbol
+ * @param {Object} previous - Previous bar {time}
+ * @param {Object} candle - Bar {time}
+ * @param {string} timeframe - Candle timeframe
+ * @param {Object} alignment - Provider bar alignment {timeZone, dayStart, weekStart}
+ * @param {number} limit - Stop counting at this many bars (default: no limit)
+ * @returns {number} Missing trading bars (at most limit)
+ */
+export function countMissingBars(symbol, previous, candle, timeframe, alignment = DEFAULT_BAR_ALIGNMENT, limit = Infinity) {
+  const to = parseCandleTime(candle.time);
+  let missing = 0;
+
+  for (let t = getNextBarClose(timeframe, parseCandleTime(previous.time), alignment); t < to && missing < limit;
+    t = getNextBarClose(timeframe, t, alignment)) {
+    if (isTradingBar(symbol, { time: toCandleTime(t) }, timeframe)) {
+      missing++;
+    }
+  }
+
+  return missing;
+}
+
+/**
+ * Check whether bars the market traded are missing between two bars
+ * @param {string} symbol - Trading symbol
+ * @param {Object} previous - Previous bar {time}
+ * @param {Object} candle - Bar {time}
+ * @param {string} timeframe - Candle timeframe
+ * @param {Object} alignment - Provider bar alignment {timeZone, dayStart, weekStart}
+ * @returns {boolean} True if at least one trading bar lies between them
+ */
+export function hasMissingBars(symbol, previous, candle, timeframe, alignment = DEFAULT_BAR_ALIGNMENT) {
+  return countMissingBars(symbol, previous, candle, timeframe, alignment, 1) > 0;
+}
+
+/**
+ * Get the sessions active at a point in time
+ * @param {Date|number|string} time - Time to check (default: now)
+ * @returns {Array<string>} Session names (e.g. ['london', 'newyork'])
+ */
+export function getActiveSessions(time = new Date()) {
+  const ms = toMs(time);
+
+  return Object.entries(SESSIONS)
+    .filter(([, session]) => {
+      const { weekday, minutes } = getLocalTime(session.timeZone, ms);
+      return weekday >= 1 && weekday <= 5 && minutes >= session.start && minutes < session.end;
+    })
+    .map(([name]) => name);
+}
+
+/**
+ * Check whether any of the given sessions is active
+ * @param {Date|number|string} time - Time to check
+ * @param {Array<string>} sessions - Session names
+ * @returns {boolean} True if at least one session is active (or no sessions are given)
+ */
+export function isInSessions(time, sessions) {
+  if (!sessions || sessions.length === 0) {
+    return true;
+  }
+
+  const active = getActiveSessions(time);
+  return sessions.some(session => active.includes(session));
+}
+
+export default {
+  SESSIONS,
+  getAssetClass,
+  getMarketStatus,
+  isMarketOpen,
+  isTradingBar,
+  isGapBar,
+  countMissingBars,
+  hasMissingBars,
+  getActiveSessions,
+  isInSessions,
+};
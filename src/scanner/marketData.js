@@ -1,139 +1,53 @@
 /**
- * Market data integration with Twelve Data API
+ * Market data integration - dispatches to the provider configured per symbol
  */
 
 import axios from 'axios';
 import config from '../config/index.js';
 import { logger } from '../utils/logger.js';
 import { MarketDataError } from '../utils/errors.js';
+import { getProviderForSymbol } from './providers/index.js';
 
-// Timeframe mapping from our format to Twelve Data API format
-const TIMEFRAME_MAP = {
-  '1m': '1min',
-  '5m': '5min',
-  '15m': '15min',
-  '30m': '30min',
-  '1h': '1h',
-  '2h': '2h',
-  '4h': '4h',
-  '1d': '1day',
-  '1w': '1week',
-  '1M': '1month',
-};
+// Minimum candles a full history request must return to be usable
+const MIN_CANDLES = 50;
 
 /**
- * Convert internal symbol format to TwelveData API format
- * Examples:
- * - EURUSD → EUR/USD
- * - BTCUSD → BTC/USD
- * - XAUUSD → XAU/USD
- * @param {string} symbol - Internal symbol format
- * @returns {string} TwelveData API format
- */
-function formatSymbolForAPI(symbol) {
-  // If already has slash, return as-is
-  if (symbol.includes('/')) {
-    return symbol;
-  }
-
-  // Common forex pairs (6 characters)
-  if (symbol.length === 6) {
-    const base = symbol.substring(0, 3);
-    const quote = symbol.substring(3, 6);
-    return `${base}/${quote}`;
-  }
-
-  // Commodities and crypto (XAU/USD, BTC/USD, etc.)
-  // Assume last 3 characters are quote currency (usually USD)
-  if (symbol.length > 6) {
-    const base = symbol.substring(0, symbol.length - 3);
-    const quote = symbol.substring(symbol.length - 3);
-    return `${base}/${quote}`;
-  }
-
-  // Fallback: return as-is
-  logger.warn('MarketData', `Unknown symbol format: ${symbol}, using as-is`);
-  return symbol;
-}
-
-/**
- * Fetch OHLCV candle data from Twelve Data API
+ * Fetch OHLCV candle data from the symbol's market data provider
+ * Rate limit errors are not retried: the final error carries isRateLimit and retryAt (when credits
+ * come back) so the rate limiter can back off
  * @param {string} symbol - Trading symbol (e.g., 'EURUSD', 'BTCUSD')
  * @param {string} timeframe - Timeframe (e.g., '15m', '1h', '4h')
  * @param {number} count - Number of candles to fetch (default: 100)
+ * @param {Object} options - {onCredits: called with the provider-reported budget {used, left},
+ *   beforeRetry: async () => boolean, called before each retry; false gives up (e.g. no credit for it)}
  * @returns {Promise<Array<Object>>} Array of candles {time, open, high, low, close, volume}
  */
-export async function fetchCandles(symbol, timeframe, count = 100) {
-  const apiInterval = TIMEFRAME_MAP[timeframe];
+export async function fetchCandles(symbol, timeframe, count = 100, options = {}) {
+  const provider = getProviderForSymbol(symbol);
 
-  if (!apiInterval) {
-    throw new MarketDataError(`Invalid timeframe: ${timeframe}`, { symbol, timeframe });
+  if (provider.timeframes && !provider.timeframes.includes(timeframe)) {
+    throw new MarketDataError(`Invalid timeframe: ${timeframe}`, { symbol, timeframe, provider: provider.name });
   }
 
-  // Convert symbol to TwelveData API format
-  const apiSymbol = formatSymbolForAPI(symbol);
-
-  const url = `${config.marketData.baseUrl}/time_series`;
-  const params = {
-    symbol: apiSymbol,
-    interval: apiInterval,
-    outputsize: count,
-    apikey: config.marketData.apiKey,
-    format: 'JSON',
-  };
-
   let lastError;
+  let rateLimit = null;
+  let attempts = 0;
 
   for (let attempt = 1; attempt <= config.marketData.maxRetries; attempt++) {
-    try {
-      logger.debug('MarketData', `Fetching ${count} candles for ${symbol} (${apiSymbol}) ${timeframe} (attempt ${attempt})`);
-
-      const response = await axios.get(url, {
-        params,
-        timeout: 10000, // 10 second timeout
-      });
-
-      // Check for API errors
-      if (response.data.status === 'error') {
-        const errorMsg = response.data.message || 'API returned error';
-
-        // Check if it's a rate limit error - don't retry these
-        if (errorMsg.includes('run out of API credits') || errorMsg.includes('rate limit')) {
-          throw new MarketDataError(errorMsg, {
-            symbol,
-            timeframe,
-            code: response.data.code,
-            isRateLimit: true,
-          });
-        }
-
-        throw new MarketDataError(errorMsg, {
-          symbol,
-          timeframe,
-          code: response.data.code,
-        });
-      }
+    if (attempt > 1 && options.beforeRetry && !(await options.beforeRetry())) {
+      logger.warn('MarketData', `No retry for ${symbol} ${timeframe}: no API credit`);
+      break;
+    }
 
-      // Check if we have data
-      if (!response.data.values || !Array.isArray(response.data.values)) {
-        throw new MarketDataError('No data returned from API', { symbol, timeframe });
-      }
+    attempts = attempt;
 
-      // Parse and transform candles
-      const candles = response.data.values.map(candle => ({
-        time: candle.datetime,
-        open: parseFloat(candle.open),
-        high: parseFloat(candle.high),
-        low: parseFloat(candle.low),
-        close: parseFloat(candle.close),
-        volume: parseFloat(candle.volume || 0),
-      }));
+    try {
+      logger.debug('MarketData', `Fetching ${count} candles for ${symbol} ${timeframe} from ${provider.name} (attempt ${attempt})`);
 
-      // Twelve Data returns newest first, reverse to oldest first
-      candles.reverse();
+      const candles = await provider.fetchCandles(symbol, timeframe, count, options);
 
       // Validate data
-      if (candles.length < 50) {
+      if (candles.length < Math.min(count, MIN_CANDLES)) {
         throw new MarketDataError(`Insufficient data: only ${candles.length} candles returned`, {
           symbol,
           timeframe,
@@ -144,7 +58,7 @@ export async function fetchCandles(symbol, timeframe, count = 100) {
       // Validate candle data quality
       validateCandles(candles, symbol, timeframe);
 
-      logger.info('MarketData', `Fetched ${candles.length} candles for ${symbol} (${apiSymbol}) ${timeframe}`);
+      logger.info('MarketData', `Fetched ${candles.length} candles for ${symbol} ${timeframe} from ${provider.name}`);
 
       return candles;
     } catch (error) {
@@ -155,8 +69,9 @@ export async function fetchCandles(symbol, timeframe, count = 100) {
         logger.warn('MarketData', `Fetch failed for ${symbol} ${timeframe}: ${error.message}`);
 
         // If it's a rate limit error, don't retry
-        if (error.context?.isRateLimit) {
+        if (error.details?.isRateLimit) {
           logger.warn('MarketData', 'Rate limit detected, skipping retries');
+          rateLimit = { isRateLimit: true, retryAt: error.details.retryAt };
           break; // Exit retry loop immediately
         }
       } else if (axios.isAxiosError(error)) {
@@ -164,15 +79,12 @@ export async function fetchCandles(symbol, timeframe, count = 100) {
         const message = error.response?.data?.message || error.message;
         logger.warn('MarketData', `HTTP error for ${symbol} ${timeframe}: ${message}`);
 
-        // Check for rate limit (429)
+        // Rate limit (429): leave the wait to the rate limiter's cooldown
         if (error.response?.status === 429) {
           const retryAfter = parseInt(error.response.headers['retry-after'] || '60', 10);
           logger.warn('MarketData', `Rate limit hit, retry after ${retryAfter}s`);
-
-          if (attempt < config.marketData.maxRetries) {
-            await sleep(retryAfter * 1000);
-            continue;
-          }
+          rateLimit = { isRateLimit: true, retryAt: Date.now() + retryAfter * 1000 };
+          break;
         }
       } else {
         // Unknown error
@@ -188,13 +100,17 @@ export async function fetchCandles(symbol, timeframe, count = 100) {
     }
   }
 
-  // All retries failed
+  // All retries failed (or the provider is out of credits)
   throw new MarketDataError(
-    `Failed to fetch data after ${config.marketData.maxRetries} attempts`,
+    rateLimit
+      ? `Rate limited by ${provider.name}`
+      : `Failed to fetch data after ${attempts} attempt${attempts === 1 ? '' : 's'}`,
     {
       symbol,
       timeframe,
+      provider: provider.name,
       lastError: lastError.message,
+      ...rateLimit,
     }
   );
 }
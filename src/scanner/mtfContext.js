@@ -0,0 +1,119 @@
+/**
+ * Multi-timeframe context - summarizes the higher timeframe (trend, EMAs, nearest S/R)
+ * for a symbol/timeframe so setups can be checked against the bigger picture
+ * Higher-timeframe candles are read from the candle store only; the computed context is
+ * cached per closed higher-timeframe bar
+ */
+
+import config from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { computeAllIndicators } from '../indicators/index.js';
+import { timeframeToMs, toCandleTime, dropFormingCandle } from '../utils/timeframes.js';
+import { getBarAlignment } from './providers/index.js';
+import { getStoredCandlesBetween } from '../db/candles.js';
+
+// Minimum higher-timeframe candles for indicators (same floor as computeAllIndicators)
+const MIN_CANDLES = 50;
+
+// Last computed context per symbol/higher timeframe, keyed by the last closed bar's time
+const contextCache = new Map();
+
+/**
+ * Get the higher timeframe used as context for a timeframe (HTF_MAP)
+ * @param {string} timeframe - Timeframe (e.g. '15m')
+ * @returns {string|null} Higher timeframe (e.g. '4h') or null if none is configured
+ */
+export function getHigherTimeframe(timeframe) {
+  return config.mtf.higherTimeframes[timeframe] || null;
+}
+
+/**
+ * Summarize higher-timeframe candles
+ * @param {string} timeframe - Higher timeframe
+ * @param {Array<Object>} candles - Closed higher-timeframe candles, oldest first
+ * @returns {Object|null} {timeframe, time, trend, strength, price, ema50, ema200, support, resistance}
+ *   or null if there is not enough history
+ */
+export function buildHtfContext(timeframe, candles) {
+  if (!candles || candles.length < MIN_CANDLES) {
+    return null;
+  }
+
+  const indicators = computeAllIndicators(candles);
+  const { currentPrice, swings } = indicators;
+
+  // Nearest levels on either side of price (srLevels are sorted by importance, not distance)
+  const byDistance = (a, b) => Math.abs(a.price - currentPrice) - Math.abs(b.price - currentPrice);
+  const support = swings.srLevels.filter(level => level.price <= currentPrice).sort(byDistance)[0] || null;
+  const resistance = swings.srLevels.filter(level => level.price > currentPrice).sort(byDistance)[0] || null;
+
+  return {
+    timeframe,
+    time: candles[candles.length - 1].time,
+    trend: indicators.trend.direction,
+    strength: indicators.trend.strength,
+    price: currentPrice,
+    ema50: indicators.ema50,
+    ema200: indicators.ema200,
+    atr14: indicators.atr14,
+    support: support && { price: support.price, touches: support.touches },
+    resistance: resistance && { price: resistance.price, touches: resistance.touches },
+  };
+}
+
+/**
+ * Get the higher-timeframe context for a symbol/timeframe from the candle store
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe being analyzed
+ * @param {number} asOf - Epoch milliseconds; only higher-timeframe bars closed by then are used (default: now)
+ * @returns {Object|null} Context from buildHtfContext, or null if disabled, unmapped or not enough stored history
+ */
+export function getHtfContext(symbol, timeframe, asOf = Date.now()) {
+  const higherTimeframe = config.mtf.enabled ? getHigherTimeframe(timeframe) : null;
+
+  if (!higherTimeframe) {
+    return null;
+  }
+
+  // Read a generous window (weekends leave gaps) and keep the bars closed by asOf
+  const count = config.scanner.candleCount;
+  const from = toCandleTime(asOf - (count + 1) * timeframeToMs(higherTimeframe) * 2);
+  const stored = getStoredCandlesBetween(symbol, higherTimeframe, from, toCandleTime(asOf));
+  const candles = dropFormingCandle(stored, higherTimeframe, asOf, getBarAlignment(symbol)).slice(-count);
+
+  if (candles.length < MIN_CANDLES) {
+    logger.debug('MTF', `${symbol} ${higherTimeframe}: only ${candles.length} stored candles, no higher-timeframe context`);
+    return null;
+  }
+
+  const key = `${symbol}|${higherTimeframe}`;
+  const lastTime = candles[candles.length - 1].time;
+  const cached = contextCache.get(key);
+
+  if (cached && cached.time === lastTime) {
+    return cached;
+  }
+
+  const context = buildHtfContext(higherTimeframe, candles);
+  contextCache.set(key, context);
+
+  return context;
+}
+
+/**
+ * Check whether a setup direction agrees with the higher-timeframe trend
+ * @param {Object} context - Context from getHtfContext
+ * @param {string} bias - Setup direction ('long' or 'short')
+ * @returns {boolean} True if the higher timeframe trends the same way
+ */
+export function isHtfAligned(context, bias) {
+  return (bias === 'long' && context.trend === 'uptrend') ||
+    (bias === 'short' && context.trend === 'downtrend');
+}
+
+export default {
+  getHigherTimeframe,
+  buildHtfContext,
+  getHtfContext,
+  isHtfAligned,
+};
@@ -2,18 +2,22 @@
  * Pre-filter logic to identify interesting trading candidates
  */
 
+import config from '../config/index.js';
 import { logger } from '../utils/logger.js';
+import { isInSessions } from './marketCalendar.js';
+import { isHtfAligned } from './mtfContext.js';
+import { evaluateRules } from './rules/engine.js';
+import { getPrefilterRules } from './rules/loader.js';
 
 /**
  * Apply pre-filters to determine if chart is interesting for analysis
  * @param {Array<Object>} candles - Array of OHLC candles
- * @param {Object} indicators - Computed indicators from computeAllIndicators()
+ * @param {Object} indicators - Computed indicators from computeAllIndicators() (plus htf context, if any)
  * @param {string} mode - Trading mode ('conservative' or 'aggressive')
- * @returns {Object} {isCandidate: boolean, reason: string}
+ * @param {string|null} symbol - Trading symbol, selects symbol-specific rules (optional)
+ * @returns {Object} {isCandidate: boolean, reason: string, rules: names of the matching setup rules}
  */
-export function applyPrefilters(candles, indicators, mode) {
-  const reasons = [];
-
+export function applyPrefilters(candles, indicators, mode, symbol = null) {
   // Check minimum data requirements
   if (!candles || candles.length < 50) {
     return {
@@ -23,9 +27,22 @@ export function applyPrefilters(candles, indicators, mode) {
   }
 
   if (!indicators || !indicators.atr14 || !indicators.ema50 || !indicators.ema200) {
+    // Values excluded for too little history say so, with the bars they still need
+    const warming = indicators?.warmup?.unreliable.filter(name => ['ema50', 'ema200', 'atr14'].includes(name)) || [];
+    return {
+      isCandidate: false,
+      reason: warming.length > 0
+        ? `Indicators warming up (${warming.map(name => `${name} needs ${indicators.warmup.required[name]} bars`).join(', ')}, have ${indicators.warmup.bars})`
+        : 'Missing required indicators',
+    };
+  }
+
+  // Rejection criteria: outside the configured trading sessions
+  const { sessionFilter } = config.market;
+  if (!isInSessions(candles[candles.length - 1].time, sessionFilter)) {
     return {
       isCandidate: false,
-      reason: 'Missing required indicators',
+      reason: `Outside trading sessions (${sessionFilter.join(', ')})`,
     };
   }
 
@@ -38,61 +55,61 @@ export function applyPrefilters(candles, indicators, mode) {
     };
   }
 
-  // Rejection criteria: choppy market
-  if (indicators.trend.direction === 'choppy') {
+  // Rejection criteria: choppy market - weak ADX, or flat EMAs if ADX is unavailable or disabled
+  const { minAdx } = config.prefilter;
+  if (minAdx > 0 && indicators.adx) {
+    if (indicators.adx.adx < minAdx) {
+      return {
+        isCandidate: false,
+        reason: `Choppy market (ADX ${indicators.adx.adx.toFixed(1)} < ${minAdx}), no directional strength`,
+      };
+    }
+  } else if (indicators.trend.direction === 'choppy') {
     return {
       isCandidate: false,
       reason: 'Choppy market with flat EMAs, no clear trend',
     };
   }
 
-  // Get last few candles for pattern analysis
-  const lastCandle = candles[candles.length - 1];
-
-  // Pre-filter 1: Trend-aligned engulfing pattern
-  if (checkTrendAlignedEngulfing(indicators)) {
-    reasons.push(checkTrendAlignedEngulfing(indicators));
-  }
-
-  // Pre-filter 2: Pin bar at structure
-  if (checkPinBarAtStructure(indicators, lastCandle)) {
-    reasons.push(checkPinBarAtStructure(indicators, lastCandle));
-  }
-
-  // Pre-filter 3: Pullback into trend
-  if (checkPullbackIntoTrend(candles, indicators)) {
-    reasons.push(checkPullbackIntoTrend(candles, indicators));
-  }
+  // Setups from the declarative rules for this mode and symbol (src/scanner/rules/)
+  const context = buildRuleContext(candles, indicators, mode, symbol);
+  const found = evaluateRules(getPrefilterRules(mode, symbol), context);
 
-  // Pre-filter 4: RSI divergence (optional, aggressive mode)
-  if (mode === 'aggressive' && checkRSIDivergence(candles, indicators)) {
-    reasons.push(checkRSIDivergence(candles, indicators));
+  // If no setups found, not a candidate
+  if (found.length === 0) {
+    return {
+      isCandidate: false,
+      reason: '',
+    };
   }
 
-  // Pre-filter 5: Strong reversal at key S/R
-  if (checkReversalAtSR(indicators)) {
-    reasons.push(checkReversalAtSR(indicators));
-  }
+  // Modes that require it only keep setups in the direction of the higher-timeframe trend
+  // (without enough stored higher-timeframe history for the EMAs there is nothing to check against)
+  const { htf } = indicators;
+  const setups = htf && htf.trend !== 'unclear' && config.mtf.alignmentModes.includes(mode)
+    ? found.filter(setup => isHtfAligned(htf, setup.bias))
+    : found;
 
-  // If no reasons found, not a candidate
-  if (reasons.length === 0) {
+  if (setups.length === 0) {
     return {
       isCandidate: false,
-      reason: '',
+      reason: `Against higher timeframe trend (${htf.timeframe} ${htf.trend})`,
     };
   }
 
   // Combine all reasons
-  const combinedReason = reasons.filter(Boolean).join(' + ');
+  const reasons = setups.map(setup => setup.reason);
+  const combinedReason = reasons.join(' + ');
 
   logger.debug('PreFilter', `Candidate found: ${combinedReason}`, {
-    symbol: indicators.symbol || 'unknown',
-    reasons: reasons.length,
+    symbol: symbol || indicators.symbol || 'unknown',
+    rules: setups.map(setup => setup.rule),
   });
 
   return {
     isCandidate: true,
     reason: combinedReason,
+    rules: setups.map(setup => setup.rule),
   };
 }
 
@@ -111,180 +128,35 @@ function getMinimumATR(price) {
 }
 
 /**
- * Check for trend-aligned engulfing pattern
- * @param {Object} indicators - Indicators object
- * @returns {string|null} Reason if pattern found, null otherwise
- */
-function checkTrendAlignedEngulfing(indicators) {
-  const { patterns, trend, currentPrice, ema50 } = indicators;
-
-  // Bullish engulfing in uptrend
-  if (
-    patterns.bullishEngulfing.detected &&
-    trend.direction === 'uptrend' &&
-    currentPrice > ema50
-  ) {
-    return 'Bullish engulfing in uptrend';
-  }
-
-  // Bearish engulfing in downtrend
-  if (
-    patterns.bearishEngulfing.detected &&
-    trend.direction === 'downtrend' &&
-    currentPrice < ema50
-  ) {
-    return 'Bearish engulfing in downtrend';
-  }
-
-  return null;
-}
-
-/**
- * Check for pin bar at structure (S/R level)
- * @param {Object} indicators - Indicators object
- * @param {Object} lastCandle - Last candle
- * @returns {string|null} Reason if pattern found, null otherwise
- */
-function checkPinBarAtStructure(indicators, lastCandle) {
-  const { patterns, swings, currentPrice } = indicators;
-
-  // Check if near S/R level
-  if (!swings.nearSR) {
-    return null;
-  }
-
-  // Bullish pin at support
-  if (patterns.bullishPin.detected && swings.nearSR.type === 'support') {
-    return `Bullish pin bar at support level (${swings.nearSR.price.toFixed(5)})`;
-  }
-
-  // Bearish pin at resistance
-  if (patterns.bearishPin.detected && swings.nearSR.type === 'resistance') {
-    return `Bearish pin bar at resistance level (${swings.nearSR.price.toFixed(5)})`;
-  }
-
-  return null;
-}
-
-/**
- * Check for pullback into trend
+ * Build the context the pre-filter rules are evaluated against: the indicators plus the mode's
+ * settings and values derived from the recent candles
  * @param {Array<Object>} candles - Candles array
  * @param {Object} indicators - Indicators object
- * @returns {string|null} Reason if pattern found, null otherwise
+ * @param {string} mode - Trading mode
+ * @param {string|null} symbol - Trading symbol
+ * @returns {Object} Rule context
  */
-function checkPullbackIntoTrend(candles, indicators) {
-  const { trend, currentPrice, ema50, swings } = indicators;
-
-  if (trend.direction !== 'uptrend' && trend.direction !== 'downtrend') {
-    return null;
-  }
-
-  // Look at last 5-10 candles to see if there was a pullback
-  const recentCandles = candles.slice(-10);
-  const closes = recentCandles.map(c => c.close);
+export function buildRuleContext(candles, indicators, mode, symbol = null) {
+  // Last 10 closes for pullbacks
+  const closes = candles.slice(-10).map(c => c.close);
+  const { swingHighs, swingLows } = indicators.swings;
 
-  // Uptrend: price pulled back to EMA50 or recent swing low, then bounced
-  if (trend.direction === 'uptrend') {
-    const minRecent = Math.min(...closes);
-    const priceBounced = currentPrice > minRecent && closes[closes.length - 2] < currentPrice;
-
-    // Check if pullback touched EMA50
-    const touchedEMA50 = Math.abs(minRecent - ema50) / ema50 < 0.005; // Within 0.5%
-
-    // Check if pullback touched recent swing low
-    const nearSwingLow = swings.swingLows.length > 0 &&
-      Math.abs(minRecent - swings.swingLows[swings.swingLows.length - 1].price) / minRecent < 0.01;
-
-    if (priceBounced && (touchedEMA50 || nearSwingLow)) {
-      return 'Pullback to support in uptrend, bouncing';
-    }
-  }
-
-  // Downtrend: price pulled back to EMA50 or recent swing high, then rejected
-  if (trend.direction === 'downtrend') {
-    const maxRecent = Math.max(...closes);
-    const priceRejected = currentPrice < maxRecent && closes[closes.length - 2] > currentPrice;
-
-    // Check if pullback touched EMA50
-    const touchedEMA50 = Math.abs(maxRecent - ema50) / ema50 < 0.005; // Within 0.5%
-
-    // Check if pullback touched recent swing high
-    const nearSwingHigh = swings.swingHighs.length > 0 &&
-      Math.abs(maxRecent - swings.swingHighs[swings.swingHighs.length - 1].price) / maxRecent < 0.01;
-
-    if (priceRejected && (touchedEMA50 || nearSwingHigh)) {
-      return 'Pullback to resistance in downtrend, rejecting';
-    }
-  }
-
-  return null;
-}
-
-/**
- * Check for RSI divergence (aggressive mode only)
- * @param {Array<Object>} candles - Candles array
- * @param {Object} indicators - Indicators object
- * @returns {string|null} Reason if divergence found, null otherwise
- */
-function checkRSIDivergence(candles, indicators) {
-  const { rsi14, swings } = indicators;
-
-  // Need at least 2 swing points to check divergence
-  if (swings.swingHighs.length < 2 || swings.swingLows.length < 2) {
-    return null;
-  }
-
-  // This is a simplified check - full RSI divergence would require tracking RSI at each swing
-  // For now, we'll check if RSI is in oversold/overbought territory
-  if (rsi14 < 30 && swings.swingLows.length >= 2) {
-    return 'RSI oversold with potential bullish divergence';
-  }
-
-  if (rsi14 > 70 && swings.swingHighs.length >= 2) {
-    return 'RSI overbought with potential bearish divergence';
-  }
-
-  return null;
-}
-
-/**
- * Check for strong reversal pattern at key S/R
- * @param {Object} indicators - Indicators object
- * @returns {string|null} Reason if pattern found, null otherwise
- */
-function checkReversalAtSR(indicators) {
-  const { patterns, swings } = indicators;
-
-  // Must be near a significant S/R level
-  if (!swings.nearSR || swings.nearSR.touches < 2) {
-    return null;
-  }
-
-  // Check for multiple bullish patterns at support
-  if (swings.nearSR.type === 'support') {
-    const bullishSignals = [
-      patterns.bullishEngulfing.detected,
-      patterns.bullishPin.detected,
-    ].filter(Boolean).length;
-
-    if (bullishSignals >= 1) {
-      return `Reversal setup at strong support (${swings.nearSR.touches} touches)`;
-    }
-  }
-
-  // Check for multiple bearish patterns at resistance
-  if (swings.nearSR.type === 'resistance') {
-    const bearishSignals = [
-      patterns.bearishEngulfing.detected,
-      patterns.bearishPin.detected,
-    ].filter(Boolean).length;
-
-    if (bearishSignals >= 1) {
-      return `Reversal setup at strong resistance (${swings.nearSR.touches} touches)`;
-    }
-  }
-
-  return null;
+  return {
+    ...indicators,
+    symbol,
+    mode,
+    settings: {
+      minPatternScore: config.trading[mode]?.minPatternScore ?? 0,
+    },
+    lastCandle: candles[candles.length - 1],
+    recent: {
+      lowestClose: Math.min(...closes),
+      highestClose: Math.max(...closes),
+      prevClose: closes.length > 1 ? closes[closes.length - 2] : null,
+      lastSwingHigh: swingHighs.length > 0 ? swingHighs[swingHighs.length - 1].price : null,
+      lastSwingLow: swingLows.length > 0 ? swingLows[swingLows.length - 1].price : null,
+    },
+  };
 }
 
-export default { applyPrefilters };
+export default { applyPrefilters, buildRuleContext };
@@ -0,0 +1,150 @@
+/**
+ * Alpha Vantage market data provider (FX, crypto and equities)
+ */
+
+import axios from 'axios';
+import config from '../../config/index.js';
+import { logger } from '../../utils/logger.js';
+import { MarketDataError } from '../../utils/errors.js';
+import { fromLocalTime, toCandleTime } from '../../utils/timeframes.js';
+import { splitSymbol, toCandle, isCryptoAsset, getCreditResetTime } from './common.js';
+
+// Intraday intervals supported by Alpha Vantage
+const INTRADAY_MAP = {
+  '1m': '1min',
+  '5m': '5min',
+  '15m': '15min',
+  '30m': '30min',
+  '1h': '60min',
+};
+
+// Daily and higher series use separate functions
+const PERIOD_MAP = {
+  '1d': 'DAILY',
+  '1w': 'WEEKLY',
+  '1M': 'MONTHLY',
+};
+
+// Legacy zone names in the "Time Zone" metadata and their IANA names
+const TIME_ZONES = {
+  'US/Eastern': 'America/New_York',
+};
+
+/**
+ * Build Alpha Vantage query parameters for a symbol/timeframe
+ * @param {string} symbol - Internal symbol format
+ * @param {string} timeframe - Timeframe
+ * @returns {Object} Query parameters (without apikey)
+ */
+function buildParams(symbol, timeframe) {
+  const parts = splitSymbol(symbol);
+  const interval = INTRADAY_MAP[timeframe];
+  const period = PERIOD_MAP[timeframe];
+
+  // Equities (e.g. AAPL) have no quote currency
+  if (!parts) {
+    return interval
+      ? { function: 'TIME_SERIES_INTRADAY', symbol, interval }
+      : { function: `TIME_SERIES_${period}`, symbol };
+  }
+
+  if (isCryptoAsset(parts.base)) {
+    return interval
+      ? { function: 'CRYPTO_INTRADAY', symbol: parts.base, market: parts.quote, interval }
+      : { function: `DIGITAL_CURRENCY_${period}`, symbol: parts.base, market: parts.quote };
+  }
+
+  return interval
+    ? { function: 'FX_INTRADAY', from_symbol: parts.base, to_symbol: parts.quote, interval }
+    : { function: `FX_${period}`, from_symbol: parts.base, to_symbol: parts.quote };
+}
+
+/**
+ * Get the timezone of a series' timestamps from its metadata ("6. Time Zone", "7. Time Zone", ...)
+ * Equity series are in US/Eastern when the metadata does not say otherwise, the others in UTC
+ * @param {Object} metadata - "Meta Data" object of the response
+ * @param {boolean} equity - Whether the series is an equity series
+ * @returns {string} IANA timezone
+ */
+function getSeriesTimeZone(metadata, equity) {
+  const key = Object.keys(metadata || {}).find(name => name.includes('Time Zone'));
+  const zone = key ? metadata[key] : (equity ? 'US/Eastern' : 'UTC');
+  return TIME_ZONES[zone] || zone;
+}
+
+/**
+ * Fetch OHLCV candle data from Alpha Vantage (single attempt)
+ * @param {string} symbol - Trading symbol (e.g., 'EURUSD', 'BTCUSD', 'AAPL')
+ * @param {string} timeframe - Timeframe (e.g., '15m', '1h', '1d')
+ * @param {number} count - Number of candles to fetch
+ * @returns {Promise<Array<Object>>} Array of candles, oldest first
+ */
+export async function fetchCandles(symbol, timeframe, count) {
+  if (!INTRADAY_MAP[timeframe] && !PERIOD_MAP[timeframe]) {
+    throw new MarketDataError(`Timeframe not supported by Alpha Vantage: ${timeframe}`, {
+      symbol,
+      timeframe,
+      provider: 'alphavantage',
+    });
+  }
+
+  const params = buildParams(symbol, timeframe);
+  const { baseUrl, apiKey } = config.marketData.alphavantage;
+
+  logger.debug('MarketData', `Alpha Vantage request: ${params.function} ${symbol} ${timeframe}`);
+
+  const response = await axios.get(`${baseUrl}/query`, {
+    params: {
+      ...params,
+      outputsize: count > 100 ? 'full' : 'compact',
+      apikey: apiKey,
+    },
+    timeout: 10000,
+  });
+
+  // Alpha Vantage reports throttling in a "Note"/"Information" field with HTTP 200
+  const notice = response.data.Note || response.data.Information;
+  if (notice) {
+    throw new MarketDataError(notice, {
+      symbol,
+      timeframe,
+      provider: 'alphavantage',
+      isRateLimit: true,
+      retryAt: getCreditResetTime(notice),
+    });
+  }
+
+  if (response.data['Error Message']) {
+    throw new MarketDataError(response.data['Error Message'], { symbol, timeframe, provider: 'alphavantage' });
+  }
+
+  const seriesKey = Object.keys(response.data).find(key => key.startsWith('Time Series'));
+  const series = seriesKey ? response.data[seriesKey] : null;
+
+  if (!series) {
+    throw new MarketDataError('No data returned from API', { symbol, timeframe, provider: 'alphavantage' });
+  }
+
+  // Intraday timestamps are local to the series' timezone (US/Eastern for equities); daily and
+  // higher series are keyed by date only and stay as they are
+  const timeZone = getSeriesTimeZone(response.data['Meta Data'], !splitSymbol(symbol));
+  const toUtc = time => (timeZone === 'UTC' ? time : toCandleTime(fromLocalTime(time, timeZone)));
+
+  // Series is keyed by time, newest first; value keys are prefixed ("1. open", ...)
+  const candles = Object.entries(series).slice(0, count).map(([time, values]) => {
+    const field = name => values[Object.keys(values).find(key => key.includes(name))];
+    const candleTime = time.length === 10 ? `${time} 00:00:00` : toUtc(time);
+    return toCandle(candleTime, field('open'), field('high'), field('low'), field('close'), field('volume'));
+  });
+
+  candles.reverse();
+
+  return candles;
+}
+
+export default {
+  name: 'alphavantage',
+  rateLimited: true,
+  timeframes: [...Object.keys(INTRADAY_MAP), ...Object.keys(PERIOD_MAP)],
+  fetchCandles,
+};
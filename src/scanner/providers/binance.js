@@ -0,0 +1,93 @@
+/**
+ * Binance REST market data provider (spot klines, crypto only)
+ * Public endpoint, no API key or credits required
+ */
+
+import axios from 'axios';
+import config from '../../config/index.js';
+import { logger } from '../../utils/logger.js';
+import { MarketDataError } from '../../utils/errors.js';
+import { toCandleTime } from '../../utils/timeframes.js';
+import { splitSymbol, toCandle } from './common.js';
+
+// Timeframe mapping from our format to Binance kline intervals
+const TIMEFRAME_MAP = {
+  '1m': '1m',
+  '5m': '5m',
+  '15m': '15m',
+  '30m': '30m',
+  '1h': '1h',
+  '2h': '2h',
+  '4h': '4h',
+  '1d': '1d',
+  '1w': '1w',
+  '1M': '1M',
+};
+
+// Binance caps klines per request
+const MAX_LIMIT = 1000;
+
+/**
+ * Convert internal symbol format to Binance format
+ * Binance has no USD spot books, so USD quotes map to the configured stablecoin
+ * Examples:
+ * - BTCUSD → BTCUSDT
+ * - ETHBTC → ETHBTC
+ * @param {string} symbol - Internal symbol format
+ * @returns {string} Binance symbol
+ */
+function formatSymbolForAPI(symbol) {
+  const parts = splitSymbol(symbol);
+
+  if (!parts) {
+    return symbol;
+  }
+
+  const quote = parts.quote === 'USD' ? config.marketData.binance.usdQuote : parts.quote;
+  return `${parts.base}${quote}`;
+}
+
+/**
+ * Fetch OHLCV candle data from Binance (single attempt)
+ * @param {string} symbol - Trading symbol (e.g., 'BTCUSD')
+ * @param {string} timeframe - Timeframe (e.g., '15m', '1h', '4h')
+ * @param {number} count - Number of candles to fetch
+ * @returns {Promise<Array<Object>>} Array of candles, oldest first
+ */
+export async function fetchCandles(symbol, timeframe, count) {
+  const interval = TIMEFRAME_MAP[timeframe];
+
+  if (!interval) {
+    throw new MarketDataError(`Invalid timeframe: ${timeframe}`, { symbol, timeframe, provider: 'binance' });
+  }
+
+  const apiSymbol = formatSymbolForAPI(symbol);
+
+  logger.debug('MarketData', `Binance request: ${apiSymbol} ${interval} x${count}`);
+
+  const response = await axios.get(`${config.marketData.binance.baseUrl}/api/v3/klines`, {
+    params: {
+      symbol: apiSymbol,
+      interval,
+      limit: Math.min(count, MAX_LIMIT),
+    },
+    timeout: 10000,
+  });
+
+  if (!Array.isArray(response.data)) {
+    throw new MarketDataError('No data returned from API', { symbol, timeframe, provider: 'binance' });
+  }
+
+  // Kline format: [openTime, open, high, low, close, volume, closeTime, ...], oldest first
+  return response.data.map(kline =>
+    toCandle(toCandleTime(kline[0]), kline[1], kline[2], kline[3], kline[4], kline[5])
+  );
+}
+
+export default {
+  name: 'binance',
+  rateLimited: false,
+  maxCount: MAX_LIMIT,
+  timeframes: Object.keys(TIMEFRAME_MAP),
+  fetchCandles,
+};
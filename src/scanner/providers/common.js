@@ -0,0 +1,82 @@
+/**
+ * Helpers shared by market data provider adapters
+ */
+
+// Base assets treated as crypto when building provider requests
+const CRYPTO_ASSETS = ['BTC', 'ETH', 'SOL', 'XRP', 'LTC', 'BNB', 'ADA', 'DOGE'];
+
+/**
+ * Check if a base asset is a cryptocurrency
+ * @param {string} asset - Base asset (e.g., 'BTC')
+ * @returns {boolean} True if crypto
+ */
+export function isCryptoAsset(asset) {
+  return CRYPTO_ASSETS.includes(asset);
+}
+
+/**
+ * Split internal symbol format into base and quote currencies
+ * Examples:
+ * - EURUSD → { base: 'EUR', quote: 'USD' }
+ * - BTCUSD → { base: 'BTC', quote: 'USD' }
+ * - EUR/USD → { base: 'EUR', quote: 'USD' }
+ * @param {string} symbol - Internal symbol format
+ * @returns {Object|null} {base, quote} or null if format is unknown
+ */
+export function splitSymbol(symbol) {
+  if (symbol.includes('/')) {
+    const [base, quote] = symbol.split('/');
+    return { base, quote };
+  }
+
+  // Forex pairs, metals and crypto quoted in a 3-letter currency
+  // Assume last 3 characters are quote currency (usually USD)
+  if (symbol.length >= 6) {
+    return {
+      base: symbol.substring(0, symbol.length - 3),
+      quote: symbol.substring(symbol.length - 3),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Build a normalized candle object from raw values
+ * @param {string} time - Candle open time
+ * @param {*} open - Open price
+ * @param {*} high - High price
+ * @param {*} low - Low price
+ * @param {*} close - Close price
+ * @param {*} volume - Volume (optional)
+ * @returns {Object} Candle {time, open, high, low, close, volume}
+ */
+export function toCandle(time, open, high, low, close, volume) {
+  return {
+    time,
+    open: parseFloat(open),
+    high: parseFloat(high),
+    low: parseFloat(low),
+    close: parseFloat(close),
+    volume: parseFloat(volume || 0),
+  };
+}
+
+/**
+ * Work out when a provider's exhausted credits come back from its rate limit message
+ * Daily limits reset at the next UTC midnight, per-minute (and unknown) limits at the start of the next minute
+ * @param {string} message - Provider error message
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {number} Reset time in epoch milliseconds
+ */
+export function getCreditResetTime(message, now = Date.now()) {
+  if (!/\bminute\b/i.test(message) && /\b(day|daily)\b/i.test(message)) {
+    const midnight = new Date(now);
+    midnight.setUTCHours(24, 0, 0, 0);
+    return midnight.getTime();
+  }
+
+  return Math.floor(now / 60000) * 60000 + 60000;
+}
+
+export default { isCryptoAsset, splitSymbol, toCandle, getCreditResetTime };
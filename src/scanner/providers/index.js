@@ -0,0 +1,81 @@
+/**
+ * Market data provider registry
+ * Each provider exposes fetchCandles(symbol, timeframe, count) returning
+ * candles oldest first in the shape {time, open, high, low, close, volume}
+ * Providers that cap the candles per request declare maxCount
+ * Providers whose bars don't start at midnight UTC declare a barAlignment {timeZone, dayStart, weekStart}
+ */
+
+import config from '../../config/index.js';
+import { MarketDataError } from '../../utils/errors.js';
+import { DEFAULT_BAR_ALIGNMENT } from '../../utils/timeframes.js';
+import twelvedata from './twelvedata.js';
+import binance from './binance.js';
+import oanda from './oanda.js';
+import alphavantage from './alphavantage.js';
+import local from './local.js';
+
+const PROVIDERS = {
+  twelvedata,
+  binance,
+  oanda,
+  alphavantage,
+  local,
+};
+
+/**
+ * Get provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider module
+ */
+export function getProvider(name) {
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new MarketDataError(`Unknown market data provider: ${name}`, {
+      provider: name,
+      available: Object.keys(PROVIDERS),
+    });
+  }
+
+  return provider;
+}
+
+/**
+ * Resolve the provider configured for a symbol (falls back to the default provider)
+ * @param {string} symbol - Trading symbol
+ * @returns {Object} Provider module
+ */
+export function getProviderForSymbol(symbol) {
+  const name = config.marketData.symbolProviders[symbol] || config.marketData.defaultProvider;
+  return getProvider(name);
+}
+
+/**
+ * Check if a symbol's provider counts against the API rate limiter budget
+ * @param {string} symbol - Trading symbol
+ * @returns {boolean} True if calls for this symbol consume rate-limited credits
+ */
+export function isRateLimitedSymbol(symbol) {
+  return getProviderForSymbol(symbol).rateLimited;
+}
+
+/**
+ * Get how a symbol's provider aligns its bars (used to work out bar closes)
+ * @param {string} symbol - Trading symbol
+ * @returns {Object} {timeZone, dayStart, weekStart}
+ */
+export function getBarAlignment(symbol) {
+  return getProviderForSymbol(symbol).barAlignment || DEFAULT_BAR_ALIGNMENT;
+}
+
+/**
+ * Names of the rate-limited providers in use (the default provider and those of the scanned symbols)
+ * @returns {Array<string>} Provider names
+ */
+export function getRateLimitedProviders() {
+  const names = [config.marketData.defaultProvider, ...config.scanner.symbols.map(symbol => getProviderForSymbol(symbol).name)];
+  return [...new Set(names)].filter(name => getProvider(name).rateLimited);
+}
+
+export default { getProvider, getProviderForSymbol, isRateLimitedSymbol, getBarAlignment, getRateLimitedProviders };
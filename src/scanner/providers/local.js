@@ -0,0 +1,114 @@
+/**
+ * Local market data provider
+ * Serves candles from CSV files or an SQLite database on disk
+ */
+
+import { existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import Database from 'better-sqlite3';
+import config from '../../config/index.js';
+import { logger } from '../../utils/logger.js';
+import { MarketDataError } from '../../utils/errors.js';
+import { toCandle } from './common.js';
+
+/**
+ * Parse CSV candle file contents
+ * Expects a header row containing time, open, high, low, close and optionally volume
+ * @param {string} content - CSV file contents
+ * @returns {Array<Object>} Array of candles in file order
+ */
+export function parseCandleCsv(content) {
+  const lines = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  if (lines.length < 2) {
+    return [];
+  }
+
+  const header = lines[0].split(',').map(col => col.trim().toLowerCase());
+  const column = name => header.indexOf(name);
+  const timeIndex = column('time') !== -1 ? column('time') : column('datetime');
+
+  if (timeIndex === -1 || ['open', 'high', 'low', 'close'].some(name => column(name) === -1)) {
+    throw new MarketDataError('CSV header must contain time, open, high, low, close columns', { header });
+  }
+
+  return lines.slice(1).map(line => {
+    const values = line.split(',').map(value => value.trim());
+    return toCandle(
+      values[timeIndex],
+      values[column('open')],
+      values[column('high')],
+      values[column('low')],
+      values[column('close')],
+      column('volume') !== -1 ? values[column('volume')] : 0
+    );
+  });
+}
+
+/**
+ * Read candles from a CSV file named {SYMBOL}_{timeframe}.csv
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @returns {Promise<Array<Object>>} Candles sorted oldest first
+ */
+async function readFromCsv(symbol, timeframe) {
+  const filePath = join(config.marketData.local.dataDir, `${symbol}_${timeframe}.csv`);
+
+  if (!existsSync(filePath)) {
+    throw new MarketDataError(`No local candle file: ${filePath}`, { symbol, timeframe, provider: 'local' });
+  }
+
+  const candles = parseCandleCsv(await readFile(filePath, 'utf-8'));
+  return candles.sort((a, b) => new Date(a.time) - new Date(b.time));
+}
+
+/**
+ * Read candles from an SQLite database with a candles(symbol, timeframe, time, ...) table
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @param {number} count - Number of candles to read
+ * @returns {Array<Object>} Candles sorted oldest first
+ */
+function readFromSqlite(symbol, timeframe, count) {
+  const db = new Database(config.marketData.local.sqlitePath, { readonly: true, fileMustExist: true });
+
+  try {
+    const rows = db.prepare(`
+      SELECT time, open, high, low, close, volume FROM candles
+      WHERE symbol = ? AND timeframe = ?
+      ORDER BY time DESC
+      LIMIT ?
+    `).all(symbol, timeframe, count);
+
+    return rows.reverse();
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Fetch candles from local storage
+ * @param {string} symbol - Trading symbol
+ * @param {string} timeframe - Timeframe
+ * @param {number} count - Number of candles to return (most recent)
+ * @returns {Promise<Array<Object>>} Array of candles, oldest first
+ */
+export async function fetchCandles(symbol, timeframe, count) {
+  const { sqlitePath } = config.marketData.local;
+
+  logger.debug('MarketData', `Local request: ${symbol} ${timeframe} x${count} (${sqlitePath ? 'sqlite' : 'csv'})`);
+
+  const candles = sqlitePath
+    ? readFromSqlite(symbol, timeframe, count)
+    : await readFromCsv(symbol, timeframe);
+
+  return candles.slice(-count);
+}
+
+export default {
+  name: 'local',
+  rateLimited: false,
+  timeframes: null, // Any timeframe with matching data on disk
+  fetchCandles,
+};
@@ -0,0 +1,105 @@
+/**
+ * OANDA v20 REST market data provider (FX and metals)
+ */
+
+import axios from 'axios';
+import config from '../../config/index.js';
+import { logger } from '../../utils/logger.js';
+import { MarketDataError } from '../../utils/errors.js';
+import { toCandleTime } from '../../utils/timeframes.js';
+import { splitSymbol, toCandle } from './common.js';
+
+// Timeframe mapping from our format to OANDA granularities
+const TIMEFRAME_MAP = {
+  '1m': 'M1',
+  '5m': 'M5',
+  '15m': 'M15',
+  '30m': 'M30',
+  '1h': 'H1',
+  '2h': 'H2',
+  '4h': 'H4',
+  '1d': 'D',
+  '1w': 'W',
+  '1M': 'M',
+};
+
+// OANDA caps candles per request
+const MAX_COUNT = 5000;
+
+/**
+ * Convert internal symbol format to OANDA instrument format
+ * Examples:
+ * - EURUSD → EUR_USD
+ * - XAUUSD → XAU_USD
+ * @param {string} symbol - Internal symbol format
+ * @returns {string} OANDA instrument name
+ */
+export function formatInstrument(symbol) {
+  const parts = splitSymbol(symbol);
+
+  if (!parts) {
+    return symbol;
+  }
+
+  return `${parts.base}_${parts.quote}`;
+}
+
+/**
+ * Fetch OHLCV candle data from OANDA v20 (single attempt)
+ * Uses midpoint prices to match the other providers
+ * @param {string} symbol - Trading symbol (e.g., 'EURUSD', 'XAUUSD')
+ * @param {string} timeframe - Timeframe (e.g., '15m', '1h', '4h')
+ * @param {number} count - Number of candles to fetch
+ * @returns {Promise<Array<Object>>} Array of candles, oldest first
+ */
+export async function fetchCandles(symbol, timeframe, count) {
+  const granularity = TIMEFRAME_MAP[timeframe];
+
+  if (!granularity) {
+    throw new MarketDataError(`Invalid timeframe: ${timeframe}`, { symbol, timeframe, provider: 'oanda' });
+  }
+
+  const instrument = formatInstrument(symbol);
+  const { baseUrl, apiKey } = config.marketData.oanda;
+
+  logger.debug('MarketData', `OANDA request: ${instrument} ${granularity} x${count}`);
+
+  const response = await axios.get(`${baseUrl}/v3/instruments/${instrument}/candles`, {
+    params: {
+      granularity,
+      count: Math.min(count, MAX_COUNT),
+      price: 'M',
+    },
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'Accept-Datetime-Format': 'RFC3339',
+    },
+    timeout: 10000,
+  });
+
+  if (!response.data.candles || !Array.isArray(response.data.candles)) {
+    throw new MarketDataError('No data returned from API', { symbol, timeframe, provider: 'oanda' });
+  }
+
+  // Candles are returned oldest first
+  return response.data.candles.map(candle =>
+    toCandle(
+      toCandleTime(candle.time),
+      candle.mid.o,
+      candle.mid.h,
+      candle.mid.l,
+      candle.mid.c,
+      candle.volume
+    )
+  );
+}
+
+export default {
+  name: 'oanda',
+  rateLimited: false,
+  maxCount: MAX_COUNT,
+  timeframes: Object.keys(TIMEFRAME_MAP),
+  // OANDA defaults: daily bars start at 17:00 New York time, weekly bars on Friday
+  barAlignment: { timeZone: 'America/New_York', dayStart: 17 * 60, weekStart: 5 },
+  fetchCandles,
+};
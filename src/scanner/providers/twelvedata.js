@@ -0,0 +1,141 @@
+/**
+ * Twelve Data market data provider
+ */
+
+import axios from 'axios';
+import config from '../../config/index.js';
+import { logger } from '../../utils/logger.js';
+import { MarketDataError } from '../../utils/errors.js';
+import { splitSymbol, toCandle, getCreditResetTime } from './common.js';
+
+// Timeframe mapping from our format to Twelve Data API format
+const TIMEFRAME_MAP = {
+  '1m': '1min',
+  '5m': '5min',
+  '15m': '15min',
+  '30m': '30min',
+  '1h': '1h',
+  '2h': '2h',
+  '4h': '4h',
+  '1d': '1day',
+  '1w': '1week',
+  '1M': '1month',
+};
+
+/**
+ * Convert internal symbol format to TwelveData API format
+ * Examples:
+ * - EURUSD → EUR/USD
+ * - BTCUSD → BTC/USD
+ * - XAUUSD → XAU/USD
+ * @param {string} symbol - Internal symbol format
+ * @returns {string} TwelveData API format
+ */
+function formatSymbolForAPI(symbol) {
+  const parts = splitSymbol(symbol);
+
+  if (!parts) {
+    logger.warn('MarketData', `Unknown symbol format: ${symbol}, using as-is`);
+    return symbol;
+  }
+
+  return `${parts.base}/${parts.quote}`;
+}
+
+/**
+ * Read the per-minute credit budget Twelve Data reports on every response
+ * @param {Object} headers - Response headers
+ * @returns {Object|null} {used, left} or null if the headers are missing
+ */
+export function readCreditHeaders(headers = {}) {
+  const used = parseInt(headers['api-credits-used'], 10);
+  const left = parseInt(headers['api-credits-left'], 10);
+
+  if (Number.isNaN(used) || Number.isNaN(left)) {
+    return null;
+  }
+
+  return { used, left };
+}
+
+/**
+ * Fetch OHLCV candle data from Twelve Data API (single attempt)
+ * @param {string} symbol - Trading symbol (e.g., 'EURUSD', 'BTCUSD')
+ * @param {string} timeframe - Timeframe (e.g., '15m', '1h', '4h')
+ * @param {number} count - Number of candles to fetch
+ * @param {Object} options - {onCredits: called with the reported budget {used, left}}
+ * @returns {Promise<Array<Object>>} Array of candles, oldest first
+ */
+export async function fetchCandles(symbol, timeframe, count, options = {}) {
+  const apiInterval = TIMEFRAME_MAP[timeframe];
+
+  if (!apiInterval) {
+    throw new MarketDataError(`Invalid timeframe: ${timeframe}`, { symbol, timeframe, provider: 'twelvedata' });
+  }
+
+  const apiSymbol = formatSymbolForAPI(symbol);
+  const { baseUrl, apiKey } = config.marketData.twelvedata;
+
+  logger.debug('MarketData', `Twelve Data request: ${apiSymbol} ${apiInterval} x${count}`);
+
+  const response = await axios.get(`${baseUrl}/time_series`, {
+    params: {
+      symbol: apiSymbol,
+      interval: apiInterval,
+      outputsize: count,
+      apikey: apiKey,
+      format: 'JSON',
+    },
+    timeout: 10000, // 10 second timeout
+  });
+
+  const credits = readCreditHeaders(response.headers);
+  if (credits && options.onCredits) {
+    options.onCredits(credits);
+  }
+
+  // Check for API errors
+  if (response.data.status === 'error') {
+    const errorMsg = response.data.message || 'API returned error';
+
+    // Out of credits (reported with HTTP 200 and code 429) - don't retry these
+    if (response.data.code === 429 || errorMsg.includes('run out of API credits') || errorMsg.includes('rate limit')) {
+      throw new MarketDataError(errorMsg, {
+        symbol,
+        timeframe,
+        code: response.data.code,
+        isRateLimit: true,
+        retryAt: getCreditResetTime(errorMsg),
+      });
+    }
+
+    throw new MarketDataError(errorMsg, {
+      symbol,
+      timeframe,
+      code: response.data.code,
+    });
+  }
+
+  // Check if we have data
+  if (!response.data.values || !Array.isArray(response.data.values)) {
+    throw new MarketDataError('No data returned from API', { symbol, timeframe });
+  }
+
+  const candles = response.data.values.map(candle =>
+    toCandle(candle.datetime, candle.open, candle.high, candle.low, candle.close, candle.volume)
+  );
+
+  // Twelve Data returns newest first, reverse to oldest first
+  candles.reverse();
+
+  return candles;
+}
+
+export default {
+  name: 'twelvedata',
+  rateLimited: true,
+  // Largest outputsize per request
+  maxCount: 5000,
+  timeframes: Object.keys(TIMEFRAME_MAP),
+  fetchCandles,
+};
@@ -1,17 +1,75 @@
 /**
  * Rate limiter for API calls
  * Handles both per-minute and daily rate limits
+ *
+ * Every consumer of rate-limited provider calls (scanner, evaluator, backfill) asks for credits
+ * through acquire(). Requests wait in a priority queue: evaluation of open signals first, then
+ * fresh bar closes, rotation scans and backfill; within a priority longer timeframes go first,
+ * then the earliest deadline.
+ *
+ * Credits, the queue and the rotation index are kept in the database (see db/rateLimits.js), so
+ * any number of processes sharing DB_PATH share one budget. A credit is reserved atomically
+ * before the provider call and committed after it (or released if the call was not made);
+ * reserved credits count toward the limits until then.
+ *
+ * Every provider has its own budget, queue, cooldown and rotation: Alpha Vantage calls never count
+ * against the Twelve Data limits, and a 429 from one provider does not pause the other.
+ *
+ * The limiter also learns from the provider: credit headers (Twelve Data's api-credits-used /
+ * api-credits-left) override the local per-minute count, and a 429 or out-of-credits error starts
+ * a shared cooldown for that provider until its reset time
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
 import { logger } from '../utils/logger.js';
+import { timeframeToMs } from '../utils/timeframes.js';
+import { getProviderForSymbol, getRateLimitedProviders } from './providers/index.js';
+import {
+  getRateLimitUsage,
+  reserveCallCredits,
+  commitCallCredits,
+  releaseCallCredits,
+  pruneCallCredits,
+  upsertQueuedRequest,
+  deleteQueuedRequest,
+  getQueuedRequests,
+  getRateLimitState,
+  setRateLimitState,
+} from '../db/rateLimits.js';
+
+// Request priorities (higher is served first)
+export const PRIORITY = {
+  backfill: 0,
+  scan: 1,
+  barClose: 2,
+  evaluation: 3,
+};
+
+// How often a waiting request re-checks the shared budget and queue
+const POLL_MS = 1000;
+
+// Queue entries of processes that stopped refreshing them are dropped after this long
+const STALE_QUEUE_MS = 2 * 60 * 1000;
+
+// Requests without a deadline give up instead of waiting out a cooldown longer than this
+const MAX_COOLDOWN_WAIT_MS = 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const projectRoot = path.join(__dirname, '../..');
+/**
+ * Order queued requests: priority, then longer timeframe, then earliest deadline, then arrival
+ * @param {Object} a - Request {priority, timeframe, deadline, enqueuedAt}
+ * @param {Object} b - Request
+ * @returns {number} Sort order
+ */
+export function compareRequests(a, b) {
+  const tfMs = request => (request.timeframe ? timeframeToMs(request.timeframe) : 0);
+
+  return (b.priority - a.priority) ||
+    (tfMs(b) - tfMs(a)) ||
+    ((a.deadline ?? Infinity) - (b.deadline ?? Infinity)) ||
+    ((a.enqueuedAt ?? 0) - (b.enqueuedAt ?? 0));
+}
 
 // Rate limiter state
 class RateLimiter {
@@ -19,23 +77,13 @@ class RateLimiter {
     this.maxCallsPerMinute = options.maxCallsPerMinute || 8;
     this.maxCallsPerDay = options.maxCallsPerDay || 800;
     this.dailyBuffer = options.dailyBuffer || 50; // Reserve buffer to avoid hard limit
-    this.stateFilePath = options.stateFilePath || path.join(projectRoot, 'data', 'rate_limiter_state.json');
+    // Per-provider overrides of the limits above ({alphavantage: '5'})
+    this.minuteLimits = options.minuteLimits || {};
+    this.dailyLimits = options.dailyLimits || {};
 
-    // Per-minute tracking (sliding window)
-    this.minuteCallLog = [];
-
-    // Daily tracking (persistent)
-    this.dailyState = {
-      date: this.getTodayDateString(),
-      callCount: 0,
-      lastReset: new Date().toISOString(),
-    };
-
-    // Combination rotation tracking
-    this.rotationIndex = 0;
-
-    // Load state from disk
-    this.loadState();
+    // Day whose old credits were last pruned
+    this.prunedFor = null;
+    this.requestSeq = 0;
 
     // Check if we need to reset daily counter
     this.checkDailyReset();
@@ -50,106 +98,86 @@ class RateLimiter {
   }
 
   /**
-   * Check if daily counter needs to be reset
+   * Drop credits of previous days once per day (yesterday is kept for the stats)
    */
   checkDailyReset() {
     const today = this.getTodayDateString();
 
-    if (this.dailyState.date !== today) {
-      logger.info('RateLimiter', `New day detected, resetting daily counter (was ${this.dailyState.callCount} calls on ${this.dailyState.date})`);
-      this.dailyState = {
-        date: today,
-        callCount: 0,
-        lastReset: new Date().toISOString(),
-      };
-      this.rotationIndex = 0;
-      this.saveState();
-    }
-  }
+    if (this.prunedFor !== today) {
+      const yesterday = new Date(Date.now() - DAY_MS).toISOString().split('T')[0];
+      const pruned = pruneCallCredits(yesterday);
 
-  /**
-   * Load state from disk
-   */
-  loadState() {
-    try {
-      if (fs.existsSync(this.stateFilePath)) {
-        const data = fs.readFileSync(this.stateFilePath, 'utf8');
-        const state = JSON.parse(data);
-
-        // Only load daily state if it's from today
-        if (state.dailyState && state.dailyState.date === this.getTodayDateString()) {
-          this.dailyState = state.dailyState;
-          this.rotationIndex = state.rotationIndex || 0;
-          logger.info('RateLimiter', `Loaded state: ${this.dailyState.callCount} calls used today, rotation index: ${this.rotationIndex}`);
-        } else {
-          logger.info('RateLimiter', 'State file from previous day, starting fresh');
-        }
+      if (pruned > 0) {
+        logger.info('RateLimiter', `New day detected, pruned ${pruned} old call credits`);
       }
-    } catch (error) {
-      logger.warn('RateLimiter', 'Failed to load state file, starting fresh', error);
+      this.prunedFor = today;
     }
   }
 
   /**
-   * Save state to disk
+   * Limits of a provider
+   * The daily buffer is capped at a tenth of the daily limit, so small plans (Alpha Vantage: 25/day) keep a budget
+   * @param {string} provider - Provider name
+   * @returns {Object} {maxCallsPerMinute, maxCallsPerDay, effectiveDailyLimit}
    */
-  saveState() {
-    try {
-      // Ensure data directory exists
-      const dataDir = path.dirname(this.stateFilePath);
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-      }
+  getLimits(provider) {
+    const maxCallsPerMinute = parseInt(this.minuteLimits[provider], 10) || this.maxCallsPerMinute;
+    const maxCallsPerDay = parseInt(this.dailyLimits[provider], 10) || this.maxCallsPerDay;
+    const dailyBuffer = Math.min(this.dailyBuffer, Math.floor(maxCallsPerDay / 10));
 
-      const state = {
-        dailyState: this.dailyState,
-        rotationIndex: this.rotationIndex,
-        lastUpdated: new Date().toISOString(),
-      };
-
-      fs.writeFileSync(this.stateFilePath, JSON.stringify(state, null, 2));
-    } catch (error) {
-      logger.error('RateLimiter', 'Failed to save state file', error);
-    }
+    return { maxCallsPerMinute, maxCallsPerDay, effectiveDailyLimit: maxCallsPerDay - dailyBuffer };
   }
 
   /**
-   * Clean up old entries from minute call log (older than 60 seconds)
+   * Read a provider's usage today and in the per-minute window from the shared store
+   * @param {string} provider - Provider name
+   * @returns {Object} {daily, reserved, minuteCalls, byConsumer, provider, cooldown}
    */
-  cleanMinuteCallLog() {
-    const now = Date.now();
-    const oneMinuteAgo = now - 60000;
-    this.minuteCallLog = this.minuteCallLog.filter(timestamp => timestamp > oneMinuteAgo);
+  getUsage(provider) {
+    this.checkDailyReset();
+    return getRateLimitUsage(provider, this.getTodayDateString(), Date.now() - MINUTE_MS);
   }
 
   /**
-   * Check if we can make API calls right now
+   * Check a provider's usage against its limits
+   * @param {string} provider - Provider name
+   * @param {Object} usage - Usage from getUsage()
    * @param {number} count - Number of calls to check
    * @returns {Object} { allowed: boolean, reason: string, remainingMinute: number, remainingDaily: number }
    */
-  canMakeCall(count = 1) {
-    this.checkDailyReset();
-    this.cleanMinuteCallLog();
+  checkUsage(provider, usage, count = 1) {
+    const now = Date.now();
+    const { minuteUsed, minuteLimit } = this.getMinuteUsage(provider, usage, now);
+    const remainingMinute = minuteLimit - minuteUsed;
+    const { effectiveDailyLimit } = this.getLimits(provider);
+    const remainingDaily = effectiveDailyLimit - usage.daily;
 
-    const remainingMinute = this.maxCallsPerMinute - this.minuteCallLog.length;
-    const effectiveDailyLimit = this.maxCallsPerDay - this.dailyBuffer;
-    const remainingDaily = effectiveDailyLimit - this.dailyState.callCount;
+    // Provider told us to back off
+    if (usage.cooldown && usage.cooldown.until > now) {
+      return {
+        allowed: false,
+        reason: `${provider} cooldown until ${new Date(usage.cooldown.until).toISOString()} (${usage.cooldown.reason})`,
+        remainingMinute,
+        remainingDaily,
+        cooldownUntil: usage.cooldown.until,
+      };
+    }
 
     // Check per-minute limit
-    if (this.minuteCallLog.length + count > this.maxCallsPerMinute) {
+    if (minuteUsed + count > minuteLimit) {
       return {
         allowed: false,
-        reason: `Per-minute limit reached (${this.minuteCallLog.length}/${this.maxCallsPerMinute})`,
+        reason: `${provider} per-minute limit reached (${minuteUsed}/${minuteLimit})`,
         remainingMinute,
         remainingDaily,
       };
     }
 
     // Check daily limit
-    if (this.dailyState.callCount + count > effectiveDailyLimit) {
+    if (usage.daily + count > effectiveDailyLimit) {
       return {
         allowed: false,
-        reason: `Daily limit reached (${this.dailyState.callCount}/${effectiveDailyLimit})`,
+        reason: `${provider} daily limit reached (${usage.daily}/${effectiveDailyLimit})`,
         remainingMinute,
         remainingDaily,
       };
@@ -164,98 +192,361 @@ class RateLimiter {
   }
 
   /**
-   * Record an API call
-   * @param {number} count - Number of calls to record (default: 1)
+   * Per-minute usage reconciled with the provider's own count
+   * A report from the current minute wins when it shows more calls than were recorded locally (other
+   * clients on the same API key) and a plan limit below the configured one
+   * @param {string} provider - Provider name
+   * @param {Object} usage - Usage from getUsage()
+   * @param {number} now - Current time in epoch milliseconds
+   * @returns {Object} {minuteUsed, minuteLimit}
    */
-  recordCall(count = 1) {
-    const now = Date.now();
+  getMinuteUsage(provider, usage, now = Date.now()) {
+    const local = usage.minuteCalls.length;
+    const report = usage.provider;
+    const { maxCallsPerMinute } = this.getLimits(provider);
 
-    // Record in per-minute log
-    for (let i = 0; i < count; i++) {
-      this.minuteCallLog.push(now);
+    if (!report || Math.floor(report.reportedAt / MINUTE_MS) !== Math.floor(now / MINUTE_MS)) {
+      return { minuteUsed: local, minuteLimit: maxCallsPerMinute };
     }
 
-    // Record in daily counter
-    this.dailyState.callCount += count;
+    const sinceReport = usage.minuteCalls.filter(time => time > report.reportedAt).length;
+
+    return {
+      minuteUsed: Math.max(local, report.used + sinceReport),
+      minuteLimit: Math.min(maxCallsPerMinute, report.used + report.left),
+    };
+  }
+
+  /**
+   * Record the budget a provider reported with a response
+   * @param {string} provider - Provider name
+   * @param {Object} credits - {used, left} for the current minute
+   */
+  reconcile(provider, credits) {
+    const report = { name: provider, ...credits, limit: credits.used + credits.left, reportedAt: Date.now() };
+    setRateLimitState(`provider:${provider}`, report);
 
-    // Save state
-    this.saveState();
+    logger.debug('RateLimiter', `${provider} reports ${credits.used} credits used, ${credits.left} left this minute`);
 
-    logger.debug('RateLimiter', `Recorded ${count} call(s). Total today: ${this.dailyState.callCount}/${this.maxCallsPerDay}, Last minute: ${this.minuteCallLog.length}/${this.maxCallsPerMinute}`);
+    if (credits.left <= 0) {
+      this.backOff(provider, Math.floor(report.reportedAt / MINUTE_MS) * MINUTE_MS + MINUTE_MS, 'minute credits exhausted');
+    }
   }
 
   /**
-   * Get combinations to scan this cycle (rotation-based)
-   * @param {Array<string>} symbols - All symbols
-   * @param {Array<string>} timeframes - All timeframes
-   * @param {number} maxPerCycle - Max combinations per cycle (default: based on rate limit)
-   * @returns {Array<Object>} Array of {symbol, timeframe} objects to scan
+   * Stop granting credits for a provider until its limit resets (shared by all processes)
+   * @param {string} provider - Provider name
+   * @param {number} until - Epoch milliseconds when credits come back (default: one minute from now)
+   * @param {string} reason - Why (e.g. the provider's error message)
    */
-  getCombinationsForCycle(symbols, timeframes, maxPerCycle = null) {
+  backOff(provider, until, reason = 'rate limited') {
+    const current = getRateLimitState(`cooldown:${provider}`);
+    const cooldown = { provider, until: until || Date.now() + MINUTE_MS, reason };
+
+    if (current && current.until >= cooldown.until) {
+      return;
+    }
+
+    setRateLimitState(`cooldown:${provider}`, cooldown);
+    logger.warn('RateLimiter', `${provider} rate limited, pausing its API calls until ${new Date(cooldown.until).toISOString()}: ${reason}`);
+  }
+
+  /**
+   * Active cooldown of a provider
+   * @param {string} provider - Provider name
+   * @returns {Object|null} {provider, until, reason} or null
+   */
+  getCooldown(provider) {
+    const cooldown = getRateLimitState(`cooldown:${provider}`);
+    return cooldown && cooldown.until > Date.now() ? cooldown : null;
+  }
+
+  /**
+   * Check if a provider can be called right now
+   * @param {string} provider - Provider name
+   * @param {number} count - Number of calls to check
+   * @returns {Object} { allowed: boolean, reason: string, remainingMinute: number, remainingDaily: number }
+   */
+  canMakeCall(provider, count = 1) {
+    return this.checkUsage(provider, this.getUsage(provider), count);
+  }
+
+  /**
+   * Atomically reserve call credits if the provider's limits allow
+   * @param {string} provider - Provider name
+   * @param {number} count - Number of calls
+   * @param {Object} details - {consumer, label, requestId: only grant while this queued request is first in line}
+   * @returns {Object|null} Credit {ids, provider, consumer, label} to commit or release, or null if refused
+   */
+  reserve(provider, count = 1, { consumer = 'scan', label = null, requestId = null } = {}) {
     this.checkDailyReset();
-    this.cleanMinuteCallLog();
 
-    // Calculate how many we can scan
-    const remainingMinute = this.maxCallsPerMinute - this.minuteCallLog.length;
-    const effectiveDailyLimit = this.maxCallsPerDay - this.dailyBuffer;
-    const remainingDaily = effectiveDailyLimit - this.dailyState.callCount;
+    const now = Date.now();
+    const ids = reserveCallCredits(
+      { provider, consumer, label, count, day: this.getTodayDateString(), now, staleBefore: now - STALE_QUEUE_MS, requestId },
+      (usage, queue) => this.checkUsage(provider, usage, count).allowed &&
+        (!requestId || queue.sort(compareRequests)[0]?.id === requestId)
+    );
+
+    return ids ? { ids, provider, consumer, label } : null;
+  }
+
+  /**
+   * Mark a reserved credit as spent (the provider was called)
+   * @param {Object} credit - Credit from reserve() or acquire()
+   */
+  commit(credit) {
+    commitCallCredits(credit.ids);
+    logger.debug('RateLimiter', `Committed ${credit.ids.length} call(s) for ${credit.label || credit.consumer}`);
+  }
+
+  /**
+   * Give a reserved credit back (the provider was not called after all)
+   * @param {Object} credit - Credit from reserve() or acquire()
+   */
+  release(credit) {
+    releaseCallCredits(credit.ids);
+    logger.debug('RateLimiter', `Released ${credit.ids.length} call(s) for ${credit.label || credit.consumer}`);
+  }
+
+  /**
+   * Record API calls that were already made (reserved and committed at once, regardless of the limits)
+   * @param {string} provider - Provider name
+   * @param {number} count - Number of calls to record (default: 1)
+   * @param {string} consumer - Who made the call ('scan', 'evaluation', 'backfill')
+   */
+  recordCall(provider, count = 1, consumer = 'scan') {
+    this.checkDailyReset();
 
+    const ids = reserveCallCredits(
+      { provider, consumer, count, day: this.getTodayDateString(), now: Date.now(), staleBefore: Date.now() - STALE_QUEUE_MS },
+      () => true
+    );
+    commitCallCredits(ids);
+
+    const usage = this.getUsage(provider);
+    const { maxCallsPerMinute, maxCallsPerDay } = this.getLimits(provider);
+    logger.debug('RateLimiter', `Recorded ${count} ${provider} call(s). Total today: ${usage.daily}/${maxCallsPerDay}, Last minute: ${usage.minuteCalls.length}/${maxCallsPerMinute}`);
+  }
+
+  /**
+   * Number of combinations of a provider that can be scanned this cycle
+   * @param {string} provider - Provider name
+   * @param {number} maxPerCycle - Max combinations per cycle (default: based on rate limit)
+   * @returns {number} Combinations allowed (0 if the budget is exhausted)
+   */
+  getCycleBudget(provider, maxPerCycle = null) {
+    const { remainingMinute, remainingDaily, cooldownUntil, reason } = this.canMakeCall(provider, 0);
+
+    if (cooldownUntil) {
+      logger.warn('RateLimiter', `No ${provider} calls this cycle: ${reason}`);
+      return 0;
+    }
+
+    // Calculate how many we can scan
     const maxAllowed = Math.min(
-      maxPerCycle || this.maxCallsPerMinute,
+      maxPerCycle || this.getLimits(provider).maxCallsPerMinute,
       remainingMinute,
       remainingDaily
     );
 
     if (maxAllowed <= 0) {
-      logger.warn('RateLimiter', 'No API calls available this cycle');
-      return [];
+      logger.warn('RateLimiter', `No ${provider} calls available this cycle`);
+      return 0;
     }
 
-    // Generate all combinations
-    const allCombinations = [];
+    return maxAllowed;
+  }
+
+  /**
+   * Select due combinations (in the given order, most overdue first) that fit this cycle's budget
+   * of their symbol's provider
+   * @param {Array<Object>} combinations - Due {symbol, timeframe} combinations
+   * @param {number} maxPerCycle - Max combinations per provider and cycle (default: based on rate limit)
+   * @returns {Array<Object>} Combinations to scan now (the rest stay due)
+   */
+  selectCombinations(combinations, maxPerCycle = null) {
+    const budgets = new Map();
+    const selected = combinations.filter(({ symbol }) => {
+      const provider = getProviderForSymbol(symbol).name;
+
+      if (!budgets.has(provider)) {
+        budgets.set(provider, this.getCycleBudget(provider, maxPerCycle));
+      }
+
+      const budget = budgets.get(provider);
+      budgets.set(provider, budget - 1);
+      return budget > 0;
+    });
+
+    logger.info('RateLimiter', `Selected ${selected.length}/${combinations.length} due combinations for this cycle`);
+
+    return selected;
+  }
+
+  /**
+   * Current rotation index of a provider's combinations (restarts at 0 every day)
+   * @param {string} provider - Provider name
+   * @returns {number} Rotation index
+   */
+  getRotationIndex(provider) {
+    const rotation = getRateLimitState(`rotation:${provider}`);
+    return rotation?.date === this.getTodayDateString() ? rotation.index : 0;
+  }
+
+  /**
+   * Get combinations to scan this cycle (rotation-based, each provider rotates through its own symbols)
+   * @param {Array<string>} symbols - All symbols
+   * @param {Array<string>} timeframes - All timeframes
+   * @param {number} maxPerCycle - Max combinations per provider and cycle (default: based on rate limit)
+   * @returns {Array<Object>} Array of {symbol, timeframe} objects to scan
+   */
+  getCombinationsForCycle(symbols, timeframes, maxPerCycle = null) {
+    // Generate all combinations, grouped by provider
+    const byProvider = new Map();
     for (const symbol of symbols) {
+      const provider = getProviderForSymbol(symbol).name;
+      if (!byProvider.has(provider)) byProvider.set(provider, []);
+
       for (const timeframe of timeframes) {
-        allCombinations.push({ symbol, timeframe });
+        byProvider.get(provider).push({ symbol, timeframe });
       }
     }
 
-    // Get combinations starting from rotation index
     const selected = [];
-    for (let i = 0; i < maxAllowed && selected.length < allCombinations.length; i++) {
-      const index = (this.rotationIndex + i) % allCombinations.length;
-      selected.push(allCombinations[index]);
-    }
 
-    // Update rotation index for next cycle
-    this.rotationIndex = (this.rotationIndex + maxAllowed) % allCombinations.length;
-    this.saveState();
+    for (const [provider, combinations] of byProvider) {
+      const maxAllowed = this.getCycleBudget(provider, maxPerCycle);
+
+      if (maxAllowed === 0) {
+        continue;
+      }
+
+      // Get combinations starting from rotation index
+      const rotationIndex = this.getRotationIndex(provider);
+      const count = Math.min(maxAllowed, combinations.length);
+      for (let i = 0; i < count; i++) {
+        selected.push(combinations[(rotationIndex + i) % combinations.length]);
+      }
+
+      // Update rotation index for next cycle
+      const nextIndex = (rotationIndex + maxAllowed) % combinations.length;
+      setRateLimitState(`rotation:${provider}`, { date: this.getTodayDateString(), index: nextIndex });
 
-    logger.info('RateLimiter', `Selected ${selected.length}/${allCombinations.length} combinations for this cycle (rotation index: ${this.rotationIndex})`);
+      logger.info('RateLimiter', `Selected ${count}/${combinations.length} ${provider} combinations for this cycle (rotation index: ${nextIndex})`);
+    }
 
     return selected;
   }
 
   /**
-   * Wait until we can make calls (for per-minute limit only)
+   * All requests waiting for credits across processes, in service order
+   * @param {string} provider - Only the requests for this provider (default: all)
+   * @returns {Array<Object>} Requests {id, pid, provider, consumer, priority, timeframe, label, deadline, enqueuedAt}
+   */
+  getQueue(provider = null) {
+    return getQueuedRequests(Date.now() - STALE_QUEUE_MS)
+      .filter(request => !provider || request.provider === provider)
+      .map(({ updatedAt, ...request }) => request)
+      .sort(compareRequests);
+  }
+
+  /**
+   * Wait for one call credit of a provider
+   * The request is queued with every other waiting request for the provider (in any process) and a credit
+   * is reserved when it is first in line and the budget allows. The caller must commit() the credit after
+   * calling the provider, or release() it if the call is not made
+   * @param {Object} request - Request details
+   * @param {string} request.provider - Provider whose budget pays for the call
+   * @param {string} request.consumer - 'scan', 'evaluation' or 'backfill'
+   * @param {number} request.priority - One of PRIORITY
+   * @param {string} request.timeframe - Timeframe of the data (longer timeframes go first)
+   * @param {number} request.deadline - Epoch milliseconds after which the data is no longer needed (optional)
+   * @param {string} request.label - Description for logs and the API (e.g. 'EURUSD 1h')
+   * @returns {Promise<Object|null>} Reserved credit, or null if the deadline passed or the daily budget is spent
+   */
+  async acquire(request) {
+    const entry = {
+      id: `${process.pid}-${Date.now()}-${++this.requestSeq}`,
+      pid: process.pid,
+      provider: request.provider,
+      consumer: request.consumer,
+      priority: request.priority,
+      timeframe: request.timeframe || null,
+      label: request.label || null,
+      deadline: request.deadline || null,
+      enqueuedAt: Date.now(),
+    };
+
+    upsertQueuedRequest(entry);
+
+    try {
+      for (;;) {
+        const usage = this.getUsage(entry.provider);
+        const check = this.checkUsage(entry.provider, usage, 1);
+
+        if (check.remainingDaily <= 0) {
+          logger.warn('RateLimiter', `Request for ${entry.label} dropped: ${check.reason}`);
+          return null;
+        }
+
+        if (entry.deadline && Date.now() >= entry.deadline) {
+          logger.warn('RateLimiter', `Request for ${entry.label} dropped: deadline passed`);
+          return null;
+        }
+
+        // Don't wait out a cooldown that outlasts the request
+        if (check.cooldownUntil &&
+            check.cooldownUntil > (entry.deadline || entry.enqueuedAt + MAX_COOLDOWN_WAIT_MS)) {
+          logger.warn('RateLimiter', `Request for ${entry.label} dropped: ${check.reason}`);
+          return null;
+        }
+
+        const credit = check.allowed
+          ? this.reserve(entry.provider, 1, { consumer: entry.consumer, label: entry.label, requestId: entry.id })
+          : null;
+
+        if (credit) {
+          logger.debug('RateLimiter', `Granted ${entry.consumer} request for ${entry.label} (waited ${Date.now() - entry.enqueuedAt}ms)`);
+          return credit;
+        }
+
+        // Wait for a minute slot to free up (or a credit to be released, or the requests ahead to be served)
+        const slotFreeIn = check.allowed || usage.minuteCalls.length === 0
+          ? POLL_MS
+          : usage.minuteCalls[0] + MINUTE_MS - Date.now() + 100;
+        const untilDeadline = entry.deadline ? entry.deadline - Date.now() : Infinity;
+        await sleep(Math.max(Math.min(slotFreeIn, untilDeadline, POLL_MS), 50));
+
+        // Keep this request's queue entry fresh for the other processes
+        upsertQueuedRequest(entry);
+      }
+    } finally {
+      deleteQueuedRequest(entry.id);
+    }
+  }
+
+  /**
+   * Wait until a provider can be called (for per-minute limit only)
+   * @param {string} provider - Provider name
    * @returns {Promise<number>} Milliseconds waited
    */
-  async waitForAvailability() {
-    this.cleanMinuteCallLog();
+  async waitForAvailability(provider) {
+    const { minuteCalls } = this.getUsage(provider);
 
-    if (this.minuteCallLog.length === 0) {
+    if (minuteCalls.length === 0) {
       return 0; // No waiting needed
     }
 
     // Find oldest call in the last minute
-    const oldestCall = Math.min(...this.minuteCallLog);
+    const oldestCall = minuteCalls[0];
     const now = Date.now();
     const timeSinceOldest = now - oldestCall;
-    const timeToWait = 60000 - timeSinceOldest;
+    const timeToWait = MINUTE_MS - timeSinceOldest;
 
     if (timeToWait > 0) {
-      logger.info('RateLimiter', `Waiting ${timeToWait}ms for per-minute rate limit...`);
+      logger.info('RateLimiter', `Waiting ${timeToWait}ms for the ${provider} per-minute rate limit...`);
       await sleep(timeToWait + 100); // Add small buffer
-      this.cleanMinuteCallLog();
       return timeToWait;
     }
 
@@ -263,31 +554,49 @@ class RateLimiter {
   }
 
   /**
-   * Get current usage statistics
+   * Get current usage statistics of a provider
+   * @param {string} provider - Provider name
+   * @returns {Object} {minute, daily, rotation, reported, cooldown, queue}
    */
-  getStats() {
-    this.checkDailyReset();
-    this.cleanMinuteCallLog();
-
-    const effectiveDailyLimit = this.maxCallsPerDay - this.dailyBuffer;
+  getProviderStats(provider) {
+    const usage = this.getUsage(provider);
+    const now = Date.now();
+    const { minuteUsed, minuteLimit } = this.getMinuteUsage(provider, usage, now);
+    const { maxCallsPerDay, effectiveDailyLimit } = this.getLimits(provider);
 
     return {
       minute: {
-        used: this.minuteCallLog.length,
-        limit: this.maxCallsPerMinute,
-        remaining: this.maxCallsPerMinute - this.minuteCallLog.length,
+        used: minuteUsed,
+        limit: minuteLimit,
+        remaining: minuteLimit - minuteUsed,
       },
       daily: {
-        used: this.dailyState.callCount,
-        limit: this.maxCallsPerDay,
+        used: usage.daily,
+        reserved: usage.reserved,
+        limit: maxCallsPerDay,
         effectiveLimit: effectiveDailyLimit,
-        remaining: effectiveDailyLimit - this.dailyState.callCount,
-        percentage: ((this.dailyState.callCount / effectiveDailyLimit) * 100).toFixed(1),
+        remaining: effectiveDailyLimit - usage.daily,
+        percentage: ((usage.daily / effectiveDailyLimit) * 100).toFixed(1),
+        byConsumer: usage.byConsumer,
       },
       rotation: {
-        index: this.rotationIndex,
+        index: this.getRotationIndex(provider),
       },
-      date: this.dailyState.date,
+      // Last budget reported by the provider (used/left this minute) and any active back-off
+      reported: usage.provider,
+      cooldown: usage.cooldown && usage.cooldown.until > now ? usage.cooldown : null,
+      queue: this.getQueue(provider),
+    };
+  }
+
+  /**
+   * Get current usage statistics of every rate-limited provider in use
+   * @returns {Object} {providers: {name: stats}, date}
+   */
+  getStats() {
+    return {
+      providers: Object.fromEntries(getRateLimitedProviders().map(provider => [provider, this.getProviderStats(provider)])),
+      date: this.getTodayDateString(),
     };
   }
 
@@ -295,8 +604,12 @@ class RateLimiter {
    * Log current statistics
    */
   logStats() {
-    const stats = this.getStats();
-    logger.info('RateLimiter', `API Usage - Minute: ${stats.minute.used}/${stats.minute.limit}, Daily: ${stats.daily.used}/${stats.daily.effectiveLimit} (${stats.daily.percentage}%), Rotation: ${stats.rotation.index}`);
+    for (const [name, stats] of Object.entries(this.getStats().providers)) {
+      const reported = stats.reported ? `, Reported: ${stats.reported.used}/${stats.reported.limit}` : '';
+      const cooldown = stats.cooldown ? `, Cooldown until ${new Date(stats.cooldown.until).toISOString()}` : '';
+
+      logger.info('RateLimiter', `API Usage ${name} - Minute: ${stats.minute.used}/${stats.minute.limit}, Daily: ${stats.daily.used}/${stats.daily.effectiveLimit} (${stats.daily.percentage}%), Rotation: ${stats.rotation.index}, Queued: ${stats.queue.length}${reported}${cooldown}`);
+    }
   }
 }
 
@@ -320,4 +633,4 @@ export function getRateLimiter(options = {}) {
   return rateLimiterInstance;
 }
 
-export default { getRateLimiter, RateLimiter };
+export default { getRateLimiter, RateLimiter, PRIORITY, compareRequests };
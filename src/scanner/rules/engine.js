@@ -0,0 +1,225 @@
+/**
+ * Declarative pre-filter rule engine
+ * A rule names a setup, the bias it trades and a condition tree over the rule context
+ * (indicator outputs plus a few derived values); a matching rule produces its reason template.
+ *
+ * Conditions:
+ * - {all: [conditions]} / {any: [conditions]} / {not: condition}
+ * - {path: 'trend.direction', <operator>: value} with operators eq, ne, gt, gte, lt, lte, in, notIn,
+ *   exists (true/false) and near (with pct: within pct percent of the value)
+ * - A value may be a literal or {path: '...'} to compare against another context value
+ *
+ * Reason templates replace {path} with the context value, {path:N} with the number to N decimals,
+ * {path|capitalize} with the capitalized text and {path?text} with text if the value is truthy.
+ */
+
+import { ValidationError } from '../../utils/errors.js';
+
+const COMPARISONS = {
+  eq: (left, right) => left === right,
+  ne: (left, right) => left !== right,
+  gt: (left, right) => left > right,
+  gte: (left, right) => left >= right,
+  lt: (left, right) => left < right,
+  lte: (left, right) => left <= right,
+  in: (left, right) => Array.isArray(right) && right.includes(left),
+  notIn: (left, right) => Array.isArray(right) && !right.includes(left),
+  near: (left, right, condition) => right !== 0 && Math.abs(left - right) / Math.abs(right) * 100 < condition.pct,
+};
+
+export const OPERATORS = [...Object.keys(COMPARISONS), 'exists'];
+
+/**
+ * Read a dotted path from the context
+ * @param {Object} context - Rule context
+ * @param {string} path - Dotted path, e.g. 'swings.nearSR.price'
+ * @returns {*} Value or undefined if any part is missing
+ */
+export function resolvePath(context, path) {
+  let value = context;
+
+  for (const key of path.split('.')) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+
+  return value;
+}
+
+/**
+ * Resolve a condition operand: {path} references read the context, anything else is a literal
+ * @param {*} operand - Operand
+ * @param {Object} context - Rule context
+ * @returns {*} Value
+ */
+function resolveOperand(operand, context) {
+  if (operand !== null && typeof operand === 'object' && !Array.isArray(operand) && 'path' in operand) {
+    return resolvePath(context, operand.path);
+  }
+  return operand;
+}
+
+/**
+ * Evaluate a condition tree
+ * Comparisons against a missing (null/undefined) value are false; use exists to test for one.
+ * @param {Object} condition - Condition
+ * @param {Object} context - Rule context
+ * @returns {boolean} True if the condition holds
+ */
+export function evaluateCondition(condition, context) {
+  if (condition.all) return condition.all.every(child => evaluateCondition(child, context));
+  if (condition.any) return condition.any.some(child => evaluateCondition(child, context));
+  if (condition.not) return !evaluateCondition(condition.not, context);
+
+  const left = resolvePath(context, condition.path);
+  const operator = OPERATORS.find(name => name in condition);
+
+  if (operator === 'exists') {
+    return (left !== null && left !== undefined) === Boolean(condition.exists);
+  }
+
+  const right = resolveOperand(condition[operator], context);
+  if (left === null || left === undefined || right === null || right === undefined) {
+    return false;
+  }
+
+  return COMPARISONS[operator](left, right, condition);
+}
+
+/**
+ * Fill a reason template from the context
+ * @param {string} template - Reason template
+ * @param {Object} context - Rule context
+ * @returns {string} Reason text
+ */
+export function renderReason(template, context) {
+  return template.replace(/\{([^{}?|:]+)(?::(\d+)|\|(capitalize)|\?([^{}]*))?\}/g, (match, path, decimals, filter, text) => {
+    const value = resolvePath(context, path.trim());
+
+    if (text !== undefined) return value ? text : '';
+    if (value === null || value === undefined) return '';
+    if (decimals !== undefined) return Number(value).toFixed(parseInt(decimals, 10));
+    if (filter === 'capitalize') return String(value).charAt(0).toUpperCase() + String(value).slice(1);
+    return String(value);
+  });
+}
+
+/**
+ * Validate a condition tree
+ * @param {Object} condition - Condition
+ * @param {string} where - Location for error messages
+ * @throws {ValidationError} If the condition is malformed
+ */
+function validateCondition(condition, where) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    throw new ValidationError(`${where}: condition must be an object`);
+  }
+
+  for (const group of ['all', 'any']) {
+    if (group in condition) {
+      if (!Array.isArray(condition[group]) || condition[group].length === 0) {
+        throw new ValidationError(`${where}: ${group} must be a non-empty array`);
+      }
+      condition[group].forEach((child, i) => validateCondition(child, `${where}.${group}[${i}]`));
+      return;
+    }
+  }
+
+  if ('not' in condition) {
+    validateCondition(condition.not, `${where}.not`);
+    return;
+  }
+
+  if (typeof condition.path !== 'string' || condition.path === '') {
+    throw new ValidationError(`${where}: missing path`);
+  }
+
+  const operators = OPERATORS.filter(name => name in condition);
+  if (operators.length !== 1) {
+    throw new ValidationError(`${where}: expected exactly one operator (${OPERATORS.join(', ')}), got ${operators.length}`);
+  }
+
+  if (operators[0] === 'near' && typeof condition.pct !== 'number') {
+    throw new ValidationError(`${where}: near needs a numeric pct`);
+  }
+}
+
+/**
+ * Validate a rule set
+ * @param {Object} ruleSet - Parsed rule file {rules: [...]}
+ * @param {string} source - File name for error messages
+ * @returns {Array<Object>} The rules
+ * @throws {ValidationError} If a rule is malformed
+ */
+export function validateRules(ruleSet, source) {
+  if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+    throw new ValidationError(`${source}: expected an object with a rules array`);
+  }
+
+  const names = new Set();
+
+  ruleSet.rules.forEach((rule, i) => {
+    const where = `${source}: rule ${rule?.name || `#${i + 1}`}`;
+
+    if (!rule || typeof rule.name !== 'string' || rule.name === '') {
+      throw new ValidationError(`${source}: rule #${i + 1} needs a name`);
+    }
+    if (names.has(rule.name)) {
+      throw new ValidationError(`${where}: duplicate name`);
+    }
+    names.add(rule.name);
+
+    if (rule.bias !== 'long' && rule.bias !== 'short') {
+      throw new ValidationError(`${where}: bias must be long or short`);
+    }
+    if (typeof rule.reason !== 'string' || rule.reason === '') {
+      throw new ValidationError(`${where}: missing reason template`);
+    }
+    for (const list of ['modes', 'symbols', 'excludeSymbols']) {
+      if (list in rule && !Array.isArray(rule[list])) {
+        throw new ValidationError(`${where}: ${list} must be an array`);
+      }
+    }
+
+    validateCondition(rule.when, `${where} when`);
+  });
+
+  return ruleSet.rules;
+}
+
+/**
+ * Check whether a rule applies to a mode and symbol
+ * @param {Object} rule - Rule
+ * @param {string} mode - Trading mode
+ * @param {string|null} symbol - Trading symbol
+ * @returns {boolean} True if the rule is enabled for them
+ */
+export function ruleApplies(rule, mode, symbol) {
+  if (rule.enabled === false) return false;
+  if (rule.modes && !rule.modes.includes(mode)) return false;
+  if (symbol && rule.symbols && !rule.symbols.includes(symbol)) return false;
+  if (symbol && rule.excludeSymbols && rule.excludeSymbols.includes(symbol)) return false;
+  return true;
+}
+
+/**
+ * Evaluate rules in order
+ * @param {Array<Object>} rules - Validated rules
+ * @param {Object} context - Rule context
+ * @returns {Array<Object>} Matches {rule: name, reason, bias}
+ */
+export function evaluateRules(rules, context) {
+  return rules
+    .filter(rule => ruleApplies(rule, context.mode, context.symbol) && evaluateCondition(rule.when, context))
+    .map(rule => ({ rule: rule.name, reason: renderReason(rule.reason, context), bias: rule.bias }));
+}
+
+export default {
+  OPERATORS,
+  resolvePath,
+  evaluateCondition,
+  renderReason,
+  validateRules,
+  ruleApplies,
+  evaluateRules,
+};
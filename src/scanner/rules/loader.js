@@ -0,0 +1,109 @@
+/**
+ * Pre-filter rule set loading
+ * The base rule file applies everywhere; PREFILTER_RULES_BY_MODE and PREFILTER_RULES_BY_SYMBOL
+ * replace it for a mode or symbol (a symbol file wins over a mode file). Files are JSON, or YAML
+ * when js-yaml is installed, and are reloaded when they change on disk.
+ */
+
+import { readFile, stat } from 'fs/promises';
+import { extname } from 'path';
+import config from '../../config/index.js';
+import { logger } from '../../utils/logger.js';
+import { ValidationError } from '../../utils/errors.js';
+import { validateRules } from './engine.js';
+
+// Loaded rule files: path -> {mtimeMs, rules}
+const loaded = new Map();
+
+/**
+ * Parse a rule file by extension
+ * @param {string} path - File path
+ * @param {string} text - File contents
+ * @returns {Promise<Object>} Parsed rule set
+ */
+async function parseRuleFile(path, text) {
+  const extension = extname(path).toLowerCase();
+
+  if (extension === '.yaml' || extension === '.yml') {
+    let yaml;
+    try {
+      yaml = await import('js-yaml');
+    } catch {
+      throw new ValidationError(`${path}: YAML rule files need the js-yaml package (npm install js-yaml)`);
+    }
+    return (yaml.default || yaml).load(text);
+  }
+
+  return JSON.parse(text);
+}
+
+/**
+ * Load (or reload, if it changed) one rule file
+ * @param {string} path - File path
+ * @returns {Promise<void>}
+ */
+async function loadRuleFile(path) {
+  const { mtimeMs } = await stat(path);
+  const current = loaded.get(path);
+
+  if (current && current.mtimeMs === mtimeMs) {
+    return;
+  }
+
+  const rules = validateRules(await parseRuleFile(path, await readFile(path, 'utf-8')), path);
+  loaded.set(path, { mtimeMs, rules });
+  logger.info('PreFilter', `${current ? 'Reloaded' : 'Loaded'} ${rules.length} pre-filter rules from ${path}`);
+}
+
+/**
+ * All configured rule files
+ * @returns {Array<string>} Paths
+ */
+function getRuleFiles() {
+  const { rulesPath, modeRules, symbolRules } = config.prefilter;
+  return [...new Set([rulesPath, ...Object.values(modeRules), ...Object.values(symbolRules)])];
+}
+
+/**
+ * Load every configured rule file, reloading the ones that changed since the last call
+ * A file that fails to load or validate keeps its previous rules (if any) and logs the error, so
+ * a bad edit does not stop the scanner. Call once per scan cycle.
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If the base rule file has never loaded successfully
+ */
+export async function loadPrefilterRules() {
+  for (const path of getRuleFiles()) {
+    try {
+      await loadRuleFile(path);
+    } catch (error) {
+      logger.error('PreFilter', `Failed to load pre-filter rules from ${path}: ${error.message}`);
+    }
+  }
+
+  if (!loaded.has(config.prefilter.rulesPath)) {
+    throw new ValidationError('No pre-filter rules loaded', { path: config.prefilter.rulesPath });
+  }
+}
+
+/**
+ * Get the rule list for a mode and symbol (the symbol file, else the mode file, else the base file)
+ * Rules inside the file can still be limited with their modes/symbols fields.
+ * @param {string} mode - Trading mode
+ * @param {string|null} symbol - Trading symbol
+ * @returns {Array<Object>} Rules
+ * @throws {ValidationError} If loadPrefilterRules() has not run
+ */
+export function getPrefilterRules(mode, symbol = null) {
+  const { rulesPath, modeRules, symbolRules } = config.prefilter;
+  const candidates = [symbol && symbolRules[symbol], modeRules[mode], rulesPath].filter(Boolean);
+
+  for (const path of candidates) {
+    if (loaded.has(path)) {
+      return loaded.get(path).rules;
+    }
+  }
+
+  throw new ValidationError('Pre-filter rules not loaded, call loadPrefilterRules() first', { mode, symbol });
+}
+
+export default { loadPrefilterRules, getPrefilterRules };
@@ -1,10 +1,16 @@
 /**
- * Scheduler for running scanner at regular intervals
+ * Scheduler for running scanner at regular intervals or at bar closes
  */
 
 import { logger } from '../utils/logger.js';
+import { getNextBarClose, getLastBarClose, toCandleTime } from '../utils/timeframes.js';
+
+// Longest single wait, so weekly/monthly closes never overflow setTimeout
+const MAX_WAIT_MS = 60 * 60 * 1000;
 
 let intervalId = null;
+let timeoutId = null;
+let barCloseActive = false;
 let isRunning = false;
 
 /**
@@ -37,14 +43,105 @@ export function scheduleScanner(scannerFn, intervalMs) {
   };
 }
 
+/**
+ * Schedule scanner runs at bar closes
+ * Each run receives only the symbol/timeframe pairs whose bar closed since they were last scanned
+ * (most overdue first) and returns the pairs it handled; the rest stay due and are retried
+ * after retryMs
+ * @param {Function} scannerFn - Scanner function (combinations) => handled combinations
+ * @param {Array<Object>} combinations - All {symbol, timeframe} pairs
+ * @param {Object} options - Scheduling options
+ * @param {Function} options.getAlignment - (symbol) => provider bar alignment
+ * @param {number} options.delayMs - Wait after a bar close before scanning (lets the provider publish the bar)
+ * @param {number} options.retryMs - Retry interval for pairs the scanner could not handle
+ * @returns {Object} Control object with stop() method
+ */
+export function scheduleBarCloseScanner(scannerFn, combinations, options) {
+  const { getAlignment, delayMs, retryMs } = options;
+
+  if (intervalId || timeoutId || barCloseActive) {
+    logger.warn('Scheduler', 'Scanner already scheduled, stopping previous instance');
+    stopScheduler();
+  }
+
+  logger.info('Scheduler', `Scheduling scanner at bar closes for ${combinations.length} combinations (delay ${delayMs}ms)`);
+
+  // Close time of the last bar scanned per pair
+  const scannedCloses = new Map();
+  const keyOf = ({ symbol, timeframe }) => `${symbol}|${timeframe}`;
+  const lastClose = (combo, now) => getLastBarClose(combo.timeframe, now - delayMs, getAlignment(combo.symbol));
+
+  // Next wake-up: the next bar close, or the retry of pairs left over (the retry alone if no close can be computed)
+  const nextWake = pending => {
+    const retryAt = Date.now() + retryMs;
+
+    try {
+      const nextClose = Math.min(...combinations.map(combo =>
+        getNextBarClose(combo.timeframe, Date.now() - delayMs, getAlignment(combo.symbol)) + delayMs
+      ));
+      return pending > 0 ? Math.min(nextClose, retryAt) : nextClose;
+    } catch (error) {
+      logger.error('Scheduler', 'Failed to compute the next bar close', error);
+      return retryAt;
+    }
+  };
+
+  const tick = async () => {
+    timeoutId = null;
+    let pending = 0;
+
+    try {
+      const now = Date.now();
+
+      const due = combinations
+        .filter(combo => lastClose(combo, now) > (scannedCloses.get(keyOf(combo)) ?? 0))
+        .sort((a, b) => (scannedCloses.get(keyOf(a)) ?? 0) - (scannedCloses.get(keyOf(b)) ?? 0));
+
+      if (due.length > 0) {
+        // A failed or skipped run leaves every pair due
+        const handled = await runScan(() => scannerFn(due)) || [];
+
+        for (const combo of handled) {
+          scannedCloses.set(keyOf(combo), lastClose(combo, now));
+        }
+        pending = due.length - handled.length;
+      }
+    } catch (error) {
+      // The tick runs from a timer, so nothing above it would catch this: retry every pair instead of stopping
+      logger.error('Scheduler', 'Bar close tick failed', error);
+      pending = combinations.length;
+    } finally {
+      // Re-arm even after a failure, unless the scheduler was stopped meanwhile
+      if (barCloseActive) {
+        const wakeAt = nextWake(pending);
+
+        logger.debug('Scheduler', `Next scan at ${toCandleTime(wakeAt)}${pending > 0 ? ` (${pending} combinations still due)` : ''}`);
+        timeoutId = setTimeout(tick, Math.min(Math.max(wakeAt - Date.now(), 0), MAX_WAIT_MS));
+      }
+    }
+  };
+
+  // Run immediately on start (every pair's last closed bar is due)
+  barCloseActive = true;
+  tick();
+
+  // Setup graceful shutdown handlers
+  setupShutdownHandlers();
+
+  return {
+    stop: stopScheduler,
+  };
+}
+
 /**
  * Run a single scan with error handling
  * @param {Function} scannerFn - Scanner function
+ * @returns {Promise<*>} Scanner result, or undefined if skipped or failed
  */
 async function runScan(scannerFn) {
   if (isRunning) {
     logger.warn('Scheduler', 'Previous scan still running, skipping this iteration');
-    return;
+    return undefined;
   }
 
   isRunning = true;
@@ -52,11 +149,13 @@ async function runScan(scannerFn) {
 
   try {
     logger.info('Scheduler', '=== Starting scanner cycle ===');
-    await scannerFn();
+    const result = await scannerFn();
     const duration = Date.now() - startTime;
     logger.info('Scheduler', `=== Scanner cycle completed in ${duration}ms ===`);
+    return result;
   } catch (error) {
     logger.error('Scheduler', 'Scanner cycle failed', error);
+    return undefined;
   } finally {
     isRunning = false;
   }
@@ -66,9 +165,12 @@ async function runScan(scannerFn) {
  * Stop the scheduler
  */
 export function stopScheduler() {
-  if (intervalId) {
+  if (intervalId || timeoutId || barCloseActive) {
     clearInterval(intervalId);
+    clearTimeout(timeoutId);
     intervalId = null;
+    timeoutId = null;
+    barCloseActive = false;
     logger.info('Scheduler', 'Scanner stopped');
   }
 }
@@ -115,4 +217,4 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-export default { scheduleScanner, stopScheduler };
+export default { scheduleScanner, scheduleBarCloseScanner, stopScheduler };
@@ -2,13 +2,15 @@
  * Message formatters for Telegram notifications
  */
 
+import config from '../config/index.js';
+
 /**
  * Format new signal notification
  * @param {Object} signal - Signal object with all trade details
  * @returns {string} Formatted message
  */
 export function formatNewSignal(signal) {
-  const { symbol, timeframe, mode, direction, entry, stop_loss, take_profits, confidence, reason, management_hint, candidate_reason } = signal;
+  const { symbol, timeframe, mode, direction, entry, stop_loss, take_profits, confidence, reason, management_hint, candidate_reason, lots, position_size, risk_amount } = signal;
 
   const directionEmoji = direction === 'long' ? '📈' : '📉';
   const modeLabel = mode.charAt(0).toUpperCase() + mode.slice(1);
@@ -37,7 +39,10 @@ export function formatNewSignal(signal) {
 *Take Profits:*
 ${tpLines}
 
-*Confidence:* ${Math.round(confidence * 100)}%
+*Confidence:* ${Math.round(confidence * 100)}%${lots ? `
+
+*Size:* ${lots} lots (${formatNumber(position_size)} units)
+*Risk:* ${formatMoney(risk_amount)} (${config.account.riskPercent}% of ${formatMoney(config.account.balance)})` : ''}
 
 *Setup:* ${candidate_reason}
 
@@ -85,6 +90,68 @@ export function formatExpired(signal) {
 Price did not reach entry level within expiration threshold.`;
 }
 
+/**
+ * Format partial close notification (a scale-out leg was filled, remainder still open)
+ * @param {Object} signal - Signal object
+ * @param {Object} execution - Execution leg {type, price, fraction, r}
+ * @param {number} remaining - Fraction of the position still open
+ * @returns {string} Formatted message
+ */
+export function formatPartialClose(signal, execution, remaining) {
+  const { symbol, direction, entry, timeframe } = signal;
+  const { type, price, fraction, r } = execution;
+  const directionEmoji = direction === 'long' ? '📈' : '📉';
+
+  return `🟡 *Partial Take Profit*
+
+*Symbol:* ${symbol} (${timeframe})
+*Direction:* ${direction.toUpperCase()} ${directionEmoji}
+*Entry:* ${formatPrice(entry)}
+*${type.toUpperCase()}:* ${formatPrice(price)} hit, closed ${formatPercent(fraction)} (${r >= 0 ? '+' : ''}${r.toFixed(2)}R)
+
+${formatPercent(remaining)} of the position remains open.`;
+}
+
+/**
+ * Format stop moved notification (breakeven or trailing adjustment)
+ * @param {Object} signal - Signal object
+ * @param {Object} event - Stop event {type, from, to}
+ * @returns {string} Formatted message
+ */
+export function formatStopMoved(signal, event) {
+  const { symbol, direction, entry, timeframe } = signal;
+  const directionEmoji = direction === 'long' ? '📈' : '📉';
+  const title = event.type === 'breakeven' ? 'Stop Moved to Breakeven' : 'Trailing Stop Updated';
+
+  return `🛡️ *${title}*
+
+*Symbol:* ${symbol} (${timeframe})
+*Direction:* ${direction.toUpperCase()} ${directionEmoji}
+*Entry:* ${formatPrice(entry)}
+*Stop Loss:* ${formatPrice(event.from)} → ${formatPrice(event.to)}`;
+}
+
+/**
+ * Format news blackout warning for an active signal
+ * @param {Object} signal - Signal object
+ * @param {Object} event - Economic event {event_time, currency, title, impact}
+ * @returns {string} Formatted message
+ */
+export function formatNewsBlackout(signal, event) {
+  const { symbol, direction, entry, timeframe, status } = signal;
+  const directionEmoji = direction === 'long' ? '📈' : '📉';
+
+  return `📰 *News Blackout*
+
+*Symbol:* ${symbol} (${timeframe})
+*Direction:* ${direction.toUpperCase()} ${directionEmoji}
+*Entry:* ${formatPrice(entry)}
+*Status:* ${status}
+
+*Event:* ${event.currency} ${event.title} (${event.impact} impact)
+*Time:* ${event.event_time} UTC`;
+}
+
 /**
  * Format outcome notification
  * @param {Object} signal - Signal object with outcome
@@ -93,7 +160,7 @@ Price did not reach entry level within expiration threshold.`;
  */
 export function formatOutcome(signal, outcomeDetail) {
   const { symbol, direction, entry, stop_loss, take_profits, timeframe, outcome } = signal;
-  const { hit, rr, hitPrice } = outcomeDetail;
+  const { hit, rr, rrNet, hitPrice } = outcomeDetail;
 
   let emoji, title, resultText;
 
@@ -105,13 +172,22 @@ export function formatOutcome(signal, outcomeDetail) {
     if (hit.startsWith('tp')) {
       const tpIndex = parseInt(hit.replace('tp', ''), 10);
       resultText = `${hit.toUpperCase()} Hit`;
+    } else if (hit === 'sl' || hit === 'timeout') {
+      // Remainder closed after partial take profits
+      resultText = `${hit === 'sl' ? 'SL Hit' : 'Timeout'} on remainder`;
+    } else if (hit === 'manual') {
+      resultText = 'Closed at Broker';
     } else {
       resultText = 'Target Hit';
     }
   } else if (outcome === 'loss') {
     emoji = '❌';
-    title = 'Stop Loss Hit';
-    resultText = 'SL Hit';
+    title = hit === 'manual' ? 'Trade Closed at a Loss' : 'Stop Loss Hit';
+    resultText = hit === 'manual' ? 'Closed at Broker' : 'SL Hit';
+  } else if (outcome === 'breakeven') {
+    emoji = '⚪';
+    title = 'Closed at Breakeven';
+    resultText = hit === 'manual' ? 'Closed at Broker' : 'Stop at Entry';
   } else if (outcome === 'timeout') {
     emoji = '⏱️';
     title = 'Trade Timeout';
@@ -132,10 +208,23 @@ export function formatOutcome(signal, outcomeDetail) {
 *Direction:* ${direction.toUpperCase()} ${directionEmoji}
 *Entry:* ${formatPrice(entry)}
 *Exit:* ${formatPrice(hitPrice)} (${resultText})
-*R-Multiple:* ${rr >= 0 ? '+' : ''}${rr.toFixed(2)}R
+*R-Multiple:* ${rr >= 0 ? '+' : ''}${rr.toFixed(2)}R${rrNet !== undefined && rrNet !== rr ? ` (${rrNet >= 0 ? '+' : ''}${rrNet.toFixed(2)}R after costs)` : ''}
 
 *Profit/Loss:* ${distanceFormatted}`;
 
+  if (signal.pnl !== undefined && signal.pnl !== null) {
+    message += `\n*P&L:* ${signal.pnl >= 0 ? '+' : ''}${formatMoney(signal.pnl)}`;
+  }
+
+  // Scaled-out trades: list every leg behind the blended R
+  const executions = outcomeDetail.executions || [];
+  if (executions.length > 1) {
+    const legLines = executions.map(leg =>
+      `  ${leg.type.toUpperCase()}: ${formatPercent(leg.fraction)} @ ${formatPrice(leg.price)} (${leg.r >= 0 ? '+' : ''}${leg.r.toFixed(2)}R)`
+    ).join('\n');
+    message += `\n\n*Executions:*\n${legLines}`;
+  }
+
   // Add summary for wins/losses
   if (outcome === 'win') {
     message += `\n\n💰 Profitable trade closed successfully.`;
@@ -165,6 +254,37 @@ function formatPrice(price) {
   }
 }
 
+/**
+ * Format an amount in account currency
+ * @param {number} amount - Amount
+ * @returns {string} Formatted amount (e.g. "1,234.56 USD")
+ */
+function formatMoney(amount) {
+  return `${formatNumber(amount, 2)} ${config.account.currency}`;
+}
+
+/**
+ * Format a number with thousands separators
+ * @param {number} value - Number to format
+ * @param {number} decimals - Fixed decimals (optional)
+ * @returns {string} Formatted number
+ */
+function formatNumber(value, decimals) {
+  const options = decimals === undefined
+    ? { maximumFractionDigits: 6 }
+    : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+  return value.toLocaleString('en-US', options);
+}
+
+/**
+ * Format a position fraction as a percentage
+ * @param {number} fraction - Fraction between 0 and 1
+ * @returns {string} Formatted percentage
+ */
+function formatPercent(fraction) {
+  return `${Math.round(fraction * 100)}%`;
+}
+
 /**
  * Format distance (for SL/TP distances)
  * @param {number} distance - Distance value
@@ -192,5 +312,8 @@ export default {
   formatNewSignal,
   formatTriggered,
   formatExpired,
+  formatPartialClose,
+  formatStopMoved,
+  formatNewsBlackout,
   formatOutcome,
 };
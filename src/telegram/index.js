@@ -7,6 +7,9 @@ import {
   formatNewSignal,
   formatTriggered,
   formatExpired,
+  formatPartialClose,
+  formatStopMoved,
+  formatNewsBlackout,
   formatOutcome,
 } from './formatter.js';
 import { logger } from '../utils/logger.js';
@@ -53,6 +56,52 @@ export async function notifyExpired(signal) {
   }
 }
 
+/**
+ * Send partial close notification
+ * @param {Object} signal - Signal object
+ * @param {Object} execution - Execution leg that was filled
+ * @param {number} remaining - Fraction of the position still open
+ */
+export async function notifyPartialClose(signal, execution, remaining) {
+  try {
+    const message = formatPartialClose(signal, execution, remaining);
+    await sendMessageSafe(message);
+    logger.info('Telegram', `Sent partial close notification for signal ID ${signal.id}: ${execution.type}`);
+  } catch (error) {
+    logger.error('Telegram', 'Failed to send partial close notification', error);
+  }
+}
+
+/**
+ * Send stop moved notification
+ * @param {Object} signal - Signal object
+ * @param {Object} event - Stop event {type, from, to, time}
+ */
+export async function notifyStopMoved(signal, event) {
+  try {
+    const message = formatStopMoved(signal, event);
+    await sendMessageSafe(message);
+    logger.info('Telegram', `Sent stop moved notification for signal ID ${signal.id}: ${event.type}`);
+  } catch (error) {
+    logger.error('Telegram', 'Failed to send stop moved notification', error);
+  }
+}
+
+/**
+ * Send news blackout warning for an active signal
+ * @param {Object} signal - Signal object
+ * @param {Object} event - Economic event
+ */
+export async function notifyNewsBlackout(signal, event) {
+  try {
+    const message = formatNewsBlackout(signal, event);
+    await sendMessageSafe(message);
+    logger.info('Telegram', `Sent news blackout notification for signal ID ${signal.id}: ${event.currency} ${event.title}`);
+  } catch (error) {
+    logger.error('Telegram', 'Failed to send news blackout notification', error);
+  }
+}
+
 /**
  * Send outcome notification
  * @param {Object} signal - Signal object with outcome
@@ -76,5 +125,8 @@ export default {
   notifyNewSignal,
   notifyTriggered,
   notifyExpired,
+  notifyPartialClose,
+  notifyStopMoved,
+  notifyNewsBlackout,
   notifyOutcome,
 };
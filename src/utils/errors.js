@@ -61,3 +61,15 @@ export class TelegramError extends Error {
     Error.captureStackTrace(this, this.constructor);
   }
 }
+
+/**
+ * Error thrown when the broker API rejects or fails an order request
+ */
+export class ExecutionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ExecutionError';
+    this.details = details;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
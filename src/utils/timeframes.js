@@ -0,0 +1,242 @@
+/**
+ * Timeframe and candle time helpers
+ */
+
+// Duration of each supported timeframe in milliseconds
+const TIMEFRAME_MS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '30m': 30 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '2h': 2 * 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+  '1w': 7 * 24 * 60 * 60 * 1000,
+  '1M': 30 * 24 * 60 * 60 * 1000, // Approximation, months vary in length
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Bars start at midnight UTC unless the provider aligns them elsewhere (weeks start on Monday)
+export const DEFAULT_BAR_ALIGNMENT = { timeZone: 'UTC', dayStart: 0, weekStart: 1 };
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formatters = new Map();
+
+/**
+ * Get timeframe duration in milliseconds
+ * @param {string} timeframe - Timeframe (e.g., '15m', '1h', '4h')
+ * @returns {number} Duration in milliseconds
+ */
+export function timeframeToMs(timeframe) {
+  const ms = TIMEFRAME_MS[timeframe];
+
+  if (!ms) {
+    throw new Error(`Unknown timeframe: ${timeframe}`);
+  }
+
+  return ms;
+}
+
+/**
+ * Parse a candle time ('YYYY-MM-DD HH:mm:ss', UTC) into epoch milliseconds
+ * Strings with an explicit timezone are parsed as-is
+ * @param {string} time - Candle time
+ * @returns {number} Epoch milliseconds
+ */
+export function parseCandleTime(time) {
+  const hasZone = /([zZ]|[+-]\d{2}:?\d{2})$/.test(time);
+  const normalized = time.includes('T') ? time : time.replace(' ', 'T');
+  return new Date(hasZone ? normalized : `${normalized}Z`).getTime();
+}
+
+/**
+ * Format a timestamp the way Twelve Data does ('YYYY-MM-DD HH:mm:ss', UTC)
+ * so every provider returns the same candle time format
+ * @param {number|string|Date} value - Epoch milliseconds, ISO string or Date
+ * @returns {string} Formatted candle time
+ */
+export function toCandleTime(value) {
+  return new Date(value).toISOString().replace('T', ' ').split('.')[0];
+}
+
+/**
+ * Local weekday, minute of day and date of a timestamp in a timezone
+ * @param {string} timeZone - IANA timezone
+ * @param {number} ms - Epoch milliseconds
+ * @returns {Object} {weekday (0 = Sunday), minutes, date ('YYYY-MM-DD')}
+ */
+export function getLocalTime(timeZone, ms) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }));
+  }
+
+  const parts = Object.fromEntries(
+    formatters.get(timeZone).formatToParts(new Date(ms)).map(p => [p.type, p.value])
+  );
+
+  return {
+    weekday: WEEKDAYS[parts.weekday],
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
+
+/**
+ * Convert a local wall-clock candle time in a timezone to epoch milliseconds
+ * @param {string} time - Local time ('YYYY-MM-DD HH:mm:ss')
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Epoch milliseconds
+ */
+export function fromLocalTime(time, timeZone) {
+  const wall = parseCandleTime(time);
+  let ms = wall;
+
+  // Shift by the zone offset; the second pass corrects a first guess on the other side of a DST change
+  for (let pass = 0; pass < 2; pass++) {
+    const local = getLocalTime(timeZone, ms);
+    const localMs = parseCandleTime(`${local.date} 00:00:00`) + local.minutes * MINUTE_MS + (ms % MINUTE_MS);
+    ms += wall - localMs;
+  }
+
+  return ms;
+}
+
+/**
+ * First day boundary (local dayStart in the alignment timezone) strictly after a time
+ * @param {Object} alignment - Bar alignment {timeZone, dayStart}
+ * @param {number} afterMs - Epoch milliseconds
+ * @returns {number} Epoch milliseconds
+ */
+function nextDayBoundary(alignment, afterMs) {
+  const { timeZone, dayStart } = alignment;
+  const start = afterMs - (afterMs % MINUTE_MS);
+  let boundary = start + ((dayStart - getLocalTime(timeZone, start).minutes + 1440) % 1440) * MINUTE_MS;
+
+  // Correct a guess that crossed a DST change
+  const drift = ((getLocalTime(timeZone, boundary).minutes - dayStart + 2160) % 1440) - 720;
+  boundary -= drift * MINUTE_MS;
+
+  return boundary > afterMs ? boundary : nextDayBoundary(alignment, boundary + 12 * 60 * MINUTE_MS);
+}
+
+/**
+ * Last day boundary at or before a time
+ * @param {Object} alignment - Bar alignment {timeZone, dayStart}
+ * @param {number} atMs - Epoch milliseconds
+ * @returns {number} Epoch milliseconds
+ */
+function lastDayBoundary(alignment, atMs) {
+  let boundary = nextDayBoundary(alignment, atMs - DAY_MS - 2 * 60 * MINUTE_MS);
+
+  for (let next = nextDayBoundary(alignment, boundary); next <= atMs; next = nextDayBoundary(alignment, boundary)) {
+    boundary = next;
+  }
+
+  return boundary;
+}
+
+/**
+ * Check whether a day boundary also starts a weekly or monthly bar
+ * @param {string} timeframe - '1w' or '1M'
+ * @param {Object} alignment - Bar alignment {timeZone, weekStart}
+ * @param {number} boundary - Day boundary in epoch milliseconds
+ * @returns {boolean} True if a new bar starts at the boundary
+ */
+function startsPeriod(timeframe, alignment, boundary) {
+  const local = getLocalTime(alignment.timeZone, boundary);
+  return timeframe === '1w' ? local.weekday === alignment.weekStart : local.date.endsWith('-01');
+}
+
+/**
+ * Close time of the bar that is forming at a given time (the next bar boundary after it)
+ * Intraday bars are counted from the provider's day start, so 4h OANDA bars close at 21:00, 01:00... New York time
+ * @param {string} timeframe - Timeframe
+ * @param {number} afterMs - Epoch milliseconds
+ * @param {Object} alignment - Provider bar alignment {timeZone, dayStart, weekStart}
+ * @returns {number} Epoch milliseconds of the next bar close
+ */
+export function getNextBarClose(timeframe, afterMs, alignment = DEFAULT_BAR_ALIGNMENT) {
+  const tfMs = timeframeToMs(timeframe);
+
+  if (tfMs < DAY_MS) {
+    const dayOpen = lastDayBoundary(alignment, afterMs);
+    const close = dayOpen + (Math.floor((afterMs - dayOpen) / tfMs) + 1) * tfMs;
+    return Math.min(close, nextDayBoundary(alignment, dayOpen));
+  }
+
+  let boundary = nextDayBoundary(alignment, afterMs);
+
+  if (timeframe === '1w' || timeframe === '1M') {
+    while (!startsPeriod(timeframe, alignment, boundary)) {
+      boundary = nextDayBoundary(alignment, boundary);
+    }
+  }
+
+  return boundary;
+}
+
+/**
+ * Close time of the most recently closed bar at a given time
+ * @param {string} timeframe - Timeframe
+ * @param {number} atMs - Epoch milliseconds
+ * @param {Object} alignment - Provider bar alignment {timeZone, dayStart, weekStart}
+ * @returns {number} Epoch milliseconds of the last bar close (at or before atMs)
+ */
+export function getLastBarClose(timeframe, atMs, alignment = DEFAULT_BAR_ALIGNMENT) {
+  const tfMs = timeframeToMs(timeframe);
+  let boundary = lastDayBoundary(alignment, atMs);
+
+  if (tfMs < DAY_MS) {
+    return boundary + Math.floor((atMs - boundary) / tfMs) * tfMs;
+  }
+
+  if (timeframe === '1w' || timeframe === '1M') {
+    while (!startsPeriod(timeframe, alignment, boundary)) {
+      boundary = lastDayBoundary(alignment, boundary - 1);
+    }
+  }
+
+  return boundary;
+}
+
+/**
+ * Drop the last candle if its bar has not closed yet
+ * @param {Array<Object>} candles - Candles oldest first
+ * @param {string} timeframe - Timeframe
+ * @param {number} now - Epoch milliseconds (default: now)
+ * @param {Object} alignment - Provider bar alignment
+ * @returns {Array<Object>} Closed candles
+ */
+export function dropFormingCandle(candles, timeframe, now = Date.now(), alignment = DEFAULT_BAR_ALIGNMENT) {
+  const last = candles[candles.length - 1];
+
+  if (last && getNextBarClose(timeframe, parseCandleTime(last.time), alignment) > now) {
+    return candles.slice(0, -1);
+  }
+
+  return candles;
+}
+
+export default {
+  DEFAULT_BAR_ALIGNMENT,
+  timeframeToMs,
+  parseCandleTime,
+  toCandleTime,
+  getLocalTime,
+  fromLocalTime,
+  getNextBarClose,
+  getLastBarClose,
+  dropFormingCandle,
+};
@@ -0,0 +1,103 @@
+import config from '../src/config/index.js';
+import { initDatabase, closeDatabase } from '../src/db/index.js';
+import { getPaperPositionBySignal } from '../src/db/account.js';
+import { insertSignal } from '../src/db/queries.js';
+import {
+  calculateMargin,
+  getAccountSummary,
+  placePaperOrder,
+  openPaperPosition,
+  cancelPaperOrder,
+  applyPaperExecutions,
+} from '../src/portfolio/account.js';
+
+const signal = (id, overrides = {}) => ({
+  id,
+  symbol: 'EURUSD',
+  timeframe: '1h',
+  direction: 'long',
+  entry: 1.1,
+  stop_loss: 1.09,
+  triggered_at: '2024-01-03 10:00:00',
+  ...overrides,
+});
+
+const { account, paper } = config;
+
+beforeAll(async () => {
+  config.database.path = ':memory:';
+  config.account = { ...account, balance: 10000, riskPercent: 1, currency: 'USD' };
+  config.paper = { ...paper, leverage: 30, maxMarginPercent: 50, maxOpenRiskPercent: 2.5 };
+  await initDatabase();
+
+  // Paper positions reference their signals (IDs 1-3)
+  for (const timeframe of ['1h', '4h', '1d']) {
+    insertSignal({ ...signal(null), timeframe, mode: 'conservative', take_profits: [1.11], confidence: 0.8, reason: 'test' });
+  }
+});
+
+afterAll(() => {
+  Object.assign(config, { account, paper });
+  closeDatabase();
+});
+
+describe('calculateMargin', () => {
+  test('divides the notional by the leverage', () => {
+    expect(calculateMargin('EURUSD', 10000, 1.1)).toBe(366.67);
+    expect(calculateMargin('USDJPY', 10000, 150)).toBe(333.33);
+  });
+});
+
+describe('paper account', () => {
+  test('starts at the configured balance', () => {
+    expect(getAccountSummary()).toMatchObject({
+      currency: 'USD',
+      balance: 10000,
+      equity: 10000,
+      marginUsed: 0,
+      openRisk: 0,
+      openPositions: 0,
+      pendingOrders: 0,
+    });
+  });
+
+  test('reserves margin and risk for a pending order sized from the balance', () => {
+    const { accepted, position } = placePaperOrder(signal(1));
+
+    expect(accepted).toBe(true);
+    expect(position).toMatchObject({ status: 'pending', units: 10000, lots: 0.1, risk_amount: 100, margin: 366.67 });
+    expect(getAccountSummary()).toMatchObject({ marginUsed: 366.67, openRisk: 100, pendingOrders: 1, freeMargin: 9633.33 });
+  });
+
+  test('refuses orders beyond the open risk limit', () => {
+    expect(placePaperOrder(signal(2)).accepted).toBe(true);
+
+    const refused = placePaperOrder(signal(3));
+    expect(refused.accepted).toBe(false);
+    expect(refused.reason).toMatch(/^Open risk would exceed 2.5% of balance/);
+    expect(getPaperPositionBySignal(3).status).toBe('rejected');
+
+    cancelPaperOrder(signal(2), '2024-01-03 12:00:00');
+    expect(getAccountSummary()).toMatchObject({ openRisk: 100, pendingOrders: 1 });
+  });
+
+  test('books each scale-out leg to the balance and releases the margin as the position closes', () => {
+    openPaperPosition(signal(1));
+    expect(getPaperPositionBySignal(1)).toMatchObject({ status: 'open', opened_at: '2024-01-03 10:00:00' });
+
+    applyPaperExecutions(signal(1), [{ type: 'tp1', fraction: 0.5, r: 1, rNet: 0.9, time: '2024-01-03 11:00:00' }]);
+    expect(getPaperPositionBySignal(1)).toMatchObject({ status: 'open', remaining: 0.5, realized_pnl: 45 });
+    expect(getAccountSummary()).toMatchObject({ balance: 10045, marginUsed: 183.34, openRisk: 50 });
+
+    applyPaperExecutions(signal(1), [{ type: 'sl', fraction: 0.5, r: 0, rNet: -0.1, time: '2024-01-03 12:00:00' }]);
+    expect(getPaperPositionBySignal(1)).toMatchObject({ status: 'closed', remaining: 0, realized_pnl: 40, closed_at: '2024-01-03 12:00:00' });
+    expect(getAccountSummary()).toMatchObject({ balance: 10040, marginUsed: 0, openRisk: 0, openPositions: 0, pendingOrders: 0 });
+  });
+
+  test('ignores executions for positions that are not open', () => {
+    applyPaperExecutions(signal(1), [{ type: 'sl', fraction: 1, r: -1, rNet: -1, time: '2024-01-03 13:00:00' }]);
+    applyPaperExecutions(signal(2), [{ type: 'sl', fraction: 1, r: -1, rNet: -1, time: '2024-01-03 13:00:00' }]);
+
+    expect(getAccountSummary().balance).toBe(10040);
+  });
+});
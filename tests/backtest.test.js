@@ -0,0 +1,89 @@
+import { fileURLToPath } from 'url';
+import config from '../src/config/index.js';
+import { initDatabase, closeDatabase } from '../src/db/index.js';
+import { runBacktest } from '../src/backtest/engine.js';
+import { createRuleStrategy } from '../src/backtest/strategies.js';
+import { loadPrefilterRules } from '../src/scanner/rules/loader.js';
+
+const DEFAULT_RULES = fileURLToPath(new URL('../src/scanner/rules/default.json', import.meta.url));
+
+// Hourly crypto bars (no closures): an uptrend with regular pullbacks
+const makeCandles = length => Array.from({ length }, (_, i) => {
+  const close = 100 + i * 0.08 + 2 * Math.sin(i / 6);
+  const open = 100 + (i - 1) * 0.08 + 2 * Math.sin((i - 1) / 6);
+  return {
+    time: new Date(Date.UTC(2024, 0, 1) + i * 3600000).toISOString().slice(0, 19).replace('T', ' '),
+    open,
+    high: Math.max(open, close) + 0.3,
+    low: Math.min(open, close) - 0.3,
+    close,
+    volume: 1,
+  };
+});
+
+const backtest = candles => runBacktest({
+  symbol: 'BTCUSD',
+  timeframe: '1h',
+  modes: ['conservative', 'aggressive'],
+  candles,
+  strategy: createRuleStrategy(),
+  windowSize: 250,
+});
+
+const { prefilter } = config;
+
+beforeAll(async () => {
+  config.database.path = ':memory:';
+  await initDatabase();
+  config.prefilter = { ...prefilter, rulesPath: DEFAULT_RULES, modeRules: {}, symbolRules: {} };
+  await loadPrefilterRules();
+});
+
+afterAll(() => {
+  config.prefilter = prefilter;
+  closeDatabase();
+});
+
+describe('runBacktest', () => {
+  test('replays the same history to the same trades and stats', async () => {
+    const candles = makeCandles(700);
+    const first = await backtest(candles);
+    const second = await backtest(candles);
+
+    expect(first.counts.signals).toBeGreaterThan(0);
+    expect(first.trades).toHaveLength(first.counts.signals);
+    expect(second).toEqual(first);
+  });
+
+  test('does not look ahead: later bars leave earlier trades unchanged', async () => {
+    const candles = makeCandles(700);
+    const short = await backtest(candles.slice(0, 500));
+    const full = await backtest(candles);
+    const cutoff = candles[499].time;
+
+    const closedBefore = short.trades.filter(t => t.closed_at && t.closed_at <= cutoff);
+
+    expect(closedBefore.length).toBeGreaterThan(0);
+    for (const trade of closedBefore) {
+      expect(full.trades.find(t => t.mode === trade.mode && t.created_at === trade.created_at)).toEqual(trade);
+    }
+  });
+
+  test('keeps one open signal per mode and opens them on the bar after the signal bar', async () => {
+    const candles = makeCandles(700);
+    const { trades } = await backtest(candles);
+
+    for (const mode of ['conservative', 'aggressive']) {
+      const ofMode = trades.filter(t => t.mode === mode);
+
+      for (let i = 1; i < ofMode.length; i++) {
+        expect(ofMode[i].created_at > ofMode[i - 1].closed_at).toBe(true);
+      }
+    }
+
+    for (const trade of trades) {
+      const signalBar = candles.findIndex(c => c.time === trade.created_at) - 1;
+      expect(trade.entry).toBeCloseTo(candles[signalBar].close, 10);
+    }
+  });
+});
@@ -0,0 +1,70 @@
+import config from '../src/config/index.js';
+import { initDatabase, closeDatabase } from '../src/db/index.js';
+import { upsertCandles, markCandlesFetched, setCandleHistoryLimit } from '../src/db/candles.js';
+import { planFetch, getFetchCount } from '../src/scanner/candleStore.js';
+
+const HOUR = 3600000;
+const START = Date.UTC(2024, 0, 1);
+
+// Hourly crypto bars (local provider, up to 5000 candles per request)
+const makeCandles = length => Array.from({ length }, (_, i) => ({
+  time: new Date(START + i * HOUR).toISOString().slice(0, 19).replace('T', ' '),
+  open: 100,
+  high: 101,
+  low: 99,
+  close: 100,
+  volume: 1,
+}));
+
+// Close of the last of `length` stored bars
+const lastClose = length => START + length * HOUR;
+
+beforeAll(async () => {
+  config.database.path = ':memory:';
+  await initDatabase();
+});
+
+afterAll(() => {
+  closeDatabase();
+});
+
+describe('planFetch', () => {
+  test('downloads the full window into an empty store', () => {
+    expect(planFetch('BTCUSD', '1h', 300, lastClose(0))).toEqual({ count: 300, full: true, hole: false });
+    expect(planFetch('BTCUSD', '1h', 8000, lastClose(0))).toEqual({ count: 5000, full: true, hole: false });
+  });
+
+  test('downloads the full window until the store holds it, unless the provider has no more history', () => {
+    upsertCandles('ETHUSD', '1h', makeCandles(100));
+    markCandlesFetched('ETHUSD', '1h', lastClose(100));
+
+    expect(planFetch('ETHUSD', '1h', 300, lastClose(101))).toEqual({ count: 300, full: true, hole: false });
+
+    setCandleHistoryLimit('ETHUSD', '1h', 100);
+    expect(planFetch('ETHUSD', '1h', 300, lastClose(101))).toEqual({ count: 3, full: false, hole: false });
+  });
+
+  test('serves a fresh store without calling the provider', () => {
+    upsertCandles('SOLUSD', '1h', makeCandles(300));
+    markCandlesFetched('SOLUSD', '1h', lastClose(300) + 1000);
+
+    expect(planFetch('SOLUSD', '1h', 300, lastClose(300) + 30000)).toEqual({ count: 0, full: false, hole: false });
+    expect(getFetchCount('SOLUSD', '1h', 300, lastClose(300) + 30000)).toBe(0);
+  });
+
+  test('re-fetches the last stored bar and every bar since', () => {
+    upsertCandles('XRPUSD', '1h', makeCandles(300));
+    markCandlesFetched('XRPUSD', '1h', lastClose(300) + 1000);
+
+    // Stale after staleMs even without a new bar; the count includes the bar now forming
+    expect(planFetch('XRPUSD', '1h', 300, lastClose(300) + config.candleStore.staleMs + 1000).count).toBe(3);
+    expect(planFetch('XRPUSD', '1h', 300, lastClose(303))).toEqual({ count: 5, full: false, hole: false });
+  });
+
+  test('flags a hole when more bars closed than one request returns', () => {
+    upsertCandles('LTCUSD', '1h', makeCandles(300));
+    markCandlesFetched('LTCUSD', '1h', lastClose(300));
+
+    expect(planFetch('LTCUSD', '1h', 300, lastClose(300 + 6000))).toEqual({ count: 5000, full: false, hole: true });
+  });
+});
@@ -0,0 +1,99 @@
+import config from '../src/config/index.js';
+import { calculateReturnCorrelation, findDuplicate } from '../src/portfolio/correlation.js';
+
+const { correlation, scanner } = config;
+
+// Hourly candles from a list of closes
+const candles = closes => closes.map((close, i) => ({
+  time: `2024-01-03 ${String(i).padStart(2, '0')}:00:00`,
+  open: close,
+  high: close,
+  low: close,
+  close,
+}));
+
+const wave = Array.from({ length: 24 }, (_, i) => 1.1 + 0.01 * Math.sin(i));
+
+const active = (id, symbol, direction, overrides = {}) => ({
+  id,
+  symbol,
+  direction,
+  timeframe: '1h',
+  mode: 'conservative',
+  entry: 1.1,
+  ...overrides,
+});
+
+beforeAll(() => {
+  config.correlation = { ...correlation, threshold: 0.8, overlapAtr: 0.5 };
+  config.scanner = { ...scanner, symbols: ['EURUSD', 'GBPUSD', 'USDCHF'] };
+});
+
+afterAll(() => {
+  Object.assign(config, { correlation, scanner });
+});
+
+describe('calculateReturnCorrelation', () => {
+  test('is 1 for moves in step and -1 for mirrored moves', () => {
+    const inStep = wave.map(close => close * 1.2);
+    const mirrored = wave.map(close => 1 / close);
+
+    expect(calculateReturnCorrelation(candles(wave), candles(inStep))).toBeCloseTo(1, 10);
+    expect(calculateReturnCorrelation(candles(wave), candles(mirrored))).toBeCloseTo(-1, 10);
+  });
+
+  test('needs enough shared bars and movement', () => {
+    expect(calculateReturnCorrelation(candles(wave.slice(0, 10)), candles(wave.slice(0, 10)))).toBeNull();
+    expect(calculateReturnCorrelation(candles(wave), candles(wave.map(() => 1.1)))).toBeNull();
+  });
+});
+
+describe('findDuplicate', () => {
+  const candidate = { symbol: 'EURUSD', timeframe: '1h', direction: 'long', entry: 1.1 };
+  const uncorrelated = () => null;
+
+  test('merges same-direction signals on the symbol with entries within the ATR multiple', () => {
+    const signals = [active(1, 'EURUSD', 'long', { timeframe: '4h', entry: 1.104 })];
+
+    const duplicate = findDuplicate(candidate, signals, 0.01, uncorrelated);
+
+    expect(duplicate).toMatchObject({ original: signals[0], type: 'overlap' });
+    expect(duplicate.reason).toBe('Overlaps signal ID 1 (EURUSD 4h conservative, entry 0.40 ATR away)');
+  });
+
+  test('keeps same-symbol signals that are far apart, opposite or without an ATR', () => {
+    expect(findDuplicate(candidate, [active(1, 'EURUSD', 'long', { entry: 1.106 })], 0.01, uncorrelated)).toBeNull();
+    expect(findDuplicate(candidate, [active(1, 'EURUSD', 'short')], 0.01, uncorrelated)).toBeNull();
+    expect(findDuplicate(candidate, [active(1, 'EURUSD', 'long')], null, uncorrelated)).toBeNull();
+  });
+
+  test('treats the same direction on a positively correlated symbol as the same trade', () => {
+    const signals = [active(2, 'GBPUSD', 'long')];
+
+    const duplicate = findDuplicate(candidate, signals, 0.01, () => 0.9);
+
+    expect(duplicate).toMatchObject({ original: signals[0], type: 'correlated' });
+    expect(duplicate.reason).toBe('Same trade as signal ID 2 (GBPUSD LONG, 1h correlation 0.90)');
+    expect(findDuplicate(candidate, [active(2, 'GBPUSD', 'short')], 0.01, () => 0.9)).toBeNull();
+  });
+
+  test('treats the opposite direction on a negatively correlated symbol as the same trade', () => {
+    expect(findDuplicate(candidate, [active(3, 'USDCHF', 'short')], 0.01, () => -0.9)).toMatchObject({ type: 'correlated' });
+    expect(findDuplicate(candidate, [active(3, 'USDCHF', 'long')], 0.01, () => -0.9)).toBeNull();
+  });
+
+  test('ignores weak correlations and symbols outside the scanner', () => {
+    expect(findDuplicate(candidate, [active(2, 'GBPUSD', 'long')], 0.01, () => 0.5)).toBeNull();
+    expect(findDuplicate(candidate, [active(4, 'AUDUSD', 'long')], 0.01, () => 0.95)).toBeNull();
+  });
+
+  test('asks for the correlation on the candidate timeframe', () => {
+    const calls = [];
+    findDuplicate({ ...candidate, timeframe: '4h' }, [active(2, 'GBPUSD', 'long')], 0.01, (...args) => {
+      calls.push(args);
+      return null;
+    });
+
+    expect(calls).toEqual([['EURUSD', 'GBPUSD', '4h']]);
+  });
+});
@@ -0,0 +1,84 @@
+import config from '../src/config/index.js';
+import { parseCostSpec, getCostModel, resolveCosts, toQuoteCandle } from '../src/evaluation/costs.js';
+
+const bar = (time, open, high, low, close) => ({ time, open, high, low, close, volume: 0 });
+
+// 20 hourly bars with a constant 0.002 range (ATR 0.002)
+const candles = Array.from({ length: 20 }, (_, i) =>
+  bar(new Date(Date.UTC(2024, 0, 3, i)).toISOString().slice(0, 19).replace('T', ' '), 1.1, 1.101, 1.099, 1.1)
+);
+
+describe('parseCostSpec', () => {
+  test('parses price, ATR and percent units', () => {
+    expect(parseCostSpec('0.0002')).toEqual({ value: 0.0002, unit: 'price' });
+    expect(parseCostSpec('0.05atr')).toEqual({ value: 0.05, unit: 'atr' });
+    expect(parseCostSpec(' 0.1 % ')).toEqual({ value: 0.1, unit: 'percent' });
+  });
+
+  test('rejects empty and malformed specifications', () => {
+    expect(parseCostSpec(undefined)).toBeNull();
+    expect(parseCostSpec('')).toBeNull();
+    expect(parseCostSpec('-0.1')).toBeNull();
+    expect(parseCostSpec('0.1pips')).toBeNull();
+  });
+});
+
+describe('getCostModel', () => {
+  const costs = config.costs;
+
+  afterEach(() => {
+    config.costs = costs;
+  });
+
+  test('prefers the symbol entry over the wildcard', () => {
+    config.costs = { spread: { '*': '0.0002', XAUUSD: '0.3' }, slippage: { '*': '0.1atr' }, commission: {} };
+
+    expect(getCostModel('XAUUSD')).toEqual({
+      spread: { value: 0.3, unit: 'price' },
+      slippage: { value: 0.1, unit: 'atr' },
+      commission: null,
+    });
+    expect(getCostModel('EURUSD').spread).toEqual({ value: 0.0002, unit: 'price' });
+  });
+});
+
+describe('resolveCosts', () => {
+  const costs = config.costs;
+  const signal = { symbol: 'EURUSD', entry: 1.1 };
+
+  afterEach(() => {
+    config.costs = costs;
+  });
+
+  test('returns zero costs when nothing is configured', () => {
+    config.costs = { spread: {}, slippage: {}, commission: {} };
+
+    expect(resolveCosts(signal, candles, candles[19].time)).toEqual({ spread: 0, slippage: 0, commission: 0 });
+  });
+
+  test('converts each specification to price units at the reference bar', () => {
+    config.costs = { spread: { EURUSD: '0.0002' }, slippage: { EURUSD: '0.5atr' }, commission: { EURUSD: '0.01%' } };
+
+    const resolved = resolveCosts(signal, candles, candles[19].time);
+
+    expect(resolved.spread).toBe(0.0002);
+    expect(resolved.slippage).toBeCloseTo(0.001, 10);
+    expect(resolved.commission).toBeCloseTo(0.00011, 10);
+  });
+});
+
+describe('toQuoteCandle', () => {
+  const candle = bar('2024-01-03 10:00:00', 1.1, 1.101, 1.099, 1.1);
+  const costs = { spread: 0.0002, slippage: 0, commission: 0 };
+
+  test('returns the mid candle without a spread', () => {
+    expect(toQuoteCandle(candle, { spread: 0, slippage: 0, commission: 0 }, 'long', true)).toBe(candle);
+  });
+
+  test('buys at the ask and sells at the bid', () => {
+    expect(toQuoteCandle(candle, costs, 'long', true).low).toBeCloseTo(1.0991, 10);
+    expect(toQuoteCandle(candle, costs, 'long', false).low).toBeCloseTo(1.0989, 10);
+    expect(toQuoteCandle(candle, costs, 'short', true).high).toBeCloseTo(1.1009, 10);
+    expect(toQuoteCandle(candle, costs, 'short', false).high).toBeCloseTo(1.1011, 10);
+  });
+});
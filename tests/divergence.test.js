@@ -0,0 +1,63 @@
+import { detectDivergences, analyzeDivergences } from '../src/indicators/divergence.js';
+
+const swing = (index, price) => ({ index, price, time: `bar ${index}` });
+
+// Oscillator series with the given values at swing indices
+const series = (length, values) => Array.from({ length }, (_, i) => values[i] ?? 50);
+
+describe('detectDivergences', () => {
+  test('finds regular and hidden divergences at swing lows and highs', () => {
+    const rsi = series(40, { 5: 25, 15: 35, 20: 70, 30: 60 });
+
+    expect(detectDivergences([], [swing(5, 1.1), swing(15, 1.09)], rsi)).toMatchObject([
+      { type: 'regular', direction: 'bullish', bars: 10, from: { index: 5, value: 25 }, to: { index: 15, price: 1.09, value: 35 } },
+    ]);
+    expect(detectDivergences([], [swing(5, 1.09), swing(15, 1.1)], series(40, { 5: 35, 15: 25 }))[0])
+      .toMatchObject({ type: 'hidden', direction: 'bullish' });
+    expect(detectDivergences([swing(20, 1.2), swing(30, 1.21)], [], rsi)[0])
+      .toMatchObject({ type: 'regular', direction: 'bearish' });
+    expect(detectDivergences([swing(20, 1.21), swing(30, 1.2)], [], series(40, { 20: 60, 30: 70 }))[0])
+      .toMatchObject({ type: 'hidden', direction: 'bearish' });
+  });
+
+  test('ignores swings that agree with the oscillator', () => {
+    expect(detectDivergences([], [swing(5, 1.1), swing(15, 1.09)], series(40, { 5: 35, 15: 25 }))).toEqual([]);
+  });
+
+  test('only compares swings between minBars and maxBars apart', () => {
+    const rsi = series(100, { 5: 25, 8: 35, 90: 45 });
+
+    expect(detectDivergences([], [swing(5, 1.1), swing(8, 1.09)], rsi)).toEqual([]);
+    expect(detectDivergences([], [swing(8, 1.1), swing(90, 1.09)], rsi)).toEqual([]);
+    expect(detectDivergences([], [swing(8, 1.1), swing(90, 1.09)], rsi, { maxBars: 100 })).toHaveLength(1);
+  });
+
+  test('scales strength by the oscillator move, capped at 1', () => {
+    const rsi = series(40, { 5: 25, 15: 40 });
+
+    expect(detectDivergences([], [swing(5, 1.1), swing(15, 1.09)], rsi, { scale: 30 })[0].strength).toBe(0.5);
+    expect(detectDivergences([], [swing(5, 1.1), swing(15, 1.09)], rsi, { scale: 10 })[0].strength).toBe(1);
+  });
+});
+
+describe('analyzeDivergences', () => {
+  const lows = [swing(20, 1.1), swing(35, 1.09)];
+
+  test('keeps recent divergences and confirms them with the MACD histogram', () => {
+    const result = analyzeDivergences(38, [], lows, {
+      rsi: series(38, { 20: 25, 35: 40 }),
+      macd: series(38, { 20: -0.002, 35: -0.001 }),
+    });
+
+    expect(result.rsi).toHaveLength(1);
+    expect(result.bullish).toMatchObject({ type: 'regular', barsAgo: 2, strength: 0.5, macdConfirmed: true });
+    expect(result.bearish).toBeNull();
+  });
+
+  test('drops divergences completed more than maxAge bars ago', () => {
+    const oscillators = { rsi: series(50, { 20: 25, 35: 40 }) };
+
+    expect(analyzeDivergences(50, [], lows, oscillators).bullish).toBeNull();
+    expect(analyzeDivergences(50, [], lows, oscillators, { maxAge: 20 }).bullish).toMatchObject({ barsAgo: 14, macdConfirmed: false });
+  });
+});
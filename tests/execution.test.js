@@ -0,0 +1,173 @@
+import config from '../src/config/index.js';
+import { initDatabase, closeDatabase } from '../src/db/index.js';
+import { insertSignal, getSignalById } from '../src/db/queries.js';
+import { createMockOanda } from '../src/execution/mockServer.js';
+import {
+  isBrokerManaged,
+  submitSignalOrder,
+  cancelSignalOrder,
+  syncBrokerOrders,
+} from '../src/execution/index.js';
+
+const { execution, paper, telegram } = config;
+let server;
+let baseUrl;
+
+// Move the mock market
+async function setPrice(price) {
+  await fetch(`${baseUrl}/mock/prices`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ instrument: 'EUR_USD', price }),
+  });
+}
+
+// Close a trade at the last price, as a trader would on the platform
+async function closeManually(tradeId) {
+  await fetch(`${baseUrl}/v3/accounts/test/trades/${tradeId}/close`, {
+    method: 'PUT',
+    headers: { Authorization: 'Bearer test' },
+  });
+}
+
+// Insert a sized EURUSD long (one per timeframe, signals are unique per pair and creation time)
+function createSignal(timeframe) {
+  const id = insertSignal({
+    symbol: 'EURUSD',
+    timeframe,
+    mode: 'conservative',
+    direction: 'long',
+    entry: 1.1,
+    stop_loss: 1.09,
+    take_profits: [1.11, 1.12],
+    confidence: 0.8,
+    reason: 'test',
+    position_size: 10000,
+  });
+
+  return getSignalById(id);
+}
+
+// Place a signal's order above the market and fill it at the entry
+async function openTrade(timeframe) {
+  const signal = createSignal(timeframe);
+  await setPrice(1.105);
+  await submitSignalOrder(signal);
+  await setPrice(1.1);
+  await syncBrokerOrders();
+
+  return getSignalById(signal.id);
+}
+
+beforeAll(async () => {
+  config.database.path = ':memory:';
+  await initDatabase();
+
+  server = await new Promise(resolve => {
+    const listener = createMockOanda().listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  config.execution = {
+    ...execution,
+    enabled: true,
+    dryRun: false,
+    symbols: ['EURUSD'],
+    modes: ['conservative'],
+    oanda: { apiKey: 'test', accountId: 'test', baseUrl },
+  };
+  config.paper = { ...paper, enabled: false };
+  config.telegram = { ...telegram, enabled: false };
+});
+
+afterAll(async () => {
+  Object.assign(config, { execution, paper, telegram });
+  closeDatabase();
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('broker execution against the mock OANDA API', () => {
+  test('places a limit order and records its fill', async () => {
+    const signal = createSignal('1h');
+
+    const result = await submitSignalOrder(signal);
+    const pending = getSignalById(signal.id);
+
+    expect(result.filled).toBe(false);
+    expect(pending).toMatchObject({ status: 'pending', broker_order_id: result.orderId, broker_status: 'pending' });
+    expect(isBrokerManaged(pending)).toBe(true);
+
+    await setPrice(1.1);
+    await syncBrokerOrders();
+
+    const filled = getSignalById(signal.id);
+    expect(filled.status).toBe('triggered');
+    expect(filled.broker_status).toBe('open');
+    expect(filled.broker_trade_id).toBeTruthy();
+    expect(filled.triggered_at).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:00:00$/);
+  });
+
+  test('books a take profit close as TP1', async () => {
+    const { id } = getSignalById(1);
+
+    await setPrice(1.111);
+    await syncBrokerOrders();
+
+    const closed = getSignalById(id);
+    expect(closed).toMatchObject({ status: 'win', broker_status: 'closed' });
+    expect(closed.outcome_detail).toMatchObject({ hit: 'tp1', rr: 1, hitPrice: 1.11, resolution: 'broker' });
+    expect(closed.outcome_detail.broker).toMatchObject({ closeReason: 'TAKE_PROFIT_ORDER', realizedPL: 100 });
+    expect(isBrokerManaged(closed)).toBe(false);
+  });
+
+  test('books a stop loss close as SL', async () => {
+    const open = await openTrade('4h');
+
+    await setPrice(1.089);
+    await syncBrokerOrders();
+
+    const closed = getSignalById(open.id);
+    expect(closed.status).toBe('loss');
+    expect(closed.outcome_detail).toMatchObject({ hit: 'sl', rr: -1, hitPrice: 1.09 });
+    expect(closed.outcome_detail.broker.closeReason).toBe('STOP_LOSS_ORDER');
+  });
+
+  test('books a manual close at the actual close price', async () => {
+    const open = await openTrade('1d');
+
+    await setPrice(1.105);
+    await closeManually(open.broker_trade_id);
+    await syncBrokerOrders();
+
+    const closed = getSignalById(open.id);
+    expect(closed.status).toBe('win');
+    expect(closed.outcome_detail).toMatchObject({ hit: 'manual', rr: 0.5, hitPrice: 1.105 });
+    expect(closed.outcome_detail.broker).toMatchObject({ closeReason: 'MARKET_ORDER_TRADE_CLOSE', realizedPL: 50 });
+    expect(closed.executions).toEqual([expect.objectContaining({ type: 'manual', fraction: 1, price: 1.105 })]);
+    expect(closed.executions[0].r).toBeCloseTo(0.5, 10);
+  });
+
+  test('cancels the pending order of an expired signal', async () => {
+    const signal = createSignal('15m');
+    await submitSignalOrder(signal);
+
+    await cancelSignalOrder(getSignalById(signal.id));
+
+    const state = await (await fetch(`${baseUrl}/mock/state`)).json();
+    const cancelled = getSignalById(signal.id);
+
+    expect(cancelled.broker_status).toBe('cancelled');
+    expect(state.orders.find(order => order.id === cancelled.broker_order_id).state).toBe('CANCELLED');
+  });
+
+  test('only logs orders in dry-run mode', async () => {
+    config.execution.dryRun = true;
+    const signal = createSignal('30m');
+
+    const result = await submitSignalOrder(signal);
+
+    expect(result.dryRun).toBe(true);
+    expect(getSignalById(signal.id)).toMatchObject({ broker_status: 'dry_run', broker_order_id: null });
+    config.execution.dryRun = false;
+  });
+});
@@ -0,0 +1,139 @@
+import { calculateEMA } from '../src/indicators/ema.js';
+import { calculateATR } from '../src/indicators/atr.js';
+import { calculateRSI } from '../src/indicators/rsi.js';
+import {
+  createEmaEngine,
+  updateEma,
+  createAtrEngine,
+  updateAtr,
+  createRsiEngine,
+  updateRsi,
+  createIndicatorState,
+  isCompatibleState,
+  advanceIndicatorState,
+  getStateValues,
+  getWarmupBars,
+  getWarmupStatus,
+} from '../src/indicators/incremental.js';
+
+// Deterministic random walk (no flat stretches, so RSI gains and losses both move)
+function makeCandles(length) {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+
+  const candles = [];
+  let close = 1.1;
+
+  for (let i = 0; i < length; i++) {
+    const open = close;
+    close = open + (random() - 0.5) * 0.004;
+    candles.push({
+      time: new Date(Date.UTC(2024, 0, 1) + i * 3600000).toISOString().slice(0, 19).replace('T', ' '),
+      open,
+      high: Math.max(open, close) + random() * 0.001,
+      low: Math.min(open, close) - random() * 0.001,
+      close,
+      volume: 0,
+    });
+  }
+
+  return candles;
+}
+
+const candles = makeCandles(400);
+const closes = candles.map(c => c.close);
+
+// Compare a series fed bar by bar with the batch result (null while warming up, NaN in the batch)
+function expectSameSeries(incremental, batch) {
+  expect(incremental).toHaveLength(batch.length);
+
+  incremental.forEach((value, i) => {
+    if (Number.isNaN(batch[i])) {
+      expect(value).toBeNull();
+    } else {
+      expect(value).toBeCloseTo(batch[i], 12);
+    }
+  });
+}
+
+describe('incremental engines', () => {
+  test.each([20, 50, 200])('EMA %i matches calculateEMA on every bar', period => {
+    const engine = createEmaEngine(period);
+
+    expectSameSeries(closes.map(close => updateEma(engine, close)), calculateEMA(closes, period));
+  });
+
+  test('ATR 14 matches calculateATR on every bar', () => {
+    const engine = createAtrEngine(14);
+
+    expectSameSeries(candles.map(candle => updateAtr(engine, candle)), calculateATR(candles, 14));
+  });
+
+  test('RSI 14 matches calculateRSI on every bar', () => {
+    const engine = createRsiEngine(14);
+
+    expectSameSeries(closes.map(close => updateRsi(engine, close)), calculateRSI(closes, 14));
+  });
+});
+
+describe('indicator state', () => {
+  test('advancing in overlapping windows matches a single pass', () => {
+    const whole = createIndicatorState();
+    advanceIndicatorState(whole, candles);
+
+    const chunked = createIndicatorState();
+    expect(advanceIndicatorState(chunked, candles.slice(0, 250))).toBe(250);
+    expect(advanceIndicatorState(chunked, candles.slice(200, 300))).toBe(50);
+    expect(advanceIndicatorState(chunked, candles.slice(250))).toBe(100);
+
+    expect(chunked).toEqual(whole);
+    expect(chunked.bars).toBe(400);
+    expect(chunked.lastTime).toBe(candles[399].time);
+  });
+
+  test('reports the same values as the batch indicators', () => {
+    const state = createIndicatorState();
+    advanceIndicatorState(state, candles);
+    const values = getStateValues(state);
+
+    expect(values.ema50).toBeCloseTo(calculateEMA(closes, 50)[399], 12);
+    expect(values.ema200).toBeCloseTo(calculateEMA(closes, 200)[399], 12);
+    expect(values.atr14).toBeCloseTo(calculateATR(candles, 14)[399], 12);
+    expect(values.rsi14).toBeCloseTo(calculateRSI(closes, 14)[399], 12);
+  });
+
+  test('survives a JSON round trip', () => {
+    const state = createIndicatorState();
+    advanceIndicatorState(state, candles.slice(0, 300));
+
+    const restored = JSON.parse(JSON.stringify(state));
+    expect(isCompatibleState(restored)).toBe(true);
+
+    advanceIndicatorState(state, candles);
+    advanceIndicatorState(restored, candles);
+    expect(getStateValues(restored)).toEqual(getStateValues(state));
+  });
+
+  test('rejects states from another version or engine set', () => {
+    const state = createIndicatorState();
+
+    expect(isCompatibleState(null)).toBe(false);
+    expect(isCompatibleState({ ...state, version: state.version + 1 })).toBe(false);
+    expect(isCompatibleState({ ...state, engines: { ema50: state.engines.ema50 } })).toBe(false);
+  });
+});
+
+describe('warm-up', () => {
+  test('requires twice the longest period by default', () => {
+    expect(getWarmupBars()).toBe(400);
+  });
+
+  test('lists the indicators still warming up', () => {
+    expect(getWarmupStatus(100).unreliable).toEqual(['ema200']);
+    expect(getWarmupStatus(20).unreliable).toEqual(['ema50', 'ema200', 'atr14', 'rsi14']);
+    expect(getWarmupStatus(400).unreliable).toEqual([]);
+  });
+});
@@ -0,0 +1,81 @@
+import config from '../src/config/index.js';
+import { initDatabase, closeDatabase } from '../src/db/index.js';
+import { upsertCandles } from '../src/db/candles.js';
+import { computeAllIndicators } from '../src/indicators/index.js';
+import { updateIndicatorState, getScanWindow } from '../src/scanner/indicatorState.js';
+
+// Hourly crypto bars (no closures), a slow uptrend with some noise
+const makeCandles = length => Array.from({ length }, (_, i) => {
+  const close = 100 + i * 0.05 + Math.sin(i / 3);
+  return {
+    time: new Date(Date.UTC(2024, 0, 1) + i * 3600000).toISOString().slice(0, 19).replace('T', ' '),
+    open: close - 0.2,
+    high: close + 0.5,
+    low: close - 0.5,
+    close,
+    volume: 1,
+  };
+});
+
+const { indicators } = config;
+
+beforeAll(async () => {
+  config.database.path = ':memory:';
+  await initDatabase();
+});
+
+afterAll(() => {
+  closeDatabase();
+});
+
+beforeEach(() => {
+  config.indicators = { ...indicators, incremental: true, warmupMultiplier: 2, maxGapBars: 3 };
+});
+
+afterEach(() => {
+  config.indicators = indicators;
+});
+
+// Store the bars except the hole, then scan the last 100 closed bars
+function scan(symbol, candles, holes) {
+  upsertCandles(symbol, '1h', candles.filter((_, i) => !holes.includes(i)));
+  const window = candles.filter((_, i) => !holes.includes(i)).slice(-100);
+  const state = updateIndicatorState(symbol, '1h', window);
+
+  return { state, indicators: computeAllIndicators(window, { state, warmupMultiplier: 2 }) };
+}
+
+describe('updateIndicatorState', () => {
+  test('carries the state across a one-bar hole', () => {
+    const { state, indicators: values } = scan('BTCUSD', makeCandles(600), [550]);
+
+    expect(state.bars).toBe(599);
+    expect(values.ema200).not.toBeNull();
+    expect(values.warmup.source).toBe('state');
+  });
+
+  test('advances a warm state across a one-bar hole in the scan window', () => {
+    const candles = makeCandles(600);
+    scan('ETHUSD', candles.slice(0, 500), []);
+
+    const { state, indicators: values } = scan('ETHUSD', candles, [550]);
+
+    expect(state.bars).toBe(599);
+    expect(values.ema200).not.toBeNull();
+  });
+
+  test('reseeds after a hole longer than the configured bars', () => {
+    const { state, indicators: values } = scan('SOLUSD', makeCandles(600), [550, 551, 552, 553]);
+
+    expect(state.bars).toBe(46);
+    expect(values.ema200).toBeNull();
+    expect(values.warmup.unreliable).toContain('ema200');
+  });
+
+  test('returns no state when incremental indicators are disabled', () => {
+    config.indicators.incremental = false;
+
+    expect(updateIndicatorState('BTCUSD', '1h', makeCandles(100))).toBeNull();
+    expect(getScanWindow(100)).toBe(400);
+  });
+});
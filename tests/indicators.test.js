@@ -0,0 +1,125 @@
+import { calculateMACD, getLatestMACD } from '../src/indicators/macd.js';
+import { calculateBollingerBands, getLatestBollingerBands } from '../src/indicators/bollinger.js';
+import { calculateADX, getLatestADX } from '../src/indicators/adx.js';
+import { calculateStochastic, getLatestStochastic } from '../src/indicators/stochastic.js';
+import { getLatestSuperTrend } from '../src/indicators/supertrend.js';
+import { calculateVWAP, getLatestVWAP } from '../src/indicators/vwap.js';
+
+// Candles rising by 1 per bar with a range of 1 (true range 1.5 from the gap to the previous close)
+const rising = length => Array.from({ length }, (_, i) => ({ high: i + 1, low: i, close: i + 0.5 }));
+
+describe('MACD', () => {
+  test('is constant with a zero histogram on a linear trend', () => {
+    // EMA lag on a linear series is (period - 1) / 2: 0.5 for EMA2, 1 for EMA3
+    const { macd, signal, histogram } = calculateMACD([1, 2, 3, 4, 5, 6, 7, 8], 2, 3, 2);
+
+    expect(macd.slice(0, 2)).toEqual([NaN, NaN]);
+    expect(macd.slice(2)).toEqual([0.5, 0.5, 0.5, 0.5, 0.5, 0.5]);
+    expect(signal[2]).toBeNaN();
+    expect(signal[3]).toBe(0.5);
+    expect(histogram[7]).toBe(0);
+  });
+
+  test('turns positive after a rally from a flat market', () => {
+    const latest = getLatestMACD([...new Array(40).fill(10), 11, 12]);
+
+    expect(latest.macd).toBeGreaterThan(0);
+    expect(latest.histogram).toBeGreaterThan(0);
+    expect(getLatestMACD(new Array(30).fill(10))).toBeNull();
+  });
+});
+
+describe('Bollinger Bands', () => {
+  test('bands sit the standard deviations around the SMA', () => {
+    const latest = getLatestBollingerBands([1, 2, 3, 4, 5], 5, 2);
+
+    expect(latest.middle).toBe(3);
+    expect(latest.upper).toBeCloseTo(3 + 2 * Math.SQRT2, 10);
+    expect(latest.lower).toBeCloseTo(3 - 2 * Math.SQRT2, 10);
+    expect(latest.bandwidth).toBeCloseTo((4 * Math.SQRT2) / 3, 10);
+    expect(latest.percentB).toBeCloseTo((1 + Math.SQRT2) / (2 * Math.SQRT2), 10);
+  });
+
+  test('puts a flat close in the middle and needs a full period', () => {
+    expect(getLatestBollingerBands([2, 2, 2], 3)).toMatchObject({ middle: 2, upper: 2, lower: 2, percentB: 0.5 });
+    expect(calculateBollingerBands([1, 2], 3).middle).toEqual([NaN, NaN]);
+    expect(getLatestBollingerBands([1, 2], 3)).toBeNull();
+  });
+});
+
+describe('ADX', () => {
+  test('reads 100 with only positive directional movement', () => {
+    const { adx, plusDI, minusDI } = calculateADX(rising(10), 3);
+
+    expect(plusDI[2]).toBeNaN();
+    expect(plusDI[3]).toBeCloseTo(100 / 1.5, 10);
+    expect(minusDI[3]).toBe(0);
+    expect(adx[4]).toBeNaN();
+    expect(adx[5]).toBe(100);
+    expect(getLatestADX(rising(10), 3)).toMatchObject({ adx: 100, minusDI: 0 });
+  });
+
+  test('needs twice the period of candles', () => {
+    expect(getLatestADX(rising(5), 3)).toBeNull();
+  });
+});
+
+describe('Stochastic', () => {
+  const candles = [
+    { high: 2, low: 0, close: 1 },
+    { high: 3, low: 1, close: 2 },
+    { high: 4, low: 2, close: 4 },
+    { high: 4, low: 1, close: 1 },
+    { high: 5, low: 3, close: 4 },
+  ];
+
+  test('places the close in the high/low range of the lookback', () => {
+    const { k, d } = calculateStochastic(candles, 3, 2, 1);
+
+    expect(k).toEqual([NaN, NaN, 100, 0, 75]);
+    expect(d).toEqual([NaN, NaN, NaN, 50, 37.5]);
+  });
+
+  test('smooths %K for the slow stochastic', () => {
+    expect(getLatestStochastic(candles, 3, 2, 2)).toEqual({ k: 37.5, d: 43.75 });
+    expect(getLatestStochastic(candles, 3, 3, 3)).toBeNull();
+  });
+});
+
+describe('SuperTrend', () => {
+  test('flips up when price closes above the upper band and trails below it', () => {
+    // ATR(3) is 1.5, so the bands are the mid price ± 4.5; the upper band holds at 8 from the first ATR bar
+    expect(getLatestSuperTrend(rising(8), 3, 3)).toEqual({ value: 8, direction: 'down', flipped: false });
+    expect(getLatestSuperTrend(rising(9), 3, 3)).toEqual({ value: 4, direction: 'up', flipped: true });
+    expect(getLatestSuperTrend(rising(20), 3, 3)).toEqual({ value: 15, direction: 'up', flipped: false });
+  });
+
+  test('flips down when price closes below the lower band', () => {
+    const crash = [...rising(20), { high: 20, low: 10, close: 10.5 }];
+
+    expect(getLatestSuperTrend(crash, 3, 3)).toEqual({ value: 20, direction: 'down', flipped: true });
+  });
+});
+
+describe('VWAP', () => {
+  const candles = [
+    { time: '2024-01-03 22:00:00', high: 3, low: 1, close: 2, volume: 1 },
+    { time: '2024-01-03 23:00:00', high: 6, low: 4, close: 5, volume: 3 },
+    { time: '2024-01-04 00:00:00', high: 11, low: 9, close: 10, volume: 2 },
+  ];
+
+  test('weights typical prices by volume and restarts every UTC day', () => {
+    expect(calculateVWAP(candles)).toEqual([2, 4.25, 10]);
+  });
+
+  test('accumulates from an anchor time', () => {
+    expect(calculateVWAP(candles, '2024-01-03 23:00:00')).toEqual([NaN, 5, 7]);
+    expect(getLatestVWAP(candles, '2024-01-05 00:00:00')).toBeNull();
+  });
+
+  test('weights candles equally without volume', () => {
+    const noVolume = candles.map(candle => ({ ...candle, volume: 0 }));
+
+    expect(calculateVWAP(noVolume, '2024-01-03 00:00:00')).toEqual([2, 3.5, 17 / 3]);
+  });
+});
@@ -0,0 +1,129 @@
+import config from '../src/config/index.js';
+import {
+  getAssetClass,
+  getMarketStatus,
+  isTradingBar,
+  isGapBar,
+  countMissingBars,
+  hasMissingBars,
+  getActiveSessions,
+  isInSessions,
+} from '../src/scanner/marketCalendar.js';
+
+const bar = time => ({ time });
+
+describe('getAssetClass', () => {
+  const { assetClasses } = config.market;
+
+  afterEach(() => {
+    config.market.assetClasses = assetClasses;
+  });
+
+  test('detects forex, metals and crypto', () => {
+    expect(getAssetClass('EURUSD')).toBe('fx');
+    expect(getAssetClass('XAUUSD')).toBe('metal');
+    expect(getAssetClass('BTCUSD')).toBe('crypto');
+  });
+
+  test('applies the configured overrides', () => {
+    config.market.assetClasses = { XAUEUR: 'fx' };
+
+    expect(getAssetClass('XAUEUR')).toBe('fx');
+  });
+});
+
+describe('getMarketStatus', () => {
+  const { holidays, rolloverMinutes } = config.market;
+
+  beforeEach(() => {
+    Object.assign(config.market, { holidays: ['12-25', '01-01'], rolloverMinutes: 5 });
+  });
+
+  afterEach(() => {
+    Object.assign(config.market, { holidays, rolloverMinutes });
+  });
+
+  test('closes FX from Friday to Sunday 17:00 New York in winter', () => {
+    expect(getMarketStatus('EURUSD', '2024-01-05 21:59:00')).toEqual({ open: true });
+    expect(getMarketStatus('EURUSD', '2024-01-05 22:00:00')).toEqual({ open: false, reason: 'weekend' });
+    expect(getMarketStatus('EURUSD', '2024-01-06 12:00:00')).toEqual({ open: false, reason: 'weekend' });
+    expect(getMarketStatus('EURUSD', '2024-01-07 21:59:00')).toEqual({ open: false, reason: 'weekend' });
+    expect(getMarketStatus('EURUSD', '2024-01-07 22:05:00')).toEqual({ open: true });
+  });
+
+  test('follows New York daylight saving time', () => {
+    expect(getMarketStatus('EURUSD', '2024-07-05 20:59:00')).toEqual({ open: true });
+    expect(getMarketStatus('EURUSD', '2024-07-05 21:00:00')).toEqual({ open: false, reason: 'weekend' });
+  });
+
+  test('pauses FX at the rollover and metals for the daily break', () => {
+    expect(getMarketStatus('EURUSD', '2024-01-03 22:02:00')).toEqual({ open: false, reason: 'rollover' });
+    expect(getMarketStatus('EURUSD', '2024-01-03 22:30:00')).toEqual({ open: true });
+    expect(getMarketStatus('XAUUSD', '2024-01-03 22:30:00')).toEqual({ open: false, reason: 'daily_break' });
+  });
+
+  test('closes on holidays and keeps crypto open', () => {
+    expect(getMarketStatus('EURUSD', '2024-12-25 15:00:00')).toEqual({ open: false, reason: 'holiday' });
+    expect(getMarketStatus('BTCUSD', '2024-01-06 12:00:00')).toEqual({ open: true });
+  });
+});
+
+describe('isTradingBar', () => {
+  test('counts bars that trade at their start or end', () => {
+    expect(isTradingBar('EURUSD', bar('2024-01-05 21:00:00'), '1h')).toBe(true);
+    expect(isTradingBar('EURUSD', bar('2024-01-05 22:00:00'), '1h')).toBe(false);
+    expect(isTradingBar('EURUSD', bar('2024-01-07 22:00:00'), '1h')).toBe(true);
+    expect(isTradingBar('EURUSD', bar('2024-01-06 00:00:00'), '1d')).toBe(false);
+  });
+});
+
+describe('isGapBar', () => {
+  test('detects a closure between two bars', () => {
+    expect(isGapBar('EURUSD', bar('2024-01-05 21:00:00'), bar('2024-01-07 22:00:00'), '1h')).toBe(true);
+    expect(isGapBar('EURUSD', bar('2024-01-03 10:00:00'), bar('2024-01-03 11:00:00'), '1h')).toBe(false);
+  });
+
+  test('ignores missing bars while the market was open', () => {
+    expect(isGapBar('EURUSD', bar('2024-01-03 10:00:00'), bar('2024-01-03 12:00:00'), '1h')).toBe(false);
+  });
+
+  test('never gaps without a previous bar or for crypto', () => {
+    expect(isGapBar('EURUSD', null, bar('2024-01-07 22:00:00'), '1h')).toBe(false);
+    expect(isGapBar('BTCUSD', bar('2024-01-05 21:00:00'), bar('2024-01-07 22:00:00'), '1h')).toBe(false);
+  });
+});
+
+describe('hasMissingBars', () => {
+  test('detects trading bars missing between two bars', () => {
+    expect(hasMissingBars('EURUSD', bar('2024-01-03 10:00:00'), bar('2024-01-03 12:00:00'), '1h')).toBe(true);
+    expect(hasMissingBars('EURUSD', bar('2024-01-03 10:00:00'), bar('2024-01-03 11:00:00'), '1h')).toBe(false);
+  });
+
+  test('does not expect bars over the weekend', () => {
+    expect(hasMissingBars('EURUSD', bar('2024-01-05 21:00:00'), bar('2024-01-07 22:00:00'), '1h')).toBe(false);
+    expect(hasMissingBars('EURUSD', bar('2024-01-05 20:00:00'), bar('2024-01-07 22:00:00'), '1h')).toBe(true);
+  });
+
+  test('counts the missing trading bars up to a limit', () => {
+    expect(countMissingBars('EURUSD', bar('2024-01-05 19:00:00'), bar('2024-01-07 23:00:00'), '1h')).toBe(3);
+    expect(countMissingBars('EURUSD', bar('2024-01-03 10:00:00'), bar('2024-01-03 20:00:00'), '1h', undefined, 4)).toBe(4);
+  });
+
+  test('expects crypto bars over the weekend', () => {
+    expect(hasMissingBars('BTCUSD', bar('2024-01-05 21:00:00'), bar('2024-01-07 22:00:00'), '1h')).toBe(true);
+  });
+});
+
+describe('sessions', () => {
+  test('lists the sessions active at a time', () => {
+    expect(getActiveSessions('2024-01-03 14:00:00')).toEqual(['london', 'newyork']);
+    expect(getActiveSessions('2024-01-03 00:00:00')).toEqual(['sydney', 'tokyo']);
+    expect(getActiveSessions('2024-01-06 14:00:00')).toEqual([]);
+  });
+
+  test('matches any of the given sessions', () => {
+    expect(isInSessions('2024-01-03 14:00:00', ['tokyo', 'london'])).toBe(true);
+    expect(isInSessions('2024-01-03 14:00:00', ['tokyo'])).toBe(false);
+    expect(isInSessions('2024-01-03 14:00:00', [])).toBe(true);
+  });
+});
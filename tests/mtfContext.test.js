@@ -0,0 +1,145 @@
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import config from '../src/config/index.js';
+import { initDatabase, closeDatabase } from '../src/db/index.js';
+import { upsertCandles } from '../src/db/candles.js';
+import { computeAllIndicators } from '../src/indicators/index.js';
+import { loadPrefilterRules } from '../src/scanner/rules/loader.js';
+import { applyPrefilters } from '../src/scanner/prefilter.js';
+import {
+  getHigherTimeframe,
+  buildHtfContext,
+  getHtfContext,
+  isHtfAligned,
+} from '../src/scanner/mtfContext.js';
+
+const HOUR_MS = 3600000;
+const START = Date.UTC(2024, 0, 1);
+
+// Candles trending by `step` per bar with regular pullbacks
+const makeCandles = (length, hours, step) => Array.from({ length }, (_, i) => {
+  const close = 100 + i * step + 2 * Math.sin(i / 6);
+  return {
+    time: new Date(START + i * hours * HOUR_MS).toISOString().slice(0, 19).replace('T', ' '),
+    open: close - 0.05,
+    high: close + 0.3,
+    low: close - 0.35,
+    close,
+    volume: 1,
+  };
+});
+
+const { mtf, prefilter } = config;
+let rulesDir;
+
+beforeAll(async () => {
+  config.database.path = ':memory:';
+  await initDatabase();
+  config.mtf = { ...mtf, enabled: true, higherTimeframes: { '1h': '4h' }, alignmentModes: ['conservative'] };
+
+  // Stored 4h history up to 2024-03-19 20:00
+  upsertCandles('BTCUSD', '4h', makeCandles(474, 4, 0.3));
+
+  // One setup per direction on every bar, so only the alignment decides
+  rulesDir = mkdtempSync(join(tmpdir(), 'mtf-rules-'));
+  writeFileSync(join(rulesDir, 'rules.json'), JSON.stringify({
+    rules: [
+      { name: 'any_long', bias: 'long', when: { path: 'currentPrice', gt: 0 }, reason: 'Long setup' },
+      { name: 'any_short', bias: 'short', when: { path: 'currentPrice', gt: 0 }, reason: 'Short setup' },
+    ],
+  }));
+  config.prefilter = { ...prefilter, rulesPath: join(rulesDir, 'rules.json'), modeRules: {}, symbolRules: {} };
+  await loadPrefilterRules();
+});
+
+afterAll(() => {
+  Object.assign(config, { mtf, prefilter });
+  rmSync(rulesDir, { recursive: true, force: true });
+  closeDatabase();
+});
+
+describe('getHigherTimeframe', () => {
+  test('maps timeframes through HTF_MAP', () => {
+    expect(getHigherTimeframe('1h')).toBe('4h');
+    expect(getHigherTimeframe('1d')).toBeNull();
+  });
+});
+
+describe('buildHtfContext', () => {
+  test('summarizes the trend and EMAs of the closed bars', () => {
+    const candles = makeCandles(450, 4, 0.3);
+    const context = buildHtfContext('4h', candles);
+
+    expect(context).toMatchObject({ timeframe: '4h', time: candles[449].time, trend: 'uptrend', price: candles[449].close });
+    expect(context.ema50).toBeGreaterThan(context.ema200);
+  });
+
+  test('picks the nearest support below and resistance above price', () => {
+    const context = buildHtfContext('4h', makeCandles(450, 4, 0));
+
+    expect(context.support.price).toBeLessThanOrEqual(context.price);
+    expect(context.resistance.price).toBeGreaterThan(context.price);
+    expect(context.support.touches).toBeGreaterThan(1);
+  });
+
+  test('needs 50 candles', () => {
+    expect(buildHtfContext('4h', makeCandles(49, 4, 0.3))).toBeNull();
+  });
+});
+
+describe('getHtfContext', () => {
+  test('uses only the higher-timeframe bars closed by the given time', () => {
+    // 2024-03-10 14:00: the 12:00 bar is still forming
+    const asOf = Date.UTC(2024, 2, 10, 14);
+    const context = getHtfContext('BTCUSD', '1h', asOf);
+
+    expect(context.time).toBe('2024-03-10 08:00:00');
+    expect(getHtfContext('BTCUSD', '1h', Date.UTC(2024, 2, 10, 16)).time).toBe('2024-03-10 12:00:00');
+  });
+
+  test('returns null when disabled, unmapped or short of stored history', () => {
+    const asOf = Date.UTC(2024, 2, 10, 14);
+
+    expect(getHtfContext('BTCUSD', '1d', asOf)).toBeNull();
+    expect(getHtfContext('ETHUSD', '1h', asOf)).toBeNull();
+    expect(getHtfContext('BTCUSD', '1h', START + 40 * 4 * HOUR_MS)).toBeNull();
+
+    config.mtf.enabled = false;
+    expect(getHtfContext('BTCUSD', '1h', asOf)).toBeNull();
+    config.mtf.enabled = true;
+  });
+});
+
+describe('higher-timeframe alignment', () => {
+  const candles = makeCandles(450, 1, 0.08);
+  const indicators = htf => ({ ...computeAllIndicators(candles), htf });
+
+  test('matches long setups to uptrends and short setups to downtrends', () => {
+    expect(isHtfAligned({ trend: 'uptrend' }, 'long')).toBe(true);
+    expect(isHtfAligned({ trend: 'uptrend' }, 'short')).toBe(false);
+    expect(isHtfAligned({ trend: 'downtrend' }, 'short')).toBe(true);
+    expect(isHtfAligned({ trend: 'choppy' }, 'long')).toBe(false);
+  });
+
+  test('keeps only the setups with the higher-timeframe trend in alignment modes', () => {
+    const htf = { timeframe: '4h', trend: 'downtrend' };
+
+    expect(applyPrefilters(candles, indicators(htf), 'conservative', 'BTCUSD')).toMatchObject({ isCandidate: true, rules: ['any_short'] });
+    expect(applyPrefilters(candles, indicators(htf), 'aggressive', 'BTCUSD').rules).toEqual(['any_long', 'any_short']);
+    expect(applyPrefilters(candles, indicators(null), 'conservative', 'BTCUSD').rules).toEqual(['any_long', 'any_short']);
+  });
+
+  test('rejects a candidate with no aligned setup', async () => {
+    writeFileSync(join(rulesDir, 'long.json'), JSON.stringify({
+      rules: [{ name: 'any_long', bias: 'long', when: { path: 'currentPrice', gt: 0 }, reason: 'Long setup' }],
+    }));
+    config.prefilter = { ...config.prefilter, rulesPath: join(rulesDir, 'long.json') };
+    await loadPrefilterRules();
+
+    expect(applyPrefilters(candles, indicators({ timeframe: '4h', trend: 'downtrend' }), 'conservative', 'BTCUSD')).toEqual({
+      isCandidate: false,
+      reason: 'Against higher timeframe trend (4h downtrend)',
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import config from '../src/config/index.js';
+import { initDatabase, closeDatabase } from '../src/db/index.js';
+import { parseEvents } from '../src/news/parser.js';
+import {
+  getSymbolCurrencies,
+  importEvents,
+  checkNewsBlackout,
+  getUpcomingNews,
+} from '../src/news/index.js';
+
+const { news } = config;
+
+beforeAll(async () => {
+  config.database.path = ':memory:';
+  await initDatabase();
+
+  config.news = {
+    ...news,
+    blackoutEnabled: true,
+    impacts: ['high'],
+    blackoutBeforeMinutes: 30,
+    blackoutAfterMinutes: 15,
+    lookaheadHours: 24,
+    currencyMap: { XAUUSD: 'USD', US500: 'usd + cad' },
+  };
+
+  importEvents([
+    { event_time: '2024-01-05 13:30:00', currency: 'USD', title: 'Non-Farm Payrolls', impact: 'high', forecast: '170K', previous: '199K' },
+    { event_time: '2024-01-05 15:00:00', currency: 'CAD', title: 'Ivey PMI', impact: 'medium' },
+    { event_time: '2024-01-05 16:00:00', currency: 'JPY', title: 'BoJ Speech', impact: 'high' },
+  ]);
+});
+
+afterAll(() => {
+  config.news = news;
+  closeDatabase();
+});
+
+describe('getSymbolCurrencies', () => {
+  test('uses base and quote, else the configured currencies', () => {
+    expect(getSymbolCurrencies('EURUSD')).toEqual(['EUR', 'USD']);
+    expect(getSymbolCurrencies('XAUUSD')).toEqual(['USD']);
+    expect(getSymbolCurrencies('US500')).toEqual(['USD', 'CAD']);
+    expect(getSymbolCurrencies('AAPL')).toEqual([]);
+  });
+});
+
+describe('checkNewsBlackout', () => {
+  test('blocks symbols of the event currency from before until after the event', () => {
+    const blackout = checkNewsBlackout('EURUSD', new Date('2024-01-05T13:00:00Z'));
+
+    expect(blackout).toMatchObject({ start: '2024-01-05 13:00:00', end: '2024-01-05 13:45:00' });
+    expect(blackout.event).toMatchObject({ currency: 'USD', title: 'Non-Farm Payrolls' });
+    expect(checkNewsBlackout('XAUUSD', new Date('2024-01-05T13:45:00Z'))).not.toBeNull();
+  });
+
+  test('allows symbols outside the window or without the currency', () => {
+    expect(checkNewsBlackout('EURUSD', new Date('2024-01-05T12:59:00Z'))).toBeNull();
+    expect(checkNewsBlackout('EURUSD', new Date('2024-01-05T13:46:00Z'))).toBeNull();
+    expect(checkNewsBlackout('EURGBP', new Date('2024-01-05T13:30:00Z'))).toBeNull();
+  });
+
+  test('only considers the configured impacts', () => {
+    expect(checkNewsBlackout('USDCAD', new Date('2024-01-05T15:00:00Z'))).toBeNull();
+  });
+
+  test('is off when blackouts are disabled', () => {
+    config.news.blackoutEnabled = false;
+    expect(checkNewsBlackout('EURUSD', new Date('2024-01-05T13:30:00Z'))).toBeNull();
+    config.news.blackoutEnabled = true;
+  });
+});
+
+describe('getUpcomingNews', () => {
+  test('lists upcoming events of the symbol currencies as news items', () => {
+    const items = getUpcomingNews('USDJPY', new Date('2024-01-05T12:00:00Z'));
+
+    expect(items.map(item => item.title)).toEqual(['USD Non-Farm Payrolls', 'JPY BoJ Speech']);
+    expect(items[0]).toMatchObject({
+      summary: 'Scheduled high-impact event (forecast 170K, previous 199K)',
+      publishedAt: '2024-01-05T13:30:00Z',
+      source: 'economic-calendar',
+    });
+  });
+});
+
+describe('parseEvents', () => {
+  test('normalises CSV exports and skips incomplete rows', () => {
+    const csv = [
+      'Date,Time_of_day,Country,Event,Impact,Forecast',
+      '2024-01-10,13:30,usd,"CPI m/m, core",High Impact Expected,0.3%',
+      '2024-01-10,15:00,EUR,,Low,',
+    ].join('\n');
+
+    const { events, skipped } = parseEvents(csv, 'auto', 'export');
+
+    expect(skipped).toBe(1);
+    expect(events).toEqual([{
+      event_time: '2024-01-10 13:30:00',
+      currency: 'USD',
+      title: 'CPI m/m, core',
+      impact: 'high',
+      forecast: '0.3%',
+      previous: null,
+      actual: null,
+      source: 'export',
+    }]);
+  });
+
+  test('reads JSON arrays and {events} objects', () => {
+    const event = { time: '2024-01-10T13:30:00Z', currency: 'USD', title: 'CPI', impact: 3 };
+
+    expect(parseEvents(JSON.stringify([event])).events[0]).toMatchObject({ event_time: '2024-01-10 13:30:00', impact: 'high' });
+    expect(parseEvents(JSON.stringify({ events: [event] })).events).toHaveLength(1);
+    expect(() => parseEvents('{"events": 1}')).toThrow('Economic calendar JSON must be an array or {events: [...]}');
+  });
+});
@@ -0,0 +1,90 @@
+import { findPatterns, analyzePatterns } from '../src/indicators/patterns.js';
+
+// Candles from [open, high, low, close]
+const toCandles = rows => rows.map(([open, high, low, close], i) => ({
+  time: `2024-01-03 ${String(i).padStart(2, '0')}:00:00`,
+  open,
+  high,
+  low,
+  close,
+}));
+
+// Patterns completing on the last candle
+const patternsOn = rows => findPatterns(toCandles(rows)).map(hit => hit.pattern);
+
+describe('pattern detection', () => {
+  test('finds three-candle reversals and continuations', () => {
+    expect(patternsOn([[1.1, 1.101, 1.08, 1.081], [1.08, 1.082, 1.077, 1.079], [1.08, 1.098, 1.079, 1.097]])).toContain('morningStar');
+    expect(patternsOn([[1.08, 1.1, 1.079, 1.099], [1.1, 1.103, 1.098, 1.101], [1.1, 1.101, 1.082, 1.083]])).toContain('eveningStar');
+    expect(patternsOn([[1.0, 1.011, 0.999, 1.01], [1.005, 1.021, 1.004, 1.02], [1.015, 1.031, 1.014, 1.03]])).toContain('threeWhiteSoldiers');
+    expect(patternsOn([[1.03, 1.031, 1.019, 1.02], [1.025, 1.026, 1.009, 1.01], [1.015, 1.016, 0.999, 1.0]])).toContain('threeBlackCrows');
+  });
+
+  test('finds two-candle tweezers and harami', () => {
+    expect(patternsOn([[1.02, 1.021, 1.0, 1.005], [1.006, 1.022, 1.0005, 1.02]])).toContain('tweezerBottom');
+    expect(patternsOn([[1.0, 1.021, 0.999, 1.02], [1.015, 1.016, 1.009, 1.01]])).toContain('bearishHarami');
+    expect(patternsOn([[1.02, 1.021, 0.999, 1.0], [1.005, 1.011, 1.004, 1.01]])).toContain('bullishHarami');
+  });
+
+  test('needs the opposite candle colours', () => {
+    expect(patternsOn([[1.0, 1.021, 0.999, 1.02], [1.015, 1.022, 1.009, 1.018]])).not.toContain('bearishHarami');
+  });
+
+  test('reports a breakout of the mother bar after an inside bar', () => {
+    const [hit] = findPatterns(toCandles([[1.0, 1.02, 0.99, 1.01], [1.01, 1.015, 1.0, 1.005], [1.01, 1.03, 1.005, 1.025]]))
+      .filter(h => h.pattern === 'insideBarBreakout');
+
+    expect(hit).toMatchObject({ direction: 'bullish', count: 3 });
+    expect(hit.quality).toBeCloseTo(0.5 + 0.005 / 0.03, 10);
+  });
+
+  test.each([
+    ['dragonfly', 'bullish', [1.01, 1.0102, 1.0, 1.0101]],
+    ['gravestone', 'bearish', [1.0001, 1.01, 0.9999, 1.0]],
+    ['long-legged', 'neutral', [1.005, 1.01, 1.0, 1.005]],
+    ['standard', 'neutral', [1.008, 1.01, 1.0, 1.008]],
+  ])('classifies a %s doji as %s and no other variant', (variant, direction, row) => {
+    const dojis = findPatterns(toCandles([row])).filter(hit => hit.pattern === 'doji');
+
+    expect(dojis).toHaveLength(1);
+    expect(dojis[0]).toMatchObject({ variant, direction });
+  });
+});
+
+describe('pattern scoring', () => {
+  // The engulfing body is twice the engulfed one, so the shape quality is 1
+  const rows = [[1.1, 1.101, 1.089, 1.09], [1.088, 1.109, 1.087, 1.108]];
+  const engulfing = toCandles(rows);
+  const scoreOf = options => findPatterns(engulfing, options).find(hit => hit.pattern === 'bullishEngulfing');
+
+  test('adds size against ATR and nearness to a matching level to the shape', () => {
+    const support = { price: 1.087, type: 'support', touches: 3 };
+
+    expect(scoreOf({ atr: 0.022, srLevels: [support] })).toMatchObject({ quality: 1, size: 1, location: 1, score: 100, level: support });
+    expect(scoreOf({ atr: 0.022 })).toMatchObject({ score: 75, location: 0, level: null });
+    expect(scoreOf({ atr: 0.044 }).score).toBe(63);
+    expect(scoreOf({}).score).toBe(63);
+  });
+
+  test('ignores levels of the wrong side or over 1 ATR away', () => {
+    expect(scoreOf({ atr: 0.022, srLevels: [{ price: 1.087, type: 'resistance' }] })).toMatchObject({ location: 0, level: null });
+    expect(scoreOf({ atr: 0.022, srLevels: [{ price: 1.06, type: 'support' }] })).toMatchObject({ location: 0, level: null });
+  });
+
+  test('ranks hits by score and keeps the best of each direction', () => {
+    const result = analyzePatterns(engulfing, { atr: 0.022, srLevels: [{ price: 1.087, type: 'support' }] });
+
+    expect(result.hits.map(hit => hit.score)).toEqual([...result.hits.map(hit => hit.score)].sort((a, b) => b - a));
+    expect(result.best.bullish).toMatchObject({ pattern: 'bullishEngulfing', score: 100 });
+    expect(result.best.bearish).toBeNull();
+    expect(result.bullishEngulfing).toMatchObject({ detected: true, score: 100 });
+  });
+
+  test('searches back over the lookback with the bars since each hit', () => {
+    const candles = toCandles([...rows, [1.1, 1.104, 1.1, 1.103]]);
+    const hit = findPatterns(candles, { lookback: 2 }).find(h => h.pattern === 'bullishEngulfing');
+
+    expect(hit).toMatchObject({ index: 1, barsAgo: 1, time: '2024-01-03 01:00:00' });
+    expect(findPatterns(candles).some(h => h.pattern === 'bullishEngulfing')).toBe(false);
+  });
+});
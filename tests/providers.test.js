@@ -0,0 +1,166 @@
+import express from 'express';
+import config from '../src/config/index.js';
+import { MarketDataError } from '../src/utils/errors.js';
+import {
+  getProvider,
+  getProviderForSymbol,
+  isRateLimitedSymbol,
+  getBarAlignment,
+} from '../src/scanner/providers/index.js';
+import { splitSymbol, toCandle } from '../src/scanner/providers/common.js';
+import alphavantage from '../src/scanner/providers/alphavantage.js';
+import oanda from '../src/scanner/providers/oanda.js';
+import binance from '../src/scanner/providers/binance.js';
+import twelvedata from '../src/scanner/providers/twelvedata.js';
+
+describe('provider selection', () => {
+  const { defaultProvider, symbolProviders } = config.marketData;
+
+  afterEach(() => {
+    Object.assign(config.marketData, { defaultProvider, symbolProviders });
+  });
+
+  test('uses the symbol override, else the default provider', () => {
+    Object.assign(config.marketData, { defaultProvider: 'twelvedata', symbolProviders: { BTCUSD: 'binance', EURUSD: 'oanda' } });
+
+    expect(getProviderForSymbol('BTCUSD').name).toBe('binance');
+    expect(getProviderForSymbol('GBPUSD').name).toBe('twelvedata');
+    expect(isRateLimitedSymbol('BTCUSD')).toBe(false);
+    expect(isRateLimitedSymbol('GBPUSD')).toBe(true);
+  });
+
+  test('returns the provider bar alignment', () => {
+    Object.assign(config.marketData, { defaultProvider: 'twelvedata', symbolProviders: { EURUSD: 'oanda' } });
+
+    expect(getBarAlignment('EURUSD')).toEqual({ timeZone: 'America/New_York', dayStart: 17 * 60, weekStart: 5 });
+    expect(getBarAlignment('GBPUSD')).toEqual({ timeZone: 'UTC', dayStart: 0, weekStart: 1 });
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => getProvider('yahoo')).toThrow(MarketDataError);
+    expect(() => getProvider('yahoo')).toThrow('Unknown market data provider: yahoo');
+  });
+});
+
+describe('candle normalisation', () => {
+  test('splits symbols into base and quote', () => {
+    expect(splitSymbol('EURUSD')).toEqual({ base: 'EUR', quote: 'USD' });
+    expect(splitSymbol('DOGE/USD')).toEqual({ base: 'DOGE', quote: 'USD' });
+    expect(splitSymbol('AAPL')).toBeNull();
+  });
+
+  test('parses prices and defaults a missing volume to 0', () => {
+    expect(toCandle('2024-01-03 10:00:00', '1.1', '1.2', '1.0', '1.15')).toEqual({
+      time: '2024-01-03 10:00:00',
+      open: 1.1,
+      high: 1.2,
+      low: 1,
+      close: 1.15,
+      volume: 0,
+    });
+  });
+});
+
+describe('provider responses', () => {
+  const { marketData } = config;
+  const responses = {};
+  let server;
+
+  const app = express();
+  app.get('/query', (req, res) => res.json(responses.alphavantage[req.query.function]));
+  app.get('/v3/instruments/:instrument/candles', (req, res) => res.json(responses.oanda));
+  app.get('/api/v3/klines', (req, res) => res.json(responses.binance));
+  app.get('/time_series', (req, res) => res.json(responses.twelvedata));
+
+  beforeAll(async () => {
+    server = await new Promise(resolve => {
+      const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    config.marketData = {
+      ...marketData,
+      alphavantage: { ...marketData.alphavantage, baseUrl, apiKey: 'test' },
+      oanda: { ...marketData.oanda, baseUrl, apiKey: 'test' },
+      binance: { ...marketData.binance, baseUrl },
+      twelvedata: { ...marketData.twelvedata, baseUrl, apiKey: 'test' },
+    };
+  });
+
+  afterAll(async () => {
+    config.marketData = marketData;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const bar = (open, high, low, close, volume) => ({ '1. open': open, '2. high': high, '3. low': low, '4. close': close, '5. volume': volume });
+
+  test('converts Alpha Vantage equity intraday times from US/Eastern', async () => {
+    responses.alphavantage = {
+      TIME_SERIES_INTRADAY: {
+        'Meta Data': { '1. Information': 'Intraday (60min)', '6. Time Zone': 'US/Eastern' },
+        'Time Series (60min)': {
+          '2024-07-03 10:00:00': bar('191', '192', '190.5', '191.5', '1000'),
+          '2024-01-03 09:00:00': bar('185', '186', '184', '185.5', '2000'),
+        },
+      },
+    };
+
+    const candles = await alphavantage.fetchCandles('AAPL', '1h', 10);
+
+    expect(candles.map(c => c.time)).toEqual(['2024-01-03 14:00:00', '2024-07-03 14:00:00']);
+    expect(candles[0]).toMatchObject({ open: 185, high: 186, low: 184, close: 185.5, volume: 2000 });
+  });
+
+  test('keeps Alpha Vantage UTC intraday and daily series as they are', async () => {
+    responses.alphavantage = {
+      FX_INTRADAY: {
+        'Meta Data': { '7. Time Zone': 'UTC' },
+        'Time Series FX (60min)': { '2024-01-03 09:00:00': bar('1.1', '1.2', '1.0', '1.15') },
+      },
+      FX_DAILY: {
+        'Meta Data': { '6. Time Zone': 'UTC' },
+        'Time Series FX (Daily)': { '2024-01-04': bar('1.1', '1.2', '1.0', '1.15'), '2024-01-03': bar('1.0', '1.1', '0.9', '1.1') },
+      },
+    };
+
+    expect((await alphavantage.fetchCandles('EURUSD', '1h', 10))[0].time).toBe('2024-01-03 09:00:00');
+    expect((await alphavantage.fetchCandles('EURUSD', '1d', 10)).map(c => c.time)).toEqual(['2024-01-03 00:00:00', '2024-01-04 00:00:00']);
+  });
+
+  test('reports Alpha Vantage throttling as a rate limit', async () => {
+    responses.alphavantage = { FX_INTRADAY: { Note: 'Thank you for using Alpha Vantage! Our standard API rate limit is 5 requests per minute.' } };
+
+    await expect(alphavantage.fetchCandles('EURUSD', '1h', 10)).rejects.toMatchObject({ details: { isRateLimit: true } });
+  });
+
+  test('normalises OANDA RFC3339 times to UTC candle times', async () => {
+    responses.oanda = {
+      candles: [
+        { time: '2024-01-03T14:00:00.000000000Z', volume: 12, mid: { o: '1.1', h: '1.2', l: '1.0', c: '1.15' } },
+      ],
+    };
+
+    expect(await oanda.fetchCandles('EURUSD', '1h', 1)).toEqual([
+      { time: '2024-01-03 14:00:00', open: 1.1, high: 1.2, low: 1, close: 1.15, volume: 12 },
+    ]);
+  });
+
+  test('normalises Binance open times in milliseconds', async () => {
+    responses.binance = [[Date.UTC(2024, 0, 3, 14), '42000', '42500', '41800', '42100', '3.5', Date.UTC(2024, 0, 3, 15) - 1]];
+
+    expect(await binance.fetchCandles('BTCUSD', '1h', 1)).toEqual([
+      { time: '2024-01-03 14:00:00', open: 42000, high: 42500, low: 41800, close: 42100, volume: 3.5 },
+    ]);
+  });
+
+  test('returns Twelve Data candles oldest first', async () => {
+    responses.twelvedata = {
+      values: [
+        { datetime: '2024-01-03 15:00:00', open: '1.2', high: '1.3', low: '1.1', close: '1.25' },
+        { datetime: '2024-01-03 14:00:00', open: '1.1', high: '1.2', low: '1.0', close: '1.15' },
+      ],
+    };
+
+    expect((await twelvedata.fetchCandles('EURUSD', '1h', 2)).map(c => c.time)).toEqual(['2024-01-03 14:00:00', '2024-01-03 15:00:00']);
+  });
+});
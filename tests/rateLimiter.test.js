@@ -0,0 +1,195 @@
+import config from '../src/config/index.js';
+import { initDatabase, closeDatabase } from '../src/db/index.js';
+import { upsertQueuedRequest, deleteQueuedRequest, getRateLimitState } from '../src/db/rateLimits.js';
+import { readCreditHeaders } from '../src/scanner/providers/twelvedata.js';
+import rateLimiterModule, { PRIORITY, compareRequests } from '../src/scanner/rateLimiter.js';
+
+const { RateLimiter } = rateLimiterModule;
+
+// A request queued by another process
+const queued = (id, provider, overrides = {}) => ({
+  id,
+  pid: 1,
+  provider,
+  consumer: 'scan',
+  priority: PRIORITY.scan,
+  timeframe: '1h',
+  label: id,
+  deadline: null,
+  enqueuedAt: Date.now(),
+  ...overrides,
+});
+
+beforeAll(async () => {
+  config.database.path = ':memory:';
+  await initDatabase();
+});
+
+afterAll(() => {
+  closeDatabase();
+});
+
+describe('request queue', () => {
+  test('orders by priority, then longer timeframe, then deadline, then arrival', () => {
+    const requests = [
+      { id: 'backfill-1d', priority: PRIORITY.backfill, timeframe: '1d', enqueuedAt: 1 },
+      { id: 'scan-1h-late', priority: PRIORITY.scan, timeframe: '1h', deadline: 2000, enqueuedAt: 2 },
+      { id: 'scan-1h-soon', priority: PRIORITY.scan, timeframe: '1h', deadline: 1000, enqueuedAt: 3 },
+      { id: 'scan-1h-open', priority: PRIORITY.scan, timeframe: '1h', enqueuedAt: 4 },
+      { id: 'scan-4h', priority: PRIORITY.scan, timeframe: '4h', enqueuedAt: 5 },
+      { id: 'evaluation-15m', priority: PRIORITY.evaluation, timeframe: '15m', enqueuedAt: 6 },
+    ];
+
+    expect(requests.sort(compareRequests).map(r => r.id)).toEqual([
+      'evaluation-15m',
+      'scan-4h',
+      'scan-1h-soon',
+      'scan-1h-late',
+      'scan-1h-open',
+      'backfill-1d',
+    ]);
+  });
+
+  test('only grants a queued request while it is first in line', () => {
+    const limiter = new RateLimiter({ maxCallsPerMinute: 5, maxCallsPerDay: 100 });
+    upsertQueuedRequest(queued('scan', 'queue-grant'));
+    upsertQueuedRequest(queued('evaluation', 'queue-grant', { priority: PRIORITY.evaluation }));
+
+    expect(limiter.getQueue('queue-grant').map(r => r.id)).toEqual(['evaluation', 'scan']);
+    expect(limiter.reserve('queue-grant', 1, { requestId: 'scan' })).toBeNull();
+    expect(limiter.reserve('queue-grant', 1, { requestId: 'evaluation' })).toMatchObject({ provider: 'queue-grant' });
+
+    deleteQueuedRequest('evaluation');
+    expect(limiter.reserve('queue-grant', 1, { requestId: 'scan' })).not.toBeNull();
+    deleteQueuedRequest('scan');
+  });
+
+  test('acquire waits behind a higher-priority request of another process', async () => {
+    const limiter = new RateLimiter({ maxCallsPerMinute: 5, maxCallsPerDay: 100 });
+    upsertQueuedRequest(queued('other-evaluation', 'queue-wait', { priority: PRIORITY.evaluation }));
+
+    let granted = null;
+    const pending = limiter.acquire({ provider: 'queue-wait', consumer: 'backfill', priority: PRIORITY.backfill, label: 'EURUSD 1h' })
+      .then(credit => (granted = credit));
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(granted).toBeNull();
+    expect(limiter.getQueue('queue-wait').map(r => r.priority)).toEqual([PRIORITY.evaluation, PRIORITY.backfill]);
+
+    deleteQueuedRequest('other-evaluation');
+    await pending;
+
+    expect(granted).toMatchObject({ provider: 'queue-wait', consumer: 'backfill', label: 'EURUSD 1h' });
+    expect(limiter.getQueue('queue-wait')).toEqual([]);
+  });
+
+  test('acquire drops a request whose deadline has passed', async () => {
+    const limiter = new RateLimiter({ maxCallsPerMinute: 5, maxCallsPerDay: 100 });
+
+    const credit = await limiter.acquire({ provider: 'queue-deadline', consumer: 'scan', priority: PRIORITY.scan, deadline: Date.now() - 1 });
+
+    expect(credit).toBeNull();
+    expect(limiter.getQueue('queue-deadline')).toEqual([]);
+  });
+});
+
+describe('shared call credits', () => {
+  test('counts reserved credits toward the limits until they are released', () => {
+    const limiter = new RateLimiter({ maxCallsPerMinute: 2, maxCallsPerDay: 100 });
+
+    const first = limiter.reserve('credits-release');
+    const second = limiter.reserve('credits-release');
+
+    expect(limiter.reserve('credits-release')).toBeNull();
+    expect(limiter.getUsage('credits-release')).toMatchObject({ daily: 2, reserved: 2 });
+
+    limiter.release(second);
+    limiter.commit(first);
+
+    expect(limiter.getUsage('credits-release')).toMatchObject({ daily: 1, reserved: 0 });
+    expect(limiter.reserve('credits-release')).not.toBeNull();
+  });
+
+  test('shares one budget between limiters on the same database', () => {
+    const processA = new RateLimiter({ maxCallsPerMinute: 3, maxCallsPerDay: 100 });
+    const processB = new RateLimiter({ maxCallsPerMinute: 3, maxCallsPerDay: 100 });
+
+    processA.recordCall('credits-shared', 2, 'evaluation');
+    processB.commit(processB.reserve('credits-shared', 1, { consumer: 'backfill' }));
+
+    expect(processA.reserve('credits-shared')).toBeNull();
+    expect(processB.canMakeCall('credits-shared')).toMatchObject({ allowed: false, remainingMinute: 0 });
+    expect(processB.getUsage('credits-shared').byConsumer).toEqual({ evaluation: 2, backfill: 1 });
+  });
+
+  test('keeps separate budgets per provider', () => {
+    const limiter = new RateLimiter({ maxCallsPerMinute: 8, maxCallsPerDay: 800, minuteLimits: { 'credits-small': '1' } });
+
+    limiter.recordCall('credits-small');
+
+    expect(limiter.canMakeCall('credits-small').allowed).toBe(false);
+    expect(limiter.canMakeCall('credits-large')).toMatchObject({ allowed: true, remainingMinute: 8 });
+  });
+
+  test('caps the daily buffer at a tenth of small daily limits', () => {
+    const limiter = new RateLimiter({ maxCallsPerMinute: 5, maxCallsPerDay: 800, dailyBuffer: 50, dailyLimits: { 'credits-daily': '25' } });
+
+    expect(limiter.getLimits('credits-daily')).toEqual({ maxCallsPerMinute: 5, maxCallsPerDay: 25, effectiveDailyLimit: 23 });
+    expect(limiter.getLimits('credits-other').effectiveDailyLimit).toBe(750);
+  });
+});
+
+describe('provider feedback', () => {
+  test('reads the Twelve Data credit headers', () => {
+    expect(readCreditHeaders({ 'api-credits-used': '5', 'api-credits-left': '3' })).toEqual({ used: 5, left: 3 });
+    expect(readCreditHeaders({})).toBeNull();
+  });
+
+  test('lets a higher reported minute count and lower plan limit override the local count', async () => {
+    const limiter = new RateLimiter({ maxCallsPerMinute: 8, maxCallsPerDay: 800 });
+    limiter.recordCall('feedback-report');
+
+    limiter.reconcile('feedback-report', { used: 4, left: 2 });
+    const { reportedAt } = getRateLimitState('provider:feedback-report');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    limiter.recordCall('feedback-report');
+
+    expect(limiter.getMinuteUsage('feedback-report', limiter.getUsage('feedback-report'), reportedAt))
+      .toEqual({ minuteUsed: 5, minuteLimit: 6 });
+  });
+
+  test('pauses a provider when the reported credits run out', () => {
+    const limiter = new RateLimiter({ maxCallsPerMinute: 8, maxCallsPerDay: 800 });
+
+    limiter.reconcile('feedback-exhausted', { used: 8, left: 0 });
+    const { reportedAt } = getRateLimitState('provider:feedback-exhausted');
+
+    expect(limiter.getCooldown('feedback-exhausted')).toMatchObject({
+      until: Math.floor(reportedAt / 60000) * 60000 + 60000,
+      reason: 'minute credits exhausted',
+    });
+    expect(limiter.getCooldown('feedback-other')).toBeNull();
+  });
+
+  test('refuses calls during a cooldown and never shortens one', () => {
+    const limiter = new RateLimiter({ maxCallsPerMinute: 8, maxCallsPerDay: 800 });
+    const until = Date.now() + 5 * 60 * 1000;
+
+    limiter.backOff('feedback-cooldown', until, 'You have run out of API credits for the current minute');
+    limiter.backOff('feedback-cooldown', Date.now() + 1000, '429');
+
+    expect(limiter.canMakeCall('feedback-cooldown')).toMatchObject({ allowed: false, cooldownUntil: until });
+    expect(limiter.getCooldown('feedback-cooldown').reason).toBe('You have run out of API credits for the current minute');
+    expect(limiter.reserve('feedback-cooldown')).toBeNull();
+    expect(limiter.getCycleBudget('feedback-cooldown')).toBe(0);
+  });
+
+  test('acquire gives up instead of waiting out a cooldown past its deadline', async () => {
+    const limiter = new RateLimiter({ maxCallsPerMinute: 8, maxCallsPerDay: 800 });
+    limiter.backOff('feedback-acquire', Date.now() + 5 * 60 * 1000, '429');
+
+    const credit = await limiter.acquire({ provider: 'feedback-acquire', consumer: 'scan', priority: PRIORITY.scan, deadline: Date.now() + 60 * 1000 });
+
+    expect(credit).toBeNull();
+  });
+});
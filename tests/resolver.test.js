@@ -0,0 +1,308 @@
+import config from '../src/config/index.js';
+import { resolveEntry, resolveExpiry, resolveExit, getScaleOutPlan } from '../src/evaluation/resolver.js';
+
+const bar = (time, open, high, low, close) => ({ time, open, high, low, close, volume: 0 });
+
+const longSignal = (overrides = {}) => ({
+  id: 1,
+  symbol: 'EURUSD',
+  timeframe: '1h',
+  mode: 'conservative',
+  direction: 'long',
+  entry: 1.1,
+  stop_loss: 1.09,
+  take_profits: [1.11, 1.12, 1.13],
+  created_at: '2024-01-03 09:00:00',
+  triggered_at: '2024-01-03 10:00:00',
+  ...overrides,
+});
+
+// Entry bar that only touches the entry
+const entryBar = bar('2024-01-03 10:00:00', 1.1010, 1.1015, 1.0995, 1.1005);
+
+describe('resolveEntry', () => {
+  const { expirationCandles } = config.evaluation;
+
+  afterEach(() => {
+    config.evaluation.expirationCandles = expirationCandles;
+  });
+
+  test('triggers on the first bar that trades through the entry', () => {
+    const candles = [
+      bar('2024-01-03 09:00:00', 1.105, 1.106, 1.104, 1.105),
+      bar('2024-01-03 10:00:00', 1.105, 1.105, 1.1, 1.101),
+    ];
+
+    expect(resolveEntry(longSignal(), candles)).toEqual({ status: 'triggered', triggered_at: '2024-01-03 10:00:00' });
+  });
+
+  test('fills at the open when the market reopens on the other side of the entry', () => {
+    // Friday close above the entry, Sunday open below it
+    const candles = [
+      bar('2024-01-05 20:00:00', 1.105, 1.106, 1.104, 1.105),
+      bar('2024-01-07 22:00:00', 1.095, 1.096, 1.094, 1.095),
+    ];
+
+    expect(resolveEntry(longSignal({ created_at: '2024-01-05 20:00:00' }), candles)).toEqual({
+      status: 'triggered',
+      triggered_at: '2024-01-07 22:00:00',
+      gap_fill: 1.095,
+    });
+  });
+
+  test('expires after the configured number of trading bars', () => {
+    config.evaluation.expirationCandles = 2;
+    const candles = [
+      bar('2024-01-03 09:00:00', 1.105, 1.106, 1.104, 1.105),
+      bar('2024-01-03 10:00:00', 1.105, 1.106, 1.104, 1.105),
+      bar('2024-01-03 11:00:00', 1.105, 1.106, 1.104, 1.105),
+    ];
+
+    expect(resolveEntry(longSignal(), candles)).toEqual({
+      status: 'expired',
+      expired_at: '2024-01-03 11:00:00',
+      candlesSinceCreation: 2,
+    });
+  });
+});
+
+describe('resolveExpiry', () => {
+  const { expirationCandles } = config.evaluation;
+
+  afterEach(() => {
+    config.evaluation.expirationCandles = expirationCandles;
+  });
+
+  test('expires a signal whose entry was touched but never filled', () => {
+    config.evaluation.expirationCandles = 2;
+    const candles = [
+      bar('2024-01-03 09:00:00', 1.105, 1.106, 1.104, 1.105),
+      bar('2024-01-03 10:00:00', 1.105, 1.105, 1.1, 1.101),
+      bar('2024-01-03 11:00:00', 1.101, 1.102, 1.099, 1.1),
+    ];
+
+    expect(resolveEntry(longSignal(), candles).status).toBe('triggered');
+    expect(resolveExpiry(longSignal(), candles)).toEqual({
+      status: 'expired',
+      expired_at: '2024-01-03 11:00:00',
+      candlesSinceCreation: 2,
+    });
+    expect(resolveExpiry(longSignal(), candles.slice(0, 2))).toEqual({ status: 'pending', candlesSinceCreation: 1 });
+  });
+});
+
+describe('getScaleOutPlan', () => {
+  test('truncates the plan to the take profits and lets the last one close the rest', () => {
+    expect(getScaleOutPlan('conservative', 3)).toEqual([0.5, 0.3, 0.2]);
+    expect(getScaleOutPlan('conservative', 2)).toEqual([0.5, 0.5]);
+    expect(getScaleOutPlan('conservative', 1)).toEqual([1]);
+  });
+});
+
+describe('resolveExit', () => {
+  const { stopManagement } = config.trading.conservative;
+  const { timeoutCandles } = config.evaluation;
+
+  beforeEach(() => {
+    config.trading.conservative.stopManagement = { ...stopManagement, breakeven: 'none', trailing: 'none' };
+  });
+
+  afterEach(() => {
+    config.trading.conservative.stopManagement = stopManagement;
+    config.evaluation.timeoutCandles = timeoutCandles;
+  });
+
+  test('closes each scale-out leg at its take profit and blends the R-multiple', async () => {
+    const candles = [
+      entryBar,
+      bar('2024-01-03 11:00:00', 1.1005, 1.1105, 1.1, 1.11),
+      bar('2024-01-03 12:00:00', 1.11, 1.1205, 1.109, 1.12),
+      bar('2024-01-03 13:00:00', 1.12, 1.1305, 1.119, 1.13),
+    ];
+
+    const result = await resolveExit(longSignal(), candles);
+
+    expect(result.executions.map(leg => [leg.type, leg.fraction, leg.r])).toEqual([
+      ['tp1', 0.5, 1],
+      ['tp2', 0.3, 2],
+      ['tp3', 0.2, 3],
+    ]);
+    expect(result.outcome).toBe('win');
+    expect(result.outcome_detail.rr).toBe(1.7);
+    expect(result.outcome_detail.resolution).toBe('precise');
+    expect(result.closed_at).toBe('2024-01-03 13:00:00');
+  });
+
+  test('reports a partial close while part of the position is open', async () => {
+    const candles = [entryBar, bar('2024-01-03 11:00:00', 1.1005, 1.1105, 1.1, 1.11)];
+
+    const result = await resolveExit(longSignal(), candles);
+
+    expect(result.status).toBe('partially_closed');
+    expect(result.executions).toHaveLength(1);
+  });
+
+  test('moves the stop to breakeven after TP1', async () => {
+    config.trading.conservative.stopManagement = { ...stopManagement, breakeven: 'tp1', trailing: 'none' };
+    const candles = [
+      entryBar,
+      bar('2024-01-03 11:00:00', 1.1005, 1.1105, 1.1, 1.11),
+      bar('2024-01-03 12:00:00', 1.11, 1.111, 1.0995, 1.1),
+    ];
+
+    const result = await resolveExit(longSignal(), candles);
+
+    expect(result.stopEvents).toEqual([{ type: 'breakeven', from: 1.09, to: 1.1, time: '2024-01-03 11:00:00' }]);
+    expect(result.executions.map(leg => [leg.type, leg.fraction, leg.r])).toEqual([['tp1', 0.5, 1], ['sl', 0.5, 0]]);
+    expect(result.outcome_detail.rr).toBe(0.5);
+  });
+
+  test('assumes the stop first when a bar touches SL and TP without intrabar data', async () => {
+    const candles = [entryBar, bar('2024-01-03 11:00:00', 1.1, 1.1105, 1.0895, 1.1)];
+
+    const result = await resolveExit(longSignal(), candles);
+
+    expect(result.outcome).toBe('loss');
+    expect(result.outcome_detail.rr).toBe(-1);
+    expect(result.outcome_detail.resolution).toBe('assumed');
+  });
+
+  test('orders an ambiguous bar with lower-timeframe candles', async () => {
+    const candles = [entryBar, bar('2024-01-03 11:00:00', 1.1, 1.1105, 1.0895, 1.1)];
+    const loadIntrabar = async candle => (candle.time === '2024-01-03 11:00:00'
+      ? {
+        timeframe: '5m',
+        candles: [
+          bar('2024-01-03 11:00:00', 1.1, 1.1105, 1.099, 1.11),
+          bar('2024-01-03 11:05:00', 1.11, 1.11, 1.0895, 1.09),
+        ],
+      }
+      : null);
+
+    const result = await resolveExit(longSignal(), candles, { loadIntrabar });
+
+    expect(result.executions.map(leg => [leg.type, leg.intrabarTime])).toEqual([
+      ['tp1', '2024-01-03 11:00:00'],
+      ['sl', '2024-01-03 11:05:00'],
+    ]);
+    expect(result.outcome_detail.rr).toBe(0);
+    expect(result.outcome_detail.resolution).toBe('precise');
+    expect(result.outcome_detail.intrabarTimeframe).toBe('5m');
+  });
+
+  test('assumes the stop on the entry bar when it has no intrabar data', async () => {
+    const candles = [bar('2024-01-03 10:00:00', 1.101, 1.1105, 1.0895, 1.1)];
+
+    const result = await resolveExit(longSignal(), candles);
+
+    expect(result.executions.map(leg => [leg.type, leg.time])).toEqual([['sl', '2024-01-03 10:00:00']]);
+    expect(result.outcome_detail.resolution).toBe('assumed');
+  });
+
+  test('replays the entry bar after the fill when intrabar data is available', async () => {
+    const candles = [bar('2024-01-03 10:00:00', 1.101, 1.1105, 1.0895, 1.1)];
+    const loadIntrabar = async () => ({
+      timeframe: '5m',
+      candles: [
+        // A take profit touched before the fill does not count
+        bar('2024-01-03 10:00:00', 1.101, 1.1105, 1.1005, 1.101),
+        bar('2024-01-03 10:05:00', 1.101, 1.101, 1.0995, 1.1),
+        bar('2024-01-03 10:10:00', 1.1, 1.1105, 1.1, 1.11),
+      ],
+    });
+
+    const result = await resolveExit(longSignal(), candles, { loadIntrabar });
+
+    expect(result.status).toBe('partially_closed');
+    expect(result.executions.map(leg => [leg.type, leg.intrabarTime])).toEqual([['tp1', '2024-01-03 10:10:00']]);
+  });
+
+  test('falls back to stop first when no lower candle reaches the entry', async () => {
+    const candles = [bar('2024-01-03 10:00:00', 1.101, 1.1105, 1.0895, 1.1)];
+    // Sparse data: the candles around the fill are missing
+    const loadIntrabar = async () => ({
+      timeframe: '5m',
+      candles: [
+        bar('2024-01-03 10:00:00', 1.101, 1.1105, 1.1005, 1.105),
+        bar('2024-01-03 10:50:00', 1.095, 1.096, 1.0895, 1.09),
+      ],
+    });
+
+    const result = await resolveExit(longSignal(), candles, { loadIntrabar });
+
+    expect(result.executions.map(leg => [leg.type, leg.time])).toEqual([['sl', '2024-01-03 10:00:00']]);
+    expect(result.outcome_detail.resolution).toBe('assumed');
+    expect(result.outcome_detail.intrabarTimeframe).toBeUndefined();
+  });
+
+  test('times out at the close of the last trading bar with no R', async () => {
+    config.evaluation.timeoutCandles = 2;
+    const candles = [
+      entryBar,
+      bar('2024-01-03 11:00:00', 1.1, 1.102, 1.098, 1.101),
+      bar('2024-01-03 12:00:00', 1.101, 1.103, 1.099, 1.102),
+    ];
+
+    const result = await resolveExit(longSignal(), candles);
+
+    expect(result.executions).toEqual([
+      expect.objectContaining({ type: 'timeout', price: 1.102, fraction: 1, time: '2024-01-03 12:00:00' }),
+    ]);
+    expect(result.outcome).toBe('timeout');
+    expect(result.outcome_detail.rr).toBe(0);
+  });
+});
+
+describe('scale-out', () => {
+  const { scaleOut, stopManagement } = config.trading.conservative;
+  const { timeoutCandles } = config.evaluation;
+  const tp1Bar = bar('2024-01-03 11:00:00', 1.1005, 1.1105, 1.1, 1.11);
+
+  beforeEach(() => {
+    config.trading.conservative.stopManagement = { ...stopManagement, breakeven: 'none', trailing: 'none' };
+  });
+
+  afterEach(() => {
+    Object.assign(config.trading.conservative, { scaleOut, stopManagement });
+    config.evaluation.timeoutCandles = timeoutCandles;
+  });
+
+  test('blends a stop on the remainder after TP1 into the outcome', async () => {
+    const stopBar = bar('2024-01-03 12:00:00', 1.11, 1.111, 1.0895, 1.09);
+
+    const even = await resolveExit(longSignal(), [entryBar, tp1Bar, stopBar]);
+    expect(even.executions.map(leg => [leg.type, leg.fraction, leg.r])).toEqual([['tp1', 0.5, 1], ['sl', 0.5, -1]]);
+    expect(even.outcome_detail.rr).toBe(0);
+    expect(even.outcome).toBe('breakeven');
+
+    config.trading.conservative.scaleOut = [0.3, 0.7];
+    const loss = await resolveExit(longSignal(), [entryBar, tp1Bar, stopBar]);
+    expect(loss.outcome_detail.rr).toBe(-0.4);
+    expect(loss.outcome).toBe('loss');
+  });
+
+  test('counts a timeout on the remainder after TP1 as a win', async () => {
+    config.evaluation.timeoutCandles = 2;
+    const candles = [entryBar, tp1Bar, bar('2024-01-03 12:00:00', 1.11, 1.1105, 1.104, 1.105)];
+
+    const result = await resolveExit(longSignal(), candles);
+
+    // The timeout leg itself books no R
+    expect(result.executions.map(leg => [leg.type, leg.fraction, leg.r])).toEqual([['tp1', 0.5, 1], ['timeout', 0.5, 0]]);
+    expect(result.outcome_detail.rr).toBe(0.5);
+    expect(result.outcome).toBe('win');
+  });
+
+  test('closes several legs in one bar and the whole position at TP1 with a single-leg plan', async () => {
+    const runner = bar('2024-01-03 11:00:00', 1.1005, 1.1205, 1.1, 1.12);
+
+    const both = await resolveExit(longSignal(), [entryBar, runner]);
+    expect(both.status).toBe('partially_closed');
+    expect(both.executions.map(leg => [leg.type, leg.fraction])).toEqual([['tp1', 0.5], ['tp2', 0.3]]);
+
+    config.trading.conservative.scaleOut = [1];
+    const single = await resolveExit(longSignal(), [entryBar, tp1Bar]);
+    expect(single.executions.map(leg => [leg.type, leg.fraction, leg.r])).toEqual([['tp1', 1, 1]]);
+    expect(single.outcome_detail.rr).toBe(1);
+  });
+});
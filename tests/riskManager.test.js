@@ -0,0 +1,101 @@
+import { getOpenRiskR, getCurrencyExposure, evaluateRisk } from '../src/portfolio/riskManager.js';
+
+const LIMITS = {
+  maxOpenSignals: 6,
+  maxOpenRiskR: 4,
+  maxSignalsPerSymbol: 2,
+  maxCurrencyExposureR: 2,
+  maxDailyLossR: 3,
+  maxWeeklyLossR: 6,
+};
+
+const active = (symbol, direction, overrides = {}) => ({
+  symbol,
+  direction,
+  status: 'pending',
+  entry: 1.1,
+  stop_loss: direction === 'long' ? 1.09 : 1.11,
+  ...overrides,
+});
+
+const closed = rr => ({ outcome_detail: { rr, rrNet: rr } });
+
+const portfolio = (signals = [], closedToday = [], closedThisWeek = closedToday) => ({ active: signals, closedToday, closedThisWeek });
+
+describe('getOpenRiskR', () => {
+  test('counts a pending signal as a full 1R', () => {
+    expect(getOpenRiskR(active('EURUSD', 'long'))).toBe(1);
+  });
+
+  test('scales an open position by its remaining size and current stop', () => {
+    const open = active('EURUSD', 'long', { status: 'partially_closed', executions: [{ fraction: 0.5 }] });
+
+    expect(getOpenRiskR(open)).toBe(0.5);
+    expect(getOpenRiskR({ ...open, current_stop_loss: 1.095 })).toBeCloseTo(0.25, 10);
+    expect(getOpenRiskR({ ...open, current_stop_loss: 1.1 })).toBe(0);
+  });
+});
+
+describe('getCurrencyExposure', () => {
+  test('adds longs to the base and subtracts them from the quote currency', () => {
+    const exposure = getCurrencyExposure([
+      { symbol: 'EURUSD', direction: 'long', riskR: 1 },
+      { symbol: 'USDJPY', direction: 'long', riskR: 0.5 },
+      { symbol: 'GBPUSD', direction: 'short', riskR: 1 },
+    ]);
+
+    expect(exposure).toEqual({ EUR: 1, USD: 0.5, JPY: -0.5, GBP: -1 });
+  });
+});
+
+describe('evaluateRisk', () => {
+  test('allows a candidate within every limit', () => {
+    expect(evaluateRisk({ symbol: 'EURUSD', direction: 'long' }, portfolio(), LIMITS)).toEqual({ allowed: true });
+  });
+
+  test('stops new signals after the daily or weekly loss limit', () => {
+    const candidate = { symbol: 'EURUSD', direction: 'long' };
+
+    expect(evaluateRisk(candidate, portfolio([], [closed(-2), closed(-1)]), LIMITS)).toMatchObject({ allowed: false, rule: 'daily_loss' });
+    expect(evaluateRisk(candidate, portfolio([], [], [closed(-4), closed(-2)]), LIMITS)).toMatchObject({ allowed: false, rule: 'weekly_loss' });
+    expect(evaluateRisk(candidate, portfolio([], [closed(-2), closed(1)]), LIMITS).allowed).toBe(true);
+  });
+
+  test('limits open signals in total and per symbol', () => {
+    const six = ['EURUSD', 'GBPJPY', 'AUDNZD', 'XAUUSD', 'BTCUSD', 'USDCAD'].map(symbol => active(symbol, 'long', { status: 'triggered', current_stop_loss: 1.1 }));
+    const twoEuro = [active('EURUSD', 'long'), active('EURUSD', 'short')];
+
+    expect(evaluateRisk({ symbol: 'NZDJPY', direction: 'long' }, portfolio(six), LIMITS)).toMatchObject({ rule: 'max_open_signals' });
+    expect(evaluateRisk({ symbol: 'EURUSD', direction: 'long' }, portfolio(twoEuro), LIMITS)).toMatchObject({ rule: 'max_per_symbol' });
+  });
+
+  test('counts the candidate as 1R against the open risk limit', () => {
+    const four = ['AUDNZD', 'GBPJPY', 'XAUUSD', 'BTCUSD'].map(symbol => active(symbol, 'long'));
+    const result = evaluateRisk({ symbol: 'EURCHF', direction: 'long' }, portfolio(four), LIMITS);
+
+    expect(result).toMatchObject({ allowed: false, rule: 'max_open_risk' });
+    expect(result.reason).toBe('Open risk 4.00R + 1R would exceed 4R');
+  });
+
+  test('blocks candidates that grow a currency exposure beyond the limit', () => {
+    const shortUsd = [active('EURUSD', 'long'), active('GBPUSD', 'long')];
+
+    const result = evaluateRisk({ symbol: 'AUDUSD', direction: 'long' }, portfolio(shortUsd), LIMITS);
+    expect(result).toMatchObject({ allowed: false, rule: 'currency_exposure' });
+    expect(result.reason).toBe('Net short USD exposure would be 3.00R (limit 2R)');
+  });
+
+  test('allows candidates that reduce an exposure over the limit', () => {
+    const limits = { ...LIMITS, maxCurrencyExposureR: 1 };
+    const shortUsd = [active('EURUSD', 'long'), active('GBPUSD', 'long')];
+
+    expect(evaluateRisk({ symbol: 'USDJPY', direction: 'long' }, portfolio(shortUsd), limits).allowed).toBe(true);
+  });
+
+  test('skips limits set to 0', () => {
+    const none = { maxOpenSignals: 0, maxOpenRiskR: 0, maxSignalsPerSymbol: 0, maxCurrencyExposureR: 0, maxDailyLossR: 0, maxWeeklyLossR: 0 };
+    const crowded = Array.from({ length: 10 }, () => active('EURUSD', 'long'));
+
+    expect(evaluateRisk({ symbol: 'EURUSD', direction: 'long' }, portfolio(crowded, [closed(-10)]), none)).toEqual({ allowed: true });
+  });
+});
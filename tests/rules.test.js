@@ -0,0 +1,300 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import config from '../src/config/index.js';
+import { ValidationError } from '../src/utils/errors.js';
+import {
+  resolvePath,
+  evaluateCondition,
+  renderReason,
+  validateRules,
+  ruleApplies,
+  evaluateRules,
+} from '../src/scanner/rules/engine.js';
+import { loadPrefilterRules, getPrefilterRules } from '../src/scanner/rules/loader.js';
+import { applyPrefilters, buildRuleContext } from '../src/scanner/prefilter.js';
+
+const DEFAULT_RULES = fileURLToPath(new URL('../src/scanner/rules/default.json', import.meta.url));
+
+const rule = (overrides = {}) => ({
+  name: 'test',
+  bias: 'long',
+  when: { path: 'price', gt: 1 },
+  reason: 'Test',
+  ...overrides,
+});
+
+describe('evaluateCondition', () => {
+  const context = { price: 1.1, ema: 1.09, trend: { direction: 'uptrend' }, flag: false, missing: null };
+
+  test.each([
+    [{ path: 'trend.direction', eq: 'uptrend' }, true],
+    [{ path: 'trend.direction', ne: 'uptrend' }, false],
+    [{ path: 'price', gt: 1.1 }, false],
+    [{ path: 'price', gte: 1.1 }, true],
+    [{ path: 'price', lt: { path: 'ema' } }, false],
+    [{ path: 'price', lte: 1.1 }, true],
+    [{ path: 'trend.direction', in: ['uptrend', 'downtrend'] }, true],
+    [{ path: 'trend.direction', notIn: ['uptrend'] }, false],
+    [{ path: 'price', near: { path: 'ema' }, pct: 1 }, true],
+    [{ path: 'price', near: { path: 'ema' }, pct: 0.5 }, false],
+    [{ path: 'flag', eq: false }, true],
+    [{ path: 'missing', exists: false }, true],
+    [{ path: 'trend.strength.value', exists: true }, false],
+  ])('%j is %s', (condition, expected) => {
+    expect(evaluateCondition(condition, context)).toBe(expected);
+  });
+
+  test('treats comparisons against missing values as false', () => {
+    expect(evaluateCondition({ path: 'missing', ne: 1 }, context)).toBe(false);
+    expect(evaluateCondition({ path: 'price', gt: { path: 'nothing' } }, context)).toBe(false);
+  });
+
+  test('combines conditions with all, any and not', () => {
+    const above = { path: 'price', gt: { path: 'ema' } };
+    const down = { path: 'trend.direction', eq: 'downtrend' };
+
+    expect(evaluateCondition({ all: [above, down] }, context)).toBe(false);
+    expect(evaluateCondition({ any: [above, down] }, context)).toBe(true);
+    expect(evaluateCondition({ not: down }, context)).toBe(true);
+  });
+
+  test('reads dotted paths through missing objects', () => {
+    expect(resolvePath(context, 'trend.direction')).toBe('uptrend');
+    expect(resolvePath(context, 'missing.price')).toBeUndefined();
+  });
+});
+
+describe('renderReason', () => {
+  const context = { name: 'Hammer', level: 1.0950123, type: 'regular', confirmed: true, rejected: false, none: null };
+
+  test('fills values, decimals, capitalization and conditional text', () => {
+    expect(renderReason('{name} at {level:5}', context)).toBe('Hammer at 1.09501');
+    expect(renderReason('{type|capitalize} divergence', context)).toBe('Regular divergence');
+    expect(renderReason('Setup{confirmed?, confirmed}{rejected?, rejected}', context)).toBe('Setup, confirmed');
+  });
+
+  test('renders missing values as empty text', () => {
+    expect(renderReason('[{none}][{nothing:2}]', context)).toBe('[][]');
+  });
+});
+
+describe('validateRules', () => {
+  const invalid = (rules, message) => {
+    expect(() => validateRules({ rules }, 'rules.json')).toThrow(ValidationError);
+    expect(() => validateRules({ rules }, 'rules.json')).toThrow(message);
+  };
+
+  test('accepts a well-formed rule set', () => {
+    const rules = [rule(), rule({ name: 'other', bias: 'short', modes: ['aggressive'] })];
+
+    expect(validateRules({ rules }, 'rules.json')).toBe(rules);
+  });
+
+  test('rejects a file without a rules array', () => {
+    expect(() => validateRules({}, 'rules.json')).toThrow('rules.json: expected an object with a rules array');
+  });
+
+  test('rejects malformed rules', () => {
+    invalid([rule({ name: '' })], 'rules.json: rule #1 needs a name');
+    invalid([rule(), rule()], 'rules.json: rule test: duplicate name');
+    invalid([rule({ bias: 'up' })], 'rule test: bias must be long or short');
+    invalid([rule({ reason: '' })], 'rule test: missing reason template');
+    invalid([rule({ modes: 'aggressive' })], 'rule test: modes must be an array');
+  });
+
+  test('rejects malformed conditions with their location', () => {
+    invalid([rule({ when: null })], 'rule test when: condition must be an object');
+    invalid([rule({ when: { all: [] } })], 'rule test when: all must be a non-empty array');
+    invalid([rule({ when: { any: [{ gt: 1 }] } })], 'rule test when.any[0]: missing path');
+    invalid([rule({ when: { path: 'price', gt: 1, lt: 2 } })], 'rule test when: expected exactly one operator');
+    invalid([rule({ when: { not: { path: 'price' } } })], 'rule test when.not: expected exactly one operator');
+    invalid([rule({ when: { path: 'price', near: 1 } })], 'rule test when: near needs a numeric pct');
+  });
+
+  test('accepts the default rule file', () => {
+    expect(validateRules(JSON.parse(readFileSync(DEFAULT_RULES, 'utf-8')), DEFAULT_RULES)).toHaveLength(10);
+  });
+});
+
+describe('ruleApplies', () => {
+  test('limits rules by mode and symbol', () => {
+    expect(ruleApplies(rule({ enabled: false }), 'conservative', 'EURUSD')).toBe(false);
+    expect(ruleApplies(rule({ modes: ['aggressive'] }), 'conservative', 'EURUSD')).toBe(false);
+    expect(ruleApplies(rule({ symbols: ['GBPUSD'] }), 'conservative', 'EURUSD')).toBe(false);
+    expect(ruleApplies(rule({ excludeSymbols: ['EURUSD'] }), 'conservative', 'EURUSD')).toBe(false);
+    expect(ruleApplies(rule({ symbols: ['GBPUSD'] }), 'conservative', null)).toBe(true);
+    expect(ruleApplies(rule(), 'conservative', 'EURUSD')).toBe(true);
+  });
+});
+
+describe('evaluateRules', () => {
+  test('returns the matching rules in order with their reasons', () => {
+    const rules = [
+      rule({ name: 'first', reason: 'Price {price:2}' }),
+      rule({ name: 'skipped', when: { path: 'price', lt: 1 } }),
+      rule({ name: 'second', bias: 'short', reason: 'Second' }),
+    ];
+
+    expect(evaluateRules(rules, { price: 1.1, mode: 'conservative', symbol: 'EURUSD' })).toEqual([
+      { rule: 'first', reason: 'Price 1.10', bias: 'long' },
+      { rule: 'second', reason: 'Second', bias: 'short' },
+    ]);
+  });
+});
+
+// The default rules reproduce the setups the pre-filter used to hard-code
+describe('default rules', () => {
+  const { prefilter } = config;
+  const scores = { conservative: config.trading.conservative.minPatternScore, aggressive: config.trading.aggressive.minPatternScore };
+
+  // Flat closes: no pullback setup unless a test provides its own candles
+  const flat = Array.from({ length: 10 }, () => ({ close: 1.1 }));
+
+  const indicators = (overrides = {}) => ({
+    currentPrice: 1.1,
+    ema50: 1.09,
+    trend: { direction: 'sideways' },
+    patterns: {
+      best: { bullish: null, bearish: null },
+      bullishPin: { detected: false, score: 0 },
+      bearishPin: { detected: false, score: 0 },
+    },
+    swings: { swingHighs: [], swingLows: [], nearSR: null },
+    divergences: null,
+    ...overrides,
+  });
+
+  const setups = (values, mode = 'conservative', candles = flat) =>
+    evaluateRules(getPrefilterRules(mode, 'EURUSD'), buildRuleContext(candles, values, mode, 'EURUSD'))
+      .map(({ reason, bias }) => [bias, reason]);
+
+  beforeAll(async () => {
+    config.prefilter = { ...prefilter, rulesPath: DEFAULT_RULES, modeRules: {}, symbolRules: {} };
+    config.trading.conservative.minPatternScore = 60;
+    config.trading.aggressive.minPatternScore = 40;
+    await loadPrefilterRules();
+  });
+
+  afterAll(() => {
+    config.prefilter = prefilter;
+    config.trading.conservative.minPatternScore = scores.conservative;
+    config.trading.aggressive.minPatternScore = scores.aggressive;
+  });
+
+  test('finds nothing without a setup', () => {
+    expect(setups(indicators())).toEqual([]);
+  });
+
+  test('trend-aligned pattern above the mode minimum score', () => {
+    const hammer = score => indicators({
+      trend: { direction: 'uptrend' },
+      patterns: { ...indicators().patterns, best: { bullish: { name: 'Hammer', score }, bearish: null } },
+    });
+
+    expect(setups(hammer(70))).toEqual([['long', 'Hammer in uptrend (score 70)']]);
+    expect(setups(hammer(50))).toEqual([]);
+    expect(setups(hammer(50), 'aggressive')).toEqual([['long', 'Hammer in uptrend (score 50)']]);
+    expect(setups({ ...hammer(70), currentPrice: 1.08 })).toEqual([]);
+  });
+
+  test('pin bar at structure', () => {
+    const values = indicators({
+      patterns: { ...indicators().patterns, bearishPin: { detected: true, score: 65 } },
+      swings: { swingHighs: [], swingLows: [], nearSR: { type: 'resistance', price: 1.1049876, touches: 1 } },
+    });
+
+    expect(setups(values)).toEqual([['short', 'Bearish pin bar at resistance level (1.10499, score 65)']]);
+  });
+
+  test('pullback into trend to EMA50 or the last swing', () => {
+    const closes = [1.1, 1.095, 1.092, 1.0905, 1.091, 1.093, 1.095, 1.096, 1.097, 1.1].map(close => ({ close }));
+    const uptrend = { trend: { direction: 'uptrend' } };
+    const reason = [['long', 'Pullback to support in uptrend, bouncing']];
+
+    expect(setups(indicators(uptrend), 'conservative', closes)).toEqual(reason);
+    expect(setups(indicators({ ...uptrend, ema50: 1.08 }), 'conservative', closes)).toEqual([]);
+    expect(setups(indicators({
+      ...uptrend,
+      ema50: 1.08,
+      swings: { swingHighs: [], swingLows: [{ price: 1.091 }], nearSR: null },
+    }), 'conservative', closes)).toEqual(reason);
+  });
+
+  test('RSI divergence in aggressive mode only, the most recent usable one first', () => {
+    const bullish = {
+      type: 'regular',
+      direction: 'bullish',
+      barsAgo: 5,
+      bars: 12,
+      strength: 0.4567,
+      from: { price: 1.09, value: 25.04 },
+      to: { price: 1.085, value: 31.27 },
+      macdConfirmed: true,
+    };
+    const bearish = { ...bullish, direction: 'bearish', barsAgo: 2, macdConfirmed: false };
+    const bullishReason = ['long', 'Regular bullish RSI divergence (low 1.09000 → 1.08500, RSI 25.0 → 31.3, 12 bars, strength 0.46, MACD confirms)'];
+
+    expect(setups(indicators({ divergences: { bullish } }), 'aggressive')).toEqual([bullishReason]);
+    expect(setups(indicators({ divergences: { bullish } }), 'conservative')).toEqual([]);
+
+    // A more recent regular bearish divergence wins
+    expect(setups(indicators({ divergences: { bullish, bearish } }), 'aggressive')).toEqual([
+      ['short', 'Regular bearish RSI divergence (high 1.09000 → 1.08500, RSI 25.0 → 31.3, 12 bars, strength 0.46)'],
+    ]);
+
+    // A hidden bearish divergence against an uptrend is not usable
+    expect(setups(indicators({
+      trend: { direction: 'uptrend' },
+      divergences: { bullish, bearish: { ...bearish, type: 'hidden' } },
+    }), 'aggressive')).toEqual([bullishReason]);
+  });
+
+  test('reversal at strong support alongside other setups', () => {
+    const values = indicators({
+      trend: { direction: 'uptrend' },
+      patterns: { ...indicators().patterns, best: { bullish: { name: 'Bullish Engulfing', score: 80 }, bearish: null } },
+      swings: { swingHighs: [], swingLows: [], nearSR: { type: 'support', price: 1.095, touches: 2 } },
+    });
+
+    expect(setups(values)).toEqual([
+      ['long', 'Bullish Engulfing in uptrend (score 80)'],
+      ['long', 'Bullish Engulfing reversal at strong support (2 touches, score 80)'],
+    ]);
+    expect(setups({ ...values, swings: { ...values.swings, nearSR: { ...values.swings.nearSR, touches: 1 } } }))
+      .toEqual([['long', 'Bullish Engulfing in uptrend (score 80)']]);
+  });
+});
+
+describe('choppy market check', () => {
+  const { prefilter } = config;
+  const candles = Array.from({ length: 50 }, (_, i) => ({ time: `2024-01-03 ${String(i % 24).padStart(2, '0')}:00:00`, close: 1.1 }));
+  const indicators = adx => ({
+    currentPrice: 1.1,
+    atr14: 0.001,
+    ema50: 1.1,
+    ema200: 1.1,
+    trend: { direction: 'choppy' },
+    adx: { adx },
+  });
+
+  afterEach(() => {
+    config.prefilter = prefilter;
+  });
+
+  test('rejects flat EMAs by default, whatever the ADX', () => {
+    expect(config.prefilter.minAdx).toBe(0);
+    expect(applyPrefilters(candles, indicators(35), 'conservative', 'EURUSD')).toEqual({
+      isCandidate: false,
+      reason: 'Choppy market with flat EMAs, no clear trend',
+    });
+  });
+
+  test('uses the ADX instead once a minimum is configured', () => {
+    config.prefilter = { ...prefilter, minAdx: 20 };
+
+    expect(applyPrefilters(candles, indicators(12), 'conservative', 'EURUSD')).toEqual({
+      isCandidate: false,
+      reason: 'Choppy market (ADX 12.0 < 20), no directional strength',
+    });
+  });
+});
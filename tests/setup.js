@@ -0,0 +1,10 @@
+/**
+ * Jest setup - the config module validates API keys on import, so unit tests run with placeholders
+ * and the local provider (nothing is called over the network)
+ */
+
+process.env.OPENAI_API_KEY ??= 'test';
+process.env.TELEGRAM_BOT_TOKEN ??= 'test';
+process.env.TELEGRAM_CHAT_ID ??= 'test';
+process.env.MARKET_DATA_PROVIDER ??= 'local';
+process.env.LOG_LEVEL ??= 'ERROR';
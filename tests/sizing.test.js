@@ -0,0 +1,109 @@
+import config from '../src/config/index.js';
+import { initDatabase, closeDatabase } from '../src/db/index.js';
+import { upsertCandles } from '../src/db/candles.js';
+import { getContractSpec, getQuoteConversionRate, calculatePositionSize, calculatePnl } from '../src/portfolio/sizing.js';
+
+const account = { ...config.account };
+
+beforeAll(async () => {
+  config.database.path = ':memory:';
+  await initDatabase();
+  upsertCandles('GBPUSD', '1h', [{ time: '2024-01-03 10:00:00', open: 1.25, high: 1.25, low: 1.25, close: 1.25, volume: 0 }]);
+  upsertCandles('USDCHF', '1h', [{ time: '2024-01-03 10:00:00', open: 0.8, high: 0.8, low: 0.8, close: 0.8, volume: 0 }]);
+});
+
+afterAll(() => {
+  closeDatabase();
+});
+
+beforeEach(() => {
+  Object.assign(config.account, {
+    balance: 10000,
+    riskPercent: 1,
+    currency: 'USD',
+    conversionRates: {},
+    contractSizes: {},
+    pipSizes: {},
+    lotSteps: {},
+    minLots: {},
+  });
+});
+
+afterEach(() => {
+  Object.assign(config.account, account);
+});
+
+describe('getContractSpec', () => {
+  test('uses the asset class defaults', () => {
+    expect(getContractSpec('EURUSD')).toEqual({ contractSize: 100000, pipSize: 0.0001, lotStep: 0.01, minLot: 0.01, pipValue: 10 });
+    expect(getContractSpec('USDJPY').pipValue).toBe(1000);
+    expect(getContractSpec('XAUUSD').contractSize).toBe(100);
+  });
+
+  test('applies the configured overrides per symbol', () => {
+    config.account.pipSizes = { XAUUSD: '0.01' };
+    config.account.minLots = { XAUUSD: '0.1' };
+
+    expect(getContractSpec('XAUUSD')).toEqual({ contractSize: 100, pipSize: 0.01, lotStep: 0.01, minLot: 0.1, pipValue: 1 });
+  });
+});
+
+describe('getQuoteConversionRate', () => {
+  test('converts JPY through the entry price when the account currency is the base', () => {
+    expect(getQuoteConversionRate('USDJPY', 150)).toBeCloseTo(1 / 150, 12);
+  });
+
+  test('prefers the configured rate for crosses', () => {
+    config.account.conversionRates = { GBP: '1.3' };
+
+    expect(getQuoteConversionRate('EURGBP', 0.86)).toBe(1.3);
+  });
+
+  test('falls back to the stored close of the direct or inverse pair', () => {
+    expect(getQuoteConversionRate('EURGBP', 0.86)).toBe(1.25);
+    expect(getQuoteConversionRate('EURCHF', 0.95)).toBeCloseTo(1.25, 12);
+  });
+
+  test('returns null when no rate is known', () => {
+    expect(getQuoteConversionRate('AUDNZD', 1.08)).toBeNull();
+  });
+});
+
+describe('calculatePositionSize', () => {
+  test('risks the configured percent of the balance', () => {
+    expect(calculatePositionSize({ symbol: 'EURUSD', entry: 1.1, stop_loss: 1.095 }))
+      .toEqual({ position_size: 20000, lots: 0.2, risk_amount: 100 });
+  });
+
+  test('sizes JPY pairs in account currency', () => {
+    expect(calculatePositionSize({ symbol: 'USDJPY', entry: 150, stop_loss: 149.5 }))
+      .toEqual({ position_size: 30000, lots: 0.3, risk_amount: 100 });
+  });
+
+  test('sizes crosses with the conversion rate', () => {
+    expect(calculatePositionSize({ symbol: 'EURGBP', entry: 0.86, stop_loss: 0.855 }))
+      .toEqual({ position_size: 16000, lots: 0.16, risk_amount: 100 });
+  });
+
+  test('rounds down to the lot step', () => {
+    expect(calculatePositionSize({ symbol: 'EURUSD', entry: 1.1, stop_loss: 1.0967 }).lots).toBe(0.3);
+  });
+
+  test('does not size below the minimum lot', () => {
+    config.account.balance = 100;
+
+    expect(calculatePositionSize({ symbol: 'EURUSD', entry: 1.1, stop_loss: 1.09 }))
+      .toEqual({ position_size: 0, lots: 0, risk_amount: 0 });
+  });
+
+  test('does not size without a conversion rate', () => {
+    expect(calculatePositionSize({ symbol: 'AUDNZD', entry: 1.08, stop_loss: 1.075 })).toBeNull();
+  });
+});
+
+describe('calculatePnl', () => {
+  test('applies the net R to the risk amount', () => {
+    expect(calculatePnl({ risk_amount: 100 }, { rr: 1.7, rrNet: 1.62 })).toBe(162);
+    expect(calculatePnl({ risk_amount: null }, { rr: 1.7 })).toBeNull();
+  });
+});
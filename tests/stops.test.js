@@ -0,0 +1,89 @@
+import config from '../src/config/index.js';
+import { getStopRules, createStopAdjuster } from '../src/evaluation/stops.js';
+
+const hourly = (i, low, high, close) => ({
+  time: new Date(Date.UTC(2024, 0, 3, i)).toISOString().slice(0, 19).replace('T', ' '),
+  open: close,
+  high,
+  low,
+  close,
+  volume: 0,
+});
+
+const signal = { mode: 'conservative', direction: 'long', entry: 1.1, stop_loss: 1.09 };
+
+describe('getStopRules', () => {
+  test('falls back to no stop management for unknown modes', () => {
+    expect(getStopRules('unknown')).toEqual({ breakeven: 'none', trailing: 'none' });
+  });
+});
+
+describe('createStopAdjuster', () => {
+  const { stopManagement } = config.trading.conservative;
+
+  const useRules = rules => {
+    config.trading.conservative.stopManagement = { ...stopManagement, breakeven: 'none', trailing: 'none', ...rules };
+  };
+
+  afterEach(() => {
+    config.trading.conservative.stopManagement = stopManagement;
+  });
+
+  test('moves the stop to entry once TP1 has filled', () => {
+    useRules({ breakeven: 'tp1' });
+    const candles = [hourly(10, 1.1, 1.111, 1.11)];
+    const adjustStop = createStopAdjuster(signal, candles);
+
+    expect(adjustStop({ stop: 1.09, nextTp: 0, breakevenDone: false }, 0)).toEqual([]);
+
+    const position = { stop: 1.09, nextTp: 1, breakevenDone: false };
+    expect(adjustStop(position, 0)).toEqual([{ type: 'breakeven', from: 1.09, to: 1.1, time: candles[0].time }]);
+    expect(position.stop).toBe(1.1);
+    expect(adjustStop(position, 0)).toEqual([]);
+  });
+
+  test('moves the stop to entry once price has moved 1R in favour', () => {
+    useRules({ breakeven: '1r' });
+    const candles = [hourly(10, 1.1, 1.109, 1.105), hourly(11, 1.105, 1.11, 1.108)];
+    const adjustStop = createStopAdjuster(signal, candles);
+    const position = { stop: 1.09, nextTp: 0, breakevenDone: false };
+
+    expect(adjustStop(position, 0)).toEqual([]);
+    expect(adjustStop(position, 1)).toEqual([{ type: 'breakeven', from: 1.09, to: 1.1, time: candles[1].time }]);
+  });
+
+  test('never loosens a stop already beyond entry', () => {
+    useRules({ breakeven: 'tp1' });
+    const adjustStop = createStopAdjuster(signal, [hourly(10, 1.1, 1.111, 1.11)]);
+    const position = { stop: 1.105, nextTp: 1, breakevenDone: false };
+
+    expect(adjustStop(position, 0)).toEqual([]);
+    expect(position.stop).toBe(1.105);
+  });
+
+  test('trails by an ATR multiple after TP1 and ignores steps under 0.1R', () => {
+    useRules({ trailing: 'atr', atrPeriod: 14, atrMultiplier: 2 });
+    // Identical bars: ATR is the 0.002 range
+    const candles = Array.from({ length: 20 }, (_, i) => hourly(i, 1.109, 1.111, 1.11));
+    const adjustStop = createStopAdjuster(signal, candles);
+
+    expect(adjustStop({ stop: 1.1, nextTp: 0, breakevenDone: true }, 19)).toEqual([]);
+
+    const [event] = adjustStop({ stop: 1.1, nextTp: 1, breakevenDone: true }, 19);
+    expect(event.type).toBe('trailing');
+    expect(event.to).toBeCloseTo(1.106, 10);
+
+    expect(adjustStop({ stop: 1.1055, nextTp: 1, breakevenDone: true }, 19)).toEqual([]);
+  });
+
+  test('trails to the latest swing low once it is confirmed', () => {
+    useRules({ trailing: 'swing', swingBars: 3 });
+    const candles = Array.from({ length: 10 }, (_, i) => hourly(i, i === 5 ? 1.095 : 1.1, 1.102, 1.101));
+    const adjustStop = createStopAdjuster(signal, candles);
+
+    expect(adjustStop({ stop: 1.09, nextTp: 1, breakevenDone: true }, 7)).toEqual([]);
+    expect(adjustStop({ stop: 1.09, nextTp: 1, breakevenDone: true }, 8)).toEqual([
+      { type: 'trailing', from: 1.09, to: 1.095, time: candles[8].time },
+    ]);
+  });
+});
@@ -0,0 +1,124 @@
+import {
+  detectStructureBreaks,
+  detectOrderBlocks,
+  detectFairValueGaps,
+  applyMitigation,
+  findZoneAtCandle,
+  analyzeStructure,
+} from '../src/indicators/structure.js';
+
+const time = i => `2024-01-03 ${String(i).padStart(2, '0')}:00:00`;
+
+// Candles from [open, high, low, close]
+const toCandles = rows => rows.map(([open, high, low, close], i) => ({ time: time(i), open, high, low, close }));
+
+// Candles that only matter by their close
+const fromCloses = closes => toCandles(closes.map(close => [close, close, close, close]));
+
+const swing = (index, price) => ({ index, price, time: time(index) });
+
+describe('detectStructureBreaks', () => {
+  const candles = fromCloses([7, 9, 8, 6, 7, 11, 9, 4, 3.5, 4.5, 2]);
+
+  test('labels breaks with the structure as BOS and against it as CHoCH', () => {
+    const events = detectStructureBreaks(candles, [swing(1, 10)], [swing(3, 5), swing(8, 3)], 1);
+
+    expect(events.map(e => [e.type, e.direction, e.level, e.index])).toEqual([
+      ['BOS', 'bullish', 10, 5],
+      ['CHoCH', 'bearish', 5, 7],
+      ['BOS', 'bearish', 3, 10],
+    ]);
+    expect(events[0]).toMatchObject({ swingTime: time(1), swingIndex: 1, time: time(5) });
+  });
+
+  test('only breaks swings confirmed by the right-hand bars', () => {
+    // The close at index 7 is below the low at index 3, but only 3 bars after it
+    expect(detectStructureBreaks(candles, [], [swing(3, 5)], 3).map(e => e.index)).toEqual([7]);
+    expect(detectStructureBreaks(candles, [], [swing(3, 5)], 4).map(e => e.index)).toEqual([8]);
+  });
+});
+
+describe('detectOrderBlocks', () => {
+  const candles = toCandles([
+    [10, 11, 9, 10.5],
+    [10.5, 10.6, 9.5, 9.6],
+    [9.6, 9.8, 8.8, 9.0],
+    [9.0, 10.5, 8.9, 10.4],
+    [10.4, 11.8, 10.3, 11.6],
+    [11.6, 11.7, 9.3, 11.0],
+    [11.0, 11.2, 8.5, 8.7],
+  ]);
+  const event = { direction: 'bullish', swingIndex: 0, index: 4 };
+
+  test('takes the last bearish candle at the low of the impulse that broke structure', () => {
+    expect(detectOrderBlocks(candles, [event])).toEqual([
+      { type: 'bullish', top: 9.8, bottom: 8.8, time: time(2), index: 2, breakIndex: 4 },
+    ]);
+  });
+
+  test('tracks how far price trades back into the block after the break', () => {
+    const [touched] = applyMitigation(candles.slice(0, 6), detectOrderBlocks(candles, [event]));
+    const [mitigated] = applyMitigation(candles, detectOrderBlocks(candles, [event]));
+
+    expect(touched).toMatchObject({ touched: true, mitigated: false, mitigatedTime: null });
+    expect(touched.filled).toBeCloseTo(0.5, 10);
+    expect(mitigated).toMatchObject({ mitigated: true, mitigatedTime: time(6), filled: 1 });
+  });
+});
+
+describe('detectFairValueGaps', () => {
+  const candles = toCandles([
+    [0.95, 1.0, 0.9, 0.98],
+    [0.98, 1.2, 0.97, 1.18],
+    [1.18, 1.25, 1.05, 1.2],
+    [1.2, 1.22, 1.1, 1.12],
+    [1.12, 1.13, 0.99, 1.0],
+  ]);
+
+  test('finds a gap between the first and third candle', () => {
+    const gaps = detectFairValueGaps(candles);
+
+    expect(gaps[0]).toMatchObject({ type: 'bullish', bottom: 1.0, time: time(1), index: 1 });
+    expect(gaps[0].top).toBeCloseTo(1.05, 10);
+    expect(detectFairValueGaps(candles, 0.1)).toEqual([]);
+  });
+
+  test('is mitigated once price trades through the far edge', () => {
+    const [gap] = applyMitigation(candles, detectFairValueGaps(candles), 2);
+
+    expect(gap).toMatchObject({ touched: true, mitigated: true, mitigatedTime: time(4), filled: 1 });
+    expect(findZoneAtCandle([gap], 'bullish', candles[4])).toBeNull();
+  });
+});
+
+describe('findZoneAtCandle', () => {
+  test('returns the most recent unmitigated zone of the type the candle trades into', () => {
+    const zones = [
+      { type: 'bullish', top: 1.1, bottom: 1.0, mitigated: false },
+      { type: 'bullish', top: 1.08, bottom: 1.02, mitigated: false },
+      { type: 'bullish', top: 1.07, bottom: 1.05, mitigated: true },
+      { type: 'bearish', top: 1.1, bottom: 1.0, mitigated: false },
+    ];
+
+    expect(findZoneAtCandle(zones, 'bullish', { high: 1.12, low: 1.06 })).toBe(zones[1]);
+    expect(findZoneAtCandle(zones, 'bullish', { high: 1.2, low: 1.11 })).toBeNull();
+  });
+});
+
+describe('analyzeStructure', () => {
+  test('is neutral without enough candles', () => {
+    expect(analyzeStructure(fromCloses([1, 2, 3]))).toMatchObject({ trend: 'neutral', events: [], lastEvent: null });
+  });
+
+  test('takes the trend from the last structure break', () => {
+    // Rally to a swing high at 12, pull back to a swing low at 10, then break the high
+    const closes = [10, 10.5, 11, 11.5, 12, 11.5, 11, 10.5, 10, 10.5, 11, 11.5, 12.5];
+    const candles = toCandles(closes.map(close => [close, close + 0.1, close - 0.1, close]));
+
+    const structure = analyzeStructure(candles);
+
+    expect(structure.trend).toBe('bullish');
+    expect(structure.lastEvent).toMatchObject({ type: 'BOS', direction: 'bullish', index: 12 });
+    expect(structure.lastEvent.level).toBeCloseTo(12.1, 10);
+  });
+});
@@ -0,0 +1,99 @@
+import {
+  timeframeToMs,
+  parseCandleTime,
+  toCandleTime,
+  fromLocalTime,
+  getNextBarClose,
+  getLastBarClose,
+  dropFormingCandle,
+} from '../src/utils/timeframes.js';
+
+// OANDA bars start at 17:00 New York time and weeks on Friday
+const OANDA = { timeZone: 'America/New_York', dayStart: 17 * 60, weekStart: 5 };
+
+const at = time => parseCandleTime(time);
+const next = (timeframe, time, alignment) => toCandleTime(getNextBarClose(timeframe, at(time), alignment));
+const last = (timeframe, time, alignment) => toCandleTime(getLastBarClose(timeframe, at(time), alignment));
+
+describe('candle times', () => {
+  test('parses UTC candle times and keeps explicit zones', () => {
+    expect(parseCandleTime('2024-01-03 10:00:00')).toBe(Date.UTC(2024, 0, 3, 10));
+    expect(parseCandleTime('2024-01-03T10:00:00+02:00')).toBe(Date.UTC(2024, 0, 3, 8));
+    expect(toCandleTime(Date.UTC(2024, 0, 3, 10, 15))).toBe('2024-01-03 10:15:00');
+  });
+
+  test('converts local times to UTC across daylight saving time', () => {
+    expect(toCandleTime(fromLocalTime('2024-01-03 09:30:00', 'America/New_York'))).toBe('2024-01-03 14:30:00');
+    expect(toCandleTime(fromLocalTime('2024-07-03 09:30:00', 'America/New_York'))).toBe('2024-07-03 13:30:00');
+    expect(toCandleTime(fromLocalTime('2024-03-10 03:30:00', 'America/New_York'))).toBe('2024-03-10 07:30:00');
+    expect(toCandleTime(fromLocalTime('2024-01-03 09:30:00', 'UTC'))).toBe('2024-01-03 09:30:00');
+  });
+
+  test('rejects unknown timeframes', () => {
+    expect(() => timeframeToMs('3h')).toThrow('Unknown timeframe: 3h');
+  });
+});
+
+describe('UTC bar alignment', () => {
+  test('closes intraday bars on multiples of the timeframe', () => {
+    expect(next('1h', '2024-01-03 10:30:00')).toBe('2024-01-03 11:00:00');
+    expect(next('1h', '2024-01-03 11:00:00')).toBe('2024-01-03 12:00:00');
+    expect(next('4h', '2024-01-03 10:30:00')).toBe('2024-01-03 12:00:00');
+    expect(last('15m', '2024-01-03 10:44:59')).toBe('2024-01-03 10:30:00');
+    expect(last('4h', '2024-01-03 12:00:00')).toBe('2024-01-03 12:00:00');
+  });
+
+  test('closes daily bars at midnight and weekly bars on Monday', () => {
+    expect(next('1d', '2024-01-03 10:30:00')).toBe('2024-01-04 00:00:00');
+    expect(next('1w', '2024-01-03 10:30:00')).toBe('2024-01-08 00:00:00');
+    expect(last('1w', '2024-01-03 10:30:00')).toBe('2024-01-01 00:00:00');
+    expect(next('1M', '2024-01-03 10:30:00')).toBe('2024-02-01 00:00:00');
+  });
+});
+
+describe('OANDA bar alignment', () => {
+  test('closes bars at 17:00 New York in winter (22:00 UTC)', () => {
+    expect(next('4h', '2024-01-03 10:30:00', OANDA)).toBe('2024-01-03 14:00:00');
+    expect(next('1d', '2024-01-03 10:30:00', OANDA)).toBe('2024-01-03 22:00:00');
+    expect(last('1d', '2024-01-03 10:30:00', OANDA)).toBe('2024-01-02 22:00:00');
+    expect(next('1w', '2024-01-03 10:30:00', OANDA)).toBe('2024-01-05 22:00:00');
+  });
+
+  test('closes bars at 17:00 New York in summer (21:00 UTC)', () => {
+    expect(next('4h', '2024-07-03 10:30:00', OANDA)).toBe('2024-07-03 13:00:00');
+    expect(next('1d', '2024-07-03 10:30:00', OANDA)).toBe('2024-07-03 21:00:00');
+    expect(last('1w', '2024-07-03 10:30:00', OANDA)).toBe('2024-06-28 21:00:00');
+  });
+
+  test('shortens the last bar of the day when clocks spring forward', () => {
+    // Sat 22:00 UTC → Sun 21:00 UTC is a 23h day: the 18:00 bar closes an hour early
+    expect(next('4h', '2024-03-10 19:00:00', OANDA)).toBe('2024-03-10 21:00:00');
+    expect(next('4h', '2024-03-10 21:00:00', OANDA)).toBe('2024-03-11 01:00:00');
+    expect(next('1d', '2024-03-10 12:00:00', OANDA)).toBe('2024-03-10 21:00:00');
+    expect(last('1d', '2024-03-11 12:00:00', OANDA)).toBe('2024-03-10 21:00:00');
+    expect(next('1w', '2024-03-13 12:00:00', OANDA)).toBe('2024-03-15 21:00:00');
+  });
+
+  test('adds a short bar when clocks fall back', () => {
+    // Sat 21:00 UTC → Sun 22:00 UTC is a 25h day: a 1h bar follows the 21:00 close
+    expect(next('4h', '2024-11-03 20:00:00', OANDA)).toBe('2024-11-03 21:00:00');
+    expect(next('4h', '2024-11-03 21:30:00', OANDA)).toBe('2024-11-03 22:00:00');
+    expect(last('4h', '2024-11-04 01:00:00', OANDA)).toBe('2024-11-03 22:00:00');
+  });
+});
+
+describe('dropFormingCandle', () => {
+  const candles = [{ time: '2024-01-03 09:00:00' }, { time: '2024-01-03 10:00:00' }];
+
+  test('drops the last candle until its bar has closed', () => {
+    expect(dropFormingCandle(candles, '1h', at('2024-01-03 10:59:59'))).toEqual(candles.slice(0, 1));
+    expect(dropFormingCandle(candles, '1h', at('2024-01-03 11:00:00'))).toBe(candles);
+  });
+
+  test('uses the provider alignment', () => {
+    const daily = [{ time: '2024-01-02 22:00:00' }];
+
+    expect(dropFormingCandle(daily, '1d', at('2024-01-03 21:59:00'), OANDA)).toEqual([]);
+    expect(dropFormingCandle(daily, '1d', at('2024-01-03 22:00:00'), OANDA)).toBe(daily);
+  });
+});